@@ -164,6 +164,8 @@ app.use('/api/products', require('./routes/products'));
 app.use('/api/product-categories', require('./routes/product-categories'));
 app.use('/api/suppliers', require('./routes/suppliers'));
 app.use('/api/stock-movements', require('./routes/stock-movements'));
+app.use('/api/purchase-orders', require('./routes/purchase-orders'));
+app.use('/api/stock-counts', require('./routes/stock-counts'));
 app.use('/api/booking-consumptions', require('./routes/booking-consumptions'));
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/payment-methods', require('./routes/payment-methods'));
@@ -180,6 +182,15 @@ app.use('/webhook/whatsapp', require('./routes/whatsapp-meta-webhook'));
 app.use('/api/coupons', require('./routes/coupons'));
 app.use('/api/recurring-bookings', require('./routes/recurring-bookings'));
 app.use('/api/arca', require('./routes/arca'));
+app.use('/api/waitlist', require('./routes/waitlist'));
+app.use('/api/booking-reminders', require('./routes/booking-reminders'));
+app.use('/api/client-credits', require('./routes/client-credits'));
+app.use('/api/memberships', require('./routes/memberships'));
+app.use('/api/pricing-rules', require('./routes/pricing-rules'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/matchmaking', require('./routes/matchmaking'));
+app.use('/api/ratings', require('./routes/ratings'));
+app.use('/api/cart', require('./routes/cart'));
 
 // Serve uploaded files statically
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
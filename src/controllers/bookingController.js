@@ -5,6 +5,11 @@ const axios = require('axios');
 const WebhookService = require('../services/webhookService');
 const { sendBookingWhatsApp, sendRecurringBookingWhatsApp } = require('../services/whatsappNotification');
 const { getUserActiveCashRegister, registerSaleMovement } = require('../utils/cashRegisterHelper');
+const { findActiveHolds, findCartHolds } = require('../services/waitlistService');
+const { hoursUntilBooking, previewCancellation, executeCancellation } = require('../services/cancellationPolicy');
+const { findPendingDebts } = require('../services/clientDebts');
+const { consumeMembershipSession } = require('../services/memberships');
+const { triggerAutoInvoice } = require('../services/arca/autoInvoicingService');
 
 const MAKE_WEBHOOK_URL = 'https://hook.us2.make.com/jee5bgqqkqesehnkwmdfsw70tnt8nedh';
 
@@ -94,6 +99,24 @@ const createBooking = async (req, res) => {
     const isAdmin = req.user.userType === 'admin';
     const isStaff = req.user.isStaff;
     const canManageBookings = isAdmin || isStaff;
+
+    // Clients with pending debts (no-shows, late cancellations) cannot book
+    // online when the establishment blocks them; staff can always book
+    if (!canManageBookings && establishment.debtBookingPolicy === 'block') {
+      const pendingDebts = await findPendingDebts({
+        establishmentId: establishment.id,
+        email: clientEmail || req.user.email,
+        userId
+      });
+      if (pendingDebts.length > 0) {
+        const totalDebt = pendingDebts.reduce((sum, debt) => sum + parseFloat(debt.amount), 0);
+        return res.status(403).json({
+          error: 'Pending debt',
+          message: `Tenés una deuda pendiente de $${totalDebt} con este establecimiento. Saldala para poder reservar.`,
+          totalDebt
+        });
+      }
+    }
     
     // Determine initial status:
     // - Admin/staff can set any status
@@ -154,6 +177,26 @@ const createBooking = async (req, res) => {
           message: `El horario ya está reservado para la fecha ${bookingDate}`
         });
       }
+
+      // Slots freed by a cancellation may be held for someone on the waitlist
+      if (courtId) {
+        const holds = await findActiveHolds({ courtId, date: bookingDate, startTime, endTime });
+        if (holds.length > 0) {
+          return res.status(409).json({
+            error: 'Time slot not available',
+            message: `El horario está reservado temporalmente para la lista de espera (${bookingDate})`
+          });
+        }
+      }
+
+      // ...or by someone checking out a booking cart
+      const cartHolds = await findCartHolds({ courtId, amenityId, date: bookingDate, startTime, endTime });
+      if (cartHolds.length > 0) {
+        return res.status(409).json({
+          error: 'Time slot not available',
+          message: `El horario está reservado temporalmente por otro cliente (${bookingDate})`
+        });
+      }
       
       // Also check for exact match (unique constraint) - but only for non-cancelled bookings
       const exactMatchWhere = {
@@ -849,6 +892,16 @@ const updateBooking = async (req, res) => {
 
     await booking.update(updateData);
 
+    // Starting or completing the turn takes it from the client's pack/membership
+    if (status === 'in_progress' || status === 'completed') {
+      await consumeMembershipSession(booking);
+    }
+
+    // Checkout: invoice the booking if the establishment's invoicing rules say so
+    if (status === 'completed') {
+      triggerAutoInvoice('booking', booking.id, req.user.id);
+    }
+
     // Send webhook notification when booking is confirmed (async, don't wait)
     if (status === 'confirmed') {
       WebhookService.sendBookingNotification(booking.id)
@@ -897,35 +950,71 @@ const updateBooking = async (req, res) => {
   }
 };
 
-const cancelBooking = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user.id;
-    const isAdmin = req.user.userType === 'admin';
-    const isStaff = req.user.isStaff;
-    const canManageBookings = isAdmin || isStaff;
-    const { reason } = req.body;
-
-    // Admins/staff can cancel any booking, regular users can only cancel their own
-    let booking;
-    if (canManageBookings) {
-      booking = await Booking.findOne({
-        where: { id },
-        include: [{
-          model: Court,
-          as: 'court',
-          attributes: ['establishmentId']
-        }]
-      });
-      // Staff can only cancel bookings from their establishment
-      if (isStaff && booking && booking.court.establishmentId !== req.user.establishmentId) {
-        booking = null;
-      }
-    } else {
-      booking = await Booking.findOne({
-        where: { id, userId }
-      });
+/**
+ * Load a booking the current user is allowed to cancel.
+ * Admins/staff can cancel any booking (staff only from their establishment),
+ * regular users can only cancel their own.
+ */
+const findBookingForCancellation = async (req) => {
+  const { id } = req.params;
+  const isAdmin = req.user.userType === 'admin';
+  const isStaff = req.user.isStaff;
+  const canManageBookings = isAdmin || isStaff;
+
+  let booking;
+  if (canManageBookings) {
+    booking = await Booking.findOne({ where: { id } });
+    // Staff can only cancel bookings from their establishment
+    if (isStaff && booking && booking.establishmentId !== req.user.establishmentId) {
+      booking = null;
     }
+  } else {
+    booking = await Booking.findOne({
+      where: { id, userId: req.user.id }
+    });
+  }
+
+  return { booking, canManageBookings };
+};
+
+/**
+ * Validate that the booking can still be cancelled
+ * @returns {Object|null} Error response body, or null if it can be cancelled
+ */
+const getCancellationError = (booking, canManageBookings) => {
+  if (booking.status === 'cancelled') {
+    return {
+      error: 'Booking already cancelled',
+      message: 'This booking has already been cancelled'
+    };
+  }
+
+  if (booking.status === 'completed') {
+    return {
+      error: 'Cannot cancel completed booking',
+      message: 'Completed bookings cannot be cancelled'
+    };
+  }
+
+  // Clients can cancel until the booking starts; late cancellations are
+  // handled by the establishment's cancellation policy. Admins/staff can always cancel.
+  if (!canManageBookings && hoursUntilBooking(booking) <= 0) {
+    return {
+      error: 'Cancellation not allowed',
+      message: 'Bookings that already started cannot be cancelled'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Preview what cancelling a booking would do (refund, credit or debt)
+ * Query: { applyPolicy? } - staff only; clients always get the policy applied
+ */
+const getCancellationPreview = async (req, res) => {
+  try {
+    const { booking, canManageBookings } = await findBookingForCancellation(req);
 
     if (!booking) {
       return res.status(404).json({
@@ -934,47 +1023,67 @@ const cancelBooking = async (req, res) => {
       });
     }
 
-    if (booking.status === 'cancelled') {
-      return res.status(400).json({
-        error: 'Booking already cancelled',
-        message: 'This booking has already been cancelled'
-      });
-    }
+    const cancellationError = getCancellationError(booking, canManageBookings);
+    const establishment = await Establishment.findByPk(booking.establishmentId);
+    const applyPolicy = !canManageBookings || req.query.applyPolicy === 'true';
 
-    if (booking.status === 'completed') {
-      return res.status(400).json({
-        error: 'Cannot cancel completed booking',
-        message: 'Completed bookings cannot be cancelled'
+    const preview = await previewCancellation(booking, establishment, { applyPolicy });
+    delete preview.mpRefunds;
+
+    res.json({
+      canCancel: !cancellationError,
+      reason: cancellationError?.message || null,
+      preview
+    });
+
+  } catch (error) {
+    console.error('Cancellation preview error:', error);
+    res.status(500).json({
+      error: 'Failed to preview cancellation',
+      message: 'An error occurred while calculating the cancellation'
+    });
+  }
+};
+
+const cancelBooking = async (req, res) => {
+  try {
+    const { reason, applyPolicy } = req.body;
+    const { booking, canManageBookings } = await findBookingForCancellation(req);
+
+    if (!booking) {
+      return res.status(404).json({
+        error: 'Booking not found',
+        message: 'Booking not found or you do not have permission to cancel it'
       });
     }
 
-    // Check cancellation policy (e.g., must be at least 2 hours before)
-    // Admins/staff can bypass this restriction
-    if (!canManageBookings) {
-      const bookingDateTime = new Date(`${booking.date}T${booking.startTime}`);
-      const now = new Date();
-      const hoursUntilBooking = (bookingDateTime - now) / (1000 * 60 * 60);
-
-      if (hoursUntilBooking < 2) {
-        return res.status(400).json({
-          error: 'Cancellation not allowed',
-          message: 'Bookings can only be cancelled at least 2 hours in advance'
-        });
-      }
+    const cancellationError = getCancellationError(booking, canManageBookings);
+    if (cancellationError) {
+      return res.status(400).json(cancellationError);
     }
 
-    await booking.update({
-      status: 'cancelled',
-      cancelledAt: new Date(),
-      cancellationReason: reason
+    // Cancellations made by the establishment refund everything unless
+    // staff explicitly applies the client's cancellation policy
+    const establishment = await Establishment.findByPk(booking.establishmentId);
+    const { outcome } = await executeCancellation(booking, establishment, {
+      reason,
+      applyPolicy: !canManageBookings || applyPolicy === true || applyPolicy === 'true',
+      userId: req.user.id
     });
 
     res.json({
       message: 'Booking cancelled successfully',
-      booking
+      booking,
+      cancellation: outcome
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'Failed to cancel booking',
+        message: error.message
+      });
+    }
     console.error('Cancel booking error:', error);
     res.status(500).json({
       error: 'Failed to cancel booking',
@@ -1554,6 +1663,7 @@ module.exports = {
   getBookingById,
   updateBooking,
   cancelBooking,
+  getCancellationPreview,
   getEstablishmentBookings,
   checkRecurringAvailability,
   exportBookingsToCSV
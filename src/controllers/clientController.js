@@ -182,7 +182,7 @@ const getClients = async (req, res) => {
 const createClient = async (req, res) => {
   try {
     const { establishmentId } = req.params;
-    const { name, phone, email, notes } = req.body;
+    const { name, phone, email, notes, taxId } = req.body;
     
     // Verify establishment access (includes staff)
     const establishment = await verifyEstablishmentAccess(req, establishmentId);
@@ -214,7 +214,8 @@ const createClient = async (req, res) => {
       name,
       phone,
       email,
-      notes
+      notes,
+      taxId: taxId ? String(taxId).replace(/\D/g, '') : null
     });
 
     res.status(201).json({
@@ -236,7 +237,8 @@ const createClient = async (req, res) => {
 const updateClient = async (req, res) => {
   try {
     const { establishmentId, clientId } = req.params;
-    const updateData = req.body;
+    // Store credit only changes through the ledger (/api/client-credits)
+    const { creditBalance, ...updateData } = req.body;
     
     // Verify establishment access (includes staff)
     const establishment = await verifyEstablishmentAccess(req, establishmentId);
@@ -259,6 +261,15 @@ const updateClient = async (req, res) => {
       });
     }
 
+    // A new CUIT invalidates the cached condición IVA
+    if (updateData.taxId !== undefined) {
+      updateData.taxId = updateData.taxId ? String(updateData.taxId).replace(/\D/g, '') : null;
+      if (updateData.taxId !== client.taxId) {
+        updateData.ivaCondition = null;
+        updateData.ivaConditionCheckedAt = null;
+      }
+    }
+
     await client.update(updateData);
 
     res.json({
@@ -1,4 +1,4 @@
-const { Court, Establishment, TimeSlot, Booking, CourtPriceSchedule } = require('../models');
+const { Court, Establishment, TimeSlot, Booking, CourtPriceSchedule, WaitlistEntry } = require('../models');
 const { Op } = require('sequelize');
 
 // Helper function to verify establishment access (includes staff)
@@ -530,6 +530,37 @@ const getCourtAvailability = async (req, res) => {
       attributes: ['startTime', 'endTime']
     });
 
+    // Slots held for someone on the waitlist are not available either
+    const waitlistHolds = await WaitlistEntry.findAll({
+      where: {
+        offeredCourtId: id,
+        date,
+        status: 'offered',
+        holdExpiresAt: { [Op.gt]: new Date() }
+      },
+      attributes: ['startTime', 'endTime']
+    });
+    existingBookings.push(...waitlistHolds);
+
+    // People waiting per start time, so the UI can offer joining the waitlist
+    const waitingEntries = await WaitlistEntry.findAll({
+      where: {
+        establishmentId: court.establishmentId,
+        date,
+        status: 'waiting',
+        [Op.or]: [
+          { courtId: id },
+          { courtId: null, sport: court.sport }
+        ]
+      },
+      attributes: ['startTime']
+    });
+    const waitlistCounts = waitingEntries.reduce((counts, entry) => {
+      const startTime = entry.startTime.slice(0, 5);
+      counts[startTime] = (counts[startTime] || 0) + 1;
+      return counts;
+    }, {});
+
     // Get blocked time slots
     const blockedSlots = await TimeSlot.findAll({
       where: {
@@ -562,6 +593,7 @@ const getCourtAvailability = async (req, res) => {
 
     res.json({
       availableSlots,
+      waitlistCounts,
       court: {
         id: court.id,
         name: court.name,
@@ -2,6 +2,7 @@ const { Establishment, Court, Review, User, Favorite } = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const { normalizeReminderRules } = require('../services/bookingReminders');
 
 const createEstablishment = async (req, res) => {
   try {
@@ -363,6 +364,11 @@ const updateEstablishment = async (req, res) => {
       updateData.longitude = parseFloat(updateData.longitude);
     }
 
+    // Keep only valid reminder rules ({ hoursBefore, channels })
+    if (updateData.reminderRules !== undefined) {
+      updateData.reminderRules = normalizeReminderRules(updateData.reminderRules);
+    }
+
     await establishment.update(updateData);
 
     res.json({
@@ -1,6 +1,37 @@
-const { Expense, User, CashRegister, Establishment } = require('../models');
+const { Expense, User, CashRegister, Establishment, Supplier } = require('../models');
 const { Op } = require('sequelize');
 
+/**
+ * Normalize the fiscal data of a supplier invoice (Libro IVA Compras).
+ * The VAT is derived from the net amount and rate when not given.
+ */
+const buildTaxFields = async ({ supplierId, invoiceType, netAmount, vatRate, vatAmount }, establishmentId) => {
+  const fields = {};
+
+  if (supplierId !== undefined) {
+    if (supplierId) {
+      const supplierRecord = await Supplier.findOne({ where: { id: supplierId, establishmentId } });
+      if (!supplierRecord) {
+        const error = new Error('Supplier not found');
+        error.status = 404;
+        throw error;
+      }
+      fields.supplierName = supplierRecord.businessName || supplierRecord.name;
+    }
+    fields.supplierId = supplierId || null;
+  }
+  if (invoiceType !== undefined) fields.invoiceType = invoiceType ? parseInt(invoiceType) : null;
+  if (netAmount !== undefined) fields.netAmount = netAmount === null || netAmount === '' ? null : netAmount;
+  if (vatRate !== undefined) fields.vatRate = vatRate === null || vatRate === '' ? null : vatRate;
+  if (vatAmount !== undefined) {
+    fields.vatAmount = vatAmount === null || vatAmount === '' ? null : vatAmount;
+  } else if (fields.netAmount != null && fields.vatRate != null) {
+    fields.vatAmount = Math.round(parseFloat(fields.netAmount) * parseFloat(fields.vatRate)) / 100;
+  }
+
+  return fields;
+};
+
 /**
  * Get expenses for an establishment
  */
@@ -161,6 +192,8 @@ const createExpense = async (req, res) => {
       return res.status(400).json({ error: 'Category, description, and amount are required' });
     }
 
+    const { supplierName, ...taxFields } = await buildTaxFields(req.body, establishmentId);
+
     // Create expense
     const expense = await Expense.create({
       establishmentId,
@@ -171,7 +204,8 @@ const createExpense = async (req, res) => {
       amount,
       paymentMethod,
       invoiceNumber,
-      supplier,
+      supplier: supplier || supplierName,
+      ...taxFields,
       notes,
       expenseDate: expenseDate || new Date().toISOString().split('T')[0]
     });
@@ -204,6 +238,9 @@ const createExpense = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create expense error:', error);
     res.status(500).json({
       error: 'Failed to create expense',
@@ -241,6 +278,8 @@ const updateExpense = async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    const { supplierName, ...taxFields } = await buildTaxFields(req.body, expense.establishmentId);
+
     // Update expense
     await expense.update({
       category: category || expense.category,
@@ -248,7 +287,8 @@ const updateExpense = async (req, res) => {
       amount: amount !== undefined ? amount : expense.amount,
       paymentMethod: paymentMethod !== undefined ? paymentMethod : expense.paymentMethod,
       invoiceNumber: invoiceNumber !== undefined ? invoiceNumber : expense.invoiceNumber,
-      supplier: supplier !== undefined ? supplier : expense.supplier,
+      supplier: supplier !== undefined ? supplier : (supplierName || expense.supplier),
+      ...taxFields,
       notes: notes !== undefined ? notes : expense.notes,
       expenseDate: expenseDate || expense.expenseDate
     });
@@ -281,6 +321,9 @@ const updateExpense = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update expense error:', error);
     res.status(500).json({
       error: 'Failed to update expense',
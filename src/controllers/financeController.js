@@ -1,5 +1,6 @@
 const { Booking, Court, Establishment, Payment, Order, Invoice, Client, BookingConsumption, Product, BookingPayment, OrderItem, EstablishmentUser, PaymentMethod } = require('../models');
 const { Op, fn, col, literal } = require('sequelize');
+const { getFifoUnitCosts } = require('../services/stockLots');
 
 /**
  * Get financial summary for an establishment
@@ -784,7 +785,7 @@ const getPendingPayments = async (req, res) => {
 };
 
 /**
- * Get sales by product and payment method
+ * Get sales by product and payment method, with their FIFO cost of goods sold
  */
 const getSalesByProductAndPaymentMethod = async (req, res) => {
   try {
@@ -972,6 +973,10 @@ const getSalesByProductAndPaymentMethod = async (req, res) => {
       salesByProduct[productId].byPaymentMethod[method] += itemTotal;
     });
 
+    // FIFO cost of goods sold: the lot cost of the units sold in the period
+    const soldProductIds = Object.keys(salesByProduct).filter(id => id && id !== 'null');
+    const fifoUnitCosts = await getFifoUnitCosts(establishmentId, soldProductIds, start, end);
+
     // Convert to array and format
     const productSales = Object.values(salesByProduct).map(product => {
       const paymentMethodBreakdown = {};
@@ -997,11 +1002,17 @@ const getSalesByProductAndPaymentMethod = async (req, res) => {
         }
       });
 
+      const unitCost = fifoUnitCosts.get(product.productId) || 0;
+      const costOfGoodsSold = Math.round(unitCost * product.totalQuantity * 100) / 100;
+
       return {
         productId: product.productId,
         productName: product.productName,
         totalQuantity: product.totalQuantity,
         totalAmount: product.totalAmount,
+        unitCost,
+        costOfGoodsSold,
+        grossProfit: product.totalAmount - costOfGoodsSold,
         paymentMethods: paymentMethodBreakdown
       };
     });
@@ -1021,7 +1032,12 @@ const getSalesByProductAndPaymentMethod = async (req, res) => {
         name: pm.name,
         icon: pm.icon
       })),
-      products: productSales
+      products: productSales,
+      totals: {
+        totalAmount: productSales.reduce((sum, p) => sum + p.totalAmount, 0),
+        costOfGoodsSold: productSales.reduce((sum, p) => sum + p.costOfGoodsSold, 0),
+        grossProfit: productSales.reduce((sum, p) => sum + p.grossProfit, 0)
+      }
     });
 
   } catch (error) {
@@ -1,5 +1,9 @@
-const { AvailableMatch, MatchParticipant, User, Court, Establishment } = require('../models');
+const { AvailableMatch, MatchParticipant, User, Court, Establishment, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const { applyResult, getRating, isWithinRatingRange } = require('../services/ratings');
+const { joinMatchSeat, leaveMatchSeat, cancelMatchWithRefunds } = require('../services/matchPayments');
+
+const STATUS_ERRORS = { 400: 'Bad request', 403: 'Forbidden', 404: 'Not found', 409: 'Conflict' };
 
 const getMatches = async (req, res) => {
   try {
@@ -10,7 +14,9 @@ const getMatches = async (req, res) => {
       city,
       date,
       status = 'open',
-      skillLevel
+      skillLevel,
+      rating,
+      useMyRating
     } = req.query;
 
     const offset = (page - 1) * limit;
@@ -28,6 +34,19 @@ const getMatches = async (req, res) => {
       where.skillLevel = skillLevel;
     }
 
+    // Rating filter: matches whose range admits the given rating (or the
+    // authenticated player's rating in the requested sport)
+    let playerRating = rating !== undefined ? parseFloat(rating) : null;
+    if (playerRating === null && useMyRating === 'true' && req.user && sport) {
+      playerRating = await getRating(req.user.id, sport);
+    }
+    if (playerRating !== null && !isNaN(playerRating)) {
+      where[Op.and] = [
+        { [Op.or]: [{ minRating: null }, { minRating: { [Op.lte]: playerRating } }] },
+        { [Op.or]: [{ maxRating: null }, { maxRating: { [Op.gte]: playerRating } }] }
+      ];
+    }
+
     if (date) {
       where.date = date;
     }
@@ -154,6 +173,8 @@ const createMatch = async (req, res) => {
       minPlayers,
       pricePerPlayer,
       skillLevel,
+      minRating,
+      maxRating,
       description,
       isPrivate = false
     } = req.body;
@@ -182,6 +203,8 @@ const createMatch = async (req, res) => {
       currentPlayers: 1, // Organizer counts as first player
       pricePerPlayer: pricePerPlayer || 0,
       skillLevel: skillLevel || 'all',
+      minRating: minRating ?? null,
+      maxRating: maxRating ?? null,
       description,
       isPrivate,
       status: 'open'
@@ -250,48 +273,45 @@ const joinMatch = async (req, res) => {
       });
     }
 
-    if (match.currentPlayers >= match.maxPlayers) {
-      return res.status(400).json({
-        error: 'Bad request',
-        message: 'Match is full'
-      });
+    if (match.minRating != null || match.maxRating != null) {
+      const playerRating = await getRating(userId, match.sport);
+      if (!isWithinRatingRange(match, playerRating)) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: `Your rating (${Math.round(playerRating)}) is outside the match range`,
+          rating: playerRating,
+          minRating: match.minRating,
+          maxRating: match.maxRating
+        });
+      }
     }
 
-    // Check if already joined
-    const existingParticipant = await MatchParticipant.findOne({
-      where: { matchId: id, userId: userId }
-    });
-
-    if (existingParticipant) {
-      return res.status(409).json({
-        error: 'Conflict',
-        message: 'You have already joined this match'
+    // Paid matches hold the seat until the Mercado Pago payment is approved
+    const { participant, checkout } = await joinMatchSeat(match, req.user, { backUrls: req.body.backUrls });
+
+    if (checkout) {
+      return res.json({
+        success: true,
+        message: 'Seat held. Complete the payment to confirm it',
+        requiresPayment: true,
+        data: {
+          participantId: participant.id,
+          ...checkout
+        }
       });
     }
 
-    // Add participant
-    await MatchParticipant.create({
-      matchId: id,
-      userId: userId,
-      status: 'confirmed',
-      isOrganizer: false
-    });
-
-    // Update player count
-    await match.update({
-      currentPlayers: match.currentPlayers + 1
-    });
-
-    // Check if match is now full
-    if (match.currentPlayers + 1 >= match.maxPlayers) {
-      await match.update({ status: 'full' });
-    }
-
     res.json({
       success: true,
       message: 'Successfully joined the match'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: STATUS_ERRORS[error.status] || 'Bad request',
+        message: error.message
+      });
+    }
     console.error('Error joining match:', error);
     res.status(500).json({
       error: 'Error joining match',
@@ -323,7 +343,7 @@ const leaveMatch = async (req, res) => {
     }
 
     const participant = await MatchParticipant.findOne({
-      where: { matchId: id, userId: userId }
+      where: { matchId: id, userId: userId, status: 'joined' }
     });
 
     if (!participant) {
@@ -333,19 +353,21 @@ const leaveMatch = async (req, res) => {
       });
     }
 
-    await participant.destroy();
-
-    // Update player count
-    await match.update({
-      currentPlayers: Math.max(0, match.currentPlayers - 1),
-      status: 'open' // Reopen if was full
-    });
+    // Paid seats are refunded according to the establishment's cancellation policy
+    const outcome = await leaveMatchSeat(match, participant, req.user);
 
     res.json({
       success: true,
-      message: 'Successfully left the match'
+      message: 'Successfully left the match',
+      outcome
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: STATUS_ERRORS[error.status] || 'Bad request',
+        message: error.message
+      });
+    }
     console.error('Error leaving match:', error);
     res.status(500).json({
       error: 'Error leaving match',
@@ -379,7 +401,7 @@ const updateMatch = async (req, res) => {
 
     const allowedFields = [
       'date', 'startTime', 'endTime', 'maxPlayers', 'minPlayers',
-      'pricePerPlayer', 'skillLevel', 'description', 'status'
+      'pricePerPlayer', 'skillLevel', 'minRating', 'maxRating', 'description', 'status'
     ];
 
     const filteredUpdates = {};
@@ -427,15 +449,22 @@ const cancelMatch = async (req, res) => {
       });
     }
 
-    await match.update({ status: 'cancelled' });
+    const refunds = await cancelMatchWithRefunds(match.id);
 
     // TODO: Notify all participants about cancellation
 
     res.json({
       success: true,
-      message: 'Match cancelled successfully'
+      message: 'Match cancelled successfully',
+      refunds
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: STATUS_ERRORS[error.status] || 'Bad request',
+        message: error.message
+      });
+    }
     console.error('Error cancelling match:', error);
     res.status(500).json({
       error: 'Error cancelling match',
@@ -444,6 +473,122 @@ const cancelMatch = async (req, res) => {
   }
 };
 
+/**
+ * Record the result of a match and update the players' ratings.
+ * Recording it again corrects the previous result.
+ * Body: { teamA: [userId], teamB: [userId], winner: 'A' | 'B' | 'draw', sets? }
+ */
+const recordMatchResult = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { teamA, teamB, winner, sets } = req.body;
+
+    const match = await AvailableMatch.findByPk(id);
+
+    if (!match) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Match not found'
+      });
+    }
+
+    // Only organizer or admin can record the result
+    if (match.organizerId !== userId && req.user.userType !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the organizer can record the result'
+      });
+    }
+
+    // Only matches that took place: confirmed (full) or already played, once started
+    if (!['full', 'completed'].includes(match.status)) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'Only confirmed or played matches take results'
+      });
+    }
+
+    if (new Date(`${match.date}T${match.startTime.slice(0, 5)}:00-03:00`) > new Date()) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'The match has not started yet'
+      });
+    }
+
+    if (!Array.isArray(teamA) || !Array.isArray(teamB) || !teamA.length || !teamB.length) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'Both teams need at least one player'
+      });
+    }
+
+    if (!['A', 'B', 'draw'].includes(winner)) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: "winner must be 'A', 'B' or 'draw'"
+      });
+    }
+
+    const players = [...teamA, ...teamB];
+    if (new Set(players).size !== players.length) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'A player cannot be on both teams'
+      });
+    }
+
+    const participants = await MatchParticipant.findAll({
+      where: { matchId: id, status: { [Op.notIn]: ['left', 'kicked'] } },
+      attributes: ['userId']
+    });
+    const allowed = new Set([match.organizerId, ...participants.map(p => p.userId)]);
+    if (players.some(playerId => !allowed.has(playerId))) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'Teams can only include players of the match'
+      });
+    }
+
+    // The result and its rating changes are saved together
+    const changes = await sequelize.transaction(async (transaction) => {
+      await match.update({
+        result: { teamA, teamB, sets: sets || [], winner, recordedById: userId, recordedAt: new Date() },
+        status: 'completed',
+        completedAt: match.completedAt || new Date()
+      }, { transaction });
+
+      return applyResult({
+        sport: match.sport,
+        teamA,
+        teamB,
+        winner,
+        sourceType: 'match',
+        sourceId: match.id,
+        establishmentId: match.establishmentId
+      }, transaction);
+    });
+
+    res.json({
+      success: true,
+      message: 'Result recorded successfully',
+      data: match,
+      ratings: changes.map(c => ({
+        userId: c.userId,
+        ratingBefore: parseFloat(c.ratingBefore),
+        ratingAfter: parseFloat(c.ratingAfter),
+        delta: parseFloat(c.delta)
+      }))
+    });
+  } catch (error) {
+    console.error('Error recording match result:', error);
+    res.status(500).json({
+      error: 'Error recording match result',
+      message: error.message
+    });
+  }
+};
+
 const getMyMatches = async (req, res) => {
   try {
     const userId = req.user.id;
@@ -503,5 +648,6 @@ module.exports = {
   leaveMatch,
   updateMatch,
   cancelMatch,
+  recordMatchResult,
   getMyMatches
 };
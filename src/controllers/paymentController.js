@@ -1,5 +1,7 @@
 const { Payment, Booking, User, SplitPayment, SplitPaymentParticipant, Court, Establishment } = require('../models');
 // const mercadopagoService = require('../services/mercadopagoService');
+const mpService = require('../services/mercadopago');
+const { refundParticipant } = require('../services/splitPayments');
 const crypto = require('crypto');
 
 const createPayment = async (req, res) => {
@@ -259,15 +261,16 @@ const handleWebhook = async (req, res) => {
 
 const handleSplitPaymentWebhook = async (req, res) => {
   try {
-    const webhookData = req.body;
-    const result = await mercadopagoService.processWebhook(webhookData);
+    const { type, data } = req.body;
 
-    if (!result.success) {
+    if (type !== 'payment' || !data?.id) {
       return res.status(400).json({ error: 'Invalid webhook data' });
     }
 
+    const result = await mpService.getPayment(data.id);
+
     // Parse external reference to get split payment and participant info
-    const [splitPaymentId, participantId] = result.externalReference.split('_');
+    const [splitPaymentId, participantId] = (result.externalReference || '').split('_');
 
     const participant = await SplitPaymentParticipant.findOne({
       where: { id: participantId, splitPaymentId },
@@ -285,19 +288,33 @@ const handleSplitPaymentWebhook = async (req, res) => {
       return res.status(404).json({ error: 'Split payment participant not found' });
     }
 
+    const mpPaymentId = result.id?.toString() || null;
+
+    // Shares paid after the split expired or was cancelled go back to the payer
+    if (result.status === 'approved' && ['expired', 'cancelled'].includes(participant.splitPayment.status)) {
+      if (participant.status !== 'refunded') {
+        await participant.update({ mpPaymentId, paidAt: new Date() });
+        await refundParticipant(participant);
+      }
+      return res.status(200).json({ message: 'Split payment webhook processed successfully' });
+    }
+
     // Update participant payment status
     const statusMap = {
       'approved': 'paid',
       'pending': 'pending',
       'rejected': 'failed',
-      'cancelled': 'cancelled'
+      'cancelled': 'cancelled',
+      'refunded': 'refunded'
     };
 
     const newStatus = statusMap[result.status] || 'pending';
     
     await participant.update({
       status: newStatus,
-      paidAt: newStatus === 'paid' ? new Date() : null
+      paidAt: newStatus === 'paid' ? new Date() : participant.paidAt,
+      ...(mpPaymentId && { mpPaymentId }),
+      ...(newStatus === 'refunded' && { refundedAmount: participant.amount, refundedAt: new Date() })
     });
 
     // Check if all participants have paid
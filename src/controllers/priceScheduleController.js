@@ -1,5 +1,7 @@
 const { CourtPriceSchedule, Court, Establishment } = require('../models');
 const { Op } = require('sequelize');
+const { findMemberDiscount } = require('../services/memberships');
+const { applyPricingRules } = require('../services/dynamicPricing');
 
 /**
  * Get all price schedules for a court
@@ -268,10 +270,29 @@ const bulkUpdatePriceSchedules = async (req, res) => {
 };
 
 /**
- * Calculate price for a booking based on time ranges
- * This is a utility function that can be used by booking controller
+ * Apply the member discount of an active pack/membership of the holder
+ */
+const applyMemberPricing = async (result, courtId, bookingDate, member) => {
+  if (!member || (!member.clientId && !member.userId && !member.clientEmail)) return result;
+
+  const discount = await findMemberDiscount({ courtId, date: bookingDate, ...member });
+  if (!discount) return result;
+
+  const amount = Math.round(result.totalPrice * discount.percent / 100);
+  return {
+    ...result,
+    basePrice: result.totalPrice,
+    totalPrice: result.totalPrice - amount,
+    memberDiscount: { ...discount, amount }
+  };
+};
+
+/**
+ * Price of a booking from the court's time bands (CourtPriceSchedule).
+ * Besides the merged breakdown it returns the raw segments, used to
+ * price each slot when applying the dynamic pricing rules.
  */
-const calculateBookingPrice = async (courtId, startTime, endTime, bookingDate) => {
+const calculateSchedulePrice = async (courtId, startTime, endTime, bookingDate) => {
   try {
     // Get day of week (0 = Sunday, 6 = Saturday) in Argentina timezone (UTC-3)
     // Parse the date string as local date to avoid timezone issues
@@ -301,6 +322,7 @@ const calculateBookingPrice = async (courtId, startTime, endTime, bookingDate) =
       const durationMinutes = calculateMinutesBetween(startTime, endTime);
       const totalPrice = (court.pricePerHour / 60) * durationMinutes;
       
+      const startMinutes = timeToMinutes(startTime);
       return {
         totalPrice,
         breakdown: [{
@@ -310,12 +332,19 @@ const calculateBookingPrice = async (courtId, startTime, endTime, bookingDate) =
           minutes: durationMinutes,
           pricePerHour: parseFloat(court.pricePerHour),
           amount: totalPrice
+        }],
+        segments: [{
+          startMinute: startMinutes,
+          endMinute: startMinutes + durationMinutes,
+          scheduleName: 'Precio base',
+          pricePerHour: parseFloat(court.pricePerHour)
         }]
       };
     }
 
     // Calculate price breakdown
     const breakdown = [];
+    const segments = [];
     let totalPrice = 0;
 
     // Convert times to minutes for easier calculation
@@ -382,6 +411,12 @@ const calculateBookingPrice = async (courtId, startTime, endTime, bookingDate) =
           });
         }
 
+        segments.push({
+          startMinute: currentMinute,
+          endMinute: segmentEnd,
+          scheduleName: appliedSchedule.name,
+          pricePerHour: parseFloat(appliedSchedule.pricePerHour)
+        });
         totalPrice += segmentPrice;
         currentMinute = segmentEnd;
       } else {
@@ -408,6 +443,12 @@ const calculateBookingPrice = async (courtId, startTime, endTime, bookingDate) =
           });
         }
 
+        segments.push({
+          startMinute: currentMinute,
+          endMinute: segmentEnd,
+          scheduleName: 'Precio base',
+          pricePerHour: parseFloat(court.pricePerHour)
+        });
         totalPrice += segmentPrice;
         currentMinute = segmentEnd;
       }
@@ -415,7 +456,8 @@ const calculateBookingPrice = async (courtId, startTime, endTime, bookingDate) =
 
     return {
       totalPrice: Math.round(totalPrice),
-      breakdown
+      breakdown,
+      segments
     };
   } catch (error) {
     console.error('Error calculating booking price:', error);
@@ -423,6 +465,19 @@ const calculateBookingPrice = async (courtId, startTime, endTime, bookingDate) =
   }
 };
 
+/**
+ * Calculate price for a booking based on time ranges
+ * This is a utility function that can be used by booking controller
+ * Time-band prices are adjusted by the establishment's dynamic pricing rules
+ * (occupancy, lead time, holidays) and, for members, by their plan discount.
+ * @param {Object} member - Optional { clientId, userId, clientEmail } to apply member pricing
+ */
+const calculateBookingPrice = async (courtId, startTime, endTime, bookingDate, member = null) => {
+  const schedulePrice = await calculateSchedulePrice(courtId, startTime, endTime, bookingDate);
+  const dynamicPrice = await applyPricingRules(schedulePrice, { courtId, bookingDate });
+  return applyMemberPricing(dynamicPrice, courtId, bookingDate, member);
+};
+
 // Helper functions
 function timeToMinutes(timeStr) {
   const [hours, minutes] = timeStr.split(':').map(Number);
@@ -463,7 +518,7 @@ function findNextScheduleStart(currentMinute, schedules, maxMinute) {
 const calculatePriceEndpoint = async (req, res) => {
   try {
     const { courtId } = req.params;
-    const { startTime, endTime, date } = req.query;
+    const { startTime, endTime, date, clientId, email } = req.query;
 
     if (!startTime || !endTime || !date) {
       return res.status(400).json({
@@ -472,7 +527,15 @@ const calculatePriceEndpoint = async (req, res) => {
       });
     }
 
-    const result = await calculateBookingPrice(courtId, startTime, endTime, date);
+    // Member pricing: the client picked by the staff, or the logged-in player
+    let member = null;
+    if (req.user?.isStaff || req.user?.userType === 'establishment' || req.user?.userType === 'admin') {
+      member = { clientId: clientId || null, clientEmail: email || null };
+    } else if (req.user) {
+      member = { userId: req.user.id, clientEmail: req.user.email };
+    }
+
+    const result = await calculateBookingPrice(courtId, startTime, endTime, date, member);
 
     // Return the result directly for frontend compatibility
     res.json(result);
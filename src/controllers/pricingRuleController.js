@@ -0,0 +1,226 @@
+const { PricingRule, Court, Establishment } = require('../models');
+
+const RULE_FIELDS = [
+  'courtId', 'sport', 'name', 'ruleType', 'adjustmentType', 'adjustmentValue',
+  'minOccupancyPercent', 'maxOccupancyPercent', 'hoursBeforeStart',
+  'holidayDates', 'includeNationalHolidays', 'startTime', 'endTime',
+  'daysOfWeek', 'priceFloor', 'priceCap', 'priority', 'isActive'
+];
+
+/**
+ * Check the user can manage pricing of an establishment (owner, staff or admin)
+ */
+const canManageEstablishment = async (user, establishmentId) => {
+  if (user.userType === 'admin' || user.userType === 'superadmin') return true;
+  if (user.isStaff && user.establishmentId === establishmentId) return true;
+  const establishment = await Establishment.findByPk(establishmentId, { attributes: ['id', 'userId'] });
+  return !!establishment && establishment.userId === user.id;
+};
+
+const pickRuleFields = (body) => {
+  const data = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field] === '' ? null : body[field];
+  }
+  return data;
+};
+
+/**
+ * Validate a rule, returns an error message or null
+ */
+const validateRule = (rule) => {
+  if (!rule.name) return 'El nombre es requerido';
+  if (!['occupancy', 'lead_time', 'holiday'].includes(rule.ruleType)) {
+    return 'ruleType debe ser occupancy, lead_time o holiday';
+  }
+  if (rule.adjustmentValue === undefined || rule.adjustmentValue === null || isNaN(parseFloat(rule.adjustmentValue))) {
+    return 'adjustmentValue es requerido';
+  }
+  if (rule.ruleType === 'occupancy' && !(rule.minOccupancyPercent > 0 && rule.minOccupancyPercent <= 100)) {
+    return 'minOccupancyPercent debe estar entre 1 y 100';
+  }
+  if (rule.ruleType === 'lead_time' && !(rule.hoursBeforeStart > 0)) {
+    return 'hoursBeforeStart debe ser mayor a 0';
+  }
+  if (rule.ruleType === 'holiday' && !rule.includeNationalHolidays && !(rule.holidayDates || []).length) {
+    return 'Indicá las fechas de feriado o incluí los feriados nacionales';
+  }
+  if ((rule.startTime && !rule.endTime) || (!rule.startTime && rule.endTime)) {
+    return 'startTime y endTime van juntos';
+  }
+  if (rule.priceFloor !== null && rule.priceFloor !== undefined &&
+      rule.priceCap !== null && rule.priceCap !== undefined &&
+      parseFloat(rule.priceFloor) > parseFloat(rule.priceCap)) {
+    return 'priceFloor no puede ser mayor que priceCap';
+  }
+  return null;
+};
+
+/**
+ * Get the pricing rules of an establishment
+ */
+const getPricingRules = async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+
+    if (!(await canManageEstablishment(req.user, establishmentId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'No tienes permiso para ver las reglas de este establecimiento'
+      });
+    }
+
+    const rules = await PricingRule.findAll({
+      where: { establishmentId },
+      include: [{ model: Court, as: 'court', attributes: ['id', 'name', 'sport'] }],
+      order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error fetching pricing rules:', error);
+    res.status(500).json({
+      error: 'Error fetching pricing rules',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a pricing rule
+ */
+const createPricingRule = async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+
+    if (!(await canManageEstablishment(req.user, establishmentId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'No tienes permiso para modificar este establecimiento'
+      });
+    }
+
+    const data = pickRuleFields(req.body);
+    const validationError = validateRule({ includeNationalHolidays: true, ...data });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid pricing rule',
+        message: validationError
+      });
+    }
+
+    if (data.courtId) {
+      const court = await Court.findOne({ where: { id: data.courtId, establishmentId } });
+      if (!court) {
+        return res.status(404).json({
+          error: 'Court not found',
+          message: 'La cancha no existe'
+        });
+      }
+    }
+
+    const rule = await PricingRule.create({ ...data, establishmentId });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error creating pricing rule:', error);
+    res.status(500).json({
+      error: 'Error creating pricing rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a pricing rule
+ */
+const updatePricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findByPk(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Rule not found',
+        message: 'La regla de precios no existe'
+      });
+    }
+
+    if (!(await canManageEstablishment(req.user, rule.establishmentId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'No tienes permiso para modificar esta regla'
+      });
+    }
+
+    const data = pickRuleFields(req.body);
+    const validationError = validateRule({ ...rule.toJSON(), ...data });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid pricing rule',
+        message: validationError
+      });
+    }
+
+    await rule.update(data);
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error updating pricing rule:', error);
+    res.status(500).json({
+      error: 'Error updating pricing rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a pricing rule
+ */
+const deletePricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findByPk(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Rule not found',
+        message: 'La regla de precios no existe'
+      });
+    }
+
+    if (!(await canManageEstablishment(req.user, rule.establishmentId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'No tienes permiso para eliminar esta regla'
+      });
+    }
+
+    await rule.destroy();
+
+    res.json({
+      success: true,
+      message: 'Pricing rule deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting pricing rule:', error);
+    res.status(500).json({
+      error: 'Error deleting pricing rule',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule
+};
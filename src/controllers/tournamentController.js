@@ -1,5 +1,100 @@
-const { Tournament, User, Establishment } = require('../models');
+const { Tournament, TournamentParticipant, User, Establishment, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const {
+  generateBrackets,
+  recordMatchResult,
+  getAllStandings,
+  summarizeParticipants
+} = require('../services/tournamentBrackets');
+const {
+  scheduleTournamentMatches,
+  releaseByeBookings,
+  releaseMatchBookings
+} = require('../services/tournamentScheduler');
+const {
+  applyResult,
+  revertResult,
+  getTeamRating,
+  tournamentTeamUserIds
+} = require('../services/ratings');
+
+const canManageTournament = (tournament, user) =>
+  tournament.organizerId === user.id || ['admin', 'superadmin'].includes(user.userType);
+
+/**
+ * Write bracket results back to TournamentParticipant rows and close the
+ * tournament once a champion is known
+ */
+const syncParticipantsFromBrackets = async (tournament, brackets, transaction) => {
+  const summary = summarizeParticipants(brackets);
+
+  for (const [participantId, row] of summary) {
+    let status;
+    if (brackets.championId === participantId) {
+      status = 'winner';
+    } else if (row.eliminated || brackets.stage === 'finished') {
+      status = 'eliminated';
+    }
+
+    await TournamentParticipant.update({
+      wins: row.wins,
+      losses: row.losses,
+      points: row.points,
+      ...(status && { status })
+    }, {
+      where: { id: participantId, tournamentId: tournament.id },
+      transaction
+    });
+  }
+
+  if (brackets.stage === 'finished' && tournament.status !== 'completed') {
+    await tournament.update({ status: 'completed', completedAt: new Date() }, { transaction });
+  }
+};
+
+/**
+ * Cancel court bookings for matches that will no longer be played
+ */
+const releaseUnplayedBookings = async (tournament, transaction) => {
+  const matchIds = (tournament.brackets?.matches || [])
+    .filter(m => m.bookingId && m.status !== 'completed')
+    .map(m => m.id);
+  return releaseMatchBookings(tournament, matchIds, transaction);
+};
+
+/**
+ * Feed a bracket result into the players' ratings. Walkovers don't count
+ * (a corrected result that became a walkover loses its rating change).
+ */
+const rateTournamentMatch = async (tournament, match, transaction) => {
+  const source = { sourceType: 'tournament', sourceId: tournament.id, sourceMatchId: match.id };
+  if (match.walkover || !match.participant1Id || !match.participant2Id) {
+    return revertResult(source, transaction);
+  }
+
+  const participants = await TournamentParticipant.findAll({
+    where: { id: [match.participant1Id, match.participant2Id], tournamentId: tournament.id },
+    transaction
+  });
+  const side1 = participants.find(p => p.id === match.participant1Id);
+  const side2 = participants.find(p => p.id === match.participant2Id);
+  if (!side1 || !side2) return revertResult(source, transaction);
+
+  const teamA = tournamentTeamUserIds(side1);
+  const teamB = tournamentTeamUserIds(side2);
+  if (!teamA.length || !teamB.length || teamA.some(id => teamB.includes(id))) {
+    return revertResult(source, transaction);
+  }
+
+  return applyResult({
+    ...source,
+    sport: tournament.sport,
+    establishmentId: tournament.establishmentId,
+    teamA,
+    teamB,
+    winner: match.isDraw ? 'draw' : (match.winnerId === match.participant1Id ? 'A' : 'B')
+  }, transaction);
+};
 
 const getTournaments = async (req, res) => {
   try {
@@ -128,7 +223,9 @@ const createTournament = async (req, res) => {
       entryFee,
       prizePool,
       rules,
-      skillLevel
+      skillLevel,
+      minRating,
+      maxRating
     } = req.body;
 
     // Validate establishment exists
@@ -158,6 +255,8 @@ const createTournament = async (req, res) => {
       prizePool: prizePool || 0,
       rules,
       skillLevel: skillLevel || 'all',
+      minRating: minRating ?? null,
+      maxRating: maxRating ?? null,
       status: 'registration_open'
     });
 
@@ -208,7 +307,7 @@ const updateTournament = async (req, res) => {
     const allowedFields = [
       'name', 'description', 'startDate', 'endDate', 'registrationDeadline',
       'maxTeams', 'minTeams', 'teamSize', 'entryFee', 'prizePool',
-      'rules', 'skillLevel', 'status', 'format'
+      'rules', 'skillLevel', 'minRating', 'maxRating', 'status', 'format'
     ];
 
     const filteredUpdates = {};
@@ -218,12 +317,29 @@ const updateTournament = async (req, res) => {
       }
     });
 
+    const previousStatus = tournament.status;
     await tournament.update(filteredUpdates);
 
+    // Starting the tournament blocks the courts for every match
+    let schedule = null;
+    if (tournament.status === 'in_progress' && previousStatus !== 'in_progress' && tournament.brackets?.matches) {
+      try {
+        schedule = await scheduleTournamentMatches(tournament, { userId });
+      } catch (scheduleError) {
+        console.error('Error scheduling tournament matches:', scheduleError.message);
+        schedule = { error: scheduleError.message };
+      }
+    }
+
+    if (tournament.status === 'cancelled' && previousStatus !== 'cancelled') {
+      await releaseUnplayedBookings(tournament);
+    }
+
     res.json({
       success: true,
       message: 'Tournament updated successfully',
-      data: tournament
+      data: tournament,
+      ...(schedule && { schedule })
     });
   } catch (error) {
     console.error('Error updating tournament:', error);
@@ -258,6 +374,7 @@ const deleteTournament = async (req, res) => {
 
     // Soft delete by changing status
     await tournament.update({ status: 'cancelled' });
+    await releaseUnplayedBookings(tournament);
 
     res.json({
       success: true,
@@ -309,6 +426,22 @@ const registerForTournament = async (req, res) => {
       });
     }
 
+    // Rating range: the team's average rating in the tournament's sport
+    if (tournament.minRating != null || tournament.maxRating != null) {
+      const teamUserIds = tournamentTeamUserIds({ userId, players });
+      const teamRating = await getTeamRating(teamUserIds, tournament.sport);
+      if ((tournament.minRating != null && teamRating < tournament.minRating) ||
+          (tournament.maxRating != null && teamRating > tournament.maxRating)) {
+        return res.status(400).json({
+          error: 'Bad request',
+          message: `Your rating (${Math.round(teamRating)}) is outside the tournament range`,
+          rating: teamRating,
+          minRating: tournament.minRating,
+          maxRating: tournament.maxRating
+        });
+      }
+    }
+
     // Store registration in tournament's participants JSON field
     const participants = tournament.participants || [];
     
@@ -403,6 +536,7 @@ const getTournamentBrackets = async (req, res) => {
       data: {
         format: tournament.format,
         brackets: tournament.brackets || [],
+        standings: getAllStandings(tournament.brackets),
         status: tournament.status
       }
     });
@@ -415,6 +549,332 @@ const getTournamentBrackets = async (req, res) => {
   }
 };
 
+const generateTournamentBrackets = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+    const { seeding = 'seed', force = false, settings = {} } = req.body;
+
+    const tournament = await Tournament.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!tournament) {
+      await transaction.rollback();
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Tournament not found'
+      });
+    }
+
+    if (!canManageTournament(tournament, req.user)) {
+      await transaction.rollback();
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the organizer can generate brackets'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(tournament.status)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: 'Bad request',
+        message: `Cannot generate brackets for a ${tournament.status} tournament`
+      });
+    }
+
+    const hasResults = (tournament.brackets?.matches || []).some(m => m.status === 'completed');
+    if (hasResults && !force) {
+      await transaction.rollback();
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Brackets already have results. Send force=true to regenerate them'
+      });
+    }
+
+    // Regenerating over results puts the eliminated players (and the champion) back in play
+    if (hasResults) {
+      await TournamentParticipant.update({ status: 'confirmed' }, {
+        where: {
+          tournamentId: id,
+          status: { [Op.in]: ['eliminated', 'winner'] }
+        },
+        transaction
+      });
+    }
+
+    const participants = await TournamentParticipant.findAll({
+      where: {
+        tournamentId: id,
+        status: { [Op.in]: ['confirmed', 'checked_in'] }
+      },
+      transaction
+    });
+
+    // Smallest value each setting accepts
+    const allowedSettings = { pointsPerWin: 0, pointsPerDraw: 0, pointsPerLoss: 0, groupCount: 1, advancePerGroup: 1 };
+    const filteredSettings = {};
+    for (const [field, min] of Object.entries(allowedSettings)) {
+      if (settings[field] === undefined) continue;
+      const value = Number(settings[field]);
+      if (!Number.isInteger(value) || value < min) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: 'Bad request',
+          message: `${field} must be an integer of at least ${min}`
+        });
+      }
+      filteredSettings[field] = value;
+    }
+
+    let brackets;
+    try {
+      brackets = generateBrackets({
+        format: tournament.format,
+        participants: participants.map(p => p.toJSON()),
+        seeding,
+        settings: filteredSettings
+      });
+    } catch (bracketError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: 'Bad request',
+        message: bracketError.message
+      });
+    }
+
+    // Old match slots are freed before the new bracket is scheduled
+    await releaseUnplayedBookings(tournament, transaction);
+
+    // Persist the final seeding on each participant
+    for (const [index, entry] of brackets.participants.entries()) {
+      await TournamentParticipant.update({
+        seed: entry.seed,
+        bracketPosition: index + 1,
+        wins: 0,
+        losses: 0,
+        points: 0
+      }, {
+        where: { id: entry.id },
+        transaction
+      });
+    }
+
+    await tournament.update({
+      brackets,
+      ...(tournament.status === 'registration_open' && { status: 'registration_closed' })
+    }, { transaction });
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Brackets generated successfully',
+      data: {
+        format: tournament.format,
+        brackets,
+        standings: getAllStandings(brackets),
+        status: tournament.status
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error generating tournament brackets:', error);
+    res.status(500).json({
+      error: 'Error generating brackets',
+      message: error.message
+    });
+  }
+};
+
+const recordTournamentMatchResult = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { id, matchId } = req.params;
+    const { winnerId, sets, walkover, isDraw } = req.body;
+
+    const tournament = await Tournament.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!tournament) {
+      await transaction.rollback();
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Tournament not found'
+      });
+    }
+
+    if (!canManageTournament(tournament, req.user)) {
+      await transaction.rollback();
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the organizer can record results'
+      });
+    }
+
+    if (!tournament.brackets?.matches) {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'Brackets have not been generated yet'
+      });
+    }
+
+    // Work on a copy so Sequelize detects the JSON change
+    const brackets = JSON.parse(JSON.stringify(tournament.brackets));
+
+    let match;
+    try {
+      match = recordMatchResult(brackets, matchId, { winnerId, sets, walkover, isDraw });
+    } catch (resultError) {
+      await transaction.rollback();
+      return res.status(resultError.status || 400).json({
+        error: resultError.status === 404 ? 'Not found' : 'Bad request',
+        message: resultError.message
+      });
+    }
+
+    // Matches resolved as byes no longer need their court slot
+    await releaseByeBookings(tournament, brackets, transaction);
+
+    await tournament.update({
+      brackets,
+      ...(['registration_open', 'registration_closed'].includes(tournament.status) && { status: 'in_progress' })
+    }, { transaction });
+
+    await syncParticipantsFromBrackets(tournament, brackets, transaction);
+    await rateTournamentMatch(tournament, match, transaction);
+
+    // New matches (e.g. knockout after the group stage) get court slots right away.
+    // Scheduling runs in a savepoint so a failure doesn't abort the result.
+    let schedule = null;
+    if (tournament.status === 'in_progress') {
+      try {
+        schedule = await sequelize.transaction({ transaction }, (savepoint) =>
+          scheduleTournamentMatches(tournament, { userId: req.user.id, transaction: savepoint }));
+      } catch (scheduleError) {
+        tournament.set('brackets', brackets);
+        console.error('Error scheduling tournament matches:', scheduleError.message);
+      }
+    }
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Match result recorded successfully',
+      data: {
+        match: tournament.brackets.matches.find(m => m.id === match.id),
+        stage: brackets.stage,
+        championId: brackets.championId,
+        standings: getAllStandings(brackets),
+        ...(schedule && { schedule: { planned: schedule.planned, unscheduled: schedule.unscheduled } })
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error recording match result:', error);
+    res.status(500).json({
+      error: 'Error recording match result',
+      message: error.message
+    });
+  }
+};
+
+const scheduleTournament = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { matchDuration, bufferMinutes, courtIds, reschedule = false, dryRun = false } = req.body;
+
+    const tournament = await Tournament.findByPk(id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Tournament not found'
+      });
+    }
+
+    if (!canManageTournament(tournament, req.user)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the organizer can schedule matches'
+      });
+    }
+
+    if (!tournament.brackets?.matches) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: 'Brackets have not been generated yet'
+      });
+    }
+
+    const settings = {};
+    if (matchDuration !== undefined) settings.matchDuration = parseInt(matchDuration, 10);
+    if (bufferMinutes !== undefined) settings.bufferMinutes = parseInt(bufferMinutes, 10);
+    if (courtIds !== undefined) settings.courtIds = courtIds;
+
+    let result;
+    try {
+      result = await scheduleTournamentMatches(tournament, {
+        settings,
+        reschedule,
+        dryRun,
+        userId: req.user.id
+      });
+    } catch (scheduleError) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: scheduleError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Schedule preview generated' : 'Matches scheduled successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error scheduling tournament:', error);
+    res.status(500).json({
+      error: 'Error scheduling tournament',
+      message: error.message
+    });
+  }
+};
+
+const getTournamentStandings = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const tournament = await Tournament.findByPk(id, {
+      attributes: ['id', 'name', 'format', 'brackets', 'status']
+    });
+
+    if (!tournament) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Tournament not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        format: tournament.format,
+        stage: tournament.brackets?.stage || null,
+        championId: tournament.brackets?.championId || null,
+        standings: getAllStandings(tournament.brackets)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching tournament standings:', error);
+    res.status(500).json({
+      error: 'Error fetching standings',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   getTournaments,
   getTournamentById,
@@ -423,5 +883,9 @@ module.exports = {
   deleteTournament,
   registerForTournament,
   getTournamentParticipants,
-  getTournamentBrackets
+  getTournamentBrackets,
+  generateTournamentBrackets,
+  recordTournamentMatchResult,
+  scheduleTournament,
+  getTournamentStandings
 };
@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('bookings', 'tournamentId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'tournaments',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Tournament that blocked this court slot'
+    });
+
+    await queryInterface.addColumn('bookings', 'tournamentMatchId', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      comment: 'Match ID inside Tournament.brackets (e.g. W1-3, GA2-1)'
+    });
+
+    await queryInterface.addIndex('bookings', ['tournamentId']);
+
+    console.log('✅ Migration completed: Tournament fields added to bookings');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('bookings', ['tournamentId']);
+    await queryInterface.removeColumn('bookings', 'tournamentMatchId');
+    await queryInterface.removeColumn('bookings', 'tournamentId');
+
+    console.log('✅ Migration reverted: Tournament fields removed from bookings');
+  }
+};
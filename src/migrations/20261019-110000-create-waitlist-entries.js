@@ -0,0 +1,154 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('waitlist_entries', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      courtId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'courts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Requested court (null = any court of the sport)'
+      },
+      sport: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      startTime: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      endTime: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Duration in minutes'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      clientName: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      clientPhone: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      clientEmail: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled'),
+        defaultValue: 'waiting'
+      },
+      offerToken: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        unique: true,
+        comment: 'Secret token used in the offer link'
+      },
+      offeredCourtId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'courts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Court held for this entry when the offer was sent'
+      },
+      offeredAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      holdExpiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Until when the freed slot is held for this entry'
+      },
+      notifiedVia: {
+        type: Sequelize.JSON,
+        defaultValue: [],
+        comment: 'Channels used for the offer (whatsapp, email)'
+      },
+      bookingId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'bookings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Booking created when the offer was accepted'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('waitlist_entries', ['establishmentId', 'date', 'status']);
+    await queryInterface.addIndex('waitlist_entries', ['courtId']);
+    await queryInterface.addIndex('waitlist_entries', ['userId']);
+    await queryInterface.addIndex('waitlist_entries', ['holdExpiresAt']);
+
+    await queryInterface.addColumn('establishments', 'waitlistHoldMinutes', {
+      type: Sequelize.INTEGER,
+      defaultValue: 30,
+      comment: 'Minutes a freed slot is held for the first person on the waitlist'
+    });
+
+    console.log('✅ Migration completed: Waitlist entries created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('establishments', 'waitlistHoldMinutes');
+    await queryInterface.dropTable('waitlist_entries');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_waitlist_entries_status";');
+
+    console.log('✅ Migration reverted: Waitlist entries removed');
+  }
+};
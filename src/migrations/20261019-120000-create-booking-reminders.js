@@ -0,0 +1,126 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('booking_reminders', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      bookingId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'bookings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      hoursBefore: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Reminder rule that produced this reminder (hours before start)'
+      },
+      channel: {
+        type: Sequelize.ENUM('whatsapp', 'email'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('sent', 'failed', 'skipped'),
+        allowNull: false
+      },
+      recipient: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Phone number or email the reminder was sent to'
+      },
+      messageId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Provider message ID (WhatsApp)'
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      actionToken: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        unique: true,
+        comment: 'Secret token for the confirm/cancel links in the message'
+      },
+      response: {
+        type: Sequelize.ENUM('confirmed', 'cancelled'),
+        allowNull: true,
+        comment: 'Action taken by the client from this reminder'
+      },
+      respondedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      sentAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('booking_reminders', ['bookingId', 'hoursBefore', 'channel'], { unique: true });
+    await queryInterface.addIndex('booking_reminders', ['establishmentId', 'createdAt']);
+
+    await queryInterface.addColumn('establishments', 'remindersEnabled', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+      comment: 'Whether automatic booking reminders are sent'
+    });
+    await queryInterface.addColumn('establishments', 'reminderRules', {
+      type: Sequelize.JSON,
+      defaultValue: [
+        { hoursBefore: 24, channels: ['whatsapp', 'email'] },
+        { hoursBefore: 2, channels: ['whatsapp'] }
+      ],
+      comment: 'Reminder rules: [{ hoursBefore, channels: [whatsapp|email] }]'
+    });
+
+    await queryInterface.addColumn('bookings', 'attendanceConfirmedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the client confirmed attendance from a reminder'
+    });
+
+    console.log('✅ Migration completed: Booking reminders created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('bookings', 'attendanceConfirmedAt');
+    await queryInterface.removeColumn('establishments', 'reminderRules');
+    await queryInterface.removeColumn('establishments', 'remindersEnabled');
+    await queryInterface.dropTable('booking_reminders');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_booking_reminders_channel";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_booking_reminders_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_booking_reminders_response";');
+
+    console.log('✅ Migration reverted: Booking reminders removed');
+  }
+};
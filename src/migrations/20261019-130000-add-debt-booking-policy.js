@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('establishments', 'debtBookingPolicy', {
+      type: Sequelize.ENUM('warn', 'block'),
+      defaultValue: 'warn',
+      comment: 'What happens when a client with pending debts books online: warn or block'
+    });
+
+    console.log('✅ Migration completed: Debt booking policy added to establishments');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('establishments', 'debtBookingPolicy');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_establishments_debtBookingPolicy";');
+
+    console.log('✅ Migration reverted: Debt booking policy removed');
+  }
+};
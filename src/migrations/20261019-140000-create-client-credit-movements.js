@@ -0,0 +1,115 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('client_credit_movements', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      clientId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'clients',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      clientEmail: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Email identifying the credit holder (works even without account)'
+      },
+      movementType: {
+        type: Sequelize.ENUM('cancellation_credit', 'adjustment'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Positive adds credit, negative uses it'
+      },
+      balanceAfter: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      bookingId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'bookings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      registeredBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('client_credit_movements', ['establishmentId', 'clientEmail']);
+    await queryInterface.addIndex('client_credit_movements', ['clientId']);
+    await queryInterface.addIndex('client_credit_movements', ['bookingId']);
+
+    await queryInterface.addColumn('bookings', 'cancellationOutcome', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Result of the cancellation policy: refunds, store credit or late-cancellation debt'
+    });
+
+    console.log('✅ Migration completed: Client credit movements created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('bookings', 'cancellationOutcome');
+    await queryInterface.dropTable('client_credit_movements');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_client_credit_movements_movementType";');
+
+    console.log('✅ Migration reverted: Client credit movements removed');
+  }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // New ledger movement types (ADD VALUE can't run inside a transaction block)
+    for (const value of ['top_up', 'refund_credit', 'recurring_credit', 'payment']) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_client_credit_movements_movementType" ADD VALUE IF NOT EXISTS '${value}';`
+      );
+    }
+
+    await queryInterface.addColumn('client_credit_movements', 'orderId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('client_credit_movements', 'recurringGroupId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'recurring_booking_groups',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('client_credit_movements', 'paymentMethod', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'How a top-up was paid (cash, transfer...)'
+    });
+
+    await queryInterface.addIndex('client_credit_movements', ['orderId']);
+
+    await queryInterface.addColumn('clients', 'creditBalance', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Store credit available (cached from client_credit_movements)'
+    });
+
+    await queryInterface.addColumn('cash_registers', 'totalStoreCredit', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Cobrado con saldo a favor (no ingresa dinero)'
+    });
+
+    // Store credit as a payment method for orders
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_order_payments_paymentMethod" ADD VALUE IF NOT EXISTS 'store_credit';`
+    );
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_orders_paymentMethod" ADD VALUE IF NOT EXISTS 'store_credit';`
+    );
+
+    // Add "Saldo a favor" to the payment methods of existing establishments
+    await queryInterface.sequelize.query(`
+      INSERT INTO payment_methods (id, "establishmentId", name, code, icon, "isActive", "isDefault", "sortOrder", "createdAt", "updatedAt")
+      SELECT gen_random_uuid(), e.id, 'Saldo a favor', 'store_credit', 'Wallet', true, true, 5, NOW(), NOW()
+      FROM establishments e
+      WHERE EXISTS (SELECT 1 FROM payment_methods pm WHERE pm."establishmentId" = e.id)
+        AND NOT EXISTS (
+          SELECT 1 FROM payment_methods pm
+          WHERE pm."establishmentId" = e.id AND pm.code = 'store_credit'
+        );
+    `);
+
+    // Cache current balances
+    await queryInterface.sequelize.query(`
+      UPDATE clients c
+      SET "creditBalance" = sub.total
+      FROM (
+        SELECT "clientId", SUM(amount) AS total
+        FROM client_credit_movements
+        WHERE "clientId" IS NOT NULL
+        GROUP BY "clientId"
+      ) sub
+      WHERE sub."clientId" = c.id;
+    `);
+
+    console.log('✅ Migration completed: Client store credit wallet added');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.sequelize.query(`DELETE FROM payment_methods WHERE code = 'store_credit';`);
+    await queryInterface.removeColumn('cash_registers', 'totalStoreCredit');
+    await queryInterface.removeColumn('clients', 'creditBalance');
+    await queryInterface.removeColumn('client_credit_movements', 'paymentMethod');
+    await queryInterface.removeColumn('client_credit_movements', 'recurringGroupId');
+    await queryInterface.removeColumn('client_credit_movements', 'orderId');
+    // Postgres can't drop enum values; the extra movement types are left in place
+
+    console.log('✅ Migration reverted: Client store credit wallet removed');
+  }
+};
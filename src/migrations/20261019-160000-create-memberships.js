@@ -0,0 +1,252 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('membership_plans', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      planType: {
+        type: Sequelize.ENUM('pack', 'membership'),
+        allowNull: false,
+        defaultValue: 'pack'
+      },
+      sessions: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Turns included (null = unlimited, only for memberships)'
+      },
+      validityDays: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 30
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      memberDiscountPercent: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Discount on court prices while the plan is active (100 = turns already paid)'
+      },
+      sports: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      renewalReminderDays: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 3
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      sortOrder: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('membership_plans', ['establishmentId', 'isActive']);
+
+    await queryInterface.createTable('client_memberships', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      planId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'membership_plans',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      clientId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'clients',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      clientEmail: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      planName: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      planType: {
+        type: Sequelize.ENUM('pack', 'membership'),
+        allowNull: false
+      },
+      memberDiscountPercent: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      sports: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'expired', 'exhausted', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      startDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      expiresAt: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      sessionsTotal: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      sessionsUsed: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      pricePaid: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      paymentMethod: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      renewedFromId: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      renewalReminderSentAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelledAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      soldBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('client_memberships', ['establishmentId', 'status']);
+    await queryInterface.addIndex('client_memberships', ['clientId']);
+    await queryInterface.addIndex('client_memberships', ['establishmentId', 'clientEmail']);
+    await queryInterface.addIndex('client_memberships', ['expiresAt']);
+
+    await queryInterface.addColumn('bookings', 'membershipId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'client_memberships',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Pack/membership the turn was taken from'
+    });
+
+    console.log('✅ Migration completed: Membership plans and client memberships created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('bookings', 'membershipId');
+    await queryInterface.dropTable('client_memberships');
+    await queryInterface.dropTable('membership_plans');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_client_memberships_planType";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_client_memberships_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_membership_plans_planType";');
+
+    console.log('✅ Migration reverted: Membership plans and client memberships removed');
+  }
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('pricing_rules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      courtId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'courts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      sport: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      ruleType: {
+        type: Sequelize.ENUM('occupancy', 'lead_time', 'holiday'),
+        allowNull: false
+      },
+      adjustmentType: {
+        type: Sequelize.ENUM('percentage', 'fixed'),
+        allowNull: false,
+        defaultValue: 'percentage'
+      },
+      adjustmentValue: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Positivo = recargo, negativo = descuento'
+      },
+      minOccupancyPercent: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      maxOccupancyPercent: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      hoursBeforeStart: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      holidayDates: {
+        type: Sequelize.JSON,
+        defaultValue: []
+      },
+      includeNationalHolidays: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      startTime: {
+        type: Sequelize.TIME,
+        allowNull: true
+      },
+      endTime: {
+        type: Sequelize.TIME,
+        allowNull: true
+      },
+      daysOfWeek: {
+        type: Sequelize.JSON,
+        defaultValue: [0, 1, 2, 3, 4, 5, 6]
+      },
+      priceFloor: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      priceCap: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('pricing_rules', ['establishmentId', 'isActive']);
+    await queryInterface.addIndex('pricing_rules', ['courtId']);
+
+    console.log('✅ Migration completed: Pricing rules created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('pricing_rules');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_pricing_rules_ruleType";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_pricing_rules_adjustmentType";');
+
+    console.log('✅ Migration reverted: Pricing rules removed');
+  }
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('calendar_feeds', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      feedType: {
+        type: Sequelize.ENUM('user', 'court'),
+        allowNull: false
+      },
+      token: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      courtId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'courts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      lastAccessedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('calendar_feeds', ['userId']);
+    await queryInterface.addIndex('calendar_feeds', ['courtId']);
+
+    console.log('✅ Migration completed: Calendar feeds created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('calendar_feeds');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_calendar_feeds_feedType";');
+
+    console.log('✅ Migration reverted: Calendar feeds removed');
+  }
+};
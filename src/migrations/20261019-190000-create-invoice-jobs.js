@@ -0,0 +1,151 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('invoice_jobs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishment_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      punto_venta_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishment_afip_puntos_venta',
+          key: 'id'
+        }
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      booking_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'bookings',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      max_attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 12
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      locked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      tipo_comprobante: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      numero_comprobante: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      fecha_comprobante: {
+        type: Sequelize.STRING(8),
+        allowNull: true
+      },
+      invoice_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'invoices',
+          key: 'id'
+        }
+      },
+      recovered_from_afip: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('invoice_jobs', ['establishment_id', 'status']);
+    await queryInterface.addIndex('invoice_jobs', ['status', 'next_attempt_at']);
+    await queryInterface.addIndex('invoice_jobs', ['booking_id']);
+
+    // Only one open job per order: a sale can't be queued twice
+    await queryInterface.addIndex('invoice_jobs', ['order_id'], {
+      unique: true,
+      name: 'invoice_jobs_open_order_unique',
+      where: { status: ['pending', 'processing'] }
+    });
+
+    console.log('✅ Migration completed: Invoice jobs queue created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('invoice_jobs');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_invoice_jobs_status";');
+
+    console.log('✅ Migration reverted: Invoice jobs queue removed');
+  }
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('establishment_afip_caeas', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishment_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      afip_config_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishment_afip_configs',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      punto_venta_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishment_afip_puntos_venta',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      caea: {
+        type: Sequelize.STRING(14),
+        allowNull: false
+      },
+      periodo: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      orden: {
+        type: Sequelize.SMALLINT,
+        allowNull: false
+      },
+      fch_vig_desde: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      fch_vig_hasta: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      fch_tope_inf: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      sin_movimiento_informado_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      afip_response: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('establishment_afip_caeas', ['punto_venta_id', 'periodo', 'orden'], {
+      unique: true,
+      name: 'afip_caeas_punto_venta_periodo_unique'
+    });
+    await queryInterface.addIndex('establishment_afip_caeas', ['establishment_id']);
+    await queryInterface.addIndex('establishment_afip_caeas', ['fch_vig_desde', 'fch_vig_hasta']);
+
+    await queryInterface.addColumn('establishment_afip_puntos_venta', 'es_contingencia', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('invoices', 'modo_autorizacion', {
+      type: Sequelize.STRING(4),
+      allowNull: false,
+      defaultValue: 'CAE'
+    });
+    await queryInterface.addColumn('invoices', 'caea_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'establishment_afip_caeas',
+        key: 'id'
+      }
+    });
+    await queryInterface.addColumn('invoices', 'caea_informe_estado', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'caea_informado_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'caea_informe_error', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addIndex('invoices', ['caea_informe_estado']);
+
+    console.log('✅ Migration completed: CAEA contingency tables and columns created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('invoices', ['caea_informe_estado']);
+    await queryInterface.removeColumn('invoices', 'caea_informe_error');
+    await queryInterface.removeColumn('invoices', 'caea_informado_at');
+    await queryInterface.removeColumn('invoices', 'caea_informe_estado');
+    await queryInterface.removeColumn('invoices', 'caea_id');
+    await queryInterface.removeColumn('invoices', 'modo_autorizacion');
+    await queryInterface.removeColumn('establishment_afip_puntos_venta', 'es_contingencia');
+    await queryInterface.dropTable('establishment_afip_caeas');
+
+    console.log('✅ Migration reverted: CAEA contingency removed');
+  }
+};
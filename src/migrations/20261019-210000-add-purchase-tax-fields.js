@@ -0,0 +1,61 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const supplierReference = {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    };
+
+    // Expenses: fiscal data of the supplier invoice (Libro IVA Compras)
+    await queryInterface.addColumn('expenses', 'supplierId', supplierReference);
+    await queryInterface.addColumn('expenses', 'invoiceType', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('expenses', 'netAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('expenses', 'vatRate', {
+      type: Sequelize.DECIMAL(4, 1),
+      allowNull: true
+    });
+    await queryInterface.addColumn('expenses', 'vatAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+    await queryInterface.addIndex('expenses', ['supplierId']);
+
+    // Stock purchases (entradas)
+    await queryInterface.addColumn('stock_movements', 'supplierId', supplierReference);
+    await queryInterface.addColumn('stock_movements', 'invoiceType', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('stock_movements', 'vatRate', {
+      type: Sequelize.DECIMAL(4, 1),
+      allowNull: true
+    });
+
+    console.log('✅ Migration completed: Purchase tax fields added');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('expenses', ['supplierId']);
+    for (const column of ['supplierId', 'invoiceType', 'netAmount', 'vatRate', 'vatAmount']) {
+      await queryInterface.removeColumn('expenses', column);
+    }
+    for (const column of ['supplierId', 'invoiceType', 'vatRate']) {
+      await queryInterface.removeColumn('stock_movements', column);
+    }
+
+    console.log('✅ Migration reverted: Purchase tax fields removed');
+  }
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('invoicing_rules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishment_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      applies_to: {
+        type: Sequelize.ENUM('all', 'orders', 'bookings'),
+        allowNull: false,
+        defaultValue: 'all'
+      },
+      condition: {
+        type: Sequelize.ENUM('always', 'payment_methods', 'min_amount'),
+        allowNull: false,
+        defaultValue: 'always'
+      },
+      payment_methods: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      min_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      punto_venta_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'establishment_afip_puntos_venta',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      punto_venta_by_payment_method: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('invoicing_rules', ['establishment_id', 'is_active']);
+
+    // Client fiscal data used to choose Factura A or B
+    await queryInterface.addColumn('clients', 'taxId', {
+      type: Sequelize.STRING(11),
+      allowNull: true
+    });
+    await queryInterface.addColumn('clients', 'ivaCondition', {
+      type: Sequelize.STRING(30),
+      allowNull: true
+    });
+    await queryInterface.addColumn('clients', 'ivaConditionCheckedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    console.log('✅ Migration completed: Invoicing rules created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('clients', 'ivaConditionCheckedAt');
+    await queryInterface.removeColumn('clients', 'ivaCondition');
+    await queryInterface.removeColumn('clients', 'taxId');
+
+    await queryInterface.dropTable('invoicing_rules');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_invoicing_rules_applies_to";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_invoicing_rules_condition";');
+
+    console.log('✅ Migration reverted: Invoicing rules removed');
+  }
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Delivery of the invoice PDF to the customer
+    await queryInterface.addColumn('invoices', 'email_status', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'email_to', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'email_sent_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'email_error', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'whatsapp_status', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'whatsapp_to', {
+      type: Sequelize.STRING(30),
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'whatsapp_sent_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('invoices', 'whatsapp_error', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    // Automatic delivery after emission
+    await queryInterface.addColumn('establishment_afip_configs', 'envio_email_automatico', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('establishment_afip_configs', 'envio_whatsapp_automatico', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    console.log('✅ Migration completed: Invoice delivery fields added');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('establishment_afip_configs', 'envio_whatsapp_automatico');
+    await queryInterface.removeColumn('establishment_afip_configs', 'envio_email_automatico');
+
+    await queryInterface.removeColumn('invoices', 'whatsapp_error');
+    await queryInterface.removeColumn('invoices', 'whatsapp_sent_at');
+    await queryInterface.removeColumn('invoices', 'whatsapp_to');
+    await queryInterface.removeColumn('invoices', 'whatsapp_status');
+    await queryInterface.removeColumn('invoices', 'email_error');
+    await queryInterface.removeColumn('invoices', 'email_sent_at');
+    await queryInterface.removeColumn('invoices', 'email_to');
+    await queryInterface.removeColumn('invoices', 'email_status');
+
+    console.log('✅ Migration reverted: Invoice delivery fields removed');
+  }
+};
@@ -0,0 +1,214 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('player_availabilities', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      sport: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Preferred establishment (null = any establishment in the city)'
+      },
+      city: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      dayOfWeek: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Weekly window: 0 = Sunday ... 6 = Saturday'
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'One-off window (instead of dayOfWeek)'
+      },
+      startTime: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      endTime: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 90,
+        comment: 'Desired match duration in minutes'
+      },
+      autoAccept: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+        comment: 'Join matches proposed in this window without confirming'
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('player_availabilities', ['userId']);
+    await queryInterface.addIndex('player_availabilities', ['sport', 'isActive']);
+
+    await queryInterface.createTable('match_proposals', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      courtId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'courts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      sport: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      startTime: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      endTime: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      skillLevel: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      maxParticipants: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      candidates: {
+        type: Sequelize.JSON,
+        defaultValue: [],
+        comment: 'Array of {userId, availabilityId, status, respondedAt}'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'confirmed', 'expired', 'cancelled'),
+        defaultValue: 'pending'
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      matchId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'available_matches',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Open match to fill, or the match created on confirmation'
+      },
+      bookingId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'bookings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('match_proposals', ['date', 'status']);
+    await queryInterface.addIndex('match_proposals', ['expiresAt']);
+
+    await queryInterface.addColumn('available_matches', 'bookingId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'bookings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Court booking of the match'
+    });
+
+    console.log('✅ Migration completed: Matchmaking tables created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('available_matches', 'bookingId');
+    await queryInterface.dropTable('match_proposals');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_match_proposals_status";');
+    await queryInterface.dropTable('player_availabilities');
+
+    console.log('✅ Migration reverted: Matchmaking tables removed');
+  }
+};
@@ -0,0 +1,186 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('player_ratings', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      sport: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Normalized sport (padel, tenis, futbol5...)'
+      },
+      rating: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: false,
+        defaultValue: 1500
+      },
+      matchesPlayed: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      wins: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      losses: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      draws: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      lastPlayedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('player_ratings', ['userId', 'sport'], { unique: true });
+    await queryInterface.addIndex('player_ratings', ['sport', 'rating']);
+
+    await queryInterface.createTable('rating_history', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      sport: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      sourceType: {
+        type: Sequelize.ENUM('match', 'tournament'),
+        allowNull: false
+      },
+      sourceId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'AvailableMatch or Tournament id'
+      },
+      sourceMatchId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Bracket match id for tournament results'
+      },
+      result: {
+        type: Sequelize.ENUM('win', 'loss', 'draw'),
+        allowNull: false
+      },
+      ratingBefore: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: false
+      },
+      ratingAfter: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: false
+      },
+      delta: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: false
+      },
+      partnerIds: {
+        type: Sequelize.JSON,
+        defaultValue: []
+      },
+      opponentIds: {
+        type: Sequelize.JSON,
+        defaultValue: []
+      },
+      revertedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Set when the result was corrected'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('rating_history', ['userId', 'sport']);
+    await queryInterface.addIndex('rating_history', ['sourceType', 'sourceId']);
+    await queryInterface.addIndex('rating_history', ['establishmentId']);
+
+    // Results of open matches
+    await queryInterface.addColumn('available_matches', 'result', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: '{teamA, teamB, sets, winner: A|B|draw, recordedById, recordedAt}'
+    });
+
+    // Rating range accepted by open matches and tournaments
+    for (const table of ['available_matches', 'tournaments']) {
+      await queryInterface.addColumn(table, 'minRating', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+      await queryInterface.addColumn(table, 'maxRating', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+    }
+
+    console.log('✅ Migration completed: Player ratings created');
+  },
+
+  down: async (queryInterface) => {
+    for (const table of ['available_matches', 'tournaments']) {
+      await queryInterface.removeColumn(table, 'maxRating');
+      await queryInterface.removeColumn(table, 'minRating');
+    }
+    await queryInterface.removeColumn('available_matches', 'result');
+
+    await queryInterface.dropTable('rating_history');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_rating_history_sourceType";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_rating_history_result";');
+    await queryInterface.dropTable('player_ratings');
+
+    console.log('✅ Migration reverted: Player ratings removed');
+  }
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Unpaid seats released when their hold runs out (ADD VALUE can't run inside a transaction block)
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_match_participants_paymentStatus" ADD VALUE IF NOT EXISTS 'expired';`
+    );
+
+    await queryInterface.addColumn('match_participants', 'amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Price of the seat when the player joined'
+    });
+    await queryInterface.addColumn('match_participants', 'seatExpiresAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Unpaid seats are released after this time'
+    });
+    await queryInterface.addColumn('match_participants', 'mpPreferenceId', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn('match_participants', 'mpPaymentId', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn('match_participants', 'paidAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('match_participants', 'refundedAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('match_participants', 'refundedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('match_participants', ['paymentStatus', 'seatExpiresAt']);
+    await queryInterface.addIndex('match_participants', ['mpPaymentId']);
+
+    console.log('✅ Migration completed: Match seat payments added');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('match_participants', ['mpPaymentId']);
+    await queryInterface.removeIndex('match_participants', ['paymentStatus', 'seatExpiresAt']);
+
+    for (const column of ['refundedAt', 'refundedAmount', 'paidAt', 'mpPaymentId', 'mpPreferenceId', 'seatExpiresAt', 'amount']) {
+      await queryInterface.removeColumn('match_participants', column);
+    }
+
+    // The 'expired' enum value stays: Postgres can't drop enum values
+    console.log('✅ Migration reverted: Match seat payments removed');
+  }
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // New enum values (ADD VALUE can't run inside a transaction block)
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_split_payment_participants_status" ADD VALUE IF NOT EXISTS 'refunded';`
+    );
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_client_debts_reason" ADD VALUE IF NOT EXISTS 'split_payment';`
+    );
+
+    await queryInterface.addColumn('establishments', 'splitPaymentFallback', {
+      type: Sequelize.ENUM('cancel_booking', 'charge_organizer', 'client_debt'),
+      defaultValue: 'charge_organizer',
+      comment: 'What happens with the unpaid remainder when a split payment expires'
+    });
+
+    await queryInterface.addColumn('split_payments', 'cancelledAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('split_payments', 'fallbackOutcome', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Fallback applied on expiry: {action, remainder, debtId, refunds, processedAt}'
+    });
+
+    await queryInterface.addColumn('split_payment_participants', 'mpPaymentId', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn('split_payment_participants', 'refundedAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('split_payment_participants', 'refundedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    console.log('✅ Migration completed: Split payment lifecycle added');
+  },
+
+  down: async (queryInterface) => {
+    for (const column of ['refundedAt', 'refundedAmount', 'mpPaymentId']) {
+      await queryInterface.removeColumn('split_payment_participants', column);
+    }
+    await queryInterface.removeColumn('split_payments', 'fallbackOutcome');
+    await queryInterface.removeColumn('split_payments', 'cancelledAt');
+
+    await queryInterface.removeColumn('establishments', 'splitPaymentFallback');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_establishments_splitPaymentFallback";');
+
+    // The 'refunded' and 'split_payment' enum values stay: Postgres can't drop enum values
+    console.log('✅ Migration reverted: Split payment lifecycle removed');
+  }
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('booking_carts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Player the bookings are for (null for staff carts of guests)'
+      },
+      createdById: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      channel: {
+        type: Sequelize.ENUM('online', 'staff'),
+        allowNull: false,
+        defaultValue: 'online'
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'checking_out', 'completed', 'expired', 'abandoned', 'refunded'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      clientName: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      clientEmail: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      clientPhone: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      holdExpiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'The cart slots are held for nobody else until this time'
+      },
+      totalAmount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      paymentMethod: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      mpPreferenceId: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      mpPaymentId: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      paidAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      refundedAmount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      refundedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('booking_carts', ['establishmentId', 'status']);
+    await queryInterface.addIndex('booking_carts', ['status', 'holdExpiresAt']);
+    await queryInterface.addIndex('booking_carts', ['userId']);
+
+    await queryInterface.createTable('booking_cart_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      cartId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'booking_carts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('court', 'amenity', 'product'),
+        allowNull: false
+      },
+      courtId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'courts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      amenityId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'amenities',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      productId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      startTime: {
+        type: Sequelize.TIME,
+        allowNull: true
+      },
+      endTime: {
+        type: Sequelize.TIME,
+        allowNull: true
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      unitPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      totalPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      bookingId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'bookings',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Booking created at checkout (products: the booking they were consumed in)'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('booking_cart_items', ['cartId']);
+    await queryInterface.addIndex('booking_cart_items', ['courtId', 'date']);
+    await queryInterface.addIndex('booking_cart_items', ['amenityId', 'date']);
+
+    console.log('✅ Migration completed: Booking carts created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('booking_cart_items');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_booking_cart_items_type";');
+    await queryInterface.dropTable('booking_carts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_booking_carts_channel";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_booking_carts_status";');
+
+    console.log('✅ Migration reverted: Booking carts removed');
+  }
+};
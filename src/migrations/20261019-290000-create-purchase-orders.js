@@ -0,0 +1,187 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('purchase_orders', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      supplierId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'suppliers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      orderNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Correlative number per establishment'
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'sent', 'partially_received', 'received', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      expectedDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'Expected delivery date'
+      },
+      expectedTotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Sum of the ordered quantities at the expected costs'
+      },
+      receivedTotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Sum of the received quantities at the invoiced costs'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdById: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      sentAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      receivedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelledAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('purchase_orders', ['establishmentId', 'orderNumber'], { unique: true });
+    await queryInterface.addIndex('purchase_orders', ['establishmentId', 'status']);
+    await queryInterface.addIndex('purchase_orders', ['supplierId']);
+
+    await queryInterface.createTable('purchase_order_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      purchaseOrderId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'purchase_orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      productId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      quantityOrdered: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      quantityReceived: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      expectedUnitCost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      receivedUnitCost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Invoiced unit cost of the last receipt'
+      },
+      notes: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('purchase_order_items', ['purchaseOrderId']);
+    await queryInterface.addIndex('purchase_order_items', ['productId']);
+
+    // Supplier current accounts (what the establishment owes each supplier)
+    await queryInterface.addColumn('current_accounts', 'supplierId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('current_accounts', ['supplierId']);
+
+    console.log('✅ Migration completed: Purchase orders created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('current_accounts', ['supplierId']);
+    await queryInterface.removeColumn('current_accounts', 'supplierId');
+
+    await queryInterface.dropTable('purchase_order_items');
+    await queryInterface.dropTable('purchase_orders');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_purchase_orders_status";');
+
+    console.log('✅ Migration reverted: Purchase orders removed');
+  }
+};
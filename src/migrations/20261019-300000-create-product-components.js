@@ -0,0 +1,70 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('products', 'productType', {
+      type: Sequelize.ENUM('simple', 'combo', 'prepared'),
+      allowNull: false,
+      defaultValue: 'simple',
+      comment: 'combo/prepared: selling it deducts the stock of its components'
+    });
+
+    await queryInterface.createTable('product_components', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      productId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Composite product'
+      },
+      componentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Product consumed by each unit of the composite'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('product_components', ['productId', 'componentId'], { unique: true });
+    await queryInterface.addIndex('product_components', ['componentId']);
+
+    console.log('✅ Migration completed: Product components created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('product_components');
+    await queryInterface.removeColumn('products', 'productType');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_products_productType";');
+
+    console.log('✅ Migration reverted: Product components removed');
+  }
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('stock_counts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      countNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Correlative number per establishment'
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'approved', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      categoryIds: {
+        type: Sequelize.ARRAY(Sequelize.UUID),
+        allowNull: true,
+        comment: 'Counted categories (null = every category)'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      varianceCost: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: true,
+        comment: 'Net cost of the adjustments posted on approval'
+      },
+      createdById: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      approvedById: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      approvedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelledAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('stock_counts', ['establishmentId', 'countNumber'], { unique: true });
+    await queryInterface.addIndex('stock_counts', ['establishmentId', 'status']);
+
+    await queryInterface.createTable('stock_count_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      stockCountId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'stock_counts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      productId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      systemStock: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'currentStock when the product was counted (when the count was opened until then)'
+      },
+      countedQuantity: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'null until the product is counted'
+      },
+      countedById: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      countedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      variance: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Counted minus systemStock, fixed on approval'
+      },
+      unitCost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Product cost on approval'
+      },
+      stockMovementId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'stock_movements',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Adjustment posted on approval'
+      },
+      notes: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('stock_count_items', ['stockCountId', 'productId'], { unique: true });
+    await queryInterface.addIndex('stock_count_items', ['productId']);
+
+    console.log('✅ Migration completed: Stock counts created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('stock_count_items');
+    await queryInterface.dropTable('stock_counts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stock_counts_status";');
+
+    console.log('✅ Migration reverted: Stock counts removed');
+  }
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('stock_lots', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      establishmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'establishments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      productId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      stockMovementId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'stock_movements',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Entrada that brought the lot in (null for the opening lots)'
+      },
+      lotNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Supplier lot code'
+      },
+      expiryDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      initialQuantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      remainingQuantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      unitCost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('stock_lots', ['productId', 'createdAt']);
+    await queryInterface.addIndex('stock_lots', ['establishmentId', 'expiryDate']);
+    await queryInterface.addIndex('stock_lots', ['stockMovementId']);
+
+    await queryInterface.createTable('stock_lot_allocations', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      lotId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'stock_lots',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      stockMovementId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'stock_movements',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Units taken from the lot (negative when returned to it)'
+      },
+      unitCost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('stock_lot_allocations', ['lotId']);
+    await queryInterface.addIndex('stock_lot_allocations', ['stockMovementId']);
+
+    // Opening lot with the stock on hand of every tracked product, so the
+    // existing stock is consumed before the lots received from now on
+    await queryInterface.sequelize.query(`
+      INSERT INTO stock_lots (id, "establishmentId", "productId", "initialQuantity", "remainingQuantity", "unitCost", "createdAt", "updatedAt")
+      SELECT gen_random_uuid(), p."establishmentId", p.id, p."currentStock", p."currentStock", COALESCE(p."costPrice", 0), NOW(), NOW()
+      FROM products p
+      WHERE p."trackStock" = true AND p."currentStock" > 0
+    `);
+
+    console.log('✅ Migration completed: Stock lots created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('stock_lot_allocations');
+    await queryInterface.dropTable('stock_lots');
+
+    console.log('✅ Migration reverted: Stock lots removed');
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('split_payment_participants', 'refundAttempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Mercado Pago refunds tried and rejected for this share'
+    });
+    await queryInterface.addColumn('split_payment_participants', 'lastRefundAttemptAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    console.log('✅ Migration completed: Split refund attempts added');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('split_payment_participants', 'lastRefundAttemptAt');
+    await queryInterface.removeColumn('split_payment_participants', 'refundAttempts');
+
+    console.log('✅ Migration reverted: Split refund attempts removed');
+  }
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // New enum value (ADD VALUE can't run inside a transaction block)
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_booking_reminders_status" ADD VALUE IF NOT EXISTS 'pending';`
+    );
+
+    await queryInterface.addColumn('booking_reminders', 'attempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Delivery attempts (failed reminders are retried up to a cap)'
+    });
+
+    console.log('✅ Migration completed: Booking reminder claims added');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('booking_reminders', 'attempts');
+
+    // The 'pending' enum value stays: Postgres can't drop enum values
+    console.log('✅ Migration reverted: Booking reminder claims removed');
+  }
+};
@@ -97,6 +97,29 @@ module.exports = (sequelize, DataTypes) => {
     completedAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'bookings',
+        key: 'id'
+      },
+      comment: 'Court booking of the match'
+    },
+    // Rating range accepted (null = no limit), used as the skill filter
+    minRating: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    maxRating: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    result: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '{teamA, teamB, sets, winner: A|B|draw, recordedById, recordedAt}'
     }
   }, {
     tableName: 'available_matches',
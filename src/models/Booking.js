@@ -185,6 +185,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    cancellationOutcome: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Result of the cancellation policy: refunds, store credit or late-cancellation debt'
+    },
     confirmedAt: {
       type: DataTypes.DATE,
       allowNull: true
@@ -232,6 +237,20 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
+    attendanceConfirmedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the client confirmed attendance from a reminder'
+    },
+    membershipId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'client_memberships',
+        key: 'id'
+      },
+      comment: 'Pack/membership the turn was taken from'
+    },
     checkInCode: {
       type: DataTypes.STRING,
       allowNull: true
@@ -248,6 +267,20 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'When the review was submitted for this booking'
     },
+    tournamentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'tournaments',
+        key: 'id'
+      },
+      comment: 'Tournament that blocked this court slot'
+    },
+    tournamentMatchId: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Match ID inside Tournament.brackets (e.g. W1-3, GA2-1)'
+    },
     invoiceId: {
       type: DataTypes.UUID,
       allowNull: true,
@@ -286,6 +319,9 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['paymentStatus']
       },
+      {
+        fields: ['tournamentId']
+      },
       {
         unique: true,
         fields: ['courtId', 'date', 'startTime']
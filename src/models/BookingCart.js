@@ -0,0 +1,114 @@
+/**
+ * BookingCart Model
+ * Several court/amenity slots and products checked out together in one
+ * payment. While the cart is open (or being paid) its slots are held for
+ * nobody else until holdExpiresAt; checkout creates all the bookings or none.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const BookingCart = sequelize.define('BookingCart', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Player the bookings are for (null for staff carts of guests)'
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    channel: {
+      type: DataTypes.ENUM('online', 'staff'),
+      allowNull: false,
+      defaultValue: 'online'
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'checking_out', 'completed', 'expired', 'abandoned', 'refunded'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    clientName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    clientEmail: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    clientPhone: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    holdExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'The cart slots are held for nobody else until this time'
+    },
+    totalAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    paymentMethod: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    mpPreferenceId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    mpPaymentId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    refundedAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    refundedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'booking_carts',
+    timestamps: true,
+    indexes: [
+      { fields: ['establishmentId', 'status'] },
+      { fields: ['status', 'holdExpiresAt'] },
+      { fields: ['userId'] }
+    ]
+  });
+
+  return BookingCart;
+};
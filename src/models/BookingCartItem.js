@@ -0,0 +1,99 @@
+/**
+ * BookingCartItem Model
+ * A court or amenity slot, or a product, in a booking cart
+ */
+module.exports = (sequelize, DataTypes) => {
+  const BookingCartItem = sequelize.define('BookingCartItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    cartId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'booking_carts',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('court', 'amenity', 'product'),
+      allowNull: false
+    },
+    courtId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'courts',
+        key: 'id'
+      }
+    },
+    amenityId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'amenities',
+        key: 'id'
+      }
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    startTime: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    endTime: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    duration: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    unitPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    totalPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'bookings',
+        key: 'id'
+      },
+      comment: 'Booking created at checkout (products: the booking they were consumed in)'
+    }
+  }, {
+    tableName: 'booking_cart_items',
+    timestamps: true,
+    indexes: [
+      { fields: ['cartId'] },
+      { fields: ['courtId', 'date'] },
+      { fields: ['amenityId', 'date'] }
+    ]
+  });
+
+  return BookingCartItem;
+};
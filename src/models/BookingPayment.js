@@ -23,7 +23,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: false,
       defaultValue: 'cash',
-      comment: 'Payment method: cash, transfer, card, mercadopago'
+      comment: 'Payment method: cash, transfer, card, mercadopago, store_credit'
     },
     playerName: {
       type: DataTypes.STRING,
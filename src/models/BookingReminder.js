@@ -0,0 +1,87 @@
+module.exports = (sequelize, DataTypes) => {
+  const BookingReminder = sequelize.define('BookingReminder', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'bookings',
+        key: 'id'
+      }
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    hoursBefore: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Reminder rule that produced this reminder (hours before start)'
+    },
+    channel: {
+      type: DataTypes.ENUM('whatsapp', 'email'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'sent', 'failed', 'skipped'),
+      allowNull: false,
+      comment: 'pending while being delivered (the row claims the reminder)'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Delivery attempts (failed reminders are retried up to a cap)'
+    },
+    recipient: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Phone number or email the reminder was sent to'
+    },
+    messageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Provider message ID (WhatsApp)'
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    actionToken: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+      comment: 'Secret token for the confirm/cancel links in the message'
+    },
+    response: {
+      type: DataTypes.ENUM('confirmed', 'cancelled'),
+      allowNull: true,
+      comment: 'Action taken by the client from this reminder'
+    },
+    respondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'booking_reminders',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['bookingId', 'hoursBefore', 'channel'] },
+      { fields: ['establishmentId', 'createdAt'] }
+    ]
+  });
+
+  return BookingReminder;
+};
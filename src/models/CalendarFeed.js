@@ -0,0 +1,66 @@
+module.exports = (sequelize, DataTypes) => {
+  const CalendarFeed = sequelize.define('CalendarFeed', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    feedType: {
+      type: DataTypes.ENUM('user', 'court'),
+      allowNull: false
+    },
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'Secret token in the subscription URL; regenerating it revokes the old URL'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Owner of a user feed'
+    },
+    courtId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'courts',
+        key: 'id'
+      }
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    lastAccessedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'calendar_feeds',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['token'] },
+      { fields: ['userId'] },
+      { fields: ['courtId'] }
+    ]
+  });
+
+  return CalendarFeed;
+};
@@ -104,6 +104,12 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: 0
     },
+    totalStoreCredit: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Cobrado con saldo a favor (no ingresa dinero)'
+    },
     // Totales generales
     totalSales: {
       type: DataTypes.DECIMAL(10, 2),
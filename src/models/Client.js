@@ -29,6 +29,21 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // Fiscal data (Factura A vs B on automatic invoicing)
+    taxId: {
+      type: DataTypes.STRING(11),
+      allowNull: true,
+      comment: 'CUIT/CUIL without dashes'
+    },
+    ivaCondition: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: 'Last known condición IVA from AFIP padrón (responsable_inscripto, monotributista, ...)'
+    },
+    ivaConditionCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     // Stats - Booking counts by status
     totalBookings: {
       type: DataTypes.INTEGER,
@@ -74,6 +89,11 @@ module.exports = (sequelize, DataTypes) => {
     debtAmount: {
       type: DataTypes.DECIMAL(10, 2),
       defaultValue: 0
+    },
+    // Store credit available (cached from client_credit_movements)
+    creditBalance: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
     }
   }, {
     tableName: 'clients',
@@ -0,0 +1,118 @@
+module.exports = (sequelize, DataTypes) => {
+  const ClientCreditMovement = sequelize.define('ClientCreditMovement', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'clients',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    clientEmail: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Email identifying the credit holder (works even without account)'
+    },
+    // Movement type
+    // top_up: money loaded by the client, cancellation_credit: deposit kept as credit
+    // by the cancellation policy, refund_credit: refund that couldn't go back to the
+    // original payment, recurring_credit: paid but unused turns of a cancelled
+    // recurring booking, payment: credit used to pay a booking or order
+    movementType: {
+      type: DataTypes.ENUM('top_up', 'cancellation_credit', 'refund_credit', 'recurring_credit', 'payment', 'adjustment'),
+      allowNull: false
+    },
+    // Amount (positive adds credit, negative uses it)
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    // Balance after this movement
+    balanceAfter: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'bookings',
+        key: 'id'
+      }
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    recurringGroupId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'recurring_booking_groups',
+        key: 'id'
+      }
+    },
+    // How a top-up was paid (cash, transfer...)
+    paymentMethod: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Who registered this movement
+    registeredBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'client_credit_movements',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['establishmentId', 'clientEmail']
+      },
+      {
+        fields: ['clientId']
+      },
+      {
+        fields: ['bookingId']
+      },
+      {
+        fields: ['orderId']
+      }
+    ]
+  });
+
+  return ClientCreditMovement;
+};
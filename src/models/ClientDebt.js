@@ -52,7 +52,7 @@ module.exports = (sequelize, DataTypes) => {
       comment: 'Amount of the debt'
     },
     reason: {
-      type: DataTypes.ENUM('late_cancellation', 'no_show', 'other'),
+      type: DataTypes.ENUM('late_cancellation', 'no_show', 'split_payment', 'other'),
       allowNull: false,
       comment: 'Reason for the debt'
     },
@@ -0,0 +1,141 @@
+module.exports = (sequelize, DataTypes) => {
+  const ClientMembership = sequelize.define('ClientMembership', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    planId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'membership_plans',
+        key: 'id'
+      }
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'clients',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    clientEmail: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Email identifying the holder (works even without account)'
+    },
+    // Plan snapshot at purchase time (later plan changes don't affect sold plans)
+    planName: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    planType: {
+      type: DataTypes.ENUM('pack', 'membership'),
+      allowNull: false
+    },
+    memberDiscountPercent: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    sports: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'expired', 'exhausted', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Last day the plan can be used'
+    },
+    sessionsTotal: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'null = unlimited'
+    },
+    sessionsUsed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    pricePaid: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    paymentMethod: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    renewedFromId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Previous membership when this one is a renewal'
+    },
+    renewalReminderSentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    soldBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'client_memberships',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['establishmentId', 'status']
+      },
+      {
+        fields: ['clientId']
+      },
+      {
+        fields: ['establishmentId', 'clientEmail']
+      },
+      {
+        fields: ['expiresAt']
+      }
+    ]
+  });
+
+  return ClientMembership;
+};
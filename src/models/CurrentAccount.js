@@ -29,6 +29,15 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    supplierId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      },
+      comment: 'Supplier accounts: balance owed to the supplier'
+    },
     // Account holder info (denormalized for quick access)
     holderName: {
       type: DataTypes.STRING,
@@ -255,6 +255,16 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 100,
       comment: 'Percentage to charge for no-show (if noShowPenaltyType is percentage)'
     },
+    debtBookingPolicy: {
+      type: DataTypes.ENUM('warn', 'block'),
+      defaultValue: 'warn',
+      comment: 'What happens when a client with pending debts books online: warn or block'
+    },
+    splitPaymentFallback: {
+      type: DataTypes.ENUM('cancel_booking', 'charge_organizer', 'client_debt'),
+      defaultValue: 'charge_organizer',
+      comment: 'What happens with the unpaid remainder when a split payment expires'
+    },
     
     // Deposit payment deadline
     depositPaymentDeadlineHours: {
@@ -301,6 +311,28 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.ENUM('refund_unused', 'credit', 'no_refund'),
       defaultValue: 'credit',
       comment: 'Policy for cancelling recurring bookings'
+    },
+
+    // Waitlist configuration
+    waitlistHoldMinutes: {
+      type: DataTypes.INTEGER,
+      defaultValue: 30,
+      comment: 'Minutes a freed slot is held for the first person on the waitlist'
+    },
+
+    // Automatic booking reminders
+    remindersEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      comment: 'Whether automatic booking reminders are sent'
+    },
+    reminderRules: {
+      type: DataTypes.JSON,
+      defaultValue: [
+        { hoursBefore: 24, channels: ['whatsapp', 'email'] },
+        { hoursBefore: 2, channels: ['whatsapp'] }
+      ],
+      comment: 'Reminder rules: [{ hoursBefore, channels: [whatsapp|email] }]'
     }
   }, {
     tableName: 'establishments',
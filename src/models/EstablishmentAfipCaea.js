@@ -0,0 +1,103 @@
+/**
+ * EstablishmentAfipCaea Model
+ * CAEA (Código de Autorización Electrónico Anticipado) obtained for a
+ * contingency punto de venta. AFIP issues one per fortnight:
+ * orden 1 = days 1-15, orden 2 = days 16-end of month.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const EstablishmentAfipCaea = sequelize.define('EstablishmentAfipCaea', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'establishment_id',
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    afipConfigId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'afip_config_id',
+      references: {
+        model: 'establishment_afip_configs',
+        key: 'id'
+      }
+    },
+    puntoVentaId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'punto_venta_id',
+      references: {
+        model: 'establishment_afip_puntos_venta',
+        key: 'id'
+      }
+    },
+    caea: {
+      type: DataTypes.STRING(14),
+      allowNull: false
+    },
+    periodo: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'YYYYMM'
+    },
+    orden: {
+      type: DataTypes.SMALLINT,
+      allowNull: false,
+      comment: '1 = first fortnight, 2 = second fortnight'
+    },
+    fchVigDesde: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: 'fch_vig_desde'
+    },
+    fchVigHasta: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: 'fch_vig_hasta'
+    },
+    fchTopeInf: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: 'fch_tope_inf',
+      comment: 'Deadline to report every comprobante issued under this CAEA'
+    },
+    sinMovimientoInformadoAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'sin_movimiento_informado_at',
+      comment: 'Set when the CAEA was reported as unused (FECAEASinMovimientoInformar)'
+    },
+    afipResponse: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'afip_response'
+    }
+  }, {
+    tableName: 'establishment_afip_caeas',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['punto_venta_id', 'periodo', 'orden'],
+        name: 'afip_caeas_punto_venta_periodo_unique'
+      },
+      {
+        fields: ['establishment_id']
+      },
+      {
+        fields: ['fch_vig_desde', 'fch_vig_hasta']
+      }
+    ]
+  });
+
+  return EstablishmentAfipCaea;
+};
@@ -99,6 +99,19 @@ module.exports = (sequelize, DataTypes) => {
       field: 'last_test_result',
       comment: 'Full response from last WSAA test'
     },
+    // Automatic delivery of emitted invoices to the customer
+    envioEmailAutomatico: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'envio_email_automatico'
+    },
+    envioWhatsappAutomatico: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'envio_whatsapp_automatico'
+    },
     // Audit
     createdById: {
       type: DataTypes.UUID,
@@ -54,6 +54,12 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       defaultValue: true,
       field: 'is_active'
+    },
+    esContingencia: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      field: 'es_contingencia',
+      comment: 'Punto de venta enabled in AFIP for CAEA, used when WSFE is unreachable'
     }
   }, {
     tableName: 'establishment_afip_puntos_venta',
@@ -65,6 +65,40 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'Proveedor o destinatario del pago'
     },
+    supplierId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'supplierId',
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      },
+      comment: 'Proveedor registrado (requerido para el Libro IVA Compras)'
+    },
+    invoiceType: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'invoiceType',
+      comment: 'Tipo de comprobante AFIP (1=FA, 6=FB, 11=FC, 3=NCA, 8=NCB, 13=NCC)'
+    },
+    netAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      field: 'netAmount',
+      comment: 'Neto gravado del comprobante'
+    },
+    vatRate: {
+      type: DataTypes.DECIMAL(4, 1),
+      allowNull: true,
+      field: 'vatRate',
+      comment: 'Alícuota de IVA (0, 2.5, 5, 10.5, 21, 27)'
+    },
+    vatAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      field: 'vatAmount',
+      comment: 'IVA discriminado (crédito fiscal)'
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true,
@@ -95,6 +129,9 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['category']
+      },
+      {
+        fields: ['supplierId']
       }
     ]
   });
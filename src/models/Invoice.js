@@ -130,6 +130,39 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: [],
       comment: 'Array of {descripcion, cantidad, precioUnitario, subtotal}'
     },
+    // CAEA (contingency) - cae holds the CAEA code when modoAutorizacion = 'CAEA'
+    modoAutorizacion: {
+      type: DataTypes.STRING(4),
+      allowNull: false,
+      defaultValue: 'CAE',
+      field: 'modo_autorizacion',
+      comment: 'CAE = authorized online, CAEA = issued under contingency CAEA'
+    },
+    caeaId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'caea_id',
+      references: {
+        model: 'establishment_afip_caeas',
+        key: 'id'
+      }
+    },
+    caeaInformeEstado: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      field: 'caea_informe_estado',
+      comment: 'FECAEARegInformativo status: pendiente | informado | rechazado'
+    },
+    caeaInformadoAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'caea_informado_at'
+    },
+    caeaInformeError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'caea_informe_error'
+    },
     // Relations to invoiced entities
     orderId: {
       type: DataTypes.UUID,
@@ -195,6 +228,49 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       field: 'pdf_generated_at'
     },
+    // Delivery to the customer (PDF by email / WhatsApp)
+    emailStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      field: 'email_status',
+      comment: 'enviado | error (null = never sent)'
+    },
+    emailTo: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'email_to'
+    },
+    emailSentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'email_sent_at'
+    },
+    emailError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'email_error'
+    },
+    whatsappStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      field: 'whatsapp_status',
+      comment: 'enviado | error (null = never sent)'
+    },
+    whatsappTo: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      field: 'whatsapp_to'
+    },
+    whatsappSentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'whatsapp_sent_at'
+    },
+    whatsappError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'whatsapp_error'
+    },
     // Full AFIP response for audit
     afipResponse: {
       type: DataTypes.JSONB,
@@ -246,6 +322,9 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['comprobante_asociado_id']
+      },
+      {
+        fields: ['caea_informe_estado']
       }
     ]
   });
@@ -0,0 +1,162 @@
+/**
+ * InvoiceJob Model
+ * Persistent queue of invoices waiting to be authorized by AFIP/ARCA.
+ * A job keeps the comprobante number of its last attempt so that, after a
+ * timeout, the next attempt can check whether AFIP already authorized it
+ * instead of emitting a duplicate.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const InvoiceJob = sequelize.define('InvoiceJob', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'establishment_id',
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    puntoVentaId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'punto_venta_id',
+      references: {
+        model: 'establishment_afip_puntos_venta',
+        key: 'id'
+      }
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'order_id',
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'booking_id',
+      references: {
+        model: 'bookings',
+        key: 'id'
+      }
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Invoice data passed to wsfe.emitirFactura: {items, total, cliente, receptorCondicion}'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 12,
+      field: 'max_attempts'
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'next_attempt_at'
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_attempt_at'
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'locked_at',
+      comment: 'Set while a worker is processing the job'
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'last_error'
+    },
+    // Comprobante requested in the last attempt (cleared when AFIP surely didn't authorize it)
+    tipoComprobante: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'tipo_comprobante'
+    },
+    numeroComprobante: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'numero_comprobante'
+    },
+    fechaComprobante: {
+      type: DataTypes.STRING(8),
+      allowNull: true,
+      field: 'fecha_comprobante',
+      comment: 'CbteFch (YYYYMMDD) sent in the last attempt'
+    },
+    invoiceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'invoice_id',
+      references: {
+        model: 'invoices',
+        key: 'id'
+      }
+    },
+    recoveredFromAfip: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'recovered_from_afip',
+      comment: 'CAE was recovered with FECompConsultar after a lost response'
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at'
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'created_by_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'invoice_jobs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['establishment_id', 'status']
+      },
+      {
+        fields: ['status', 'next_attempt_at']
+      },
+      {
+        fields: ['order_id']
+      },
+      {
+        fields: ['booking_id']
+      }
+    ]
+  });
+
+  return InvoiceJob;
+};
@@ -0,0 +1,103 @@
+/**
+ * InvoicingRule Model
+ * Per-establishment rules for automatic invoicing when a sale is paid or a
+ * booking is checked out. The first active rule (by priority) that matches
+ * the sale emits the invoice; with no matching rule nothing is invoiced.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const InvoicingRule = sequelize.define('InvoicingRule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'establishment_id',
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Ej: "Facturar todo", "Solo pagos electrónicos"'
+    },
+    appliesTo: {
+      type: DataTypes.ENUM('all', 'orders', 'bookings'),
+      allowNull: false,
+      defaultValue: 'all',
+      field: 'applies_to',
+      comment: 'orders = direct sales paid, bookings = booking checkout'
+    },
+    // always, payment_methods: some payment used one of paymentMethods, min_amount: total >= minAmount
+    condition: {
+      type: DataTypes.ENUM('always', 'payment_methods', 'min_amount'),
+      allowNull: false,
+      defaultValue: 'always'
+    },
+    paymentMethods: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: 'payment_methods',
+      comment: 'payment_methods: payment method codes that trigger the invoice'
+    },
+    minAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      field: 'min_amount'
+    },
+    puntoVentaId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'punto_venta_id',
+      references: {
+        model: 'establishment_afip_puntos_venta',
+        key: 'id'
+      },
+      comment: 'Punto de venta to use (null = default punto de venta)'
+    },
+    puntoVentaByPaymentMethod: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      field: 'punto_venta_by_payment_method',
+      comment: '{ paymentMethodCode: puntoVentaId }, chosen by the method with the largest amount'
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'is_active'
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'created_by_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'invoicing_rules',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['establishment_id', 'is_active']
+      }
+    ]
+  });
+
+  return InvoicingRule;
+};
@@ -34,7 +34,7 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true
     },
     paymentStatus: {
-      type: DataTypes.ENUM('pending', 'paid', 'refunded'),
+      type: DataTypes.ENUM('pending', 'paid', 'refunded', 'expired'),
       defaultValue: 'pending'
     },
     paymentId: {
@@ -48,6 +48,37 @@ module.exports = (sequelize, DataTypes) => {
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    // Mercado Pago payment of the seat (paid open matches)
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Price of the seat when the player joined'
+    },
+    seatExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Unpaid seats are released after this time'
+    },
+    mpPreferenceId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    mpPaymentId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    refundedAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    refundedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: 'match_participants',
@@ -65,6 +96,12 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['paymentStatus']
       },
+      {
+        fields: ['paymentStatus', 'seatExpiresAt']
+      },
+      {
+        fields: ['mpPaymentId']
+      },
       {
         unique: true,
         fields: ['matchId', 'userId']
@@ -0,0 +1,99 @@
+/**
+ * MatchProposal Model
+ * A match suggested by the matchmaking service to a group of players with
+ * compatible availability and skill level. It either creates a new match on
+ * a free court once every candidate accepts, or fills the empty seats of an
+ * open match (matchId set at creation).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const MatchProposal = sequelize.define('MatchProposal', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    courtId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'courts',
+        key: 'id'
+      }
+    },
+    sport: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    startTime: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    endTime: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    duration: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    skillLevel: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    maxParticipants: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    candidates: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment: 'Array of {userId, availabilityId, status, respondedAt}'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'confirmed', 'expired', 'cancelled'),
+      defaultValue: 'pending'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    matchId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'available_matches',
+        key: 'id'
+      },
+      comment: 'Open match to fill, or the match created on confirmation'
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'bookings',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'match_proposals',
+    timestamps: true,
+    indexes: [
+      { fields: ['date', 'status'] },
+      { fields: ['expiresAt'] }
+    ]
+  });
+
+  return MatchProposal;
+};
@@ -0,0 +1,82 @@
+module.exports = (sequelize, DataTypes) => {
+  const MembershipPlan = sequelize.define('MembershipPlan', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // pack: a fixed number of turns (e.g. "10 turnos"), membership: a period (e.g. monthly)
+    planType: {
+      type: DataTypes.ENUM('pack', 'membership'),
+      allowNull: false,
+      defaultValue: 'pack'
+    },
+    sessions: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Turns included (null = unlimited, only for memberships)'
+    },
+    validityDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30,
+      comment: 'Days the plan is valid from the purchase'
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    memberDiscountPercent: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Discount on court prices while the plan is active (100 = turns already paid)'
+    },
+    sports: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Sports the plan applies to (null = all)'
+    },
+    renewalReminderDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3,
+      comment: 'Days before expiry to remind the client to renew'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'membership_plans',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['establishmentId', 'isActive']
+      }
+    ]
+  });
+
+  return MembershipPlan;
+};
@@ -59,7 +59,7 @@ module.exports = (sequelize, DataTypes) => {
       field: 'paymentStatus'
     },
     paymentMethod: {
-      type: DataTypes.ENUM('cash', 'card', 'transfer', 'mixed', 'pending'),
+      type: DataTypes.ENUM('cash', 'card', 'transfer', 'store_credit', 'mixed', 'pending'),
       allowNull: false,
       defaultValue: 'pending',
       field: 'paymentMethod'
@@ -15,7 +15,7 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false
     },
     paymentMethod: {
-      type: DataTypes.ENUM('cash', 'card', 'transfer'),
+      type: DataTypes.ENUM('cash', 'card', 'transfer', 'store_credit'),
       allowNull: false,
       field: 'paymentMethod'
     },
@@ -0,0 +1,83 @@
+/**
+ * PlayerAvailability Model
+ * A window in which a player wants to play a sport, weekly (dayOfWeek) or on
+ * a given date. The matchmaking service groups compatible windows into
+ * match proposals.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PlayerAvailability = sequelize.define('PlayerAvailability', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    sport: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      },
+      comment: 'Preferred establishment (null = any establishment in the city)'
+    },
+    city: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    dayOfWeek: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 0, max: 6 },
+      comment: 'Weekly window: 0 = Sunday ... 6 = Saturday'
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'One-off window (instead of dayOfWeek)'
+    },
+    startTime: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    endTime: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    duration: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 90,
+      comment: 'Desired match duration in minutes'
+    },
+    autoAccept: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Join matches proposed in this window without confirming'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'player_availabilities',
+    timestamps: true,
+    indexes: [
+      { fields: ['userId'] },
+      { fields: ['sport', 'isActive'] }
+    ]
+  });
+
+  return PlayerAvailability;
+};
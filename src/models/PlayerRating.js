@@ -0,0 +1,61 @@
+/**
+ * PlayerRating Model
+ * Current ELO-style rating of a player in a sport, fed by the results of
+ * open matches and tournament matches (see services/ratings.js)
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PlayerRating = sequelize.define('PlayerRating', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    sport: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Normalized sport (padel, tenis, futbol5...)'
+    },
+    rating: {
+      type: DataTypes.DECIMAL(7, 2),
+      allowNull: false,
+      defaultValue: 1500
+    },
+    matchesPlayed: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    wins: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    losses: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    draws: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lastPlayedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'player_ratings',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['userId', 'sport'] },
+      { fields: ['sport', 'rating'] }
+    ]
+  });
+
+  return PlayerRating;
+};
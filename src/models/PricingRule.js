@@ -0,0 +1,123 @@
+module.exports = (sequelize, DataTypes) => {
+  const PricingRule = sequelize.define('PricingRule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    courtId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'courts',
+        key: 'id'
+      },
+      comment: 'Court the rule applies to (null = all courts)'
+    },
+    sport: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Sport the rule applies to (null = all sports)'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Nombre de la regla, ej: "Recargo noches llenas", "Último momento"'
+    },
+    // occupancy: demand in the rule window, lead_time: how soon the slot starts, holiday: holiday dates
+    ruleType: {
+      type: DataTypes.ENUM('occupancy', 'lead_time', 'holiday'),
+      allowNull: false
+    },
+    adjustmentType: {
+      type: DataTypes.ENUM('percentage', 'fixed'),
+      allowNull: false,
+      defaultValue: 'percentage',
+      comment: 'percentage of the price per hour, or fixed amount per hour'
+    },
+    adjustmentValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Positivo = recargo, negativo = descuento'
+    },
+    minOccupancyPercent: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'occupancy: applies when at least this % of the courts is booked in the window'
+    },
+    maxOccupancyPercent: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'lead_time: only applies while occupancy is at most this %'
+    },
+    hoursBeforeStart: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'lead_time: applies to slots starting within these hours'
+    },
+    holidayDates: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment: 'holiday: dates (YYYY-MM-DD) the rule applies to'
+    },
+    includeNationalHolidays: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      comment: 'holiday: also apply on fixed-date national holidays'
+    },
+    startTime: {
+      type: DataTypes.TIME,
+      allowNull: true,
+      comment: 'Start of the window the rule applies to (null = opening hours)'
+    },
+    endTime: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    daysOfWeek: {
+      type: DataTypes.JSON,
+      defaultValue: [0, 1, 2, 3, 4, 5, 6],
+      comment: 'Días de la semana en que aplica (0=domingo, 6=sábado)'
+    },
+    priceFloor: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Precio por hora mínimo al que puede bajar esta regla'
+    },
+    priceCap: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Precio por hora máximo al que puede subir esta regla'
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'Orden de aplicación (mayor = se aplica primero)'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'pricing_rules',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['establishmentId', 'isActive']
+      },
+      {
+        fields: ['courtId']
+      }
+    ]
+  });
+
+  return PricingRule;
+};
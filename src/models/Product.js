@@ -93,6 +93,12 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       defaultValue: true,
       comment: 'Si se debe controlar el stock de este producto'
+    },
+    productType: {
+      type: DataTypes.ENUM('simple', 'combo', 'prepared'),
+      allowNull: false,
+      defaultValue: 'simple',
+      comment: 'combo/prepared: al venderse descuenta el stock de sus componentes'
     }
   }, {
     tableName: 'products',
@@ -0,0 +1,49 @@
+/**
+ * ProductComponent Model
+ * A component of a combo or prepared product and the units of it that each
+ * unit of the composite consumes
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ProductComponent = sequelize.define('ProductComponent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      },
+      comment: 'Composite product'
+    },
+    componentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      },
+      comment: 'Product consumed by each unit of the composite'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    }
+  }, {
+    tableName: 'product_components',
+    timestamps: true,
+    indexes: [
+      { fields: ['productId', 'componentId'], unique: true },
+      { fields: ['componentId'] }
+    ]
+  });
+
+  return ProductComponent;
+};
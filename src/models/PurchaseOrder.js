@@ -0,0 +1,92 @@
+/**
+ * PurchaseOrder Model
+ * Restock order to a supplier. Goes draft -> sent -> partially_received ->
+ * received as goods arrive (or cancelled); each receipt creates the entrada
+ * stock movements of the received lines.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PurchaseOrder = sequelize.define('PurchaseOrder', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    supplierId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    },
+    orderNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Correlative number per establishment'
+    },
+    status: {
+      type: DataTypes.ENUM('draft', 'sent', 'partially_received', 'received', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'draft'
+    },
+    expectedDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Expected delivery date'
+    },
+    expectedTotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Sum of the ordered quantities at the expected costs'
+    },
+    receivedTotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Sum of the received quantities at the invoiced costs'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    receivedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'purchase_orders',
+    timestamps: true,
+    indexes: [
+      { fields: ['establishmentId', 'orderNumber'], unique: true },
+      { fields: ['establishmentId', 'status'] },
+      { fields: ['supplierId'] }
+    ]
+  });
+
+  return PurchaseOrder;
+};
@@ -0,0 +1,63 @@
+/**
+ * PurchaseOrderItem Model
+ * A product line of a purchase order: ordered vs received quantity
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PurchaseOrderItem = sequelize.define('PurchaseOrderItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    purchaseOrderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'purchase_orders',
+        key: 'id'
+      }
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    quantityOrdered: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    quantityReceived: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    expectedUnitCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    receivedUnitCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Invoiced unit cost of the last receipt'
+    },
+    notes: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'purchase_order_items',
+    timestamps: true,
+    indexes: [
+      { fields: ['purchaseOrderId'] },
+      { fields: ['productId'] }
+    ]
+  });
+
+  return PurchaseOrderItem;
+};
@@ -0,0 +1,89 @@
+/**
+ * RatingHistory Model
+ * One rating change of a player: the result that caused it (open match or
+ * tournament bracket match), partners, opponents and the rating before and
+ * after. Corrected results mark their previous changes as reverted.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const RatingHistory = sequelize.define('RatingHistory', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    sport: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    sourceType: {
+      type: DataTypes.ENUM('match', 'tournament'),
+      allowNull: false
+    },
+    sourceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'AvailableMatch or Tournament id'
+    },
+    sourceMatchId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Bracket match id for tournament results'
+    },
+    result: {
+      type: DataTypes.ENUM('win', 'loss', 'draw'),
+      allowNull: false
+    },
+    ratingBefore: {
+      type: DataTypes.DECIMAL(7, 2),
+      allowNull: false
+    },
+    ratingAfter: {
+      type: DataTypes.DECIMAL(7, 2),
+      allowNull: false
+    },
+    delta: {
+      type: DataTypes.DECIMAL(7, 2),
+      allowNull: false
+    },
+    partnerIds: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    opponentIds: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    revertedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when the result was corrected'
+    }
+  }, {
+    tableName: 'rating_history',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['userId', 'sport'] },
+      { fields: ['sourceType', 'sourceId'] },
+      { fields: ['establishmentId'] }
+    ]
+  });
+
+  return RatingHistory;
+};
@@ -57,6 +57,15 @@ module.exports = (sequelize, DataTypes) => {
     completedAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    fallbackOutcome: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Fallback applied on expiry: {action, remainder, debtId, refunds, processedAt}'
     }
   }, {
     tableName: 'split_payments',
@@ -41,7 +41,7 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false
     },
     status: {
-      type: DataTypes.ENUM('pending', 'paid', 'failed', 'cancelled'),
+      type: DataTypes.ENUM('pending', 'paid', 'failed', 'cancelled', 'refunded'),
       defaultValue: 'pending'
     },
     paymentId: {
@@ -67,6 +67,28 @@ module.exports = (sequelize, DataTypes) => {
     lastReminderAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    mpPaymentId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    refundedAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    refundedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    refundAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Mercado Pago refunds tried and rejected for this share'
+    },
+    lastRefundAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: 'split_payment_participants',
@@ -0,0 +1,80 @@
+/**
+ * StockCount Model
+ * Physical stock count (inventory audit) of some or all categories. Stays
+ * open while the products are counted; approving it posts the ajuste/merma
+ * movements of the differences (referenceType 'stock_count').
+ */
+module.exports = (sequelize, DataTypes) => {
+  const StockCount = sequelize.define('StockCount', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    countNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Correlative number per establishment'
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'approved', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    categoryIds: {
+      type: DataTypes.ARRAY(DataTypes.UUID),
+      allowNull: true,
+      comment: 'Counted categories (null = every category)'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    varianceCost: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      comment: 'Net cost of the adjustments posted on approval'
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    approvedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    approvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'stock_counts',
+    timestamps: true,
+    indexes: [
+      { fields: ['establishmentId', 'countNumber'], unique: true },
+      { fields: ['establishmentId', 'status'] }
+    ]
+  });
+
+  return StockCount;
+};
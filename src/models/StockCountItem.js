@@ -0,0 +1,87 @@
+/**
+ * StockCountItem Model
+ * A product of a stock count: system stock when counted, counted quantity and, once
+ * approved, the variance and the movement that adjusted it
+ */
+module.exports = (sequelize, DataTypes) => {
+  const StockCountItem = sequelize.define('StockCountItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    stockCountId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stock_counts',
+        key: 'id'
+      }
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    systemStock: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'currentStock when the product was counted (when the count was opened until then)'
+    },
+    countedQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      },
+      comment: 'null until the product is counted'
+    },
+    countedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    countedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    variance: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Counted minus systemStock, fixed on approval'
+    },
+    unitCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Product cost on approval'
+    },
+    stockMovementId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'stock_movements',
+        key: 'id'
+      },
+      comment: 'Adjustment posted on approval'
+    },
+    notes: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'stock_count_items',
+    timestamps: true,
+    indexes: [
+      { fields: ['stockCountId', 'productId'], unique: true },
+      { fields: ['productId'] }
+    ]
+  });
+
+  return StockCountItem;
+};
@@ -0,0 +1,74 @@
+/**
+ * StockLot Model
+ * Units of a product received by one entrada, with their expiry date and
+ * cost. Sales and other outflows consume lots FIFO (see StockLotAllocation).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const StockLot = sequelize.define('StockLot', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    stockMovementId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'stock_movements',
+        key: 'id'
+      },
+      comment: 'Entrada that brought the lot in (null for the opening lots)'
+    },
+    lotNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Supplier lot code'
+    },
+    expiryDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    initialQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    remainingQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    unitCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'stock_lots',
+    timestamps: true,
+    indexes: [
+      { fields: ['productId', 'createdAt'] },
+      { fields: ['establishmentId', 'expiryDate'] },
+      { fields: ['stockMovementId'] }
+    ]
+  });
+
+  return StockLot;
+};
@@ -0,0 +1,48 @@
+/**
+ * StockLotAllocation Model
+ * Units of a lot taken (or returned) by a stock movement, at the lot's cost
+ */
+module.exports = (sequelize, DataTypes) => {
+  const StockLotAllocation = sequelize.define('StockLotAllocation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    lotId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stock_lots',
+        key: 'id'
+      }
+    },
+    stockMovementId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stock_movements',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Units taken from the lot (negative when returned to it)'
+    },
+    unitCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'stock_lot_allocations',
+    timestamps: true,
+    indexes: [
+      { fields: ['lotId'] },
+      { fields: ['stockMovementId'] }
+    ]
+  });
+
+  return StockLotAllocation;
+};
@@ -83,6 +83,25 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true,
       comment: 'Número de factura o remito'
+    },
+    supplierId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      },
+      comment: 'Proveedor de la compra (entradas)'
+    },
+    invoiceType: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Tipo de comprobante AFIP de la factura de compra'
+    },
+    vatRate: {
+      type: DataTypes.DECIMAL(4, 1),
+      allowNull: true,
+      comment: 'Alícuota de IVA de la compra (en facturas A, unitCost es neto de IVA)'
     }
   }, {
     tableName: 'stock_movements',
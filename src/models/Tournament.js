@@ -45,6 +45,15 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.ENUM('beginner', 'intermediate', 'advanced', 'professional'),
       defaultValue: 'intermediate'
     },
+    // Rating range accepted at registration (null = no limit)
+    minRating: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    maxRating: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     maxParticipants: {
       type: DataTypes.INTEGER,
       allowNull: false
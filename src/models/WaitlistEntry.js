@@ -0,0 +1,120 @@
+module.exports = (sequelize, DataTypes) => {
+  const WaitlistEntry = sequelize.define('WaitlistEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    establishmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'establishments',
+        key: 'id'
+      }
+    },
+    courtId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'courts',
+        key: 'id'
+      },
+      comment: 'Requested court (null = any court of the sport)'
+    },
+    sport: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    startTime: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    endTime: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    duration: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Duration in minutes'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    clientName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    clientPhone: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    clientEmail: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled'),
+      defaultValue: 'waiting'
+    },
+    offerToken: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+      comment: 'Secret token used in the offer link'
+    },
+    offeredCourtId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'courts',
+        key: 'id'
+      },
+      comment: 'Court held for this entry when the offer was sent'
+    },
+    offeredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    holdExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Until when the freed slot is held for this entry'
+    },
+    notifiedVia: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment: 'Channels used for the offer (whatsapp, email)'
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'bookings',
+        key: 'id'
+      },
+      comment: 'Booking created when the offer was accepted'
+    }
+  }, {
+    tableName: 'waitlist_entries',
+    timestamps: true,
+    indexes: [
+      { fields: ['establishmentId', 'date', 'status'] },
+      { fields: ['courtId'] },
+      { fields: ['userId'] },
+      { fields: ['holdExpiresAt'] }
+    ]
+  });
+
+  return WaitlistEntry;
+};
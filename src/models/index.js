@@ -46,6 +46,29 @@ const Expense = require('./Expense')(sequelize, DataTypes);
 const EstablishmentAfipConfig = require('./EstablishmentAfipConfig')(sequelize, DataTypes);
 const EstablishmentAfipPuntoVenta = require('./EstablishmentAfipPuntoVenta')(sequelize, DataTypes);
 const Invoice = require('./Invoice')(sequelize, DataTypes);
+const WaitlistEntry = require('./WaitlistEntry')(sequelize, DataTypes);
+const BookingReminder = require('./BookingReminder')(sequelize, DataTypes);
+const ClientCreditMovement = require('./ClientCreditMovement')(sequelize, DataTypes);
+const MembershipPlan = require('./MembershipPlan')(sequelize, DataTypes);
+const ClientMembership = require('./ClientMembership')(sequelize, DataTypes);
+const PricingRule = require('./PricingRule')(sequelize, DataTypes);
+const CalendarFeed = require('./CalendarFeed')(sequelize, DataTypes);
+const InvoiceJob = require('./InvoiceJob')(sequelize, DataTypes);
+const EstablishmentAfipCaea = require('./EstablishmentAfipCaea')(sequelize, DataTypes);
+const InvoicingRule = require('./InvoicingRule')(sequelize, DataTypes);
+const PlayerAvailability = require('./PlayerAvailability')(sequelize, DataTypes);
+const MatchProposal = require('./MatchProposal')(sequelize, DataTypes);
+const PlayerRating = require('./PlayerRating')(sequelize, DataTypes);
+const RatingHistory = require('./RatingHistory')(sequelize, DataTypes);
+const BookingCart = require('./BookingCart')(sequelize, DataTypes);
+const BookingCartItem = require('./BookingCartItem')(sequelize, DataTypes);
+const PurchaseOrder = require('./PurchaseOrder')(sequelize, DataTypes);
+const PurchaseOrderItem = require('./PurchaseOrderItem')(sequelize, DataTypes);
+const ProductComponent = require('./ProductComponent')(sequelize, DataTypes);
+const StockCount = require('./StockCount')(sequelize, DataTypes);
+const StockCountItem = require('./StockCountItem')(sequelize, DataTypes);
+const StockLot = require('./StockLot')(sequelize, DataTypes);
+const StockLotAllocation = require('./StockLotAllocation')(sequelize, DataTypes);
 
 // Define associations
 const defineAssociations = () => {
@@ -185,6 +208,8 @@ const defineAssociations = () => {
   TournamentParticipant.belongsTo(Tournament, { foreignKey: 'tournamentId', as: 'tournament' });
   TournamentParticipant.belongsTo(User, { foreignKey: 'userId', as: 'user' });
   User.hasMany(TournamentParticipant, { foreignKey: 'userId', as: 'tournamentParticipations' });
+  Tournament.hasMany(Booking, { foreignKey: 'tournamentId', as: 'bookings' });
+  Booking.belongsTo(Tournament, { foreignKey: 'tournamentId', as: 'tournament' });
 
   // Stock management associations
   // ProductCategory associations
@@ -202,6 +227,7 @@ const defineAssociations = () => {
   StockMovement.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
   StockMovement.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
   StockMovement.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  StockMovement.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplierRef' });
   User.hasMany(StockMovement, { foreignKey: 'userId', as: 'stockMovements' });
   Establishment.hasMany(StockMovement, { foreignKey: 'establishmentId', as: 'stockMovements' });
 
@@ -307,6 +333,7 @@ const defineAssociations = () => {
   Expense.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
   Expense.belongsTo(User, { foreignKey: 'userId', as: 'user' });
   Expense.belongsTo(CashRegister, { foreignKey: 'cashRegisterId', as: 'cashRegister' });
+  Expense.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplierRef' });
   Establishment.hasMany(Expense, { foreignKey: 'establishmentId', as: 'expenses' });
   User.hasMany(Expense, { foreignKey: 'userId', as: 'expenses' });
   CashRegister.hasMany(Expense, { foreignKey: 'cashRegisterId', as: 'expenses' });
@@ -338,6 +365,139 @@ const defineAssociations = () => {
   Establishment.hasMany(Invoice, { foreignKey: 'establishmentId', as: 'invoices' });
   Order.hasOne(Invoice, { foreignKey: 'orderId', as: 'invoice' });
   Booking.hasOne(Invoice, { foreignKey: 'bookingId', as: 'invoice' });
+
+  // WaitlistEntry associations
+  WaitlistEntry.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  WaitlistEntry.belongsTo(Court, { foreignKey: 'courtId', as: 'court' });
+  WaitlistEntry.belongsTo(Court, { foreignKey: 'offeredCourtId', as: 'offeredCourt' });
+  WaitlistEntry.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  WaitlistEntry.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+  Establishment.hasMany(WaitlistEntry, { foreignKey: 'establishmentId', as: 'waitlistEntries' });
+  User.hasMany(WaitlistEntry, { foreignKey: 'userId', as: 'waitlistEntries' });
+
+  // BookingReminder associations
+  BookingReminder.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+  BookingReminder.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  Booking.hasMany(BookingReminder, { foreignKey: 'bookingId', as: 'reminders' });
+
+  // ClientCreditMovement associations (store credit ledger)
+  ClientCreditMovement.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  ClientCreditMovement.belongsTo(Client, { foreignKey: 'clientId', as: 'client' });
+  ClientCreditMovement.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  ClientCreditMovement.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+  ClientCreditMovement.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+  ClientCreditMovement.belongsTo(RecurringBookingGroup, { foreignKey: 'recurringGroupId', as: 'recurringGroup' });
+  ClientCreditMovement.belongsTo(User, { foreignKey: 'registeredBy', as: 'registeredByUser' });
+  Client.hasMany(ClientCreditMovement, { foreignKey: 'clientId', as: 'creditMovements' });
+
+  // Membership associations (prepaid packs and memberships)
+  MembershipPlan.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  Establishment.hasMany(MembershipPlan, { foreignKey: 'establishmentId', as: 'membershipPlans' });
+  ClientMembership.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  ClientMembership.belongsTo(MembershipPlan, { foreignKey: 'planId', as: 'plan' });
+  ClientMembership.belongsTo(Client, { foreignKey: 'clientId', as: 'client' });
+  ClientMembership.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  ClientMembership.belongsTo(User, { foreignKey: 'soldBy', as: 'seller' });
+  ClientMembership.hasMany(Booking, { foreignKey: 'membershipId', as: 'bookings' });
+  Booking.belongsTo(ClientMembership, { foreignKey: 'membershipId', as: 'membership' });
+  Client.hasMany(ClientMembership, { foreignKey: 'clientId', as: 'memberships' });
+
+  // PricingRule associations (dynamic pricing)
+  PricingRule.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  PricingRule.belongsTo(Court, { foreignKey: 'courtId', as: 'court' });
+  Establishment.hasMany(PricingRule, { foreignKey: 'establishmentId', as: 'pricingRules' });
+
+  // CalendarFeed associations (iCal subscriptions)
+  CalendarFeed.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  CalendarFeed.belongsTo(Court, { foreignKey: 'courtId', as: 'court' });
+  CalendarFeed.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+
+  // InvoiceJob associations (ARCA emission queue)
+  InvoiceJob.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  InvoiceJob.belongsTo(EstablishmentAfipPuntoVenta, { foreignKey: 'puntoVentaId', as: 'puntoVentaRef' });
+  InvoiceJob.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+  InvoiceJob.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+  InvoiceJob.belongsTo(Invoice, { foreignKey: 'invoiceId', as: 'invoice' });
+  InvoiceJob.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+
+  // EstablishmentAfipCaea associations (CAEA contingency)
+  EstablishmentAfipCaea.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  EstablishmentAfipCaea.belongsTo(EstablishmentAfipConfig, { foreignKey: 'afipConfigId', as: 'afipConfig' });
+  EstablishmentAfipCaea.belongsTo(EstablishmentAfipPuntoVenta, { foreignKey: 'puntoVentaId', as: 'puntoVentaRef' });
+  EstablishmentAfipPuntoVenta.hasMany(EstablishmentAfipCaea, { foreignKey: 'puntoVentaId', as: 'caeas' });
+  EstablishmentAfipCaea.hasMany(Invoice, { foreignKey: 'caeaId', as: 'invoices' });
+  Invoice.belongsTo(EstablishmentAfipCaea, { foreignKey: 'caeaId', as: 'caeaRef' });
+
+  // InvoicingRule associations (automatic invoicing)
+  InvoicingRule.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  InvoicingRule.belongsTo(EstablishmentAfipPuntoVenta, { foreignKey: 'puntoVentaId', as: 'puntoVentaRef' });
+  InvoicingRule.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+  Establishment.hasMany(InvoicingRule, { foreignKey: 'establishmentId', as: 'invoicingRules' });
+
+  // Matchmaking associations (availability windows and match proposals)
+  PlayerAvailability.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  PlayerAvailability.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  User.hasMany(PlayerAvailability, { foreignKey: 'userId', as: 'availabilities' });
+  MatchProposal.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  MatchProposal.belongsTo(Court, { foreignKey: 'courtId', as: 'court' });
+  MatchProposal.belongsTo(AvailableMatch, { foreignKey: 'matchId', as: 'match' });
+  MatchProposal.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+  AvailableMatch.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+  // PlayerRating associations (ratings per sport and their history)
+  PlayerRating.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  User.hasMany(PlayerRating, { foreignKey: 'userId', as: 'ratings' });
+  RatingHistory.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  RatingHistory.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  User.hasMany(RatingHistory, { foreignKey: 'userId', as: 'ratingHistory' });
+
+  // BookingCart associations (multi-slot checkout)
+  BookingCart.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  BookingCart.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  BookingCart.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+  BookingCart.hasMany(BookingCartItem, { foreignKey: 'cartId', as: 'items' });
+  BookingCartItem.belongsTo(BookingCart, { foreignKey: 'cartId', as: 'cart' });
+  BookingCartItem.belongsTo(Court, { foreignKey: 'courtId', as: 'court' });
+  BookingCartItem.belongsTo(Amenity, { foreignKey: 'amenityId', as: 'amenity' });
+  BookingCartItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+  BookingCartItem.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+  // PurchaseOrder associations (supplier restocking)
+  PurchaseOrder.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  PurchaseOrder.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplier' });
+  PurchaseOrder.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+  PurchaseOrder.hasMany(PurchaseOrderItem, { foreignKey: 'purchaseOrderId', as: 'items' });
+  PurchaseOrderItem.belongsTo(PurchaseOrder, { foreignKey: 'purchaseOrderId', as: 'purchaseOrder' });
+  PurchaseOrderItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+  Supplier.hasMany(PurchaseOrder, { foreignKey: 'supplierId', as: 'purchaseOrders' });
+  CurrentAccount.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplier' });
+  Supplier.hasOne(CurrentAccount, { foreignKey: 'supplierId', as: 'currentAccount' });
+
+  // ProductComponent associations (combos and prepared products)
+  Product.hasMany(ProductComponent, { foreignKey: 'productId', as: 'components' });
+  ProductComponent.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+  ProductComponent.belongsTo(Product, { foreignKey: 'componentId', as: 'component' });
+  Product.hasMany(ProductComponent, { foreignKey: 'componentId', as: 'usedIn' });
+
+  // StockCount associations (physical inventory audits)
+  StockCount.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  StockCount.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+  StockCount.belongsTo(User, { foreignKey: 'approvedById', as: 'approvedBy' });
+  StockCount.hasMany(StockCountItem, { foreignKey: 'stockCountId', as: 'items' });
+  StockCountItem.belongsTo(StockCount, { foreignKey: 'stockCountId', as: 'stockCount' });
+  StockCountItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+  StockCountItem.belongsTo(User, { foreignKey: 'countedById', as: 'countedBy' });
+  StockCountItem.belongsTo(StockMovement, { foreignKey: 'stockMovementId', as: 'stockMovement' });
+
+  // StockLot associations (expiry dates and FIFO cost)
+  StockLot.belongsTo(Establishment, { foreignKey: 'establishmentId', as: 'establishment' });
+  StockLot.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+  StockLot.belongsTo(StockMovement, { foreignKey: 'stockMovementId', as: 'entrada' });
+  StockLot.hasMany(StockLotAllocation, { foreignKey: 'lotId', as: 'allocations' });
+  Product.hasMany(StockLot, { foreignKey: 'productId', as: 'lots' });
+  StockLotAllocation.belongsTo(StockLot, { foreignKey: 'lotId', as: 'lot' });
+  StockLotAllocation.belongsTo(StockMovement, { foreignKey: 'stockMovementId', as: 'stockMovement' });
+  StockMovement.hasMany(StockLotAllocation, { foreignKey: 'stockMovementId', as: 'lotAllocations' });
 };
 
 // Initialize associations
@@ -388,5 +548,28 @@ module.exports = {
   Expense,
   EstablishmentAfipConfig,
   EstablishmentAfipPuntoVenta,
-  Invoice
+  Invoice,
+  WaitlistEntry,
+  BookingReminder,
+  ClientCreditMovement,
+  MembershipPlan,
+  ClientMembership,
+  PricingRule,
+  CalendarFeed,
+  InvoiceJob,
+  EstablishmentAfipCaea,
+  InvoicingRule,
+  PlayerAvailability,
+  MatchProposal,
+  PlayerRating,
+  RatingHistory,
+  BookingCart,
+  BookingCartItem,
+  PurchaseOrder,
+  PurchaseOrderItem,
+  ProductComponent,
+  StockCount,
+  StockCountItem,
+  StockLot,
+  StockLotAllocation
 };
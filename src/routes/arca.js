@@ -12,6 +12,9 @@ const {
   EstablishmentAfipConfig, 
   EstablishmentAfipPuntoVenta, 
   Invoice,
+  InvoiceJob,
+  EstablishmentAfipCaea,
+  InvoicingRule,
   Establishment,
   Order,
   Booking,
@@ -27,6 +30,21 @@ const {
   DOC_TYPES
 } = require('../services/arca');
 const PadronService = require('../services/arca/padronService');
+const {
+  parseAFIPDate,
+  enqueueInvoice,
+  processInvoiceJob,
+  retryInvoiceJob,
+  cancelInvoiceJob,
+  getStuckInvoiceJobs
+} = require('../services/arca/invoiceQueueService');
+const {
+  fortnightOf,
+  solicitarCaea,
+  informarComprobantesPendientes
+} = require('../services/arca/caeaService');
+const libroIvaService = require('../services/arca/libroIvaService');
+const { deliverInvoice, triggerInvoiceDelivery } = require('../services/arca/invoiceDeliveryService');
 const { Op } = require('sequelize');
 
 // =====================================================
@@ -46,14 +64,15 @@ router.get('/config/:establishmentId', authenticateToken, async (req, res) => {
       attributes: [
         'id', 'cuit', 'razonSocial', 'domicilioFiscal', 'condicionFiscal',
         'inicioActividades', 'certExpiration', 'isActive', 'isVerified',
-        'lastTestedAt', 'lastTestResult', 'encryptedCert', 'encryptedKey'
+        'lastTestedAt', 'lastTestResult', 'encryptedCert', 'encryptedKey',
+        'envioEmailAutomatico', 'envioWhatsappAutomatico'
       ],
       include: [{
         model: EstablishmentAfipPuntoVenta,
         as: 'puntosVenta',
         where: { isActive: true },
         required: false,
-        attributes: ['id', 'numero', 'descripcion', 'isDefault', 'isActive']
+        attributes: ['id', 'numero', 'descripcion', 'isDefault', 'isActive', 'esContingencia']
       }]
     });
 
@@ -229,6 +248,42 @@ router.put('/config/:establishmentId/activate', authenticateToken, async (req, r
   }
 });
 
+/**
+ * PUT /api/arca/config/:establishmentId/envio-automatico
+ * Enable/disable automatic delivery of emitted invoices to the customer
+ * Body: { email?: boolean, whatsapp?: boolean }
+ */
+router.put('/config/:establishmentId/envio-automatico', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+    const { email, whatsapp } = req.body;
+
+    const config = await EstablishmentAfipConfig.findOne({
+      where: { establishmentId }
+    });
+
+    if (!config) {
+      return res.status(404).json({ error: 'Configuración no encontrada' });
+    }
+
+    const updates = { updatedById: req.user.id };
+    if (email !== undefined) updates.envioEmailAutomatico = !!email;
+    if (whatsapp !== undefined) updates.envioWhatsappAutomatico = !!whatsapp;
+    await config.update(updates);
+
+    res.json({
+      success: true,
+      message: 'Envío automático actualizado',
+      envioEmailAutomatico: config.envioEmailAutomatico,
+      envioWhatsappAutomatico: config.envioWhatsappAutomatico
+    });
+
+  } catch (error) {
+    console.error('[ARCA] Error updating automatic delivery:', error);
+    res.status(500).json({ error: 'Error al actualizar el envío automático' });
+  }
+});
+
 /**
  * DELETE /api/arca/config/:establishmentId
  * Disconnect AFIP configuration (clear sensitive data, keep history)
@@ -340,12 +395,16 @@ router.get('/puntos-venta/:establishmentId/afip', authenticateToken, async (req,
 router.post('/puntos-venta/:establishmentId', authenticateToken, async (req, res) => {
   try {
     const { establishmentId } = req.params;
-    const { numero, descripcion, isDefault } = req.body;
+    const { numero, descripcion, isDefault, esContingencia } = req.body;
 
     if (!numero || numero < 1 || numero > 99999) {
       return res.status(400).json({ error: 'Número de punto de venta inválido (1-99999)' });
     }
 
+    if (isDefault && esContingencia) {
+      return res.status(400).json({ error: 'Un punto de venta de contingencia (CAEA) no puede ser el predeterminado' });
+    }
+
     const config = await EstablishmentAfipConfig.findOne({
       where: { establishmentId }
     });
@@ -368,7 +427,8 @@ router.post('/puntos-venta/:establishmentId', authenticateToken, async (req, res
       numero,
       descripcion: descripcion || `Punto de Venta ${numero}`,
       isDefault: !!isDefault,
-      isActive: true
+      isActive: true,
+      esContingencia: !!esContingencia
     });
 
     res.json({
@@ -394,7 +454,7 @@ router.post('/puntos-venta/:establishmentId', authenticateToken, async (req, res
 router.put('/puntos-venta/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { descripcion, isDefault, isActive } = req.body;
+    const { descripcion, isDefault, isActive, esContingencia } = req.body;
 
     const puntoVenta = await EstablishmentAfipPuntoVenta.findByPk(id);
 
@@ -402,6 +462,12 @@ router.put('/puntos-venta/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Punto de venta no encontrado' });
     }
 
+    const nextIsDefault = isDefault !== undefined ? isDefault : puntoVenta.isDefault;
+    const nextEsContingencia = esContingencia !== undefined ? esContingencia : puntoVenta.esContingencia;
+    if (nextIsDefault && nextEsContingencia) {
+      return res.status(400).json({ error: 'Un punto de venta de contingencia (CAEA) no puede ser el predeterminado' });
+    }
+
     // If setting as default, unset other defaults
     if (isDefault) {
       await EstablishmentAfipPuntoVenta.update(
@@ -412,8 +478,9 @@ router.put('/puntos-venta/:id', authenticateToken, async (req, res) => {
 
     await puntoVenta.update({
       descripcion: descripcion !== undefined ? descripcion : puntoVenta.descripcion,
-      isDefault: isDefault !== undefined ? isDefault : puntoVenta.isDefault,
-      isActive: isActive !== undefined ? isActive : puntoVenta.isActive
+      isDefault: nextIsDefault,
+      isActive: isActive !== undefined ? isActive : puntoVenta.isActive,
+      esContingencia: nextEsContingencia
     });
 
     res.json({
@@ -603,83 +670,39 @@ router.post('/facturas/:establishmentId', authenticateToken, async (req, res) =>
       }
     }
 
-    // Check if already invoiced by orderId
-    if (orderId) {
-      const existingInvoice = await Invoice.findOne({
-        where: { orderId, status: 'emitido' }
-      });
-      if (existingInvoice) {
-        return res.status(400).json({ error: 'Esta venta ya tiene una factura emitida' });
-      }
-    }
-
-    // Get ARCA services
-    const { wsfe, config } = await ArcaFactory.forEstablishment(establishmentId, puntoVentaId);
-
-    // Get AFIP config for DB reference
-    const afipConfig = await EstablishmentAfipConfig.findOne({
-      where: { establishmentId, isActive: true }
-    });
-
-    const puntoVenta = await EstablishmentAfipPuntoVenta.findOne({
-      where: puntoVentaId 
-        ? { id: puntoVentaId }
-        : { establishmentId, isDefault: true, isActive: true }
-    });
-
-    // Emit invoice
-    const resultado = await wsfe.emitirFactura({
-      items,
-      total,
-      cliente: cliente || {},
-      receptorCondicion: receptorCondicion || 'consumidor_final'
-    });
-
-    // Get bookingId from order if not provided
-    let resolvedBookingId = bookingId;
-    if (!resolvedBookingId && orderId) {
-      const orderForBooking = await Order.findByPk(orderId, { attributes: ['bookingId'] });
-      if (orderForBooking?.bookingId) {
-        resolvedBookingId = orderForBooking.bookingId;
-      }
-    }
-
-    // Save to database - orderId is the primary reference
-    const invoice = await Invoice.create({
+    // Queue the invoice and try to emit it right away. If AFIP is down the
+    // job stays pending and the scheduler retries it.
+    const job = await enqueueInvoice({
       establishmentId,
-      afipConfigId: afipConfig.id,
-      puntoVentaId: puntoVenta.id,
-      cae: resultado.cae,
-      caeVencimiento: parseAFIPDate(resultado.caeVencimiento),
-      tipoComprobante: resultado.tipoComprobante,
-      tipoComprobanteNombre: resultado.tipoComprobanteNombre,
-      numeroComprobante: resultado.numeroComprobante,
-      puntoVenta: resultado.puntoVenta,
-      fechaEmision: parseAFIPDate(resultado.fechaEmision),
-      importeTotal: resultado.importeTotal,
-      importeNeto: resultado.importeNeto,
-      importeIva: resultado.importeIva || 0,
-      clienteNombre: resultado.cliente.nombre,
-      clienteDocTipo: resultado.cliente.docTipo,
-      clienteDocNro: resultado.cliente.docNro,
-      clienteCondicionIva: resultado.cliente.condicionIva,
-      items: resultado.items,
-      orderId: orderId || null,
-      bookingId: resolvedBookingId || null,
-      status: 'emitido',
-      afipResponse: resultado.afipResponse,
+      puntoVentaId,
+      orderId,
+      bookingId,
+      datos: {
+        items,
+        total,
+        cliente: cliente || {},
+        receptorCondicion: receptorCondicion || 'consumidor_final'
+      },
       createdById: req.user.id
     });
 
-    // Always update Order with invoice reference (primary)
-    if (orderId) {
-      await Order.update({ invoiceId: invoice.id }, { where: { id: orderId } });
+    const processed = await processInvoiceJob(job.id);
+
+    if (processed.status === 'failed') {
+      return res.status(400).json({ error: processed.lastError, jobId: processed.id });
     }
-    // Also update Booking if exists
-    if (resolvedBookingId) {
-      await Booking.update({ invoiceId: invoice.id }, { where: { id: resolvedBookingId } });
+
+    if (processed.status !== 'completed') {
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        message: 'AFIP no respondió. La factura quedó en cola y se emitirá automáticamente',
+        job: formatInvoiceJob(processed)
+      });
     }
 
+    const invoice = await Invoice.findByPk(processed.invoiceId);
+
     res.json({
       success: true,
       message: 'Factura emitida exitosamente',
@@ -693,6 +716,9 @@ router.post('/facturas/:establishmentId', authenticateToken, async (req, res) =>
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, jobId: error.jobId });
+    }
     console.error('[ARCA] Error emitting invoice:', error);
     res.status(500).json({ error: error.message || 'Error al emitir factura' });
   }
@@ -801,6 +827,8 @@ router.post('/notas-credito/:establishmentId', authenticateToken, async (req, re
       });
     }
 
+    triggerInvoiceDelivery(notaCreditoDoc.id);
+
     res.json({
       success: true,
       message: 'Nota de crédito emitida exitosamente',
@@ -996,7 +1024,7 @@ router.get('/facturas/:establishmentId/:invoiceId/pdf', authenticateToken, async
     );
 
     // Set response headers
-    const filename = `${invoice.tipoComprobanteNombre.replace(/\s+/g, '_')}_${String(invoice.puntoVenta).padStart(5, '0')}-${String(invoice.numeroComprobante).padStart(8, '0')}.pdf`;
+    const filename = pdfService.getFilename(invoice);
     
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -1010,21 +1038,579 @@ router.get('/facturas/:establishmentId/:invoiceId/pdf', authenticateToken, async
   }
 });
 
+/**
+ * POST /api/arca/facturas/:establishmentId/:invoiceId/enviar
+ * Send the invoice PDF to the customer by email and/or WhatsApp.
+ * Body: { canales: ['email', 'whatsapp'], email?, telefono? } - without
+ * email/telefono the contact data of the sale's customer is used
+ */
+router.post('/facturas/:establishmentId/:invoiceId/enviar', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, invoiceId } = req.params;
+    const { canales, email, telefono } = req.body;
+
+    const results = await deliverInvoice(invoiceId, {
+      channels: Array.isArray(canales) ? canales : [canales].filter(Boolean),
+      email: email || null,
+      phone: telefono || null,
+      establishmentId
+    });
+
+    const invoice = await Invoice.findByPk(invoiceId, {
+      attributes: [
+        'id', 'emailStatus', 'emailTo', 'emailSentAt', 'emailError',
+        'whatsappStatus', 'whatsappTo', 'whatsappSentAt', 'whatsappError'
+      ]
+    });
+
+    const allSent = results.every(r => r.status === 'enviado');
+    res.json({
+      success: allSent,
+      message: allSent ? 'Comprobante enviado' : 'El comprobante no pudo enviarse por todos los canales',
+      envios: results,
+      invoice
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[ARCA] Error sending invoice:', error);
+    res.status(500).json({ error: 'Error al enviar el comprobante' });
+  }
+});
+
+// =====================================================
+// INVOICE QUEUE ENDPOINTS
+// =====================================================
+
+/**
+ * GET /api/arca/cola/:establishmentId
+ * Invoice emission queue: counts by status and the jobs that need attention
+ * (failed, retrying after errors, or stuck in processing)
+ */
+router.get('/cola/:establishmentId', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+
+    const counts = await InvoiceJob.findAll({
+      where: { establishmentId, status: { [Op.in]: ['pending', 'processing', 'failed'] } },
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    const resumen = { pending: 0, processing: 0, failed: 0 };
+    for (const row of counts) {
+      resumen[row.status] = parseInt(row.count);
+    }
+
+    const atascadas = await getStuckInvoiceJobs(establishmentId);
+
+    res.json({
+      success: true,
+      resumen,
+      atascadas: atascadas.map(job => ({
+        ...formatInvoiceJob(job),
+        order: job.order,
+        booking: job.booking,
+        puntoVenta: job.puntoVentaRef
+      }))
+    });
+
+  } catch (error) {
+    console.error('[ARCA] Error getting invoice queue:', error);
+    res.status(500).json({ error: 'Error al obtener la cola de facturas' });
+  }
+});
+
+/**
+ * POST /api/arca/cola/:establishmentId/:jobId/reintentar
+ * Retry a queued invoice now
+ */
+router.post('/cola/:establishmentId/:jobId/reintentar', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, jobId } = req.params;
+
+    const job = await InvoiceJob.findOne({ where: { id: jobId, establishmentId } });
+    if (!job) {
+      return res.status(404).json({ error: 'Factura en cola no encontrada' });
+    }
+
+    const processed = await retryInvoiceJob(job);
+
+    res.json({
+      success: processed.status === 'completed',
+      message: processed.status === 'completed'
+        ? 'Factura emitida exitosamente'
+        : 'No se pudo emitir la factura todavía',
+      job: formatInvoiceJob(processed)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[ARCA] Error retrying invoice job:', error);
+    res.status(500).json({ error: 'Error al reintentar la factura' });
+  }
+});
+
+/**
+ * POST /api/arca/cola/:establishmentId/:jobId/cancelar
+ * Drop a queued invoice that will not be emitted
+ */
+router.post('/cola/:establishmentId/:jobId/cancelar', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, jobId } = req.params;
+
+    const job = await InvoiceJob.findOne({ where: { id: jobId, establishmentId } });
+    if (!job) {
+      return res.status(404).json({ error: 'Factura en cola no encontrada' });
+    }
+
+    await cancelInvoiceJob(job);
+
+    res.json({
+      success: true,
+      message: 'Factura quitada de la cola',
+      job: formatInvoiceJob(job)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[ARCA] Error cancelling invoice job:', error);
+    res.status(500).json({ error: 'Error al cancelar la factura en cola' });
+  }
+});
+
+// =====================================================
+// AUTOMATIC INVOICING RULES ENDPOINTS
+// =====================================================
+
+/**
+ * GET /api/arca/reglas-facturacion/:establishmentId
+ * List automatic invoicing rules (in evaluation order)
+ */
+router.get('/reglas-facturacion/:establishmentId', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+
+    const reglas = await InvoicingRule.findAll({
+      where: { establishmentId },
+      include: [{
+        model: EstablishmentAfipPuntoVenta,
+        as: 'puntoVentaRef',
+        attributes: ['id', 'numero', 'descripcion']
+      }],
+      order: [['priority', 'DESC'], ['created_at', 'ASC']]
+    });
+
+    res.json({ success: true, reglas });
+
+  } catch (error) {
+    console.error('[ARCA] Error getting invoicing rules:', error);
+    res.status(500).json({ error: 'Error al obtener las reglas de facturación' });
+  }
+});
+
+/**
+ * POST /api/arca/reglas-facturacion/:establishmentId
+ * Create an automatic invoicing rule
+ * Body: { name, appliesTo, condition, paymentMethods?, minAmount?, puntoVentaId?, puntoVentaByPaymentMethod?, priority?, isActive? }
+ */
+router.post('/reglas-facturacion/:establishmentId', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+
+    const data = await validateInvoicingRule(establishmentId, req.body);
+
+    const regla = await InvoicingRule.create({
+      ...data,
+      establishmentId,
+      createdById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Regla de facturación creada',
+      regla
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[ARCA] Error creating invoicing rule:', error);
+    res.status(500).json({ error: 'Error al crear la regla de facturación' });
+  }
+});
+
+/**
+ * PUT /api/arca/reglas-facturacion/:establishmentId/:ruleId
+ * Update an automatic invoicing rule
+ */
+router.put('/reglas-facturacion/:establishmentId/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, ruleId } = req.params;
+
+    const regla = await InvoicingRule.findOne({ where: { id: ruleId, establishmentId } });
+    if (!regla) {
+      return res.status(404).json({ error: 'Regla de facturación no encontrada' });
+    }
+
+    const data = await validateInvoicingRule(establishmentId, { ...regla.toJSON(), ...req.body });
+    await regla.update(data);
+
+    res.json({
+      success: true,
+      message: 'Regla de facturación actualizada',
+      regla
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[ARCA] Error updating invoicing rule:', error);
+    res.status(500).json({ error: 'Error al actualizar la regla de facturación' });
+  }
+});
+
+/**
+ * DELETE /api/arca/reglas-facturacion/:establishmentId/:ruleId
+ * Delete an automatic invoicing rule
+ */
+router.delete('/reglas-facturacion/:establishmentId/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, ruleId } = req.params;
+
+    const deleted = await InvoicingRule.destroy({ where: { id: ruleId, establishmentId } });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Regla de facturación no encontrada' });
+    }
+
+    res.json({ success: true, message: 'Regla de facturación eliminada' });
+
+  } catch (error) {
+    console.error('[ARCA] Error deleting invoicing rule:', error);
+    res.status(500).json({ error: 'Error al eliminar la regla de facturación' });
+  }
+});
+
+// =====================================================
+// CAEA (CONTINGENCY) ENDPOINTS
+// =====================================================
+
+/**
+ * GET /api/arca/caea/:establishmentId
+ * CAEAs of the contingency puntos de venta and comprobantes pending report
+ */
+router.get('/caea/:establishmentId', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+
+    const caeas = await EstablishmentAfipCaea.findAll({
+      where: { establishmentId },
+      include: [{
+        model: EstablishmentAfipPuntoVenta,
+        as: 'puntoVentaRef',
+        attributes: ['id', 'numero', 'descripcion']
+      }],
+      order: [['periodo', 'DESC'], ['orden', 'DESC']],
+      limit: 24
+    });
+
+    const usage = await Invoice.findAll({
+      where: { establishmentId, modoAutorizacion: 'CAEA' },
+      attributes: [
+        'caeaId',
+        'caeaInformeEstado',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      group: ['caeaId', 'caeaInformeEstado'],
+      raw: true
+    });
+
+    const informes = { pendiente: 0, informado: 0, rechazado: 0 };
+    const usageByCaea = {};
+    for (const row of usage) {
+      const count = parseInt(row.count);
+      informes[row.caeaInformeEstado] += count;
+      usageByCaea[row.caeaId] = usageByCaea[row.caeaId] || { pendiente: 0, informado: 0, rechazado: 0 };
+      usageByCaea[row.caeaId][row.caeaInformeEstado] += count;
+    }
+
+    const rechazados = await Invoice.findAll({
+      where: { establishmentId, modoAutorizacion: 'CAEA', caeaInformeEstado: 'rechazado' },
+      attributes: ['id', 'tipoComprobanteNombre', 'puntoVenta', 'numeroComprobante', 'fechaEmision', 'importeTotal', 'caeaInformeError'],
+      order: [['fechaEmision', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      informes,
+      caeas: caeas.map(caea => ({
+        id: caea.id,
+        caea: caea.caea,
+        periodo: caea.periodo,
+        orden: caea.orden,
+        fchVigDesde: caea.fchVigDesde,
+        fchVigHasta: caea.fchVigHasta,
+        fchTopeInf: caea.fchTopeInf,
+        sinMovimientoInformadoAt: caea.sinMovimientoInformadoAt,
+        puntoVenta: caea.puntoVentaRef,
+        comprobantes: usageByCaea[caea.id] || { pendiente: 0, informado: 0, rechazado: 0 }
+      })),
+      rechazados
+    });
+
+  } catch (error) {
+    console.error('[ARCA] Error getting CAEAs:', error);
+    res.status(500).json({ error: 'Error al obtener los CAEA' });
+  }
+});
+
+/**
+ * POST /api/arca/caea/:establishmentId/solicitar
+ * Request the CAEA of a fortnight for a contingency punto de venta
+ * Body: { puntoVentaId, periodo?: YYYYMM, orden?: 1|2 } (defaults to the current fortnight)
+ */
+router.post('/caea/:establishmentId/solicitar', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+    const { puntoVentaId } = req.body;
+
+    const puntoVenta = await EstablishmentAfipPuntoVenta.findOne({
+      where: { id: puntoVentaId, establishmentId, esContingencia: true, isActive: true }
+    });
+    if (!puntoVenta) {
+      return res.status(404).json({ error: 'Punto de venta de contingencia no encontrado' });
+    }
+
+    const current = fortnightOf(new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString().slice(0, 10));
+    const periodo = parseInt(req.body.periodo) || current.periodo;
+    const orden = parseInt(req.body.orden) || current.orden;
+    if (!/^\d{6}$/.test(String(periodo)) || ![1, 2].includes(orden)) {
+      return res.status(400).json({ error: 'Período (AAAAMM) u orden (1 o 2) inválido' });
+    }
+
+    const caea = await solicitarCaea(puntoVenta, periodo, orden);
+
+    res.json({
+      success: true,
+      message: `CAEA ${caea.caea} vigente del ${caea.fchVigDesde} al ${caea.fchVigHasta}`,
+      caea
+    });
+
+  } catch (error) {
+    console.error('[ARCA] Error requesting CAEA:', error);
+    res.status(500).json({ error: error.message || 'Error al solicitar el CAEA' });
+  }
+});
+
+/**
+ * POST /api/arca/caea/:establishmentId/informar
+ * Report now the CAEA comprobantes pending (rejected ones are retried too)
+ */
+router.post('/caea/:establishmentId/informar', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+
+    await Invoice.update(
+      { caeaInformeEstado: 'pendiente' },
+      { where: { establishmentId, modoAutorizacion: 'CAEA', caeaInformeEstado: 'rechazado' } }
+    );
+
+    const resultado = await informarComprobantesPendientes({ establishmentId });
+
+    res.json({
+      success: resultado.rechazados === 0 && resultado.pendientes === 0,
+      ...resultado
+    });
+
+  } catch (error) {
+    console.error('[ARCA] Error reporting CAEA comprobantes:', error);
+    res.status(500).json({ error: 'Error al informar los comprobantes CAEA' });
+  }
+});
+
+// =====================================================
+// LIBRO IVA DIGITAL ENDPOINTS
+// =====================================================
+
+/**
+ * GET /api/arca/libro-iva/:establishmentId/:periodo
+ * Monthly sales/purchases tax book (periodo = YYYYMM): summary per alícuota,
+ * comprobante counts and purchases missing fiscal data
+ */
+router.get('/libro-iva/:establishmentId/:periodo', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, periodo } = req.params;
+
+    const libro = await libroIvaService.buildLibroIva(establishmentId, periodo);
+
+    res.json({
+      success: true,
+      periodo: libro.periodo,
+      desde: libro.desde,
+      hasta: libro.hasta,
+      ventas: libro.ventas.length,
+      compras: libro.compras.length,
+      resumen: libroIvaService.resumenPorAlicuota(libro),
+      incompletos: libro.incompletos,
+      archivos: libroIvaService.ARCHIVOS
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[ARCA] Error building Libro IVA:', error);
+    res.status(500).json({ error: 'Error al generar el Libro IVA' });
+  }
+});
+
+/**
+ * GET /api/arca/libro-iva/:establishmentId/:periodo/resumen?formato=csv|xlsx
+ * Summary per alícuota (XLSX also includes the detail of each book)
+ */
+router.get('/libro-iva/:establishmentId/:periodo/resumen', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, periodo } = req.params;
+    const { formato = 'xlsx' } = req.query;
+
+    if (!['csv', 'xlsx'].includes(formato)) {
+      return res.status(400).json({ error: 'Formato inválido. Opciones: csv, xlsx' });
+    }
+
+    const libro = await libroIvaService.buildLibroIva(establishmentId, periodo);
+    const filename = `libro_iva_${libro.periodo}`;
+
+    if (formato === 'csv') {
+      const csvUtils = require('../utils/csvGenerator');
+      return csvUtils.sendCSVResponse(res, libroIvaService.buildResumenCsv(libro), `${filename}.csv`);
+    }
+
+    const buffer = await libroIvaService.buildResumenXlsx(libro);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    res.send(Buffer.from(buffer));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[ARCA] Error exporting Libro IVA summary:', error);
+    res.status(500).json({ error: 'Error al exportar el resumen del Libro IVA' });
+  }
+});
+
+/**
+ * GET /api/arca/libro-iva/:establishmentId/:periodo/:archivo
+ * Fixed-width Libro IVA Digital file to import in AFIP
+ * archivo: ventas-cbte | ventas-alicuotas | compras-cbte | compras-alicuotas
+ */
+router.get('/libro-iva/:establishmentId/:periodo/:archivo', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, periodo, archivo } = req.params;
+
+    if (!libroIvaService.ARCHIVOS.includes(archivo)) {
+      return res.status(400).json({ error: `Archivo inválido. Opciones: ${libroIvaService.ARCHIVOS.join(', ')}` });
+    }
+
+    const libro = await libroIvaService.buildLibroIva(establishmentId, periodo);
+    const { filename, content } = libroIvaService.buildArchivo(libro, archivo);
+
+    res.setHeader('Content-Type', 'text/plain; charset=us-ascii');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(content);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[ARCA] Error exporting Libro IVA file:', error);
+    res.status(500).json({ error: 'Error al exportar el archivo del Libro IVA' });
+  }
+});
+
 // =====================================================
 // HELPER METHODS
 // =====================================================
 
 /**
- * Parse AFIP date format (YYYYMMDD) to ISO date
+ * Validate and normalize an invoicing rule. Throws errors with .status.
  */
-function parseAFIPDate(dateStr) {
-  if (!dateStr) return null;
-  
-  if (/^\d{8}$/.test(dateStr)) {
-    return `${dateStr.slice(0, 4)}-${dateStr.slice(4, 6)}-${dateStr.slice(6, 8)}`;
+async function validateInvoicingRule(establishmentId, body) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+
+  const data = {
+    name: body.name,
+    appliesTo: body.appliesTo || 'all',
+    condition: body.condition || 'always',
+    paymentMethods: Array.isArray(body.paymentMethods) ? body.paymentMethods : [],
+    minAmount: body.minAmount !== undefined && body.minAmount !== null && body.minAmount !== '' ? parseFloat(body.minAmount) : null,
+    puntoVentaId: body.puntoVentaId || null,
+    puntoVentaByPaymentMethod: body.puntoVentaByPaymentMethod || {},
+    priority: parseInt(body.priority) || 0,
+    isActive: body.isActive !== undefined ? !!body.isActive : true
+  };
+
+  if (!data.name) fail('El nombre de la regla es obligatorio');
+  if (!['all', 'orders', 'bookings'].includes(data.appliesTo)) fail('appliesTo inválido (all, orders, bookings)');
+  if (!['always', 'payment_methods', 'min_amount'].includes(data.condition)) {
+    fail('Condición inválida (always, payment_methods, min_amount)');
+  }
+  if (data.condition === 'payment_methods' && data.paymentMethods.length === 0) {
+    fail('Indicá al menos un medio de pago');
   }
-  
-  return dateStr;
+  if (data.condition === 'min_amount' && !(data.minAmount > 0)) {
+    fail('Indicá un monto mínimo mayor a 0');
+  }
+  if (typeof data.puntoVentaByPaymentMethod !== 'object' || Array.isArray(data.puntoVentaByPaymentMethod)) {
+    fail('puntoVentaByPaymentMethod debe ser un objeto { medioDePago: puntoVentaId }');
+  }
+
+  // Every punto de venta must be an active, non-contingency one of the establishment
+  const puntoVentaIds = [...new Set([data.puntoVentaId, ...Object.values(data.puntoVentaByPaymentMethod)].filter(Boolean))];
+  if (puntoVentaIds.length) {
+    const found = await EstablishmentAfipPuntoVenta.count({
+      where: { id: { [Op.in]: puntoVentaIds }, establishmentId, isActive: true, esContingencia: false }
+    });
+    if (found !== puntoVentaIds.length) fail('Punto de venta inválido para este establecimiento');
+  }
+
+  return data;
+}
+
+/**
+ * Public shape of a queued invoice job
+ */
+function formatInvoiceJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.nextAttemptAt,
+    lastAttemptAt: job.lastAttemptAt,
+    lastError: job.lastError,
+    orderId: job.orderId,
+    bookingId: job.bookingId,
+    total: job.payload?.total,
+    cliente: job.payload?.cliente?.nombre || 'Consumidor Final',
+    awaitingAfipConfirmation: !!job.numeroComprobante,
+    invoiceId: job.invoiceId,
+    createdAt: job.created_at || job.createdAt
+  };
 }
 
 module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const { BookingConsumption, Booking, Product, Establishment, User } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { moveProductStock } = require('../services/compositeProducts');
 
 // Get consumptions for a booking
 router.get('/booking/:bookingId', authenticateToken, async (req, res) => {
@@ -120,39 +122,27 @@ router.post('/', authenticateToken, async (req, res) => {
     const unitPrice = parseFloat(product.salePrice);
     const totalPrice = unitPrice * quantity;
 
-    // Create consumption
-    const consumption = await BookingConsumption.create({
-      bookingId,
-      productId,
-      establishmentId: booking.establishmentId,
-      quantity,
-      unitPrice,
-      totalPrice,
-      notes: notes || null,
-      addedBy: req.user.id
-    });
-
-    // Update product stock if tracked
-    if (product.trackStock) {
-      await product.update({
-        currentStock: product.currentStock - quantity
-      });
-
-      // Create stock movement
-      const StockMovement = require('../models').StockMovement;
-      await StockMovement.create({
-        establishmentId: booking.establishmentId,
+    // Create consumption and update stock (combos and prepared products deduct their components)
+    const consumption = await sequelize.transaction(async (transaction) => {
+      const created = await BookingConsumption.create({
+        bookingId,
         productId,
+        establishmentId: booking.establishmentId,
+        quantity,
+        unitPrice,
+        totalPrice,
+        notes: notes || null,
+        addedBy: req.user.id
+      }, { transaction });
+
+      await moveProductStock(product, -quantity, {
         type: 'venta',
-        quantity: -quantity,
-        previousStock: product.currentStock + quantity,
-        newStock: product.currentStock,
-        unitCost: product.costPrice,
-        totalCost: product.costPrice * quantity,
         notes: `Venta en reserva #${booking.id.substring(0, 8)}`,
         userId: req.user.id
-      });
-    }
+      }, transaction);
+
+      return created;
+    });
 
     // Return the created consumption with product info (without problematic JOINs)
     const ProductCategory = require('../models').ProductCategory;
@@ -229,33 +219,20 @@ router.put('/:id', authenticateToken, async (req, res) => {
     // Stock can go negative - no validation needed when increasing quantity
     // This allows sales even when stock entry hasn't been recorded yet
 
-    // Update consumption
+    // Update consumption and product stock
     const totalPrice = parseFloat(consumption.unitPrice) * quantity;
-    await BookingConsumption.update(
-      { quantity, totalPrice },
-      { where: { id } }
-    );
-
-    // Update product stock if tracked
-    if (product.trackStock && quantityDiff !== 0) {
-      const newStock = product.currentStock - quantityDiff;
-      await product.update({ currentStock: newStock });
+    await sequelize.transaction(async (transaction) => {
+      await BookingConsumption.update(
+        { quantity, totalPrice },
+        { where: { id }, transaction }
+      );
 
-      // Create stock movement
-      const StockMovement = require('../models').StockMovement;
-      await StockMovement.create({
-        establishmentId: consumption.establishmentId,
-        productId: consumption.productId,
+      await moveProductStock(product, -quantityDiff, {
         type: quantityDiff > 0 ? 'venta' : 'ajuste',
-        quantity: -quantityDiff,
-        previousStock: product.currentStock,
-        newStock: newStock,
-        unitCost: product.costPrice,
-        totalCost: Math.abs(product.costPrice * quantityDiff),
         notes: `Ajuste de consumo en reserva #${consumption.bookingId.substring(0, 8)}`,
         userId: req.user.id
-      });
-    }
+      }, transaction);
+    });
 
     // Return updated consumption
     const ProductCategory = require('../models').ProductCategory;
@@ -313,28 +290,18 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     // Get product
     const product = await Product.findByPk(consumption.productId);
 
-    // Restore product stock if tracked
-    if (product && product.trackStock) {
-      const newStock = product.currentStock + consumption.quantity;
-      await product.update({ currentStock: newStock });
-
-      // Create stock movement
-      const StockMovement = require('../models').StockMovement;
-      await StockMovement.create({
-        establishmentId: consumption.establishmentId,
-        productId: consumption.productId,
-        type: 'ajuste',
-        quantity: consumption.quantity,
-        previousStock: product.currentStock,
-        newStock: newStock,
-        unitCost: product.costPrice,
-        totalCost: product.costPrice * consumption.quantity,
-        notes: `Eliminación de consumo en reserva #${consumption.bookingId.substring(0, 8)}`,
-        userId: req.user.id
-      });
-    }
+    // Restore product stock and delete the consumption
+    await sequelize.transaction(async (transaction) => {
+      if (product) {
+        await moveProductStock(product, consumption.quantity, {
+          type: 'ajuste',
+          notes: `Eliminación de consumo en reserva #${consumption.bookingId.substring(0, 8)}`,
+          userId: req.user.id
+        }, transaction);
+      }
 
-    await BookingConsumption.destroy({ where: { id } });
+      await BookingConsumption.destroy({ where: { id }, transaction });
+    });
 
     res.json({ message: 'Consumption deleted successfully' });
   } catch (error) {
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { BookingReminder, Booking, Establishment, Court } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { findReminderByToken, respondToReminder, normalizeReminderRules } = require('../services/bookingReminders');
+const { previewCancellation } = require('../services/cancellationPolicy');
+
+const canAccessEstablishment = async (user, establishmentId) => {
+  if (user.userType === 'superadmin' || user.userType === 'admin') return true;
+  if (user.isStaff && user.establishmentId === establishmentId) return true;
+  const establishment = await Establishment.findByPk(establishmentId, { attributes: ['id', 'userId'] });
+  return !!establishment && establishment.userId === user.id;
+};
+
+/**
+ * GET /api/booking-reminders/establishment/:establishmentId
+ * Reminder history of an establishment
+ * Query: { startDate?, endDate?, status?, channel?, page?, limit? }
+ */
+router.get('/establishment/:establishmentId', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+    const { startDate, endDate, status, channel, page = 1, limit = 50 } = req.query;
+
+    if (!(await canAccessEstablishment(req.user, establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const where = { establishmentId };
+    if (status) where.status = status;
+    if (channel) where.channel = channel;
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt[Op.gte] = new Date(`${startDate}T00:00:00-03:00`);
+      if (endDate) where.createdAt[Op.lte] = new Date(`${endDate}T23:59:59-03:00`);
+    }
+
+    const { count, rows } = await BookingReminder.findAndCountAll({
+      where,
+      attributes: { exclude: ['actionToken'] },
+      include: [{
+        model: Booking,
+        as: 'booking',
+        attributes: ['id', 'date', 'startTime', 'endTime', 'status', 'clientName', 'attendanceConfirmedAt'],
+        include: [{ model: Court, as: 'court', attributes: ['id', 'name'] }]
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    const establishment = await Establishment.findByPk(establishmentId, {
+      attributes: ['remindersEnabled', 'reminderRules']
+    });
+
+    res.json({
+      success: true,
+      settings: {
+        remindersEnabled: establishment?.remindersEnabled,
+        reminderRules: normalizeReminderRules(establishment?.reminderRules)
+      },
+      reminders: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching booking reminders:', error);
+    res.status(500).json({ error: 'Failed to fetch booking reminders' });
+  }
+});
+
+/**
+ * GET /api/booking-reminders/booking/:bookingId
+ * Reminders sent for a booking
+ */
+router.get('/booking/:bookingId', authenticateToken, async (req, res) => {
+  try {
+    const booking = await Booking.findByPk(req.params.bookingId, {
+      attributes: ['id', 'userId', 'establishmentId', 'attendanceConfirmedAt']
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (booking.userId !== req.user.id && !(await canAccessEstablishment(req.user, booking.establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const reminders = await BookingReminder.findAll({
+      where: { bookingId: booking.id },
+      attributes: { exclude: ['actionToken'] },
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      attendanceConfirmedAt: booking.attendanceConfirmedAt,
+      reminders
+    });
+  } catch (error) {
+    console.error('Error fetching booking reminders:', error);
+    res.status(500).json({ error: 'Failed to fetch booking reminders' });
+  }
+});
+
+/**
+ * GET /api/booking-reminders/:token
+ * Booking details for the confirm/cancel page linked from the reminder,
+ * including what cancelling would cost (refund, credit or debt)
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const reminder = await findReminderByToken(req.params.token);
+    const { booking } = reminder;
+
+    let cancellationPreview = null;
+    if (['pending', 'confirmed'].includes(booking.status)) {
+      const establishment = await Establishment.findByPk(booking.establishmentId);
+      cancellationPreview = await previewCancellation(booking, establishment);
+      delete cancellationPreview.mpRefunds;
+    }
+
+    res.json({
+      success: true,
+      booking: {
+        id: booking.id,
+        date: booking.date,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        status: booking.status,
+        attendanceConfirmedAt: booking.attendanceConfirmedAt,
+        court: booking.court || booking.amenity,
+        establishment: booking.establishment
+      },
+      response: reminder.response,
+      cancellationPreview
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching reminder:', error);
+    res.status(500).json({ error: 'Failed to fetch reminder' });
+  }
+});
+
+/**
+ * POST /api/booking-reminders/:token/confirm
+ * Client confirms attendance from the reminder
+ */
+router.post('/:token/confirm', async (req, res) => {
+  try {
+    const { booking } = await respondToReminder(req.params.token, 'confirm');
+    res.json({
+      success: true,
+      message: '¡Gracias! Confirmaste tu asistencia',
+      bookingId: booking.id
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error confirming booking from reminder:', error);
+    res.status(500).json({ error: 'Failed to confirm booking' });
+  }
+});
+
+/**
+ * POST /api/booking-reminders/:token/cancel
+ * Client cancels the booking from the reminder
+ */
+router.post('/:token/cancel', async (req, res) => {
+  try {
+    const { booking, cancellation } = await respondToReminder(req.params.token, 'cancel');
+    res.json({
+      success: true,
+      message: 'Tu reserva fue cancelada',
+      bookingId: booking.id,
+      cancellation
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error cancelling booking from reminder:', error);
+    res.status(500).json({ error: 'Failed to cancel booking' });
+  }
+});
+
+module.exports = router;
@@ -3,14 +3,19 @@ const { body, query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
 const qrService = require('../services/qrcode');
-const { Booking, Court, Establishment, BookingPayment } = require('../models');
+const { Booking, Court, Establishment, BookingPayment, sequelize } = require('../models');
 const { getUserActiveCashRegister, registerSaleMovement } = require('../utils/cashRegisterHelper');
+const { isStoreCreditMethod, spendCredit } = require('../services/clientCredits');
+const { resolveDebtorEmail } = require('../services/clientDebts');
+const { consumeMembershipSession } = require('../services/memberships');
+const { triggerAutoInvoice } = require('../services/arca/autoInvoicingService');
 const {
   createBooking,
   getBookings,
   getBookingById,
   updateBooking,
   cancelBooking,
+  getCancellationPreview,
   getEstablishmentBookings,
   checkRecurringAvailability,
   exportBookingsToCSV
@@ -419,6 +424,7 @@ router.post('/', createBookingValidation, handleValidationErrors, createBooking)
 // Export bookings to CSV - MUST be before /:id route
 router.get('/export', exportBookingsToCSV);
 
+router.get('/:id/cancellation-preview', getCancellationPreview);
 router.get('/:id', getBookingById);
 router.put('/:id', updateBookingValidation, handleValidationErrors, updateBooking);
 router.delete('/:id', cancelBooking);
@@ -630,6 +636,9 @@ router.post('/checkin/:bookingId/complete', async (req, res) => {
       startedAt: new Date()
     });
 
+    // Take the turn from the client's pack/membership, if any
+    const membership = await consumeMembershipSession(booking);
+
     // Create an Order for this booking (booking_consumption type)
     let order = null;
     try {
@@ -672,7 +681,14 @@ router.post('/checkin/:bookingId/complete', async (req, res) => {
         status: 'in_progress',
         startedAt: booking.startedAt
       },
-      order: order ? { id: order.id } : null
+      order: order ? { id: order.id } : null,
+      membership: membership ? {
+        id: membership.id,
+        planName: membership.planName,
+        sessionsUsed: membership.sessionsUsed,
+        sessionsTotal: membership.sessionsTotal,
+        status: membership.status
+      } : null
     });
   } catch (error) {
     console.error('Error completing booking:', error);
@@ -733,18 +749,6 @@ router.post('/:bookingId/payments', authenticateToken, async (req, res) => {
       });
     }
 
-    // Create payment record (declared = payment from sidebar, not initial deposit)
-    const payment = await BookingPayment.create({
-      bookingId,
-      amount: parseFloat(amount),
-      method,
-      playerName: playerName || null,
-      notes: notes || null,
-      paymentType: 'declared',
-      registeredBy: userId,
-      paidAt: new Date()
-    });
-
     const newDepositAmount = currentDeposit + parseFloat(amount);
     const newPendingAmount = totalAmount - newDepositAmount;
 
@@ -759,20 +763,59 @@ router.post('/:bookingId/payments', authenticateToken, async (req, res) => {
       updateData.paidAt = new Date();
     }
 
-    await booking.update(updateData);
-
-    // Register in cash register if user has one open
+    const clientEmail = isStoreCreditMethod(method) ? await resolveDebtorEmail(booking) : null;
     const cashRegister = await getUserActiveCashRegister(userId, booking.establishmentId);
-    if (cashRegister) {
-      await registerSaleMovement({
-        cashRegisterId: cashRegister.id,
-        establishmentId: booking.establishmentId,
-        bookingId: booking.id,
+
+    // The wallet debit, the payment and its cash movement are recorded together
+    const payment = await sequelize.transaction(async (transaction) => {
+      // Paying with store credit uses the client's wallet balance
+      if (isStoreCreditMethod(method)) {
+        await spendCredit({
+          establishmentId: booking.establishmentId,
+          clientId: booking.clientId,
+          userId: booking.userId,
+          clientEmail,
+          amount,
+          bookingId: booking.id,
+          description: `Pago de reserva del ${booking.date} a las ${booking.startTime.slice(0, 5)}`,
+          registeredBy: userId,
+          transaction
+        });
+      }
+
+      // Create payment record (declared = payment from sidebar, not initial deposit)
+      const created = await BookingPayment.create({
+        bookingId,
         amount: parseFloat(amount),
-        paymentMethod: method,
-        description: `Pago de reserva - ${booking.guestName || 'Cliente'}`,
-        registeredBy: userId
-      });
+        method,
+        playerName: playerName || null,
+        notes: notes || null,
+        paymentType: 'declared',
+        registeredBy: userId,
+        paidAt: new Date()
+      }, { transaction });
+
+      await booking.update(updateData, { transaction });
+
+      // Register in cash register if user has one open
+      if (cashRegister) {
+        await registerSaleMovement({
+          cashRegisterId: cashRegister.id,
+          establishmentId: booking.establishmentId,
+          bookingId: booking.id,
+          amount: parseFloat(amount),
+          paymentMethod: method,
+          description: `Pago de reserva - ${booking.guestName || 'Cliente'}`,
+          registeredBy: userId
+        }, transaction);
+      }
+
+      return created;
+    });
+
+    // Balance paid after checkout: invoice it now
+    if (booking.status === 'completed') {
+      triggerAutoInvoice('booking', booking.id, userId);
     }
 
     // Get all payments for this booking
@@ -809,6 +852,9 @@ router.post('/:bookingId/payments', authenticateToken, async (req, res) => {
       }))
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, balance: error.balance });
+    }
     console.error('Error registering payment:', error.message);
     console.error('Stack:', error.stack);
     res.status(500).json({ error: 'Error al registrar el pago', details: error.message });
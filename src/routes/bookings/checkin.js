@@ -3,6 +3,8 @@ const router = express.Router();
 const { Booking, Court, Establishment, User } = require('../../models');
 const { authenticateToken, optionalAuth } = require('../../middleware/auth');
 const qrService = require('../../services/qrcode');
+const { consumeMembershipSession } = require('../../services/memberships');
+const { triggerAutoInvoice } = require('../../services/arca/autoInvoicingService');
 
 /**
  * GET /api/bookings/checkin/:bookingId
@@ -135,6 +137,12 @@ router.post('/:bookingId/complete', authenticateToken, async (req, res) => {
       completedAt: new Date()
     });
 
+    // Take the turn from the client's pack/membership, if any
+    const membership = await consumeMembershipSession(booking);
+
+    // Checkout: invoice the booking if the establishment's invoicing rules say so
+    triggerAutoInvoice('booking', booking.id, userId);
+
     res.json({
       success: true,
       message: 'Reserva completada exitosamente',
@@ -142,7 +150,14 @@ router.post('/:bookingId/complete', authenticateToken, async (req, res) => {
         id: booking.id,
         status: 'completed',
         completedAt: booking.completedAt
-      }
+      },
+      membership: membership ? {
+        id: membership.id,
+        planName: membership.planName,
+        sessionsUsed: membership.sessionsUsed,
+        sessionsTotal: membership.sessionsTotal,
+        status: membership.status
+      } : null
     });
 
   } catch (error) {
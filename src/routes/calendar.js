@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { Booking, Court, Amenity, Establishment } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  findOrCreateFeed,
+  regenerateFeedToken,
+  getFeedUrls,
+  renderFeed,
+  buildBookingInvite
+} = require('../services/calendar');
+
+const canAccessEstablishment = async (user, establishmentId) => {
+  if (user.userType === 'superadmin' || user.userType === 'admin') return true;
+  if (user.isStaff && user.establishmentId === establishmentId) return true;
+  const establishment = await Establishment.findByPk(establishmentId, { attributes: ['id', 'userId'] });
+  return !!establishment && establishment.userId === user.id;
+};
+
+const sendIcs = (res, ics, filename) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(ics);
+};
+
+/**
+ * GET /api/calendar/feeds/:token.ics
+ * Subscribable iCal feed (Google Calendar, Outlook, Apple Calendar).
+ * Public: the secret token in the URL is the only credential
+ */
+router.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const result = await renderFeed(req.params.token);
+    if (!result) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+    sendIcs(res, result.ics, 'miscanchas.ics');
+  } catch (error) {
+    console.error('Error rendering calendar feed:', error);
+    res.status(500).json({ error: 'Failed to render calendar feed' });
+  }
+});
+
+/**
+ * GET /api/calendar/my-feed
+ * Subscription URL of the current user's bookings and matches
+ */
+router.get('/my-feed', authenticateToken, async (req, res) => {
+  try {
+    const feed = await findOrCreateFeed(
+      { feedType: 'user', userId: req.user.id },
+      { createdBy: req.user.id }
+    );
+    res.json({ success: true, feed: { id: feed.id, ...getFeedUrls(feed), lastAccessedAt: feed.lastAccessedAt } });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+/**
+ * POST /api/calendar/my-feed/regenerate
+ * New secret URL for the current user's feed; the previous one stops working
+ */
+router.post('/my-feed/regenerate', authenticateToken, async (req, res) => {
+  try {
+    const feed = await findOrCreateFeed(
+      { feedType: 'user', userId: req.user.id },
+      { createdBy: req.user.id }
+    );
+    await regenerateFeedToken(feed);
+    res.json({ success: true, feed: { id: feed.id, ...getFeedUrls(feed), lastAccessedAt: feed.lastAccessedAt } });
+  } catch (error) {
+    console.error('Error regenerating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to regenerate calendar feed' });
+  }
+});
+
+/**
+ * GET /api/calendar/courts/:courtId/feed
+ * Subscription URL of every booking and match on a court (establishment staff)
+ */
+router.get('/courts/:courtId/feed', authenticateToken, async (req, res) => {
+  try {
+    const court = await Court.findByPk(req.params.courtId, { attributes: ['id', 'establishmentId'] });
+    if (!court) {
+      return res.status(404).json({ error: 'Court not found' });
+    }
+    if (!(await canAccessEstablishment(req.user, court.establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const feed = await findOrCreateFeed(
+      { feedType: 'court', courtId: court.id },
+      { establishmentId: court.establishmentId, createdBy: req.user.id }
+    );
+    res.json({ success: true, feed: { id: feed.id, ...getFeedUrls(feed), lastAccessedAt: feed.lastAccessedAt } });
+  } catch (error) {
+    console.error('Error fetching court calendar feed:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+/**
+ * POST /api/calendar/courts/:courtId/feed/regenerate
+ * New secret URL for a court feed; the previous one stops working
+ */
+router.post('/courts/:courtId/feed/regenerate', authenticateToken, async (req, res) => {
+  try {
+    const court = await Court.findByPk(req.params.courtId, { attributes: ['id', 'establishmentId'] });
+    if (!court) {
+      return res.status(404).json({ error: 'Court not found' });
+    }
+    if (!(await canAccessEstablishment(req.user, court.establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const feed = await findOrCreateFeed(
+      { feedType: 'court', courtId: court.id },
+      { establishmentId: court.establishmentId, createdBy: req.user.id }
+    );
+    await regenerateFeedToken(feed);
+    res.json({ success: true, feed: { id: feed.id, ...getFeedUrls(feed), lastAccessedAt: feed.lastAccessedAt } });
+  } catch (error) {
+    console.error('Error regenerating court calendar feed:', error);
+    res.status(500).json({ error: 'Failed to regenerate calendar feed' });
+  }
+});
+
+/**
+ * GET /api/calendar/bookings/:bookingId.ics
+ * Download a single booking as an .ics file ("Agregar al calendario")
+ */
+router.get('/bookings/:bookingId.ics', authenticateToken, async (req, res) => {
+  try {
+    const booking = await Booking.findByPk(req.params.bookingId, {
+      include: [
+        { model: Court, as: 'court', attributes: ['id', 'name'] },
+        { model: Amenity, as: 'amenity', attributes: ['id', 'name'] },
+        { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'address', 'city'] }
+      ]
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (booking.userId !== req.user.id && !(await canAccessEstablishment(req.user, booking.establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const ics = buildBookingInvite(booking, booking.establishment, booking.court || booking.amenity, 'PUBLISH');
+    sendIcs(res, ics, `reserva-${booking.date}.ics`);
+  } catch (error) {
+    console.error('Error exporting booking to calendar:', error);
+    res.status(500).json({ error: 'Failed to export booking' });
+  }
+});
+
+module.exports = router;
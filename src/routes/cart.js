@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { BookingCart, Establishment } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getCart,
+  createCart,
+  addItem,
+  removeItem,
+  abandonCart,
+  checkoutCart
+} = require('../services/bookingCart');
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const itemValidation = [
+  body('type').isIn(['court', 'amenity', 'product']).withMessage('type must be court, amenity or product'),
+  body('courtId').if(body('type').equals('court')).isUUID().withMessage('Valid court ID required'),
+  body('amenityId').if(body('type').equals('amenity')).isUUID().withMessage('Valid amenity ID required'),
+  body('productId').if(body('type').equals('product')).isUUID().withMessage('Valid product ID required'),
+  body('date').if(body('type').not().equals('product')).isISO8601().withMessage('Valid date required'),
+  body('startTime').if(body('type').not().equals('product')).matches(/^\d{2}:\d{2}$/).withMessage('startTime must be HH:MM'),
+  body('endTime').optional().matches(/^\d{2}:\d{2}$/).withMessage('endTime must be HH:MM'),
+  body('duration').optional().isInt({ min: 30, max: 240 }).withMessage('Duration must be 30-240 minutes'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+];
+
+/**
+ * Whether the user runs the establishment (owner, its staff or superadmin)
+ */
+const managesEstablishment = async (user, establishmentId) => {
+  if (user.userType === 'superadmin') return true;
+  if (user.isStaff) return user.establishmentId === establishmentId;
+  const establishment = await Establishment.findByPk(establishmentId, { attributes: ['id', 'userId'] });
+  return establishment?.userId === user.id;
+};
+
+/**
+ * Load a cart the user can see: their own, or any cart of an establishment they run
+ */
+const loadCart = async (req, res, next) => {
+  try {
+    const cart = await BookingCart.findByPk(req.params.id, { attributes: ['id', 'establishmentId', 'userId', 'createdById'] });
+    if (!cart) {
+      return res.status(404).json({ error: 'Carrito no encontrado' });
+    }
+    const isOwn = cart.createdById === req.user.id || cart.userId === req.user.id;
+    if (!isOwn && !(await managesEstablishment(req.user, cart.establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    req.cart = cart;
+    next();
+  } catch (error) {
+    console.error('Error loading cart:', error);
+    res.status(500).json({ error: 'Failed to load cart' });
+  }
+};
+
+const handleServiceError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * POST /api/cart
+ * Open a booking cart. Staff carts are for a guest and can be paid at the venue.
+ * Body: { establishmentId, clientName?, clientEmail?, clientPhone?, notes? }
+ */
+router.post('/', authenticateToken, [
+  body('establishmentId').isUUID().withMessage('Valid establishment ID required'),
+  body('clientEmail').optional({ checkFalsy: true }).isEmail().withMessage('Valid email required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { establishmentId, clientName, clientEmail, clientPhone, notes } = req.body;
+    const canManageBookings = req.user.userType === 'admin' || req.user.isStaff || req.user.userType === 'superadmin';
+    const isStaff = canManageBookings && await managesEstablishment(req.user, establishmentId);
+
+    const cart = await createCart({
+      establishmentId,
+      user: req.user,
+      isStaff,
+      clientName,
+      clientEmail,
+      clientPhone,
+      notes
+    });
+
+    res.status(201).json({ success: true, cart: await getCart(cart.id) });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to create cart');
+  }
+});
+
+/**
+ * GET /api/cart/:id
+ * Cart with its items and hold expiry
+ */
+router.get('/:id', authenticateToken, loadCart, async (req, res) => {
+  try {
+    res.json({ success: true, cart: await getCart(req.cart.id) });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch cart');
+  }
+});
+
+/**
+ * POST /api/cart/:id/items
+ * Add a court or amenity slot (held while the cart is open) or a product
+ * Body: { type: 'court', courtId, date, startTime, endTime|duration }
+ *     | { type: 'amenity', amenityId, date, startTime, endTime|duration }
+ *     | { type: 'product', productId, quantity? }
+ */
+router.post('/:id/items', authenticateToken, loadCart, itemValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const item = await addItem(req.cart.id, req.body);
+    res.status(201).json({ success: true, item, cart: await getCart(req.cart.id) });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to add cart item');
+  }
+});
+
+/**
+ * DELETE /api/cart/:id/items/:itemId
+ * Remove an item and release its slot
+ */
+router.delete('/:id/items/:itemId', authenticateToken, loadCart, async (req, res) => {
+  try {
+    await removeItem(req.cart.id, req.params.itemId);
+    res.json({ success: true, cart: await getCart(req.cart.id) });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to remove cart item');
+  }
+});
+
+/**
+ * POST /api/cart/:id/checkout
+ * Pay the whole cart. Staff carts can be paid at the venue (paymentMethod
+ * cash, card, transfer...) and are booked right away; otherwise returns one
+ * Mercado Pago checkout and the bookings are created when it's approved.
+ * Body: { paymentMethod?, backUrls? }
+ */
+router.post('/:id/checkout', authenticateToken, loadCart, async (req, res) => {
+  try {
+    const { paymentMethod, backUrls } = req.body;
+    const result = await checkoutCart(req.cart.id, {
+      paymentMethod,
+      registeredBy: req.user.id,
+      backUrls
+    });
+
+    res.json({
+      success: true,
+      cart: result.cart,
+      bookings: result.bookings || [],
+      checkout: result.checkout || null
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to check out cart');
+  }
+});
+
+/**
+ * DELETE /api/cart/:id
+ * Abandon the cart and release its slots
+ */
+router.delete('/:id', authenticateToken, loadCart, async (req, res) => {
+  try {
+    const cart = await abandonCart(req.cart.id);
+    res.json({ success: true, cart });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to abandon cart');
+  }
+});
+
+module.exports = router;
@@ -186,6 +186,11 @@ router.post('/expense', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    if (paymentMethod === 'store_credit') {
+      await transaction.rollback();
+      return res.status(400).json({ error: 'No se pueden pagar gastos con saldo a favor' });
+    }
+
     const cashRegister = await CashRegister.findByPk(cashRegisterId, { transaction });
     if (!cashRegister) {
       await transaction.rollback();
@@ -407,7 +412,8 @@ function getPaymentMethodField(paymentMethod) {
     'transfer': 'totalTransfer',
     'credit_card': 'totalCreditCard',
     'debit_card': 'totalDebitCard',
-    'mercadopago': 'totalMercadoPago'
+    'mercadopago': 'totalMercadoPago',
+    'store_credit': 'totalStoreCredit'
   };
   return methodMap[paymentMethod] || 'totalOther';
 }
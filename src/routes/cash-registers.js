@@ -420,6 +420,7 @@ router.get('/export', authenticateToken, async (req, res) => {
       tarjeta: csvUtils.formatNumberForCSV(cr.totalCard),
       transferencia: csvUtils.formatNumberForCSV(cr.totalTransfer),
       mercadoPago: csvUtils.formatNumberForCSV(cr.totalMercadoPago),
+      saldoAFavor: csvUtils.formatNumberForCSV(cr.totalStoreCredit),
       totalVentas: csvUtils.formatNumberForCSV(cr.totalSales),
       totalGastos: csvUtils.formatNumberForCSV(cr.totalExpenses),
       diferencia: cr.cashDifference ? csvUtils.formatNumberForCSV(cr.cashDifference) : '-',
@@ -438,6 +439,7 @@ router.get('/export', authenticateToken, async (req, res) => {
       { label: 'Tarjeta', value: 'tarjeta' },
       { label: 'Transferencia', value: 'transferencia' },
       { label: 'MercadoPago', value: 'mercadoPago' },
+      { label: 'Saldo a Favor', value: 'saldoAFavor' },
       { label: 'Total Ventas', value: 'totalVentas' },
       { label: 'Total Gastos', value: 'totalGastos' },
       { label: 'Diferencia', value: 'diferencia' },
@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { ClientCreditMovement, Client, Establishment, User, Booking, Order, sequelize } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { getCreditBalance, addCreditMovement, lockHolder, isStoreCreditMethod } = require('../services/clientCredits');
+const { getUserActiveCashRegister, registerSaleMovement } = require('../utils/cashRegisterHelper');
+
+const canAccessEstablishment = async (user, establishmentId) => {
+  if (user.userType === 'superadmin' || user.userType === 'admin') return true;
+  if (user.isStaff && user.establishmentId === establishmentId) return true;
+  const establishment = await Establishment.findByPk(establishmentId, { attributes: ['id', 'userId'] });
+  return !!establishment && establishment.userId === user.id;
+};
+
+const findEstablishmentClient = (establishmentId, clientId) =>
+  Client.findOne({ where: { id: clientId, establishmentId } });
+
+const clientHolder = (client) => ({
+  establishmentId: client.establishmentId,
+  clientId: client.id,
+  clientEmail: client.email || null
+});
+
+/**
+ * GET /api/client-credits/my
+ * Store credit of the logged-in user at every establishment
+ */
+router.get('/my', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'email'] });
+
+    const movements = await ClientCreditMovement.findAll({
+      where: {
+        [Op.or]: [
+          { userId: req.user.id },
+          ...(user?.email ? [{ clientEmail: user.email.toLowerCase() }] : [])
+        ]
+      },
+      include: [{ model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const byEstablishment = new Map();
+    for (const movement of movements) {
+      const entry = byEstablishment.get(movement.establishmentId) || {
+        establishment: movement.establishment,
+        balance: 0,
+        movements: []
+      };
+      entry.balance += parseFloat(movement.amount);
+      entry.movements.push(movement);
+      byEstablishment.set(movement.establishmentId, entry);
+    }
+
+    const wallets = [...byEstablishment.values()].map(entry => ({
+      ...entry,
+      balance: Math.round(entry.balance * 100) / 100
+    }));
+
+    res.json({ success: true, wallets });
+  } catch (error) {
+    console.error('Error fetching my store credit:', error);
+    res.status(500).json({ error: 'Failed to fetch store credit' });
+  }
+});
+
+/**
+ * GET /api/client-credits/establishment/:establishmentId/balance
+ * Balance of a holder, used before charging with store credit
+ * Query: { clientId?, email?, userId? }
+ */
+router.get('/establishment/:establishmentId/balance', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+    const { clientId, email, userId } = req.query;
+
+    if (!(await canAccessEstablishment(req.user, establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!clientId && !email && !userId) {
+      return res.status(400).json({ error: 'clientId, email or userId is required' });
+    }
+
+    let clientEmail = email || null;
+    if (clientId && !clientEmail) {
+      const client = await findEstablishmentClient(establishmentId, clientId);
+      clientEmail = client?.email || null;
+    }
+
+    const balance = await getCreditBalance({ establishmentId, clientId, userId, clientEmail });
+
+    res.json({ success: true, balance });
+  } catch (error) {
+    console.error('Error fetching store credit balance:', error);
+    res.status(500).json({ error: 'Failed to fetch store credit balance' });
+  }
+});
+
+/**
+ * GET /api/client-credits/establishment/:establishmentId/client/:clientId
+ * Wallet of a client (balance and ledger) for the client profile
+ */
+router.get('/establishment/:establishmentId/client/:clientId', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, clientId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+
+    if (!(await canAccessEstablishment(req.user, establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const client = await findEstablishmentClient(establishmentId, clientId);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const holderConditions = [{ clientId: client.id }];
+    if (client.email) holderConditions.push({ clientEmail: client.email.toLowerCase() });
+
+    const { count, rows } = await ClientCreditMovement.findAndCountAll({
+      where: { establishmentId, [Op.or]: holderConditions },
+      include: [
+        { model: Booking, as: 'booking', attributes: ['id', 'date', 'startTime'] },
+        { model: Order, as: 'order', attributes: ['id', 'orderNumber'] },
+        { model: User, as: 'registeredByUser', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      client: {
+        id: client.id,
+        name: client.name,
+        email: client.email,
+        phone: client.phone
+      },
+      balance: await getCreditBalance(clientHolder(client)),
+      movements: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching client store credit:', error);
+    res.status(500).json({ error: 'Failed to fetch client store credit' });
+  }
+});
+
+/**
+ * POST /api/client-credits/establishment/:establishmentId/client/:clientId/top-up
+ * Load money into the client's wallet. The payment is registered in the
+ * open cash register with its real method (the money comes in now).
+ * Body: { amount, paymentMethod, notes? }
+ */
+router.post('/establishment/:establishmentId/client/:clientId/top-up', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, clientId } = req.params;
+    const { amount, paymentMethod = 'cash', notes } = req.body;
+    const value = parseFloat(amount);
+
+    if (!(await canAccessEstablishment(req.user, establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!value || value <= 0) {
+      return res.status(400).json({ error: 'El monto debe ser mayor a 0' });
+    }
+    if (isStoreCreditMethod(paymentMethod)) {
+      return res.status(400).json({ error: 'No se puede cargar saldo a favor con saldo a favor' });
+    }
+
+    const client = await findEstablishmentClient(establishmentId, clientId);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const cashRegister = await getUserActiveCashRegister(req.user.id, establishmentId);
+    if (!cashRegister) {
+      return res.status(400).json({ error: 'Debes abrir una caja antes de cargar saldo' });
+    }
+
+    const movement = await sequelize.transaction(async (transaction) => {
+      await lockHolder(clientHolder(client), transaction);
+
+      const topUp = await addCreditMovement({
+        ...clientHolder(client),
+        movementType: 'top_up',
+        amount: value,
+        paymentMethod,
+        description: notes || 'Carga de saldo a favor',
+        registeredBy: req.user.id,
+        transaction
+      });
+
+      await registerSaleMovement({
+        cashRegisterId: cashRegister.id,
+        establishmentId,
+        amount: value,
+        paymentMethod,
+        description: `Carga de saldo a favor - ${client.name}`,
+        registeredBy: req.user.id
+      }, transaction);
+
+      return topUp;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Se cargaron $${value} de saldo a favor`,
+      movement,
+      balance: parseFloat(movement.balanceAfter)
+    });
+  } catch (error) {
+    console.error('Error topping up store credit:', error);
+    res.status(500).json({ error: 'Failed to top up store credit' });
+  }
+});
+
+/**
+ * POST /api/client-credits/establishment/:establishmentId/client/:clientId/adjustment
+ * Manual correction of the balance (positive or negative)
+ * Body: { amount, description }
+ */
+router.post('/establishment/:establishmentId/client/:clientId/adjustment', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, clientId } = req.params;
+    const { amount, description } = req.body;
+    const value = parseFloat(amount);
+
+    if (!(await canAccessEstablishment(req.user, establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!value) {
+      return res.status(400).json({ error: 'amount is required' });
+    }
+    if (!description) {
+      return res.status(400).json({ error: 'description is required' });
+    }
+
+    const client = await findEstablishmentClient(establishmentId, clientId);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    // The holder stays locked between the balance check and the movement
+    const movement = await sequelize.transaction(async (transaction) => {
+      await lockHolder(clientHolder(client), transaction);
+
+      const balance = await getCreditBalance({ ...clientHolder(client), transaction });
+      if (balance + value < 0) {
+        const error = new Error(`El ajuste deja el saldo en negativo (disponible: $${balance})`);
+        error.status = 400;
+        throw error;
+      }
+
+      return addCreditMovement({
+        ...clientHolder(client),
+        movementType: 'adjustment',
+        amount: value,
+        description,
+        registeredBy: req.user.id,
+        transaction
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      movement,
+      balance: parseFloat(movement.balanceAfter)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error adjusting store credit:', error);
+    res.status(500).json({ error: 'Failed to adjust store credit' });
+  }
+});
+
+module.exports = router;
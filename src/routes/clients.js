@@ -122,6 +122,7 @@ router.get(
         noShow: client.noShowBookings || 0,
         totalGastado: csvUtils.formatNumberForCSV(client.totalSpent),
         deuda: csvUtils.formatNumberForCSV(client.debtAmount),
+        saldoAFavor: csvUtils.formatNumberForCSV(client.creditBalance),
         ultimaReserva: client.lastBookingDate ? csvUtils.formatDateForCSV(client.lastBookingDate) : '-',
         estado: client.isActive ? 'Activo' : 'Inactivo',
         notas: client.notes || ''
@@ -137,6 +138,7 @@ router.get(
         { label: 'No Show', value: 'noShow' },
         { label: 'Total Gastado', value: 'totalGastado' },
         { label: 'Deuda', value: 'deuda' },
+        { label: 'Saldo a Favor', value: 'saldoAFavor' },
         { label: 'Última Reserva', value: 'ultimaReserva' },
         { label: 'Estado', value: 'estado' },
         { label: 'Notas', value: 'notas' }
@@ -1,6 +1,6 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
 const {
   createCourt,
   getAllCourts,
@@ -150,7 +150,7 @@ router.delete('/:id', authenticateToken, requireRole(['establishment', 'admin'])
 
 // Price Schedule routes
 router.get('/:courtId/price-schedules', getCourtPriceSchedules);
-router.get('/:courtId/calculate-price', calculatePriceEndpoint);
+router.get('/:courtId/calculate-price', optionalAuth, calculatePriceEndpoint);
 router.post('/:courtId/price-schedules', authenticateToken, requireRole(['establishment', 'admin']), createPriceSchedule);
 router.put('/:courtId/price-schedules/bulk', authenticateToken, requireRole(['establishment', 'admin']), bulkUpdatePriceSchedules);
 router.put('/price-schedules/:id', authenticateToken, requireRole(['establishment', 'admin']), updatePriceSchedule);
@@ -3,12 +3,14 @@ const router = express.Router();
 const { ClientDebt, Establishment, Booking, Client } = require('../models');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { Op } = require('sequelize');
+const { applyNoShowPenalty, applyLateCancellationPenalty, syncClientDebtStatus, syncClientsForDebts } = require('../services/clientDebts');
 
 /**
  * GET /api/debts/check
  * Check if a client has pending debts at an establishment
  * Query: { establishmentId, email }
  * Public endpoint - used during checkout
+ * Returns action 'block' or 'warn' depending on the establishment's debtBookingPolicy
  */
 router.get('/check', async (req, res) => {
   try {
@@ -33,10 +35,18 @@ router.get('/check', async (req, res) => {
 
     const totalDebt = debts.reduce((sum, debt) => sum + parseFloat(debt.amount), 0);
 
+    const establishment = await Establishment.findByPk(establishmentId, {
+      attributes: ['id', 'debtBookingPolicy']
+    });
+    const policy = establishment?.debtBookingPolicy || 'warn';
+    const hasDebt = debts.length > 0;
+
     res.json({
       success: true,
-      hasDebt: debts.length > 0,
+      hasDebt,
       totalDebt,
+      action: hasDebt ? policy : null,
+      canBook: !hasDebt || policy !== 'block',
       debts: debts.map(d => ({
         id: d.id,
         amount: parseFloat(d.amount),
@@ -157,6 +167,8 @@ router.post('/forgive/:debtId', authenticateToken, async (req, res) => {
       forgivenReason: reason || 'Perdonada por el establecimiento'
     });
 
+    await syncClientDebtStatus(debt);
+
     res.json({
       success: true,
       message: 'Debt forgiven successfully'
@@ -170,52 +182,19 @@ router.post('/forgive/:debtId', authenticateToken, async (req, res) => {
 
 /**
  * Create a debt for late cancellation
- * Called internally when a booking is cancelled late
+ * Called internally when a booking is cancelled late (see services/cancellationPolicy)
  */
 async function createLateCancellationDebt(booking, establishment) {
-  try {
-    const debt = await ClientDebt.create({
-      clientId: booking.clientId || null,
-      userId: booking.userId || null,
-      clientEmail: booking.clientEmail?.toLowerCase() || '',
-      establishmentId: booking.establishmentId,
-      bookingId: booking.id,
-      amount: booking.totalAmount - (booking.depositAmount || 0), // Remaining amount they would have paid
-      reason: 'late_cancellation',
-      description: `Cancelación tardía de reserva del ${booking.date} a las ${booking.startTime}`
-    });
-
-    console.log(`[Debt] Created late cancellation debt: ${debt.id} for $${debt.amount}`);
-    return debt;
-  } catch (err) {
-    console.error('[Debt] Error creating late cancellation debt:', err);
-    return null;
-  }
+  return applyLateCancellationPenalty(booking, establishment);
 }
 
 /**
  * Create a debt for no-show
- * Called when a booking is marked as no_show
+ * Called when a booking is marked as no_show; the amount follows the
+ * establishment's noShowPenaltyType (see services/clientDebts)
  */
 async function createNoShowDebt(booking, establishment) {
-  try {
-    const debt = await ClientDebt.create({
-      clientId: booking.clientId || null,
-      userId: booking.userId || null,
-      clientEmail: booking.clientEmail?.toLowerCase() || '',
-      establishmentId: booking.establishmentId,
-      bookingId: booking.id,
-      amount: booking.totalAmount - (booking.depositAmount || 0), // Remaining amount
-      reason: 'no_show',
-      description: `No asistió a la reserva del ${booking.date} a las ${booking.startTime}`
-    });
-
-    console.log(`[Debt] Created no-show debt: ${debt.id} for $${debt.amount}`);
-    return debt;
-  } catch (err) {
-    console.error('[Debt] Error creating no-show debt:', err);
-    return null;
-  }
+  return applyNoShowPenalty(booking, establishment);
 }
 
 /**
@@ -237,6 +216,8 @@ async function markDebtsAsPaid(debtIds, paidBookingId) {
       }
     );
 
+    await syncClientsForDebts(debtIds);
+
     console.log(`[Debt] Marked ${debtIds.length} debts as paid in booking ${paidBookingId}`);
     return true;
   } catch (err) {
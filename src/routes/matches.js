@@ -9,6 +9,7 @@ const {
   leaveMatch,
   updateMatch,
   cancelMatch,
+  recordMatchResult,
   getMyMatches
 } = require('../controllers/matchController');
 
@@ -46,6 +47,7 @@ router.post('/', createMatchValidation, handleValidationErrors, createMatch);
 router.post('/:id/join', joinMatch);
 router.post('/:id/leave', leaveMatch);
 router.put('/:id', updateMatch);
+router.put('/:id/result', recordMatchResult);
 router.delete('/:id', cancelMatch);
 
 module.exports = router;
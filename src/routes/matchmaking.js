@@ -0,0 +1,279 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { PlayerAvailability, MatchProposal, Establishment, Court, sequelize } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { runMatchmaking, respondToProposal } = require('../services/matchmaking');
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const availabilityValidation = [
+  body('sport').notEmpty().withMessage('Sport is required'),
+  body('establishmentId').optional({ nullable: true }).isUUID().withMessage('Valid establishment ID required'),
+  body('dayOfWeek').optional({ nullable: true }).isInt({ min: 0, max: 6 }).withMessage('dayOfWeek must be 0-6'),
+  body('date').optional({ nullable: true }).isISO8601().withMessage('Valid date required'),
+  body('startTime').matches(/^\d{2}:\d{2}$/).withMessage('startTime must be HH:MM'),
+  body('endTime').matches(/^\d{2}:\d{2}$/).withMessage('endTime must be HH:MM'),
+  body('duration').optional().isInt({ min: 30, max: 240 }).withMessage('Duration must be 30-240 minutes')
+];
+
+const AVAILABILITY_FIELDS = ['sport', 'establishmentId', 'city', 'dayOfWeek', 'date', 'startTime', 'endTime', 'duration', 'autoAccept', 'isActive'];
+
+/**
+ * Check the window: exactly one of dayOfWeek/date, and long enough for the match
+ * @returns {string|null} Error message
+ */
+const validateWindow = ({ dayOfWeek, date, startTime, endTime, duration = 90 }) => {
+  const hasDay = dayOfWeek !== undefined && dayOfWeek !== null;
+  if (hasDay === !!date) {
+    return 'Indicá un día de la semana o una fecha';
+  }
+  const [startH, startM] = startTime.split(':').map(Number);
+  const [endH, endM] = endTime.split(':').map(Number);
+  if ((endH * 60 + endM) - (startH * 60 + startM) < parseInt(duration, 10)) {
+    return 'La franja horaria es más corta que la duración del partido';
+  }
+  return null;
+};
+
+// =====================================================
+// AVAILABILITY
+// =====================================================
+
+/**
+ * GET /api/matchmaking/availability
+ * Availability windows of the authenticated user
+ */
+router.get('/availability', authenticateToken, async (req, res) => {
+  try {
+    const availabilities = await PlayerAvailability.findAll({
+      where: { userId: req.user.id },
+      include: [{ model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug', 'city'] }],
+      order: [['dayOfWeek', 'ASC'], ['date', 'ASC'], ['startTime', 'ASC']]
+    });
+
+    res.json({ success: true, availabilities });
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+/**
+ * POST /api/matchmaking/availability
+ * Publish an availability window
+ * Body: { sport, dayOfWeek | date, startTime, endTime, duration?, establishmentId?, city?, autoAccept? }
+ */
+router.post('/availability', authenticateToken, availabilityValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const windowError = validateWindow(req.body);
+    if (windowError) {
+      return res.status(400).json({ error: windowError });
+    }
+
+    if (req.body.establishmentId) {
+      const establishment = await Establishment.findByPk(req.body.establishmentId, { attributes: ['id'] });
+      if (!establishment) {
+        return res.status(404).json({ error: 'Establecimiento no encontrado' });
+      }
+    }
+
+    const data = { userId: req.user.id };
+    AVAILABILITY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    if (!data.city && !data.establishmentId) {
+      data.city = req.user.city || null;
+    }
+
+    const availability = await PlayerAvailability.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Disponibilidad publicada',
+      availability
+    });
+  } catch (error) {
+    console.error('Error creating availability:', error);
+    res.status(500).json({ error: 'Failed to create availability' });
+  }
+});
+
+/**
+ * PUT /api/matchmaking/availability/:id
+ * Update an availability window
+ */
+router.put('/availability/:id', authenticateToken, async (req, res) => {
+  try {
+    const availability = await PlayerAvailability.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!availability) {
+      return res.status(404).json({ error: 'Disponibilidad no encontrada' });
+    }
+
+    const updates = {};
+    AVAILABILITY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const merged = { ...availability.toJSON(), ...updates };
+    const windowError = validateWindow({
+      ...merged,
+      startTime: merged.startTime.slice(0, 5),
+      endTime: merged.endTime.slice(0, 5)
+    });
+    if (windowError) {
+      return res.status(400).json({ error: windowError });
+    }
+
+    await availability.update(updates);
+
+    res.json({ success: true, availability });
+  } catch (error) {
+    console.error('Error updating availability:', error);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
+/**
+ * DELETE /api/matchmaking/availability/:id
+ * Remove an availability window
+ */
+router.delete('/availability/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await PlayerAvailability.destroy({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Disponibilidad no encontrada' });
+    }
+
+    res.json({ success: true, message: 'Disponibilidad eliminada' });
+  } catch (error) {
+    console.error('Error deleting availability:', error);
+    res.status(500).json({ error: 'Failed to delete availability' });
+  }
+});
+
+// =====================================================
+// PROPOSALS
+// =====================================================
+
+/**
+ * GET /api/matchmaking/proposals
+ * Upcoming proposals the authenticated user is a candidate of
+ */
+router.get('/proposals', authenticateToken, async (req, res) => {
+  try {
+    const proposals = await MatchProposal.findAll({
+      where: {
+        date: { [Op.gte]: new Date().toISOString().split('T')[0] },
+        status: { [Op.in]: ['pending', 'confirmed'] },
+        // candidates is a JSON array: match the user's entry with jsonb containment
+        [Op.and]: sequelize.where(
+          sequelize.cast(sequelize.col('MatchProposal.candidates'), 'jsonb'),
+          Op.contains,
+          sequelize.cast(JSON.stringify([{ userId: req.user.id }]), 'jsonb')
+        )
+      },
+      include: [
+        { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug', 'address', 'city'] },
+        { model: Court, as: 'court', attributes: ['id', 'name', 'sport'] }
+      ],
+      order: [['date', 'ASC'], ['startTime', 'ASC']]
+    });
+
+    res.json({ success: true, proposals });
+  } catch (error) {
+    console.error('Error fetching proposals:', error);
+    res.status(500).json({ error: 'Failed to fetch proposals' });
+  }
+});
+
+/**
+ * POST /api/matchmaking/proposals/:id/accept
+ * Accept a proposal. When the last candidate accepts the court is booked
+ * and the match created; for an open match the player joins right away, or
+ * gets the seat held and the checkout to pay it when the match is paid.
+ * Body: { backUrls? }
+ */
+router.post('/proposals/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const { proposal, checkout } = await respondToProposal(req.params.id, req.user.id, true, { backUrls: req.body.backUrls });
+
+    // Seats of paid matches are held until the Mercado Pago payment is approved
+    if (checkout) {
+      return res.json({
+        success: true,
+        message: 'Lugar reservado. Completá el pago para confirmarlo',
+        requiresPayment: true,
+        proposal,
+        checkout
+      });
+    }
+
+    res.json({
+      success: true,
+      message: proposal.status === 'confirmed' ? 'Partido confirmado' : 'Aceptaste la propuesta. Esperamos al resto de los jugadores',
+      proposal
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error accepting proposal:', error);
+    res.status(500).json({ error: 'Failed to accept proposal' });
+  }
+});
+
+/**
+ * POST /api/matchmaking/proposals/:id/decline
+ * Decline a proposal
+ */
+router.post('/proposals/:id/decline', authenticateToken, async (req, res) => {
+  try {
+    const { proposal } = await respondToProposal(req.params.id, req.user.id, false);
+
+    res.json({ success: true, message: 'Rechazaste la propuesta', proposal });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error declining proposal:', error);
+    res.status(500).json({ error: 'Failed to decline proposal' });
+  }
+});
+
+/**
+ * POST /api/matchmaking/run
+ * Run the matchmaking now (admin only; the scheduler runs it periodically)
+ * Body: { date?, days? }
+ */
+router.post('/run', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const today = req.body.date || new Date().toISOString().split('T')[0];
+    const created = await runMatchmaking(today, parseInt(req.body.days, 10) || undefined);
+
+    res.json({ success: true, created });
+  } catch (error) {
+    console.error('Error running matchmaking:', error);
+    res.status(500).json({ error: 'Failed to run matchmaking' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,448 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { MembershipPlan, ClientMembership, Client, Establishment, User, Booking, Court } = require('../models');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { createMembership, sessionsLeft } = require('../services/memberships');
+const { isStoreCreditMethod, spendCredit } = require('../services/clientCredits');
+const { getUserActiveCashRegister, registerSaleMovement } = require('../utils/cashRegisterHelper');
+const { getArgentinaTime } = require('../services/bookingScheduler');
+
+const PLAN_FIELDS = [
+  'name', 'description', 'planType', 'sessions', 'validityDays', 'price',
+  'memberDiscountPercent', 'sports', 'renewalReminderDays', 'isActive', 'sortOrder'
+];
+
+const canAccessEstablishment = async (user, establishmentId) => {
+  if (!user) return false;
+  if (user.userType === 'superadmin' || user.userType === 'admin') return true;
+  if (user.isStaff && user.establishmentId === establishmentId) return true;
+  const establishment = await Establishment.findByPk(establishmentId, { attributes: ['id', 'userId'] });
+  return !!establishment && establishment.userId === user.id;
+};
+
+/**
+ * Validate plan fields, returns an error message or null
+ */
+const validatePlan = (plan) => {
+  if (!plan.name) return 'name is required';
+  if (!['pack', 'membership'].includes(plan.planType)) return 'planType must be pack or membership';
+  if (plan.planType === 'pack' && !(parseInt(plan.sessions) >= 1)) return 'Packs need at least one session';
+  if (!(parseInt(plan.validityDays) >= 1)) return 'validityDays must be at least 1';
+  if (parseFloat(plan.price) < 0) return 'price cannot be negative';
+  const discount = parseFloat(plan.memberDiscountPercent || 0);
+  if (discount < 0 || discount > 100) return 'memberDiscountPercent must be between 0 and 100';
+  return null;
+};
+
+const pickPlanFields = (body) => {
+  const data = {};
+  for (const field of PLAN_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (data.sessions === '') data.sessions = null;
+  return data;
+};
+
+/**
+ * Charge a plan sale: store credit or cash register sale
+ */
+const chargeMembership = async ({ membership, client, paymentMethod, userId, transaction }) => {
+  const amount = parseFloat(membership.pricePaid) || 0;
+  if (amount <= 0) return;
+
+  if (isStoreCreditMethod(paymentMethod)) {
+    await spendCredit({
+      establishmentId: membership.establishmentId,
+      clientId: client.id,
+      clientEmail: client.email,
+      amount,
+      description: `Compra de ${membership.planName}`,
+      registeredBy: userId,
+      transaction
+    });
+  }
+
+  const cashRegister = await getUserActiveCashRegister(userId, membership.establishmentId);
+  if (!cashRegister) {
+    const error = new Error('Debes abrir una caja antes de vender planes');
+    error.status = 400;
+    throw error;
+  }
+
+  await registerSaleMovement({
+    cashRegisterId: cashRegister.id,
+    establishmentId: membership.establishmentId,
+    amount,
+    paymentMethod,
+    description: `Venta de ${membership.planName} - ${client.name}`,
+    registeredBy: userId
+  }, transaction);
+};
+
+/**
+ * GET /api/memberships/plans/establishment/:establishmentId
+ * Plans of an establishment. Public (active plans); staff can pass includeInactive=true
+ */
+router.get('/plans/establishment/:establishmentId', optionalAuth, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+    const includeInactive = req.query.includeInactive === 'true' &&
+      await canAccessEstablishment(req.user, establishmentId);
+
+    const where = { establishmentId };
+    if (!includeInactive) where.isActive = true;
+
+    const plans = await MembershipPlan.findAll({
+      where,
+      order: [['sortOrder', 'ASC'], ['price', 'ASC']]
+    });
+
+    res.json({ success: true, plans });
+  } catch (error) {
+    console.error('Error fetching membership plans:', error);
+    res.status(500).json({ error: 'Failed to fetch membership plans' });
+  }
+});
+
+/**
+ * POST /api/memberships/plans
+ * Create a plan
+ */
+router.post('/plans', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.body;
+
+    if (!establishmentId) {
+      return res.status(400).json({ error: 'establishmentId is required' });
+    }
+    if (!(await canAccessEstablishment(req.user, establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const data = { planType: 'pack', ...pickPlanFields(req.body) };
+    const validationError = validatePlan(data);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const plan = await MembershipPlan.create({ ...data, establishmentId });
+
+    res.status(201).json({ success: true, plan });
+  } catch (error) {
+    console.error('Error creating membership plan:', error);
+    res.status(500).json({ error: 'Failed to create membership plan' });
+  }
+});
+
+/**
+ * PUT /api/memberships/plans/:id
+ * Update a plan (memberships already sold keep their original conditions)
+ */
+router.put('/plans/:id', authenticateToken, async (req, res) => {
+  try {
+    const plan = await MembershipPlan.findByPk(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    if (!(await canAccessEstablishment(req.user, plan.establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const data = pickPlanFields(req.body);
+    const validationError = validatePlan({ ...plan.toJSON(), ...data });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await plan.update(data);
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Error updating membership plan:', error);
+    res.status(500).json({ error: 'Failed to update membership plan' });
+  }
+});
+
+/**
+ * DELETE /api/memberships/plans/:id
+ * Deactivate a plan (it can no longer be sold)
+ */
+router.delete('/plans/:id', authenticateToken, async (req, res) => {
+  try {
+    const plan = await MembershipPlan.findByPk(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    if (!(await canAccessEstablishment(req.user, plan.establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await plan.update({ isActive: false });
+
+    res.json({ success: true, message: 'Plan desactivado' });
+  } catch (error) {
+    console.error('Error deleting membership plan:', error);
+    res.status(500).json({ error: 'Failed to delete membership plan' });
+  }
+});
+
+/**
+ * GET /api/memberships/my
+ * Packs and memberships of the logged-in user
+ */
+router.get('/my', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'email'] });
+    const holder = [{ userId: req.user.id }];
+    if (user?.email) holder.push({ clientEmail: user.email.toLowerCase() });
+
+    const memberships = await ClientMembership.findAll({
+      where: { [Op.or]: holder },
+      include: [{ model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug'] }],
+      order: [['expiresAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      memberships: memberships.map(m => ({ ...m.toJSON(), sessionsLeft: sessionsLeft(m) }))
+    });
+  } catch (error) {
+    console.error('Error fetching my memberships:', error);
+    res.status(500).json({ error: 'Failed to fetch memberships' });
+  }
+});
+
+/**
+ * GET /api/memberships/establishment/:establishmentId
+ * Memberships sold by an establishment
+ * Query: { status?, clientId?, planId? }
+ */
+router.get('/establishment/:establishmentId', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+    const { status, clientId, planId } = req.query;
+
+    if (!(await canAccessEstablishment(req.user, establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const where = { establishmentId };
+    if (status) where.status = status;
+    if (clientId) where.clientId = clientId;
+    if (planId) where.planId = planId;
+
+    const memberships = await ClientMembership.findAll({
+      where,
+      include: [{ model: Client, as: 'client', attributes: ['id', 'name', 'phone', 'email'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      memberships: memberships.map(m => ({ ...m.toJSON(), sessionsLeft: sessionsLeft(m) }))
+    });
+  } catch (error) {
+    console.error('Error fetching memberships:', error);
+    res.status(500).json({ error: 'Failed to fetch memberships' });
+  }
+});
+
+/**
+ * POST /api/memberships/establishment/:establishmentId/client/:clientId/purchase
+ * Sell a plan to a client. The payment goes to the open cash register
+ * (or the client's store credit when paymentMethod is store_credit).
+ * Body: { planId, paymentMethod, startDate?, notes? }
+ */
+router.post('/establishment/:establishmentId/client/:clientId/purchase', authenticateToken, async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { establishmentId, clientId } = req.params;
+    const { planId, paymentMethod = 'cash', startDate, notes } = req.body;
+
+    if (!(await canAccessEstablishment(req.user, establishmentId))) {
+      await transaction.rollback();
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const [plan, client] = await Promise.all([
+      MembershipPlan.findOne({ where: { id: planId, establishmentId, isActive: true } }),
+      Client.findOne({ where: { id: clientId, establishmentId } })
+    ]);
+    if (!plan) {
+      await transaction.rollback();
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    if (!client) {
+      await transaction.rollback();
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const membership = await createMembership(plan, {
+      clientId: client.id,
+      clientEmail: client.email,
+      startDate: startDate || getArgentinaTime().dateString,
+      paymentMethod,
+      soldBy: req.user.id,
+      notes,
+      transaction
+    });
+
+    await chargeMembership({ membership, client, paymentMethod, userId: req.user.id, transaction });
+
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      message: `${plan.name} vendido a ${client.name}`,
+      membership
+    });
+  } catch (error) {
+    await transaction.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error selling membership:', error);
+    res.status(500).json({ error: 'Failed to sell membership' });
+  }
+});
+
+/**
+ * GET /api/memberships/:id
+ * Membership detail with the bookings that used it
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const membership = await ClientMembership.findByPk(req.params.id, {
+      include: [
+        { model: Client, as: 'client', attributes: ['id', 'name', 'phone', 'email'] },
+        {
+          model: Booking,
+          as: 'bookings',
+          attributes: ['id', 'date', 'startTime', 'endTime', 'status'],
+          include: [{ model: Court, as: 'court', attributes: ['id', 'name'] }]
+        }
+      ]
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Membership not found' });
+    }
+    if (membership.userId !== req.user.id && !(await canAccessEstablishment(req.user, membership.establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      membership: { ...membership.toJSON(), sessionsLeft: sessionsLeft(membership) }
+    });
+  } catch (error) {
+    console.error('Error fetching membership:', error);
+    res.status(500).json({ error: 'Failed to fetch membership' });
+  }
+});
+
+/**
+ * POST /api/memberships/:id/renew
+ * Sell the same plan again. If the current one is still running, the
+ * renewal starts the day after it ends.
+ * Body: { paymentMethod }
+ */
+router.post('/:id/renew', authenticateToken, async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { paymentMethod = 'cash', notes } = req.body;
+
+    const previous = await ClientMembership.findByPk(req.params.id, {
+      include: [
+        { model: MembershipPlan, as: 'plan' },
+        { model: Client, as: 'client' }
+      ]
+    });
+
+    if (!previous) {
+      await transaction.rollback();
+      return res.status(404).json({ error: 'Membership not found' });
+    }
+    if (!(await canAccessEstablishment(req.user, previous.establishmentId))) {
+      await transaction.rollback();
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!previous.plan || !previous.plan.isActive) {
+      await transaction.rollback();
+      return res.status(400).json({ error: 'El plan ya no está disponible' });
+    }
+    if (!previous.client) {
+      await transaction.rollback();
+      return res.status(400).json({ error: 'La membresía no tiene un cliente asociado' });
+    }
+
+    const membership = await createMembership(previous.plan, {
+      clientId: previous.clientId,
+      userId: previous.userId,
+      clientEmail: previous.clientEmail,
+      startDate: getArgentinaTime().dateString,
+      paymentMethod,
+      soldBy: req.user.id,
+      notes,
+      renewedFrom: previous,
+      transaction
+    });
+
+    await chargeMembership({ membership, client: previous.client, paymentMethod, userId: req.user.id, transaction });
+
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      message: `${previous.plan.name} renovado hasta el ${membership.expiresAt}`,
+      membership
+    });
+  } catch (error) {
+    await transaction.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error renewing membership:', error);
+    res.status(500).json({ error: 'Failed to renew membership' });
+  }
+});
+
+/**
+ * POST /api/memberships/:id/cancel
+ * Cancel a membership (no automatic refund)
+ * Body: { reason? }
+ */
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const membership = await ClientMembership.findByPk(req.params.id);
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Membership not found' });
+    }
+    if (!(await canAccessEstablishment(req.user, membership.establishmentId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (membership.status === 'cancelled') {
+      return res.status(400).json({ error: 'La membresía ya está cancelada' });
+    }
+
+    await membership.update({
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      notes: req.body.reason
+        ? [membership.notes, `Cancelada: ${req.body.reason}`].filter(Boolean).join('\n')
+        : membership.notes
+    });
+
+    res.json({ success: true, membership });
+  } catch (error) {
+    console.error('Error cancelling membership:', error);
+    res.status(500).json({ error: 'Failed to cancel membership' });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,9 @@ const { Op } = require('sequelize');
 const emailService = require('../../services/email');
 const qrService = require('../../services/qrcode');
 const { sendBookingWhatsApp } = require('../../services/whatsappNotification');
+const { syncClientsForDebts } = require('../../services/clientDebts');
+const { processSeatPayment } = require('../../services/matchPayments');
+const { processCartPayment } = require('../../services/bookingCart');
 const EventEmitter = require('events');
 
 // Event emitter for webhook events
@@ -151,6 +154,30 @@ async function processPaymentNotification(paymentId, action) {
     // Parse external reference to get booking ID
     const extRef = paymentData.externalReference || '';
     let bookingId = null;
+
+    // Seats of paid open matches (MATCH-<participantId>) don't create bookings
+    if (extRef.startsWith('MATCH-')) {
+      const participantId = extRef.replace('MATCH-', '');
+      await processSeatPayment(participantId, paymentData);
+      webhookEvents.emit('payment', {
+        action,
+        payment: paymentData,
+        matchParticipantId: participantId
+      });
+      return;
+    }
+
+    // Booking carts (CART-<cartId>) create all their bookings at once
+    if (extRef.startsWith('CART-')) {
+      const cartId = extRef.replace('CART-', '');
+      await processCartPayment(cartId, paymentData);
+      webhookEvents.emit('payment', {
+        action,
+        payment: paymentData,
+        cartId
+      });
+      return;
+    }
     
     if (extRef.startsWith('BOOKING-')) {
       const refValue = extRef.replace('BOOKING-', '');
@@ -357,6 +384,7 @@ async function createBookingFromPayment(paymentData) {
             }
           }
         );
+        await syncClientsForDebts(debtIdsArray);
         console.log(`   💰 Marked ${debtIdsArray.length} debts as paid (total: $${metadata.debtAmount})`);
       } catch (debtError) {
         console.error('   ⚠️ Error marking debts as paid:', debtError.message);
@@ -1,10 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { Order, OrderItem, OrderPayment, Product, Establishment, Booking, Client, User, StockMovement, BookingConsumption, CurrentAccount, CurrentAccountMovement, Invoice, BookingPayment } = require('../models');
+const { Order, OrderItem, OrderPayment, Product, Establishment, Booking, Client, User, BookingConsumption, CurrentAccount, CurrentAccountMovement, Invoice, BookingPayment } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const { getUserActiveCashRegister, registerSaleMovement } = require('../utils/cashRegisterHelper');
+const { isStoreCreditMethod, spendCredit, addCreditMovement } = require('../services/clientCredits');
+const { resolveDebtorEmail } = require('../services/clientDebts');
+const { triggerAutoInvoice } = require('../services/arca/autoInvoicingService');
+const { moveProductStock } = require('../services/compositeProducts');
 
 // Generate order number with establishment prefix for global uniqueness
 const generateOrderNumber = async (establishmentId) => {
@@ -28,6 +32,21 @@ const generateOrderNumber = async (establishmentId) => {
   return `ORD-${estPrefix}-${datePrefix}-${String(count + 1).padStart(4, '0')}`;
 };
 
+// Store credit holder of an order: the booking's client for consumptions, otherwise the order's client
+const getOrderCreditHolder = async (order, transaction) => {
+  if (order.bookingId) {
+    const booking = await Booking.findByPk(order.bookingId, { transaction });
+    if (booking) {
+      return {
+        clientId: booking.clientId,
+        userId: booking.userId,
+        clientEmail: await resolveDebtorEmail(booking)
+      };
+    }
+  }
+  return { clientId: order.clientId, clientEmail: order.customerEmail };
+};
+
 // Get all orders for establishment (with filters)
 router.get('/establishment/:establishmentId', authenticateToken, async (req, res) => {
   try {
@@ -756,25 +775,12 @@ router.post('/', authenticateToken, async (req, res) => {
         notes: item.notes || null
       });
 
-      // Update stock
-      if (product.trackStock) {
-        const previousStock = product.currentStock;
-        await product.update({ currentStock: previousStock - item.quantity }, { transaction });
-
-        // Create stock movement
-        await StockMovement.create({
-          establishmentId,
-          productId: product.id,
-          type: 'venta',
-          quantity: -item.quantity,
-          previousStock,
-          newStock: previousStock - item.quantity,
-          unitCost: product.costPrice,
-          totalCost: product.costPrice * item.quantity,
-          notes: `Venta directa - Pedido ${orderNumber}`,
-          userId: req.user.id
-        }, { transaction });
-      }
+      // Update stock (combos and prepared products deduct their components)
+      await moveProductStock(product, -item.quantity, {
+        type: 'venta',
+        notes: `Venta directa - Pedido ${orderNumber}`,
+        userId: req.user.id
+      }, transaction);
     }
 
     const total = subtotal - parseFloat(discount);
@@ -828,6 +834,17 @@ router.post('/', authenticateToken, async (req, res) => {
       for (const p of payments) {
         const pAmt = parseFloat(p.amount) || 0;
         if (pAmt <= 0) continue;
+        if (isStoreCreditMethod(p.paymentMethod)) {
+          await spendCredit({
+            establishmentId,
+            ...(await getOrderCreditHolder(order, transaction)),
+            amount: pAmt,
+            orderId: order.id,
+            description: `Venta directa #${orderNumber}`,
+            registeredBy: req.user.id,
+            transaction
+          });
+        }
         await OrderPayment.create({
           orderId: order.id,
           amount: pAmt,
@@ -846,6 +863,17 @@ router.post('/', authenticateToken, async (req, res) => {
         }, transaction);
       }
     } else if (paid > 0 && paymentMethod && paymentMethod !== 'pending') {
+      if (isStoreCreditMethod(paymentMethod)) {
+        await spendCredit({
+          establishmentId,
+          ...(await getOrderCreditHolder(order, transaction)),
+          amount: paid,
+          orderId: order.id,
+          description: `Venta directa - Pedido #${orderNumber}`,
+          registeredBy: req.user.id,
+          transaction
+        });
+      }
       await OrderPayment.create({
         orderId: order.id,
         amount: paid,
@@ -900,6 +928,11 @@ router.post('/', authenticateToken, async (req, res) => {
 
     await transaction.commit();
 
+    // Invoice the sale if the establishment's invoicing rules say so
+    if (paymentStatus === 'paid') {
+      triggerAutoInvoice('order', order.id, req.user.id);
+    }
+
     // Fetch complete order
     const completeOrder = await Order.findByPk(order.id, {
       include: [
@@ -912,6 +945,9 @@ router.post('/', authenticateToken, async (req, res) => {
     res.status(201).json({ order: completeOrder });
   } catch (error) {
     await transaction.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, balance: error.balance });
+    }
     console.error('Error creating order:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
@@ -1019,6 +1055,20 @@ router.post('/from-booking/:bookingId', authenticateToken, async (req, res) => {
 
     // Create payment record if paid
     if (paid > 0 && paymentMethod && paymentMethod !== 'pending') {
+      if (isStoreCreditMethod(paymentMethod)) {
+        await spendCredit({
+          establishmentId: booking.establishmentId,
+          clientId: booking.clientId,
+          userId: booking.userId,
+          clientEmail: await resolveDebtorEmail(booking),
+          amount: paid,
+          orderId: order.id,
+          bookingId,
+          description: `Consumos de reserva - Pedido #${orderNumber}`,
+          registeredBy: req.user.id,
+          transaction
+        });
+      }
       await OrderPayment.create({
         orderId: order.id,
         amount: paid,
@@ -1054,6 +1104,9 @@ router.post('/from-booking/:bookingId', authenticateToken, async (req, res) => {
     res.status(201).json({ order: completeOrder });
   } catch (error) {
     await transaction.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, balance: error.balance });
+    }
     console.error('Error creating order from booking:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
@@ -1113,46 +1166,76 @@ router.post('/:id/payment', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: `El monto excede el pendiente ($${pendingAmount.toLocaleString()})` });
     }
 
-    // Create payment
-    const payment = await OrderPayment.create({
-      orderId: id,
-      amount: parseFloat(amount),
-      paymentMethod,
-      reference: reference || null,
-      notes: notes || null,
-      registeredBy: req.user.id
-    });
+    // Update order paid amount and status
+    const newPaidAmount = totalPaidSoFar + parseFloat(amount);
+    const newPending = Math.max(0, realTotal - newPaidAmount);
+    let paymentStatus = newPending <= 0 ? 'paid' : 'partial';
+    let orderPaymentMethod;
 
-    // Register cash register movement
     const cashRegister = await getUserActiveCashRegister(req.user.id, order.establishmentId);
-    if (cashRegister) {
-      await registerSaleMovement({
-        cashRegisterId: cashRegister.id,
-        establishmentId: order.establishmentId,
-        orderId: order.id,
-        bookingId: order.bookingId || null,
+
+    // The wallet debit, the payment and its cash movement are recorded together
+    const transaction = await sequelize.transaction();
+    let payment;
+    try {
+      if (isStoreCreditMethod(paymentMethod)) {
+        await spendCredit({
+          establishmentId: order.establishmentId,
+          ...(await getOrderCreditHolder(order, transaction)),
+          amount,
+          orderId: order.id,
+          bookingId: order.bookingId || null,
+          description: `Pago - Pedido #${order.orderNumber}`,
+          registeredBy: req.user.id,
+          transaction
+        });
+      }
+
+      // Create payment
+      payment = await OrderPayment.create({
+        orderId: id,
         amount: parseFloat(amount),
         paymentMethod,
-        description: `Pago adicional - Pedido #${order.orderNumber}`,
+        reference: reference || null,
+        notes: notes || null,
         registeredBy: req.user.id
-      });
-    }
+      }, { transaction });
 
-    // Update order paid amount and status
-    const newPaidAmount = totalPaidSoFar + parseFloat(amount);
-    const newPending = Math.max(0, realTotal - newPaidAmount);
-    let paymentStatus = newPending <= 0 ? 'paid' : 'partial';
+      // Register cash register movement
+      if (cashRegister) {
+        await registerSaleMovement({
+          cashRegisterId: cashRegister.id,
+          establishmentId: order.establishmentId,
+          orderId: order.id,
+          bookingId: order.bookingId || null,
+          amount: parseFloat(amount),
+          paymentMethod,
+          description: `Pago adicional - Pedido #${order.orderNumber}`,
+          registeredBy: req.user.id
+        }, transaction);
+      }
 
-    // Determine payment method for order
-    const payments = await OrderPayment.findAll({ where: { orderId: id } });
-    const methods = [...new Set(payments.map(p => p.paymentMethod))];
-    const orderPaymentMethod = methods.length > 1 ? 'mixed' : methods[0];
+      // Determine payment method for order
+      const payments = await OrderPayment.findAll({ where: { orderId: id }, transaction });
+      const methods = [...new Set(payments.map(p => p.paymentMethod))];
+      orderPaymentMethod = methods.length > 1 ? 'mixed' : methods[0];
 
-    await order.update({
-      paidAmount: newPaidAmount,
-      paymentStatus,
-      paymentMethod: orderPaymentMethod
-    });
+      await order.update({
+        paidAmount: newPaidAmount,
+        paymentStatus,
+        paymentMethod: orderPaymentMethod
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // Invoice the sale if the establishment's invoicing rules say so
+    if (paymentStatus === 'paid') {
+      triggerAutoInvoice('order', order.id, req.user.id);
+    }
 
     res.json({ 
       payment,
@@ -1163,6 +1246,9 @@ router.post('/:id/payment', authenticateToken, async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, balance: error.balance });
+    }
     console.error('Error adding payment:', error);
     res.status(500).json({ error: 'Failed to add payment' });
   }
@@ -1172,7 +1258,7 @@ router.post('/:id/payment', authenticateToken, async (req, res) => {
 router.patch('/:id/status', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, refundAsCredit } = req.body;
 
     if (!['pending', 'completed', 'cancelled', 'refunded'].includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
@@ -1191,9 +1277,47 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    await order.update({ status });
+    // The order is locked so the credit is given once and stored with the status
+    const transaction = await sequelize.transaction();
+    let creditMovement = null;
+    try {
+      await order.reload({ transaction, lock: transaction.LOCK.UPDATE });
 
-    res.json({ order });
+      // A refund is final: the money or credit has already been given back
+      if (order.status === 'refunded' && status !== 'refunded') {
+        await transaction.rollback();
+        return res.status(409).json({ error: 'El pedido ya fue reintegrado y no puede cambiar de estado' });
+      }
+
+      // Refund what was paid as store credit instead of giving the money back
+      const paid = parseFloat(order.paidAmount) || 0;
+      if (status === 'refunded' && order.status !== 'refunded' && refundAsCredit && paid > 0) {
+        const holder = await getOrderCreditHolder(order, transaction);
+        if (!holder.clientId && !holder.userId && !holder.clientEmail) {
+          await transaction.rollback();
+          return res.status(400).json({ error: 'El pedido no tiene un cliente al que acreditar el saldo' });
+        }
+        creditMovement = await addCreditMovement({
+          establishmentId: order.establishmentId,
+          ...holder,
+          movementType: 'refund_credit',
+          amount: paid,
+          orderId: order.id,
+          description: `Reintegro como saldo a favor - Pedido #${order.orderNumber}`,
+          registeredBy: req.user.id,
+          transaction
+        });
+      }
+
+      await order.update({ status }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    res.json({ order, creditMovement });
   } catch (error) {
     console.error('Error updating order status:', error);
     res.status(500).json({ error: 'Failed to update order status' });
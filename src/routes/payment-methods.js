@@ -8,7 +8,8 @@ const DEFAULT_PAYMENT_METHODS = [
   { name: 'Efectivo', code: 'cash', icon: 'Banknote', sortOrder: 1 },
   { name: 'Transferencia', code: 'transfer', icon: 'Building2', sortOrder: 2 },
   { name: 'Credito', code: 'credit_card', icon: 'CreditCard', sortOrder: 3 },
-  { name: 'Debito', code: 'debit_card', icon: 'CreditCard', sortOrder: 4 }
+  { name: 'Debito', code: 'debit_card', icon: 'CreditCard', sortOrder: 4 },
+  { name: 'Saldo a favor', code: 'store_credit', icon: 'Wallet', sortOrder: 5 }
 ];
 
 // Get all payment methods for an establishment
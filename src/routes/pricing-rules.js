@@ -0,0 +1,18 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule
+} = require('../controllers/pricingRuleController');
+
+const router = express.Router();
+
+// Dynamic pricing rules (occupancy, lead time, holidays) - establishment owner/staff
+router.get('/establishment/:establishmentId', authenticateToken, getPricingRules);
+router.post('/establishment/:establishmentId', authenticateToken, createPricingRule);
+router.put('/:id', authenticateToken, updatePricingRule);
+router.delete('/:id', authenticateToken, deletePricingRule);
+
+module.exports = router;
@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { Product, ProductCategory, StockMovement, Establishment } = require('../models');
+const { Product, ProductCategory, ProductComponent, StockMovement, Establishment } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { getReorderSuggestions, createDraftPurchaseOrders } = require('../services/reorderSuggestions');
+const { formatOrderNumber } = require('../services/purchaseOrders');
+const { getComponents, setComponents, refreshCompositeCosts, getCompositeMargins } = require('../services/compositeProducts');
+const { isValidExpiryDate, createLot, getProductLots, getExpiringLots } = require('../services/stockLots');
 
 // Get all products for an establishment
 router.get('/', authenticateToken, async (req, res) => {
@@ -173,6 +177,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
         {
           model: ProductCategory,
           as: 'category'
+        },
+        {
+          model: ProductComponent,
+          as: 'components',
+          include: [{ model: Product, as: 'component', attributes: ['id', 'name', 'unit', 'costPrice', 'currentStock'] }]
         }
       ]
     });
@@ -212,7 +221,9 @@ router.post('/', authenticateToken, async (req, res) => {
       minStock,
       maxStock,
       unit,
-      trackStock
+      trackStock,
+      expiryDate,
+      lotNumber
     } = req.body;
 
     // Verify access - allow establishment owner, superadmin, or staff
@@ -226,44 +237,54 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    if (currentStock > 0 && !isValidExpiryDate(expiryDate)) {
+      return res.status(400).json({ error: 'Fecha de vencimiento inválida' });
+    }
+
     // Calculate profit margin
     const profitMargin = costPrice > 0 
       ? ((salePrice - costPrice) / costPrice * 100).toFixed(2)
       : 0;
 
-    const product = await Product.create({
-      establishmentId,
-      categoryId: categoryId || null,
-      name,
-      description: description || null,
-      barcode: barcode?.trim() || null,
-      sku: sku?.trim() || null,
-      image,
-      costPrice: costPrice || 0,
-      salePrice: salePrice || 0,
-      profitMargin,
-      currentStock: currentStock || 0,
-      minStock: minStock || 0,
-      maxStock,
-      unit: unit || 'unidad',
-      trackStock: trackStock !== false
-    });
-
-    // If initial stock > 0, create stock movement
-    if (currentStock > 0) {
-      await StockMovement.create({
+    // The product, its initial stock movement and lot are created together
+    const product = await sequelize.transaction(async (transaction) => {
+      const created = await Product.create({
         establishmentId,
-        productId: product.id,
-        userId: req.user.id,
-        type: 'entrada',
-        quantity: currentStock,
-        previousStock: 0,
-        newStock: currentStock,
-        unitCost: costPrice,
-        totalCost: costPrice * currentStock,
-        reason: 'Stock inicial'
-      });
-    }
+        categoryId: categoryId || null,
+        name,
+        description: description || null,
+        barcode: barcode?.trim() || null,
+        sku: sku?.trim() || null,
+        image,
+        costPrice: costPrice || 0,
+        salePrice: salePrice || 0,
+        profitMargin,
+        currentStock: currentStock || 0,
+        minStock: minStock || 0,
+        maxStock,
+        unit: unit || 'unidad',
+        trackStock: trackStock !== false
+      }, { transaction });
+
+      // If initial stock > 0, create stock movement and its lot
+      if (currentStock > 0) {
+        const movement = await StockMovement.create({
+          establishmentId,
+          productId: created.id,
+          userId: req.user.id,
+          type: 'entrada',
+          quantity: currentStock,
+          previousStock: 0,
+          newStock: currentStock,
+          unitCost: costPrice,
+          totalCost: costPrice * currentStock,
+          reason: 'Stock inicial'
+        }, { transaction });
+        await createLot({ movement, expiryDate, lotNumber }, transaction);
+      }
+
+      return created;
+    });
 
     const createdProduct = await Product.findByPk(product.id, {
       include: [
@@ -276,6 +297,9 @@ router.post('/', authenticateToken, async (req, res) => {
 
     res.status(201).json({ product: createdProduct });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error creating product:', error);
     res.status(500).json({ error: 'Failed to create product' });
   }
@@ -339,6 +363,11 @@ router.put('/:id', authenticateToken, async (req, res) => {
       isActive: isActive !== undefined ? isActive : product.isActive
     });
 
+    // Combos using this product keep their cost in sync
+    if (costPrice !== undefined) {
+      await refreshCompositeCosts([product.id]);
+    }
+
     const updatedProduct = await Product.findByPk(product.id, {
       include: [
         {
@@ -471,6 +500,284 @@ router.get('/alerts/low-stock', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the stock lots of a product (oldest first, as they are consumed)
+// unlottedStock is negative when the product was oversold
+// Query: includeEmpty?
+router.get('/:id/lots', authenticateToken, async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const establishment = await Establishment.findByPk(product.establishmentId);
+    const isStaff = req.user.isStaff && req.user.establishmentId === product.establishmentId;
+    if (establishment.userId !== req.user.id && req.user.userType !== 'superadmin' && !isStaff) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const lots = await getProductLots(product.id, { includeEmpty: req.query.includeEmpty === 'true' });
+    const lotted = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+
+    res.json({
+      lots,
+      currentStock: product.currentStock,
+      unlottedStock: product.currentStock - lotted
+    });
+  } catch (error) {
+    console.error('Error fetching product lots:', error);
+    res.status(500).json({ error: 'Failed to fetch product lots' });
+  }
+});
+
+// Get lots expiring within the next days (and the already expired ones with units left)
+// Query: establishmentId, days? (default 7), categoryId?
+router.get('/alerts/expiring', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, days, categoryId } = req.query;
+
+    if (!establishmentId) {
+      return res.status(400).json({ error: 'establishmentId is required' });
+    }
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    if (!establishment) {
+      return res.status(404).json({ error: 'Establishment not found' });
+    }
+
+    const isStaff = req.user.isStaff && req.user.establishmentId === establishmentId;
+    if (establishment.userId !== req.user.id && req.user.userType !== 'superadmin' && !isStaff) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const expiring = await getExpiringLots(establishmentId, { days, categoryId });
+    res.json(expiring);
+  } catch (error) {
+    console.error('Error fetching expiring lots:', error);
+    res.status(500).json({ error: 'Failed to fetch expiring lots' });
+  }
+});
+
+// Get reorder suggestions from sales velocity, grouped by supplier
+// Query: establishmentId, windowDays?, leadTimeDays?, coverageDays?, categoryId?, includeAll?
+router.get('/alerts/reorder', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, windowDays, leadTimeDays, coverageDays, categoryId, includeAll } = req.query;
+
+    if (!establishmentId) {
+      return res.status(400).json({ error: 'establishmentId is required' });
+    }
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    if (!establishment) {
+      return res.status(404).json({ error: 'Establishment not found' });
+    }
+
+    const isStaff = req.user.isStaff && req.user.establishmentId === establishmentId;
+    if (establishment.userId !== req.user.id && req.user.userType !== 'superadmin' && !isStaff) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const suggestions = await getReorderSuggestions(establishmentId, {
+      windowDays,
+      leadTimeDays,
+      coverageDays,
+      categoryId,
+      includeAll: includeAll === 'true'
+    });
+
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Error fetching reorder suggestions:', error);
+    res.status(500).json({ error: 'Failed to fetch reorder suggestions' });
+  }
+});
+
+// Export reorder suggestions as a purchase list CSV
+router.get('/alerts/reorder/export', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, windowDays, leadTimeDays, coverageDays, categoryId } = req.query;
+
+    if (!establishmentId) {
+      return res.status(400).json({ error: 'establishmentId is required' });
+    }
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    if (!establishment) {
+      return res.status(404).json({ error: 'Establishment not found' });
+    }
+
+    const isStaff = req.user.isStaff && req.user.establishmentId === establishmentId;
+    if (establishment.userId !== req.user.id && req.user.userType !== 'superadmin' && !isStaff) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { suppliers } = await getReorderSuggestions(establishmentId, {
+      windowDays,
+      leadTimeDays,
+      coverageDays,
+      categoryId
+    });
+
+    const csvUtils = require('../utils/csvGenerator');
+
+    const csvData = suppliers.flatMap(group => group.items.map(item => ({
+      proveedor: group.supplier ? (group.supplier.businessName || group.supplier.name) : 'Sin proveedor',
+      producto: item.name,
+      categoria: item.category || '-',
+      sku: item.sku || '-',
+      stockActual: item.currentStock,
+      enPedido: item.onOrder,
+      ventaDiaria: csvUtils.formatNumberForCSV(item.dailyVelocity),
+      diasRestantes: item.daysOfStockLeft === null ? '-' : csvUtils.formatNumberForCSV(item.daysOfStockLeft, 1),
+      stockMaximo: item.maxStock ?? '-',
+      cantidadSugerida: item.suggestedQuantity,
+      costoUnitario: csvUtils.formatNumberForCSV(item.unitCost),
+      costoEstimado: csvUtils.formatNumberForCSV(item.estimatedCost)
+    })));
+
+    const fields = [
+      { label: 'Proveedor', value: 'proveedor' },
+      { label: 'Producto', value: 'producto' },
+      { label: 'Categoría', value: 'categoria' },
+      { label: 'SKU', value: 'sku' },
+      { label: 'Stock Actual', value: 'stockActual' },
+      { label: 'En Pedido', value: 'enPedido' },
+      { label: 'Venta Diaria', value: 'ventaDiaria' },
+      { label: 'Días de Stock', value: 'diasRestantes' },
+      { label: 'Stock Máximo', value: 'stockMaximo' },
+      { label: 'Cantidad Sugerida', value: 'cantidadSugerida' },
+      { label: 'Costo Unitario', value: 'costoUnitario' },
+      { label: 'Costo Estimado', value: 'costoEstimado' }
+    ];
+
+    const csv = csvUtils.generateCSV(csvData, fields);
+    const dateStr = new Date().toISOString().split('T')[0];
+    const filename = `lista_de_compras_${establishment.slug || establishmentId}_${dateStr}.csv`;
+
+    csvUtils.sendCSVResponse(res, csv, filename);
+  } catch (error) {
+    console.error('Error exporting reorder suggestions:', error);
+    res.status(500).json({ error: 'Failed to export', message: error.message });
+  }
+});
+
+// Create draft purchase orders (one per supplier) from the reorder suggestions
+// Body: { establishmentId, windowDays?, leadTimeDays?, coverageDays?, categoryId?, supplierIds?, productIds? }
+router.post('/alerts/reorder/purchase-orders', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, windowDays, leadTimeDays, coverageDays, categoryId, supplierIds, productIds } = req.body;
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    if (!establishment) {
+      return res.status(404).json({ error: 'Establishment not found' });
+    }
+
+    const isStaff = req.user.isStaff && req.user.establishmentId === establishmentId;
+    if (establishment.userId !== req.user.id && req.user.userType !== 'superadmin' && !isStaff) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const orders = await createDraftPurchaseOrders(establishmentId, {
+      windowDays,
+      leadTimeDays,
+      coverageDays,
+      categoryId,
+      supplierIds,
+      productIds
+    }, req.user);
+
+    res.status(201).json({
+      purchaseOrders: orders.map(order => ({ ...order.toJSON(), number: formatOrderNumber(order) }))
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating purchase orders from suggestions:', error);
+    res.status(500).json({ error: 'Failed to create purchase orders' });
+  }
+});
+
+// Get the components of a combo or prepared product, with its cost and list price
+router.get('/:id/components', authenticateToken, async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const establishment = await Establishment.findByPk(product.establishmentId);
+    const isStaff = req.user.isStaff && req.user.establishmentId === product.establishmentId;
+    if (establishment.userId !== req.user.id && req.user.userType !== 'superadmin' && !isStaff) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const recipe = await getComponents(product.id);
+    res.json({ productType: product.productType, salePrice: product.salePrice, ...recipe });
+  } catch (error) {
+    console.error('Error fetching product components:', error);
+    res.status(500).json({ error: 'Failed to fetch product components' });
+  }
+});
+
+// Replace the components of a product (an empty list makes it a simple product again)
+// Body: { productType?: 'combo' | 'prepared', components: [{ componentId, quantity }] }
+router.put('/:id/components', authenticateToken, async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const establishment = await Establishment.findByPk(product.establishmentId);
+    const isStaff = req.user.isStaff && req.user.establishmentId === product.establishmentId;
+    if (establishment.userId !== req.user.id && req.user.userType !== 'superadmin' && !isStaff) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { productType, components } = req.body;
+    const updatedProduct = await setComponents(product.id, { productType, components });
+    const recipe = await getComponents(product.id);
+
+    res.json({ product: updatedProduct, ...recipe });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating product components:', error);
+    res.status(500).json({ error: 'Failed to update product components' });
+  }
+});
+
+// Sales, cost and margin per combo / prepared product
+// Query: establishmentId, startDate?, endDate?
+router.get('/composites/margins', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, startDate, endDate } = req.query;
+
+    if (!establishmentId) {
+      return res.status(400).json({ error: 'establishmentId is required' });
+    }
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    if (!establishment) {
+      return res.status(404).json({ error: 'Establishment not found' });
+    }
+
+    const isStaff = req.user.isStaff && req.user.establishmentId === establishmentId;
+    if (establishment.userId !== req.user.id && req.user.userType !== 'superadmin' && !isStaff) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const report = await getCompositeMargins(establishmentId, { startDate, endDate });
+    res.json({ period: { startDate: startDate || null, endDate: endDate || null }, ...report });
+  } catch (error) {
+    console.error('Error fetching composite margins:', error);
+    res.status(500).json({ error: 'Failed to fetch composite margins' });
+  }
+});
+
 // Download import template CSV
 router.get('/import/template', authenticateToken, async (req, res) => {
   try {
@@ -634,7 +941,7 @@ router.post('/import', authenticateToken, async (req, res) => {
 
         // If initial stock > 0, create stock movement
         if (currentStock > 0) {
-          await StockMovement.create({
+          const movement = await StockMovement.create({
             establishmentId,
             productId: product.id,
             userId: req.user.id,
@@ -646,6 +953,7 @@ router.post('/import', authenticateToken, async (req, res) => {
             totalCost: costPrice * currentStock,
             reason: 'Importación masiva'
           });
+          await createLot({ movement });
         }
 
         results.success++;
@@ -0,0 +1,184 @@
+const express = require('express');
+const router = express.Router();
+const { PurchaseOrder, PurchaseOrderItem, Supplier, Establishment, StockMovement, Product } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  formatOrderNumber,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  cancelPurchaseOrder,
+  receiveGoods
+} = require('../services/purchaseOrders');
+
+const hasAccess = (establishment, user) => {
+  const isStaff = user.isStaff && user.establishmentId === establishment.id;
+  return establishment.userId === user.id || user.userType === 'superadmin' || isStaff;
+};
+
+const withNumber = (order) => {
+  const json = order.toJSON ? order.toJSON() : order;
+  return { ...json, number: formatOrderNumber(json) };
+};
+
+const handleServiceError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Load the purchase order of :id checking access to its establishment
+const loadOrder = async (req, res, next) => {
+  try {
+    const order = await PurchaseOrder.findByPk(req.params.id, { attributes: ['id', 'establishmentId'] });
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    const establishment = await Establishment.findByPk(order.establishmentId);
+    if (!hasAccess(establishment, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    req.purchaseOrder = order;
+    next();
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch purchase order');
+  }
+};
+
+// Get purchase orders of an establishment
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, status, supplierId, limit = 50, offset = 0 } = req.query;
+
+    if (!establishmentId) {
+      return res.status(400).json({ error: 'establishmentId is required' });
+    }
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    if (!establishment) {
+      return res.status(404).json({ error: 'Establishment not found' });
+    }
+    if (!hasAccess(establishment, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const where = { establishmentId };
+    if (status) where.status = status.split(',');
+    if (supplierId) where.supplierId = supplierId;
+
+    const { rows, count } = await PurchaseOrder.findAndCountAll({
+      where,
+      include: [
+        { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'businessName'] },
+        { model: PurchaseOrderItem, as: 'items', attributes: ['id', 'quantityOrdered', 'quantityReceived'] }
+      ],
+      order: [['orderNumber', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      distinct: true
+    });
+
+    res.json({
+      purchaseOrders: rows.map(withNumber),
+      pagination: {
+        total: count,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({ error: 'Failed to fetch purchase orders' });
+  }
+});
+
+// Get a purchase order with its lines and receipts (entrada movements)
+router.get('/:id', authenticateToken, loadOrder, async (req, res) => {
+  try {
+    const order = await getPurchaseOrder(req.purchaseOrder.id);
+    const receipts = await StockMovement.findAll({
+      where: { referenceType: 'purchase_order', referenceId: order.id },
+      include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'unit'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({ purchaseOrder: withNumber(order), receipts });
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({ error: 'Failed to fetch purchase order' });
+  }
+});
+
+// Create a draft purchase order
+// Body: { establishmentId, supplierId, items: [{ productId, quantity, expectedUnitCost?, notes? }], expectedDate?, notes? }
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, supplierId, items, expectedDate, notes } = req.body;
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    if (!establishment) {
+      return res.status(404).json({ error: 'Establishment not found' });
+    }
+    if (!hasAccess(establishment, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const order = await createPurchaseOrder({ establishmentId, supplierId, items, expectedDate, notes }, req.user);
+    res.status(201).json({ purchaseOrder: withNumber(order) });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to create purchase order');
+  }
+});
+
+// Update a purchase order not received yet (items replaces all the lines)
+router.put('/:id', authenticateToken, loadOrder, async (req, res) => {
+  try {
+    const { supplierId, items, expectedDate, notes } = req.body;
+    const order = await updatePurchaseOrder(req.purchaseOrder.id, { supplierId, items, expectedDate, notes });
+    res.json({ purchaseOrder: withNumber(order) });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to update purchase order');
+  }
+});
+
+// Mark a draft as sent to the supplier
+router.post('/:id/send', authenticateToken, loadOrder, async (req, res) => {
+  try {
+    const order = await sendPurchaseOrder(req.purchaseOrder.id);
+    res.json({ purchaseOrder: withNumber(order) });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to send purchase order');
+  }
+});
+
+// Receive goods: entradas, weighted average cost and optional Expense / supplier current account charge
+// Body: { items: [{ itemId, quantity, unitCost?, expiryDate?, lotNumber? }], invoiceNumber?, invoiceType?, vatRate?, notes?,
+//         chargeTo?: 'expense' | 'current_account', paymentMethod?, cashRegisterId?, expenseCategory? }
+router.post('/:id/receive', authenticateToken, loadOrder, async (req, res) => {
+  try {
+    const result = await receiveGoods(req.purchaseOrder.id, req.body, req.user);
+    res.status(201).json({
+      purchaseOrder: withNumber(result.order),
+      movements: result.movements,
+      expense: result.expense,
+      accountMovement: result.accountMovement
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to receive purchase order');
+  }
+});
+
+// Cancel a purchase order with nothing received
+router.post('/:id/cancel', authenticateToken, loadOrder, async (req, res) => {
+  try {
+    const order = await cancelPurchaseOrder(req.purchaseOrder.id);
+    res.json({ purchaseOrder: withNumber(order) });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to cancel purchase order');
+  }
+});
+
+module.exports = router;
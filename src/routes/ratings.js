@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const { PlayerRating, RatingHistory, User, Establishment } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { normalizeSport } = require('../services/matchmaking');
+const { DEFAULT_RATING, PROVISIONAL_MATCHES, getLeaderboard } = require('../services/ratings');
+
+const formatRating = (rating) => ({
+  sport: rating.sport,
+  rating: parseFloat(rating.rating),
+  matchesPlayed: rating.matchesPlayed,
+  wins: rating.wins,
+  losses: rating.losses,
+  draws: rating.draws,
+  lastPlayedAt: rating.lastPlayedAt,
+  provisional: rating.matchesPlayed < PROVISIONAL_MATCHES
+});
+
+/**
+ * Ratings of a user, one per sport (or the requested sport, with the default
+ * rating when the user has not played it yet)
+ */
+const findUserRatings = async (userId, sport) => {
+  if (sport) {
+    const normalized = normalizeSport(sport);
+    const rating = await PlayerRating.findOne({ where: { userId, sport: normalized } });
+    return [rating ? formatRating(rating) : formatRating({
+      sport: normalized,
+      rating: DEFAULT_RATING,
+      matchesPlayed: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      lastPlayedAt: null
+    })];
+  }
+
+  const ratings = await PlayerRating.findAll({
+    where: { userId },
+    order: [['matchesPlayed', 'DESC']]
+  });
+  return ratings.map(formatRating);
+};
+
+/**
+ * GET /api/ratings/me
+ * Ratings of the authenticated user
+ * Query: sport?
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const ratings = await findUserRatings(req.user.id, req.query.sport);
+    res.json({ success: true, ratings });
+  } catch (error) {
+    console.error('Error fetching ratings:', error);
+    res.status(500).json({ error: 'Failed to fetch ratings' });
+  }
+});
+
+/**
+ * GET /api/ratings/leaderboard
+ * Ranking of a sport, overall or limited to an establishment or a city
+ * Query: sport, establishmentId?, city?, minMatches?, limit?
+ */
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const { sport, establishmentId, city, minMatches, limit } = req.query;
+    if (!sport) {
+      return res.status(400).json({ error: 'Indicá el deporte' });
+    }
+
+    if (establishmentId) {
+      const establishment = await Establishment.findByPk(establishmentId, { attributes: ['id'] });
+      if (!establishment) {
+        return res.status(404).json({ error: 'Establecimiento no encontrado' });
+      }
+    }
+
+    const leaderboard = await getLeaderboard({
+      sport,
+      establishmentId,
+      city,
+      minMatches: parseInt(minMatches, 10) || 1,
+      limit
+    });
+
+    res.json({ success: true, sport: normalizeSport(sport), leaderboard });
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+  }
+});
+
+/**
+ * GET /api/ratings/users/:userId
+ * Public ratings of a player
+ * Query: sport?
+ */
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId, {
+      attributes: ['id', 'firstName', 'lastName', 'profileImage', 'city']
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'Jugador no encontrado' });
+    }
+
+    const ratings = await findUserRatings(user.id, req.query.sport);
+    res.json({ success: true, user, ratings });
+  } catch (error) {
+    console.error('Error fetching ratings:', error);
+    res.status(500).json({ error: 'Failed to fetch ratings' });
+  }
+});
+
+/**
+ * GET /api/ratings/users/:userId/history
+ * Rating changes of a player, newest first (corrected results excluded)
+ * Query: sport?, limit?
+ */
+router.get('/users/:userId/history', async (req, res) => {
+  try {
+    const where = { userId: req.params.userId, revertedAt: null };
+    if (req.query.sport) {
+      where.sport = normalizeSport(req.query.sport);
+    }
+
+    const history = await RatingHistory.findAll({
+      where,
+      include: [{ model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug'] }],
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    });
+
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('Error fetching rating history:', error);
+    res.status(500).json({ error: 'Failed to fetch rating history' });
+  }
+});
+
+module.exports = router;
@@ -13,6 +13,7 @@ const { authenticateToken } = require('../middleware/auth');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const crypto = require('crypto');
+const { addCreditMovement } = require('../services/clientCredits');
 const { getUserActiveCashRegister, registerSaleMovement } = require('../utils/cashRegisterHelper');
 const { sendRecurringBookingWhatsApp } = require('../services/whatsappNotification');
 
@@ -641,7 +642,7 @@ router.delete('/:groupId', authenticateToken, async (req, res) => {
   
   try {
     const { groupId } = req.params;
-    const { cancelType = 'all', bookingId, fromDate, reason } = req.body;
+    const { cancelType = 'all', bookingId, fromDate, reason, refundAsCredit } = req.body;
     // cancelType: 'single' | 'from_date' | 'all_pending'
     
     const group = await RecurringBookingGroup.findByPk(groupId);
@@ -770,6 +771,27 @@ router.delete('/:groupId', authenticateToken, async (req, res) => {
     
     const refundAmount = paidUnusedCount * parseFloat(group.pricePerBooking);
     
+    // Paid but unused turns go to the client's wallet ('credit' policy, or
+    // 'refund_unused' when the staff chooses credit instead of giving the money back)
+    let creditMovement = null;
+    const landsAsCredit = refundPolicy === 'credit' || (refundPolicy === 'refund_unused' && refundAsCredit);
+    if (landsAsCredit && refundAmount > 0 && (group.clientId || group.clientEmail)) {
+      try {
+        creditMovement = await addCreditMovement({
+          establishmentId: group.establishmentId,
+          clientId: group.clientId,
+          clientEmail: group.clientEmail,
+          movementType: 'recurring_credit',
+          amount: refundAmount,
+          recurringGroupId: group.id,
+          description: `Crédito por ${paidUnusedCount} turno(s) fijo(s) pagado(s) y cancelado(s)`,
+          registeredBy: req.user.id
+        });
+      } catch (creditError) {
+        console.error('Error adding recurring cancellation credit:', creditError);
+      }
+    }
+    
     res.json({
       success: true,
       message: cancelType === 'single' 
@@ -784,11 +806,14 @@ router.delete('/:groupId', authenticateToken, async (req, res) => {
         policy: refundPolicy,
         paidUnusedCount,
         amount: refundAmount,
-        action: refundPolicy === 'credit' 
-          ? 'Se acreditará a favor del cliente' 
-          : refundPolicy === 'refund_unused' 
-            ? 'Se debe reembolsar al cliente' 
-            : 'Sin reembolso según política'
+        creditMovementId: creditMovement?.id || null,
+        action: creditMovement
+          ? `Se acreditaron $${refundAmount} como saldo a favor del cliente`
+          : refundPolicy === 'credit'
+            ? 'Se acreditará a favor del cliente'
+            : refundPolicy === 'refund_unused'
+              ? 'Se debe reembolsar al cliente'
+              : 'Sin reembolso según política'
       }
     });
   } catch (error) {
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { StockCount, StockCountItem, Establishment, StockMovement, Product } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  STOCK_COUNT_REFERENCE,
+  formatCountNumber,
+  getStockCount,
+  createStockCount,
+  recordCounts,
+  approveStockCount,
+  cancelStockCount
+} = require('../services/stockCounts');
+
+const hasAccess = (establishment, user) => {
+  const isStaff = user.isStaff && user.establishmentId === establishment.id;
+  return establishment.userId === user.id || user.userType === 'superadmin' || isStaff;
+};
+
+const handleServiceError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Load the stock count of :id checking access to its establishment
+const loadCount = async (req, res, next) => {
+  try {
+    const count = await StockCount.findByPk(req.params.id, { attributes: ['id', 'establishmentId'] });
+    if (!count) {
+      return res.status(404).json({ error: 'Stock count not found' });
+    }
+    const establishment = await Establishment.findByPk(count.establishmentId);
+    if (!hasAccess(establishment, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    req.stockCount = count;
+    next();
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch stock count');
+  }
+};
+
+// Get stock counts of an establishment
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, status, limit = 50, offset = 0 } = req.query;
+
+    if (!establishmentId) {
+      return res.status(400).json({ error: 'establishmentId is required' });
+    }
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    if (!establishment) {
+      return res.status(404).json({ error: 'Establishment not found' });
+    }
+    if (!hasAccess(establishment, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const where = { establishmentId };
+    if (status) where.status = status.split(',');
+
+    const { rows, count } = await StockCount.findAndCountAll({
+      where,
+      include: [{ model: StockCountItem, as: 'items', attributes: ['id', 'countedQuantity', 'variance'] }],
+      order: [['countNumber', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      distinct: true
+    });
+
+    res.json({
+      stockCounts: rows.map(row => {
+        const { items, ...json } = row.toJSON();
+        return {
+          ...json,
+          number: formatCountNumber(json),
+          products: items.length,
+          counted: items.filter(item => item.countedQuantity != null).length,
+          withVariance: items.filter(item => item.variance).length
+        };
+      }),
+      pagination: {
+        total: count,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stock counts:', error);
+    res.status(500).json({ error: 'Failed to fetch stock counts' });
+  }
+});
+
+// Get a stock count with its items, variances and the movements it posted
+// Query: search? (name, sku or barcode), state? (pending | counted | variance)
+router.get('/:id', authenticateToken, loadCount, async (req, res) => {
+  try {
+    const { search, state } = req.query;
+    const stockCount = await getStockCount(req.stockCount.id, { search, state });
+    const movements = await StockMovement.findAll({
+      where: { referenceType: STOCK_COUNT_REFERENCE, referenceId: stockCount.id },
+      include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'unit'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({ stockCount, movements });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch stock count');
+  }
+});
+
+// Open a stock count
+// Body: { establishmentId, categoryIds? (all categories when omitted), notes? }
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId, categoryIds, notes } = req.body;
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    if (!establishment) {
+      return res.status(404).json({ error: 'Establishment not found' });
+    }
+    if (!hasAccess(establishment, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const stockCount = await createStockCount({ establishmentId, categoryIds, notes }, req.user);
+    res.status(201).json({ stockCount });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to create stock count');
+  }
+});
+
+// Enter counted quantities
+// Body: { items: [{ productId? | code?, quantity, mode?: 'set' | 'add', notes? }] }
+router.put('/:id/items', authenticateToken, loadCount, async (req, res) => {
+  try {
+    const items = await recordCounts(req.stockCount.id, req.body.items, req.user);
+    res.json({ items });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to record counts');
+  }
+});
+
+// Barcode scan: adds quantity (1 by default) to the product with that barcode or sku
+// Body: { code, quantity? }
+router.post('/:id/scan', authenticateToken, loadCount, async (req, res) => {
+  try {
+    const { code, quantity } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+
+    const [item] = await recordCounts(req.stockCount.id, [{ code, quantity, mode: 'add' }], req.user);
+    res.json({ item });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to record scan');
+  }
+});
+
+// Approve the count, posting the ajuste/merma movements of its variances
+// Body: { shortageType?: 'merma' | 'ajuste' }
+router.post('/:id/approve', authenticateToken, loadCount, async (req, res) => {
+  try {
+    const result = await approveStockCount(req.stockCount.id, { shortageType: req.body.shortageType }, req.user);
+    res.json({ stockCount: result.count, movements: result.movements });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to approve stock count');
+  }
+});
+
+// Discard an open count without adjusting stock
+router.post('/:id/cancel', authenticateToken, loadCount, async (req, res) => {
+  try {
+    const stockCount = await cancelStockCount(req.stockCount.id);
+    res.json({ stockCount });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to cancel stock count');
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@ const { authenticateToken } = require('../middleware/auth');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const { getPurchasesByProduct } = require('../controllers/stockController');
+const { createLot, takeFromLots, saveAllocations } = require('../services/stockLots');
+const { refreshCompositeCosts } = require('../services/compositeProducts');
 
 // Get stock movements
 router.get('/', authenticateToken, async (req, res) => {
@@ -111,8 +113,14 @@ router.post('/', authenticateToken, async (req, res) => {
       reason,
       notes,
       invoiceNumber,
+      supplierId,
+      invoiceType,
+      vatRate,
       updateCostPrice,
-      updateSalePrice
+      updateSalePrice,
+      expiryDate,
+      lotNumber,
+      lotId
     } = req.body;
 
     // Verify access
@@ -184,9 +192,23 @@ router.post('/', authenticateToken, async (req, res) => {
 
     // Update product stock and prices
     await product.update(productUpdate, { transaction });
+    if (productUpdate.costPrice !== undefined) {
+      await refreshCompositeCosts([product.id], transaction);
+    }
+
+    // Outflows take their units from the lots FIFO (a merma or salida may name its lot)
+    let lotAllocations = [];
+    let lotCost = null;
+    if (movementQuantity < 0) {
+      const fromLot = type === 'salida' || type === 'merma' ? lotId : null;
+      const taken = await takeFromLots(product, -movementQuantity, { lotId: fromLot }, transaction);
+      lotAllocations = taken.allocations;
+      lotCost = taken.totalCost;
+    }
 
-    // Create movement record
-    const totalCost = unitCost ? unitCost * Math.abs(movementQuantity) : null;
+    // Create movement record (outflows without a given cost are valued at their lots' cost)
+    const totalCost = unitCost ? unitCost * Math.abs(movementQuantity) : lotCost;
+    const movementUnitCost = unitCost || (lotCost !== null ? Math.round(lotCost / -movementQuantity * 100) / 100 : null);
     
     const movement = await StockMovement.create({
       establishmentId,
@@ -196,13 +218,28 @@ router.post('/', authenticateToken, async (req, res) => {
       quantity: movementQuantity,
       previousStock,
       newStock,
-      unitCost,
+      unitCost: movementUnitCost,
       totalCost,
       reason,
       notes,
-      invoiceNumber
+      invoiceNumber,
+      // Purchase fiscal data, only meaningful for entradas (Libro IVA Compras)
+      supplierId: type === 'entrada' ? supplierId || null : null,
+      invoiceType: type === 'entrada' && invoiceType ? parseInt(invoiceType) : null,
+      vatRate: type === 'entrada' && vatRate != null && vatRate !== '' ? vatRate : null
     }, { transaction });
 
+    if (type === 'entrada') {
+      await createLot({
+        movement,
+        unitCost: unitCost || product.costPrice,
+        expiryDate,
+        lotNumber
+      }, transaction);
+    } else {
+      await saveAllocations(movement, lotAllocations, transaction);
+    }
+
     await transaction.commit();
 
     // Fetch complete movement data
@@ -235,6 +272,9 @@ router.post('/', authenticateToken, async (req, res) => {
     res.status(201).json({ movement: movementJson });
   } catch (error) {
     await transaction.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error creating stock movement:', error);
     res.status(500).json({ error: 'Failed to create stock movement' });
   }
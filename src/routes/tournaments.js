@@ -9,7 +9,11 @@ const {
   deleteTournament,
   registerForTournament,
   getTournamentParticipants,
-  getTournamentBrackets
+  getTournamentBrackets,
+  generateTournamentBrackets,
+  recordTournamentMatchResult,
+  scheduleTournament,
+  getTournamentStandings
 } = require('../controllers/tournamentController');
 
 const router = express.Router();
@@ -36,16 +40,37 @@ const createTournamentValidation = [
   body('maxTeams').optional().isInt({ min: 2, max: 128 }).withMessage('Max teams must be 2-128')
 ];
 
+// Match result validation
+const matchResultValidation = [
+  body('winnerId').optional().isUUID().withMessage('Valid winner participant ID required'),
+  body('sets').optional().isArray({ max: 5 }).withMessage('Sets must be an array of up to 5 sets'),
+  body('sets.*.p1').optional().isInt({ min: 0 }).withMessage('Set scores must be non-negative integers'),
+  body('sets.*.p2').optional().isInt({ min: 0 }).withMessage('Set scores must be non-negative integers'),
+  body('isDraw').optional().isBoolean()
+];
+
+// Scheduling validation
+const scheduleValidation = [
+  body('matchDuration').optional().isInt({ min: 15, max: 300 }).withMessage('Match duration must be 15-300 minutes'),
+  body('bufferMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Buffer must be 0-120 minutes'),
+  body('courtIds').optional().isArray().withMessage('courtIds must be an array'),
+  body('courtIds.*').optional().isUUID().withMessage('Valid court IDs required')
+];
+
 // Public routes
 router.get('/', optionalAuth, getTournaments);
 router.get('/:id', optionalAuth, getTournamentById);
 router.get('/:id/participants', optionalAuth, getTournamentParticipants);
 router.get('/:id/brackets', optionalAuth, getTournamentBrackets);
+router.get('/:id/standings', optionalAuth, getTournamentStandings);
 
 // Protected routes
 router.post('/', authenticateToken, requireRole(['establishment', 'admin']), createTournamentValidation, handleValidationErrors, createTournament);
 router.put('/:id', authenticateToken, updateTournament);
 router.delete('/:id', authenticateToken, deleteTournament);
 router.post('/:id/register', authenticateToken, registerForTournament);
+router.post('/:id/brackets/generate', authenticateToken, generateTournamentBrackets);
+router.post('/:id/schedule', authenticateToken, scheduleValidation, handleValidationErrors, scheduleTournament);
+router.put('/:id/matches/:matchId/result', authenticateToken, matchResultValidation, handleValidationErrors, recordTournamentMatchResult);
 
 module.exports = router;
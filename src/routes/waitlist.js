@@ -0,0 +1,299 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { WaitlistEntry, Court, Establishment, Booking } = require('../models');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { acceptOffer, declineOffer, isCourtFree } = require('../services/waitlistService');
+const { normalizeSport } = require('../services/matchmaking');
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const joinValidation = [
+  body('courtId').optional().isUUID().withMessage('Valid court ID required'),
+  body('establishmentId').optional().isUUID().withMessage('Valid establishment ID required'),
+  body('date').isISO8601().withMessage('Valid date required'),
+  body('startTime').matches(/^\d{2}:\d{2}$/).withMessage('startTime must be HH:MM'),
+  body('duration').optional().isInt({ min: 30, max: 240 }).withMessage('Duration must be 30-240 minutes')
+];
+
+const addMinutes = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = (hours * 60 + mins + minutes) % 1440;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * POST /api/waitlist
+ * Join the waitlist for a taken slot
+ * Body: { courtId } for a specific court, or { establishmentId, sport } for any court of that sport
+ *       plus { date, startTime, duration, clientName?, clientPhone?, clientEmail? }
+ */
+router.post('/', authenticateToken, joinValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { courtId, date, startTime, duration = 60, clientName, clientPhone, clientEmail } = req.body;
+    let { establishmentId, sport } = req.body;
+
+    if (courtId) {
+      const court = await Court.findOne({ where: { id: courtId, isActive: true } });
+      if (!court) {
+        return res.status(404).json({ error: 'Cancha no encontrada' });
+      }
+      establishmentId = court.establishmentId;
+      sport = court.sport;
+    } else if (!establishmentId || !sport) {
+      return res.status(400).json({ error: 'courtId o establishmentId y sport son requeridos' });
+    }
+
+    sport = normalizeSport(sport);
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    if (!establishment) {
+      return res.status(404).json({ error: 'Establecimiento no encontrado' });
+    }
+
+    // Only taken slots have a waitlist: a free court can be booked right away
+    const endTime = addMinutes(startTime, parseInt(duration, 10));
+    const courts = courtId
+      ? [{ id: courtId }]
+      : (await Court.findAll({ where: { establishmentId, isActive: true }, attributes: ['id', 'sport'] }))
+        .filter(court => normalizeSport(court.sport) === sport);
+    for (const court of courts) {
+      if (await isCourtFree({ courtId: court.id, date, startTime, endTime })) {
+        return res.status(400).json({ error: 'El horario está libre, podés reservarlo directamente' });
+      }
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      where: {
+        userId: req.user.id,
+        establishmentId,
+        courtId: courtId || null,
+        date,
+        startTime,
+        status: { [Op.in]: ['waiting', 'offered'] }
+      }
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'Ya estás en la lista de espera para este horario' });
+    }
+
+    const entry = await WaitlistEntry.create({
+      establishmentId,
+      courtId: courtId || null,
+      sport,
+      date,
+      startTime,
+      endTime,
+      duration: parseInt(duration, 10),
+      userId: req.user.id,
+      clientName: clientName || `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || null,
+      clientPhone: clientPhone || req.user.phone || null,
+      clientEmail: (clientEmail || req.user.email || '').toLowerCase() || null
+    });
+
+    const position = await WaitlistEntry.count({
+      where: {
+        establishmentId,
+        date,
+        startTime,
+        status: 'waiting',
+        createdAt: { [Op.lte]: entry.createdAt }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Te sumamos a la lista de espera',
+      entry,
+      position
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({ error: 'Failed to join waitlist' });
+  }
+});
+
+/**
+ * GET /api/waitlist/my
+ * Waitlist entries of the authenticated user
+ */
+router.get('/my', authenticateToken, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.findAll({
+      where: {
+        userId: req.user.id,
+        status: { [Op.in]: ['waiting', 'offered'] }
+      },
+      include: [
+        { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug'] },
+        { model: Court, as: 'court', attributes: ['id', 'name', 'sport'] },
+        { model: Court, as: 'offeredCourt', attributes: ['id', 'name', 'sport'] }
+      ],
+      order: [['date', 'ASC'], ['startTime', 'ASC']]
+    });
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Error fetching waitlist entries:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist entries' });
+  }
+});
+
+/**
+ * GET /api/waitlist/establishment/:establishmentId
+ * Waitlist of an establishment (owner/staff view)
+ * Query: { date?, status? }
+ */
+router.get('/establishment/:establishmentId', authenticateToken, async (req, res) => {
+  try {
+    const { establishmentId } = req.params;
+    const { date, status } = req.query;
+
+    const establishment = await Establishment.findByPk(establishmentId);
+    const isStaff = req.user.isStaff && req.user.establishmentId === establishmentId;
+    if (!establishment || (establishment.userId !== req.user.id && req.user.userType !== 'superadmin' && !isStaff)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const where = { establishmentId };
+    if (date) where.date = date;
+    where.status = status || { [Op.in]: ['waiting', 'offered'] };
+
+    const entries = await WaitlistEntry.findAll({
+      where,
+      include: [
+        { model: Court, as: 'court', attributes: ['id', 'name', 'sport'] },
+        { model: Court, as: 'offeredCourt', attributes: ['id', 'name', 'sport'] },
+        { model: Booking, as: 'booking', attributes: ['id', 'status'] }
+      ],
+      order: [['date', 'ASC'], ['startTime', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Error fetching establishment waitlist:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist' });
+  }
+});
+
+/**
+ * DELETE /api/waitlist/:id
+ * Leave the waitlist
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Entrada no encontrada' });
+    }
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({ error: 'La entrada ya no está activa' });
+    }
+
+    // Leaving while holding an offer passes the slot to the next person
+    if (entry.status === 'offered') {
+      await declineOffer(entry.offerToken);
+    }
+    await entry.update({ status: 'cancelled' });
+
+    res.json({ success: true, message: 'Saliste de la lista de espera' });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({ error: 'Failed to leave waitlist' });
+  }
+});
+
+/**
+ * GET /api/waitlist/offers/:token
+ * Offer details for the link sent by WhatsApp/email
+ */
+router.get('/offers/:token', async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      where: { offerToken: req.params.token },
+      include: [
+        { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug', 'address'] },
+        { model: Court, as: 'offeredCourt', attributes: ['id', 'name', 'sport'] }
+      ]
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Oferta no encontrada' });
+    }
+
+    const isActive = entry.status === 'offered' && new Date(entry.holdExpiresAt) > new Date();
+
+    res.json({
+      success: true,
+      offer: {
+        status: isActive ? 'offered' : entry.status,
+        isActive,
+        date: entry.date,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        holdExpiresAt: entry.holdExpiresAt,
+        court: entry.offeredCourt,
+        establishment: entry.establishment,
+        bookingId: entry.bookingId
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist offer:', error);
+    res.status(500).json({ error: 'Failed to fetch offer' });
+  }
+});
+
+/**
+ * POST /api/waitlist/offers/:token/accept
+ * Accept the held slot; creates a pending booking
+ */
+router.post('/offers/:token/accept', optionalAuth, async (req, res) => {
+  try {
+    const { entry, booking } = await acceptOffer(req.params.token, req.user);
+
+    res.json({
+      success: true,
+      message: 'Reserva creada desde la lista de espera',
+      entryId: entry.id,
+      booking
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error accepting waitlist offer:', error);
+    res.status(500).json({ error: 'Failed to accept offer' });
+  }
+});
+
+/**
+ * POST /api/waitlist/offers/:token/decline
+ * Decline the held slot so it goes to the next person in line
+ */
+router.post('/offers/:token/decline', async (req, res) => {
+  try {
+    await declineOffer(req.params.token);
+    res.json({ success: true, message: 'Oferta rechazada' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error declining waitlist offer:', error);
+    res.status(500).json({ error: 'Failed to decline offer' });
+  }
+});
+
+module.exports = router;
@@ -78,12 +78,13 @@ class ArcaFactory {
       });
       
       if (!puntoVenta) {
-        // If no default, get any active punto de venta
+        // If no default, get any active punto de venta (CAEA contingency ones can't request CAE)
         puntoVenta = await EstablishmentAfipPuntoVenta.findOne({
           where: { 
             establishmentId,
             afipConfigId: afipConfig.id,
-            isActive: true
+            isActive: true,
+            esContingencia: false
           }
         });
       }
@@ -0,0 +1,366 @@
+/**
+ * Auto Invoicing Service
+ *
+ * Emits the invoice of a sale automatically, following the establishment's
+ * InvoicingRules, when:
+ *   - a direct sale (Order) becomes fully paid
+ *   - a booking is checked out (completed) with its balance paid
+ *
+ * The rule also chooses the punto de venta by payment method, and the
+ * receptor's CUIT (Client.taxId) is looked up in the AFIP padrón to issue
+ * Factura A to responsables inscriptos and B to everyone else.
+ *
+ * Emission goes through the invoice queue, so an AFIP outage never blocks
+ * the sale: the job is retried (or issued under CAEA) in the background.
+ */
+
+const { Op } = require('sequelize');
+const {
+  InvoicingRule,
+  EstablishmentAfipConfig,
+  EstablishmentAfipPuntoVenta,
+  Invoice,
+  InvoiceJob,
+  Order,
+  OrderItem,
+  OrderPayment,
+  Booking,
+  BookingPayment,
+  BookingConsumption,
+  Product,
+  Court,
+  Client,
+  sequelize
+} = require('../../models');
+const PadronService = require('./padronService');
+const { DOC_TYPES, IVA_CONDITIONS } = require('./wsfeService');
+const { enqueueInvoice, processInvoiceJob } = require('./invoiceQueueService');
+const { round2 } = require('../../utils/money');
+
+// Padrón answers are kept on the client for this long
+const IVA_CONDITION_TTL_DAYS = 30;
+
+const IVA_CONDITION_CODES = {
+  responsable_inscripto: IVA_CONDITIONS.RESPONSABLE_INSCRIPTO,
+  exento: IVA_CONDITIONS.EXENTO,
+  monotributista: IVA_CONDITIONS.MONOTRIBUTISTA,
+  consumidor_final: IVA_CONDITIONS.CONSUMIDOR_FINAL
+};
+
+// =====================================================
+// SALES
+// =====================================================
+
+/**
+ * Sale data of a direct order
+ * @returns {Promise<Object|null>} { establishmentId, orderId, bookingId, total, paid, items, payments, client }
+ */
+const buildOrderSale = async (orderId) => {
+  const order = await Order.findByPk(orderId, {
+    include: [
+      { model: OrderItem, as: 'items' },
+      { model: OrderPayment, as: 'payments' },
+      { model: Client, as: 'client' }
+    ]
+  });
+  if (!order) return null;
+
+  return {
+    establishmentId: order.establishmentId,
+    orderId: order.id,
+    bookingId: null,
+    total: round2(order.total),
+    paid: order.paymentStatus === 'paid',
+    items: order.items.map(item => ({
+      descripcion: item.productName,
+      cantidad: item.quantity,
+      precioUnitario: parseFloat(item.unitPrice)
+    })),
+    payments: order.payments.map(p => ({ method: p.paymentMethod, amount: parseFloat(p.amount) || 0 })),
+    client: order.client,
+    customerName: order.customerName
+  };
+};
+
+/**
+ * Sale data of a booking: court rental plus consumptions, paid with the
+ * deposit, payments declared on the booking and payments of its order
+ */
+const buildBookingSale = async (bookingId) => {
+  const booking = await Booking.findByPk(bookingId, {
+    include: [
+      { model: Court, as: 'court', attributes: ['id', 'name'] },
+      { model: Client, as: 'client' }
+    ]
+  });
+  if (!booking) return null;
+
+  const order = await Order.findOne({ where: { bookingId } });
+  const consumptions = await BookingConsumption.findAll({
+    where: { bookingId },
+    include: [{ model: Product, as: 'product', attributes: ['id', 'name'] }]
+  });
+  const bookingPayments = await BookingPayment.findAll({ where: { bookingId } });
+  const orderPayments = order ? await OrderPayment.findAll({ where: { orderId: order.id } }) : [];
+
+  const payments = [
+    ...bookingPayments.map(p => ({ method: p.method, amount: parseFloat(p.amount) || 0 })),
+    ...orderPayments.map(p => ({ method: p.paymentMethod, amount: parseFloat(p.amount) || 0 }))
+  ];
+  // Old bookings only kept the deposit on the booking itself
+  if (!bookingPayments.some(p => p.paymentType === 'deposit') && parseFloat(booking.initialDeposit) > 0) {
+    payments.push({ method: booking.depositMethod || 'mercadopago', amount: parseFloat(booking.initialDeposit) });
+  }
+
+  const courtTotal = parseFloat(booking.totalAmount) || 0;
+  const items = [];
+  if (courtTotal > 0) {
+    items.push({
+      descripcion: `Alquiler ${booking.court?.name || 'cancha'} - ${booking.date} ${String(booking.startTime).slice(0, 5)}`,
+      cantidad: 1,
+      precioUnitario: courtTotal
+    });
+  }
+  for (const consumption of consumptions) {
+    items.push({
+      descripcion: consumption.product?.name || 'Consumo',
+      cantidad: consumption.quantity,
+      precioUnitario: parseFloat(consumption.unitPrice)
+    });
+  }
+
+  const total = round2(courtTotal + consumptions.reduce((sum, c) => sum + (parseFloat(c.totalPrice) || 0), 0));
+  const paidAmount = payments.reduce((sum, p) => sum + p.amount, 0);
+
+  return {
+    establishmentId: booking.establishmentId,
+    orderId: order?.id || null,
+    bookingId: booking.id,
+    total,
+    paid: paidAmount >= total - 0.01,
+    items,
+    payments,
+    client: booking.client,
+    customerName: booking.clientName
+  };
+};
+
+// =====================================================
+// RULES
+// =====================================================
+
+const ruleMatches = (rule, sale) => {
+  switch (rule.condition) {
+    case 'always':
+      return true;
+    case 'payment_methods':
+      // Any traceable payment makes the whole sale invoiced
+      return sale.payments.some(p => p.amount > 0 && (rule.paymentMethods || []).includes(p.method));
+    case 'min_amount':
+      return sale.total >= parseFloat(rule.minAmount || 0);
+    default:
+      return false;
+  }
+};
+
+/**
+ * First active rule of the establishment that matches the sale
+ * @param {string} trigger - 'orders' | 'bookings'
+ */
+const findMatchingRule = async (establishmentId, trigger, sale) => {
+  const rules = await InvoicingRule.findAll({
+    where: {
+      establishmentId,
+      isActive: true,
+      appliesTo: { [Op.in]: ['all', trigger] }
+    },
+    order: [['priority', 'DESC'], ['created_at', 'ASC']]
+  });
+  return rules.find(rule => ruleMatches(rule, sale)) || null;
+};
+
+/**
+ * Punto de venta for the sale: the one mapped to the payment method with the
+ * largest amount, else the rule's, else the default (null)
+ */
+const choosePuntoVenta = async (rule, sale) => {
+  const byMethod = {};
+  for (const p of sale.payments) {
+    byMethod[p.method] = (byMethod[p.method] || 0) + p.amount;
+  }
+  const mainMethod = Object.keys(byMethod).sort((a, b) => byMethod[b] - byMethod[a])[0];
+  const candidates = [rule.puntoVentaByPaymentMethod?.[mainMethod], rule.puntoVentaId].filter(Boolean);
+
+  for (const puntoVentaId of candidates) {
+    const puntoVenta = await EstablishmentAfipPuntoVenta.findOne({
+      where: { id: puntoVentaId, establishmentId: sale.establishmentId, isActive: true },
+      attributes: ['id']
+    });
+    if (puntoVenta) return puntoVenta.id;
+  }
+  return null;
+};
+
+// =====================================================
+// RECEPTOR
+// =====================================================
+
+/**
+ * Condición IVA of a CUIT, from the client's cache or the AFIP padrón
+ */
+const getIvaCondition = async (afipConfig, client) => {
+  const checkedAt = client.ivaConditionCheckedAt ? new Date(client.ivaConditionCheckedAt).getTime() : 0;
+  const fresh = Date.now() - checkedAt < IVA_CONDITION_TTL_DAYS * 24 * 60 * 60 * 1000;
+  if (client.ivaCondition && fresh) {
+    return { condicion: client.ivaCondition, razonSocial: null };
+  }
+
+  try {
+    const padronService = new PadronService({
+      establishmentId: afipConfig.establishmentId,
+      cuit: afipConfig.cuit,
+      encryptedCert: afipConfig.encryptedCert,
+      encryptedKey: afipConfig.encryptedKey
+    });
+    const contribuyente = await padronService.consultarCuit(client.taxId);
+    await client.update({
+      ivaCondition: contribuyente.condicionIva.shortName,
+      ivaConditionCheckedAt: new Date()
+    });
+    return { condicion: contribuyente.condicionIva.shortName, razonSocial: contribuyente.razonSocial };
+  } catch (error) {
+    // Padrón down: keep going with the last known condition
+    console.error(`[AutoInvoicing] Padrón lookup failed for CUIT ${client.taxId}:`, error.message);
+    return { condicion: client.ivaCondition || null, razonSocial: null };
+  }
+};
+
+/**
+ * Receptor of the invoice: the client's CUIT decides Factura A or B
+ * @returns {Promise<Object>} { cliente, receptorCondicion }
+ */
+const resolveReceptor = async (afipConfig, sale) => {
+  const client = sale.client;
+  const nombre = client?.name || sale.customerName || 'Consumidor Final';
+
+  if (!client?.taxId || !/^\d{11}$/.test(client.taxId)) {
+    return {
+      cliente: { nombre, docTipo: DOC_TYPES.CONSUMIDOR_FINAL, docNro: '0' },
+      receptorCondicion: 'consumidor_final'
+    };
+  }
+
+  const { condicion, razonSocial } = await getIvaCondition(afipConfig, client);
+  const receptorCondicion = condicion || 'consumidor_final';
+
+  return {
+    cliente: {
+      nombre: razonSocial || nombre,
+      docTipo: DOC_TYPES.CUIT,
+      docNro: client.taxId,
+      condicionIva: IVA_CONDITION_CODES[receptorCondicion] || IVA_CONDITIONS.CONSUMIDOR_FINAL
+    },
+    receptorCondicion
+  };
+};
+
+// =====================================================
+// AUTO INVOICE
+// =====================================================
+
+/**
+ * Invoice a sale if the establishment's rules say so
+ * @param {string} trigger - 'orders' | 'bookings'
+ * @param {Object} sale - Result of buildOrderSale / buildBookingSale
+ * @param {string} [createdById]
+ * @returns {Promise<InvoiceJob|null>} The processed job, or null when nothing was invoiced
+ */
+const autoInvoiceSale = async (trigger, sale, createdById = null) => {
+  if (!sale || !sale.paid || sale.total <= 0 || sale.items.length === 0) return null;
+
+  const afipConfig = await EstablishmentAfipConfig.findOne({
+    where: { establishmentId: sale.establishmentId, isActive: true, isVerified: true }
+  });
+  if (!afipConfig) return null;
+
+  // Already invoiced or on its way
+  const invoiceWhere = sale.orderId ? { orderId: sale.orderId } : { bookingId: sale.bookingId };
+  const isInvoiced = async (transaction = null) =>
+    await Invoice.count({ where: { ...invoiceWhere, status: 'emitido' }, transaction }) ||
+    await InvoiceJob.count({ where: { ...invoiceWhere, status: { [Op.in]: ['pending', 'processing'] } }, transaction });
+  if (await isInvoiced()) return null;
+
+  const rule = await findMatchingRule(sale.establishmentId, trigger, sale);
+  if (!rule) return null;
+
+  const puntoVentaId = await choosePuntoVenta(rule, sale);
+  const { cliente, receptorCondicion } = await resolveReceptor(afipConfig, sale);
+
+  // The sale is locked while checking again and queuing, so two triggers
+  // of the same sale (e.g. concurrent payments) queue a single invoice
+  const job = await sequelize.transaction(async (transaction) => {
+    const Sale = sale.orderId ? Order : Booking;
+    await Sale.findByPk(sale.orderId || sale.bookingId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+    if (await isInvoiced(transaction)) return null;
+
+    return enqueueInvoice({
+      establishmentId: sale.establishmentId,
+      puntoVentaId,
+      orderId: sale.orderId,
+      bookingId: sale.bookingId,
+      datos: {
+        items: sale.items,
+        total: sale.total,
+        cliente,
+        receptorCondicion
+      },
+      createdById
+    }, transaction);
+  });
+  if (!job) return null;
+
+  console.log(`[AutoInvoicing] Rule "${rule.name}" queued invoice job ${job.id} (${trigger})`);
+  return processInvoiceJob(job.id);
+};
+
+/**
+ * Invoice a direct sale once it is fully paid. Booking orders are invoiced
+ * at checkout, or here when they are paid after the booking was completed.
+ */
+const autoInvoiceOrder = async (orderId, createdById = null) => {
+  const order = await Order.findByPk(orderId, { attributes: ['id', 'bookingId'] });
+  if (!order) return null;
+
+  if (order.bookingId) {
+    const booking = await Booking.findByPk(order.bookingId, { attributes: ['id', 'status'] });
+    if (booking?.status !== 'completed') return null;
+    return autoInvoiceSale('bookings', await buildBookingSale(order.bookingId), createdById);
+  }
+
+  return autoInvoiceSale('orders', await buildOrderSale(orderId), createdById);
+};
+
+/**
+ * Invoice a booking at checkout if its balance is paid
+ */
+const autoInvoiceBooking = async (bookingId, createdById = null) => {
+  return autoInvoiceSale('bookings', await buildBookingSale(bookingId), createdById);
+};
+
+/**
+ * Fire-and-forget wrapper for routes: invoicing must never fail the sale
+ * @param {string} kind - 'order' | 'booking'
+ */
+const triggerAutoInvoice = (kind, id, createdById = null) => {
+  const run = kind === 'booking' ? autoInvoiceBooking : autoInvoiceOrder;
+  run(id, createdById).catch(error => {
+    console.error(`[AutoInvoicing] Error auto-invoicing ${kind} ${id}:`, error.message);
+  });
+};
+
+module.exports = {
+  ruleMatches,
+  autoInvoiceOrder,
+  autoInvoiceBooking,
+  triggerAutoInvoice
+};
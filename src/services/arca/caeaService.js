@@ -0,0 +1,351 @@
+/**
+ * CAEA Service - Contingency invoicing
+ *
+ * AFIP's CAEA (Código de Autorización Electrónico Anticipado) is requested
+ * per fortnight and lets an establishment keep invoicing while WSFE is down:
+ *   1. A CAEA is kept for the current and the upcoming fortnight of every
+ *      contingency punto de venta (esContingencia = true)
+ *   2. When online emission can't reach AFIP, the invoice queue issues the
+ *      comprobante on the contingency punto de venta under the CAEA, numbered
+ *      locally (only CAEA comprobantes are issued on that punto de venta)
+ *   3. Every CAEA comprobante is reported afterwards with FECAEARegInformativo;
+ *      CAEAs that were never used are reported with FECAEASinMovimientoInformar
+ */
+
+const { Op } = require('sequelize');
+const {
+  EstablishmentAfipCaea,
+  EstablishmentAfipConfig,
+  EstablishmentAfipPuntoVenta,
+  Invoice
+} = require('../../models');
+const ArcaFactory = require('./arcaFactory');
+
+// AFIP accepts CAEA requests from 5 days before the fortnight starts
+const REQUEST_DAYS_AHEAD = 5;
+
+// Reporting errors worth retrying (AFIP internal errors)
+const TRANSIENT_AFIP_CODES = [500, 501, 502];
+
+/**
+ * Current Argentina date/time parts (UTC-3, no DST)
+ */
+const argentinaNow = () => {
+  const iso = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+  return {
+    dateString: iso.slice(0, 10),
+    afipDate: iso.slice(0, 10).replace(/-/g, ''),
+    afipDateTime: iso.slice(0, 19).replace(/[-:T]/g, '')
+  };
+};
+
+const toDateString = (afipDate) => (/^\d{8}$/.test(afipDate || '')
+  ? `${afipDate.slice(0, 4)}-${afipDate.slice(4, 6)}-${afipDate.slice(6, 8)}`
+  : afipDate);
+
+/**
+ * Fortnight a date belongs to
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {Object} { periodo: YYYYMM, orden: 1|2, desde: YYYY-MM-DD }
+ */
+const fortnightOf = (dateString) => {
+  const [year, month, day] = dateString.split('-');
+  const orden = parseInt(day) <= 15 ? 1 : 2;
+  return {
+    periodo: parseInt(`${year}${month}`),
+    orden,
+    desde: `${year}-${month}-${orden === 1 ? '01' : '16'}`
+  };
+};
+
+const nextFortnight = ({ periodo, orden }) => {
+  const year = Math.floor(periodo / 100);
+  const month = periodo % 100;
+  if (orden === 1) {
+    return { periodo, orden: 2, desde: `${year}-${String(month).padStart(2, '0')}-16` };
+  }
+  const nextYear = month === 12 ? year + 1 : year;
+  const nextMonth = month === 12 ? 1 : month + 1;
+  return {
+    periodo: nextYear * 100 + nextMonth,
+    orden: 1,
+    desde: `${nextYear}-${String(nextMonth).padStart(2, '0')}-01`
+  };
+};
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T12:00:00Z`) - new Date(`${from}T12:00:00Z`)) / 86400000);
+
+/**
+ * Request (or fetch) the CAEA of a fortnight for a contingency punto de venta
+ * @returns {Promise<EstablishmentAfipCaea>}
+ */
+const solicitarCaea = async (puntoVenta, periodo, orden) => {
+  const existing = await EstablishmentAfipCaea.findOne({
+    where: { puntoVentaId: puntoVenta.id, periodo, orden }
+  });
+  if (existing) return existing;
+
+  const { wsfe } = await ArcaFactory.forEstablishment(puntoVenta.establishmentId, puntoVenta.id);
+  const resultado = await wsfe.solicitarCAEA(periodo, orden);
+
+  return EstablishmentAfipCaea.create({
+    establishmentId: puntoVenta.establishmentId,
+    afipConfigId: puntoVenta.afipConfigId,
+    puntoVentaId: puntoVenta.id,
+    caea: resultado.caea,
+    periodo: resultado.periodo,
+    orden: resultado.orden,
+    fchVigDesde: toDateString(resultado.fchVigDesde),
+    fchVigHasta: toDateString(resultado.fchVigHasta),
+    fchTopeInf: toDateString(resultado.fchTopeInf),
+    afipResponse: resultado
+  });
+};
+
+const findContingencyPuntosVenta = async (where = {}) => EstablishmentAfipPuntoVenta.findAll({
+  where: { esContingencia: true, isActive: true, ...where },
+  include: [{
+    model: EstablishmentAfipConfig,
+    as: 'afipConfig',
+    where: { isActive: true, isVerified: true },
+    attributes: ['id']
+  }]
+});
+
+/**
+ * Make sure every contingency punto de venta has the CAEA of the current
+ * fortnight and, once AFIP accepts it, of the next one
+ * @param {string} today - YYYY-MM-DD (Argentina)
+ * @returns {number} CAEAs obtained
+ */
+const ensureCaeas = async (today) => {
+  let obtained = 0;
+  try {
+    const current = fortnightOf(today);
+    const upcoming = nextFortnight(current);
+    const wanted = [current];
+    if (daysBetween(today, upcoming.desde) <= REQUEST_DAYS_AHEAD) wanted.push(upcoming);
+
+    const puntosVenta = await findContingencyPuntosVenta();
+    for (const puntoVenta of puntosVenta) {
+      for (const { periodo, orden } of wanted) {
+        const exists = await EstablishmentAfipCaea.count({
+          where: { puntoVentaId: puntoVenta.id, periodo, orden }
+        });
+        if (exists) continue;
+
+        try {
+          await solicitarCaea(puntoVenta, periodo, orden);
+          obtained++;
+        } catch (error) {
+          console.error(`[CAEA] Error requesting CAEA ${periodo}/${orden} for punto de venta ${puntoVenta.numero}:`, error.message);
+        }
+      }
+    }
+
+    if (obtained > 0) {
+      console.log(`[CAEA] Obtained ${obtained} CAEA(s)`);
+    }
+  } catch (error) {
+    console.error('[CAEA] Error ensuring CAEAs:', error);
+  }
+  return obtained;
+};
+
+/**
+ * Contingency punto de venta with a CAEA valid today, if the establishment has one
+ * @returns {Promise<{puntoVenta, caea}|null>}
+ */
+const findVigente = async (establishmentId, today = argentinaNow().dateString) => {
+  const puntosVenta = await findContingencyPuntosVenta({ establishmentId });
+  for (const puntoVenta of puntosVenta) {
+    const caea = await EstablishmentAfipCaea.findOne({
+      where: {
+        puntoVentaId: puntoVenta.id,
+        fchVigDesde: { [Op.lte]: today },
+        fchVigHasta: { [Op.gte]: today }
+      }
+    });
+    if (caea) return { puntoVenta, caea };
+  }
+  return null;
+};
+
+/**
+ * Prepare a comprobante under CAEA. Nothing is sent to AFIP: the number is
+ * the next one on the contingency punto de venta and the Invoice is stored
+ * by the caller (a unique-number collision there means "prepare again").
+ * @param {string} establishmentId
+ * @param {Object} datos - { items, total, cliente, receptorCondicion }
+ * @returns {Promise<Object|null>} { resultado, puntoVentaId, invoiceFields } or null without a valid CAEA
+ */
+const prepararEmisionCaea = async (establishmentId, datos) => {
+  const now = argentinaNow();
+  const vigente = await findVigente(establishmentId, now.dateString);
+  if (!vigente) return null;
+
+  const { puntoVenta, caea } = vigente;
+  const { wsfe } = await ArcaFactory.forEstablishment(establishmentId, puntoVenta.id);
+  const comprobante = wsfe.prepararComprobante(datos);
+
+  const ultimo = await Invoice.max('numeroComprobante', {
+    where: {
+      puntoVentaId: puntoVenta.id,
+      tipoComprobante: comprobante.tipoComprobante
+    }
+  }) || 0;
+
+  const resultado = wsfe.armarResultado(datos, comprobante, {
+    cae: caea.caea,
+    caeVencimiento: caea.fchVigHasta,
+    numeroComprobante: ultimo + 1,
+    fechaEmision: now.afipDate,
+    afipResponse: {
+      modo: 'CAEA',
+      caea: caea.caea,
+      periodo: caea.periodo,
+      orden: caea.orden,
+      fechaHoraGeneracion: now.afipDateTime
+    }
+  });
+
+  return {
+    resultado,
+    puntoVentaId: puntoVenta.id,
+    invoiceFields: {
+      modoAutorizacion: 'CAEA',
+      caeaId: caea.id,
+      caeaInformeEstado: 'pendiente'
+    }
+  };
+};
+
+/**
+ * FECAEADetRequest of a stored CAEA invoice
+ */
+const detalleFromInvoice = (wsfe, invoice) => {
+  const impNeto = parseFloat(invoice.importeNeto);
+  const impIVA = parseFloat(invoice.importeIva) || 0;
+  return wsfe.armarDetalle({
+    docTipo: invoice.clienteDocTipo,
+    docNro: invoice.clienteDocNro,
+    total: parseFloat(invoice.importeTotal),
+    impNeto,
+    impIVA,
+    ivaArray: impIVA > 0 ? { AlicIva: [{ Id: 5, BaseImp: impNeto, Importe: impIVA }] } : null
+  }, invoice.numeroComprobante, invoice.fechaEmision.replace(/-/g, ''));
+};
+
+/**
+ * Report CAEA comprobantes still pending (FECAEARegInformativo)
+ * @param {Object} [where] - Extra filter (e.g. { establishmentId })
+ * @returns {Object} { informados, rechazados, pendientes }
+ */
+const informarComprobantesPendientes = async (where = {}) => {
+  const summary = { informados: 0, rechazados: 0, pendientes: 0 };
+  try {
+    const invoices = await Invoice.findAll({
+      where: { modoAutorizacion: 'CAEA', caeaInformeEstado: 'pendiente', ...where },
+      order: [['puntoVentaId', 'ASC'], ['tipoComprobante', 'ASC'], ['numeroComprobante', 'ASC']]
+    });
+
+    const services = new Map();
+    for (const invoice of invoices) {
+      try {
+        if (!services.has(invoice.puntoVentaId)) {
+          const { wsfe } = await ArcaFactory.forEstablishment(invoice.establishmentId, invoice.puntoVentaId);
+          services.set(invoice.puntoVentaId, wsfe);
+        }
+        const wsfe = services.get(invoice.puntoVentaId);
+
+        const afipResponse = await wsfe.informarComprobanteCAEA({
+          tipoComprobante: invoice.tipoComprobante,
+          detalle: detalleFromInvoice(wsfe, invoice),
+          caea: invoice.cae,
+          fechaHoraGeneracion: invoice.afipResponse?.fechaHoraGeneracion ||
+            `${invoice.fechaEmision.replace(/-/g, '')}000000`
+        });
+
+        await invoice.update({
+          caeaInformeEstado: 'informado',
+          caeaInformadoAt: new Date(),
+          caeaInformeError: null,
+          afipResponse: { ...invoice.afipResponse, informe: afipResponse }
+        });
+        summary.informados++;
+      } catch (error) {
+        const transient = Array.isArray(error.afipCodes) && error.afipCodes.some(code => TRANSIENT_AFIP_CODES.includes(code));
+        const permanent = !transient && (!!error.rechazada || Array.isArray(error.afipCodes));
+        await invoice.update({
+          caeaInformeEstado: permanent ? 'rechazado' : 'pendiente',
+          caeaInformeError: error.message
+        });
+        if (permanent) summary.rechazados++;
+        else summary.pendientes++;
+        console.error(`[CAEA] Error reporting comprobante ${invoice.puntoVenta}-${invoice.numeroComprobante}:`, error.message);
+      }
+    }
+
+    if (summary.informados > 0) {
+      console.log(`[CAEA] Reported ${summary.informados} CAEA comprobante(s)`);
+    }
+  } catch (error) {
+    console.error('[CAEA] Error reporting CAEA comprobantes:', error);
+  }
+  return summary;
+};
+
+/**
+ * Report CAEAs whose fortnight ended without any comprobante
+ * @param {string} today - YYYY-MM-DD (Argentina)
+ */
+const informarCaeasSinMovimiento = async (today) => {
+  let informados = 0;
+  try {
+    const caeas = await EstablishmentAfipCaea.findAll({
+      where: {
+        fchVigHasta: { [Op.lt]: today },
+        fchTopeInf: { [Op.gte]: today },
+        sinMovimientoInformadoAt: null
+      }
+    });
+
+    for (const caea of caeas) {
+      const used = await Invoice.count({ where: { caeaId: caea.id } });
+      if (used > 0) continue;
+
+      try {
+        const { wsfe } = await ArcaFactory.forEstablishment(caea.establishmentId, caea.puntoVentaId);
+        await wsfe.informarCAEASinMovimiento(caea.caea);
+        await caea.update({ sinMovimientoInformadoAt: new Date() });
+        informados++;
+      } catch (error) {
+        console.error(`[CAEA] Error reporting unused CAEA ${caea.caea}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('[CAEA] Error reporting unused CAEAs:', error);
+  }
+  return informados;
+};
+
+/**
+ * Scheduled CAEA upkeep: request upcoming CAEAs and report what is pending
+ * @param {string} today - YYYY-MM-DD (Argentina)
+ */
+const runCaeaTasks = async (today) => {
+  await ensureCaeas(today);
+  await informarComprobantesPendientes();
+  await informarCaeasSinMovimiento(today);
+};
+
+module.exports = {
+  fortnightOf,
+  solicitarCaea,
+  ensureCaeas,
+  findVigente,
+  prepararEmisionCaea,
+  informarComprobantesPendientes,
+  informarCaeasSinMovimiento,
+  runCaeaTasks
+};
@@ -0,0 +1,212 @@
+/**
+ * Invoice Delivery Service
+ *
+ * Sends the PDF of an emitted comprobante (with the AFIP QR) to the customer
+ * by email and/or as a WhatsApp document, and records the outcome of each
+ * channel on the Invoice (emailStatus / whatsappStatus: enviado | error).
+ *
+ * Recipients default to the contact data of the sale: the Client of the
+ * order or booking, else the email/phone typed on the order or booking.
+ * Automatic delivery after emission is enabled per establishment with
+ * EstablishmentAfipConfig.envioEmailAutomatico / envioWhatsappAutomatico.
+ */
+
+const {
+  Invoice,
+  Establishment,
+  EstablishmentAfipConfig,
+  Order,
+  Booking,
+  Client
+} = require('../../models');
+const pdfService = require('./pdfService');
+const { sendInvoiceEmail } = require('../email');
+const WhatsAppService = require('../whatsapp');
+const { normalizeArgentinePhone } = require('../whatsappNotification');
+const { statusError } = require('../../utils/errors');
+
+const CHANNELS = ['email', 'whatsapp'];
+
+const formatNumero = (invoice) =>
+  `${String(invoice.puntoVenta).padStart(5, '0')}-${String(invoice.numeroComprobante).padStart(8, '0')}`;
+
+/**
+ * Email and phone of the customer of the invoiced sale. Credit notes use the
+ * sale of the invoice they cancel.
+ * @returns {Promise<{email: string|null, phone: string|null}>}
+ */
+const getRecipients = async (invoice) => {
+  let { orderId, bookingId } = invoice;
+  if (!orderId && !bookingId && invoice.comprobanteAsociadoId) {
+    const original = await Invoice.findByPk(invoice.comprobanteAsociadoId, { attributes: ['orderId', 'bookingId'] });
+    orderId = original?.orderId || null;
+    bookingId = original?.bookingId || null;
+  }
+
+  const clientInclude = { model: Client, as: 'client', attributes: ['id', 'email', 'phone'], required: false };
+  const order = orderId ? await Order.findByPk(orderId, { include: [clientInclude] }) : null;
+  const booking = bookingId ? await Booking.findByPk(bookingId, { include: [clientInclude] }) : null;
+
+  return {
+    email: booking?.client?.email || booking?.clientEmail || order?.client?.email || order?.customerEmail || null,
+    phone: booking?.client?.phone || booking?.clientPhone || order?.client?.phone || order?.customerPhone || null
+  };
+};
+
+const buildPdf = async (invoice) => {
+  const afipConfig = await EstablishmentAfipConfig.findOne({
+    where: { establishmentId: invoice.establishmentId }
+  });
+  if (!afipConfig) {
+    throw statusError('Facturación no configurada', 400);
+  }
+  const establishment = await Establishment.findByPk(invoice.establishmentId);
+
+  const pdfBuffer = await pdfService.generateInvoicePDF(
+    invoice.toJSON(),
+    establishment.toJSON(),
+    afipConfig.toJSON()
+  );
+
+  return { pdfBuffer, filename: pdfService.getFilename(invoice), establishment };
+};
+
+const sendByEmail = async (invoice, to, pdf) => {
+  const sent = await sendInvoiceEmail(to, invoice.toJSON(), pdf.establishment, pdf.pdfBuffer, pdf.filename);
+  if (!sent) {
+    throw new Error('SendGrid rechazó el envío');
+  }
+};
+
+const sendByWhatsApp = async (invoice, to, pdf) => {
+  const whatsapp = await WhatsAppService.forEstablishment(invoice.establishmentId);
+  if (!whatsapp) {
+    throw new Error('WhatsApp no está configurado para el establecimiento');
+  }
+
+  const caption = `${invoice.tipoComprobanteNombre} ${formatNumero(invoice)} - ${pdf.establishment.name}`;
+  await whatsapp.sendDocumentMessage(to, pdf.pdfBuffer, pdf.filename, caption);
+};
+
+/**
+ * Send the invoice PDF through one channel and record the result on the invoice
+ * @param {Invoice} invoice
+ * @param {string} channel - 'email' | 'whatsapp'
+ * @param {string} to - Email address or phone number
+ * @param {Object} pdf - Result of buildPdf
+ * @returns {Promise<Object>} { channel, to, status, error }
+ */
+const deliverThrough = async (invoice, channel, to, pdf) => {
+  const destination = channel === 'whatsapp' ? normalizeArgentinePhone(to).replace('+', '') : to.trim();
+
+  try {
+    if (channel === 'email') {
+      await sendByEmail(invoice, destination, pdf);
+    } else {
+      await sendByWhatsApp(invoice, destination, pdf);
+    }
+
+    await invoice.update({
+      [`${channel}Status`]: 'enviado',
+      [`${channel}To`]: destination,
+      [`${channel}SentAt`]: new Date(),
+      [`${channel}Error`]: null
+    });
+    console.log(`[InvoiceDelivery] Invoice ${invoice.id} sent by ${channel} to ${destination}`);
+    return { channel, to: destination, status: 'enviado', error: null };
+  } catch (error) {
+    const message = error.response?.data?.error?.message || error.message;
+    await invoice.update({
+      [`${channel}Status`]: 'error',
+      [`${channel}To`]: destination,
+      [`${channel}Error`]: message
+    });
+    console.error(`[InvoiceDelivery] Error sending invoice ${invoice.id} by ${channel}:`, message);
+    return { channel, to: destination, status: 'error', error: message };
+  }
+};
+
+/**
+ * Send an invoice to its customer
+ * @param {string} invoiceId
+ * @param {Object} options
+ * @param {Array<string>} options.channels - 'email' and/or 'whatsapp'
+ * @param {string} [options.email] - Overrides the customer's email
+ * @param {string} [options.phone] - Overrides the customer's phone
+ * @param {string} [options.establishmentId] - Restrict to an establishment (routes)
+ * @returns {Promise<Array<Object>>} One result per channel
+ */
+const deliverInvoice = async (invoiceId, { channels, email = null, phone = null, establishmentId = null }) => {
+  const where = establishmentId ? { id: invoiceId, establishmentId } : { id: invoiceId };
+  const invoice = await Invoice.findOne({ where });
+  if (!invoice) {
+    throw statusError('Factura no encontrada', 404);
+  }
+
+  if (!channels?.length || channels.some(channel => !CHANNELS.includes(channel))) {
+    throw statusError(`Canal inválido. Valores válidos: ${CHANNELS.join(', ')}`, 400);
+  }
+
+  const recipients = await getRecipients(invoice);
+  const destinations = {
+    email: email || recipients.email,
+    whatsapp: phone || recipients.phone
+  };
+
+  const missing = channels.filter(channel => !destinations[channel]);
+  if (missing.length === channels.length) {
+    throw statusError(
+      missing.includes('email') ? 'El cliente no tiene email. Indicá un destinatario' : 'El cliente no tiene teléfono. Indicá un destinatario',
+      400
+    );
+  }
+
+  const pdf = await buildPdf(invoice);
+  const results = [];
+  for (const channel of channels) {
+    if (!destinations[channel]) {
+      results.push({ channel, to: null, status: 'omitido', error: 'Sin destinatario' });
+      continue;
+    }
+    results.push(await deliverThrough(invoice, channel, destinations[channel], pdf));
+  }
+  return results;
+};
+
+/**
+ * Deliver a freshly emitted invoice through the channels the establishment
+ * enabled for automatic delivery. Customers without contact data are skipped.
+ */
+const autoDeliverInvoice = async (invoiceId) => {
+  const invoice = await Invoice.findByPk(invoiceId, { attributes: ['id', 'establishmentId', 'orderId', 'bookingId', 'comprobanteAsociadoId'] });
+  if (!invoice) return [];
+
+  const afipConfig = await EstablishmentAfipConfig.findOne({
+    where: { establishmentId: invoice.establishmentId },
+    attributes: ['envioEmailAutomatico', 'envioWhatsappAutomatico']
+  });
+  if (!afipConfig) return [];
+
+  const recipients = await getRecipients(invoice);
+  const channels = [];
+  if (afipConfig.envioEmailAutomatico && recipients.email) channels.push('email');
+  if (afipConfig.envioWhatsappAutomatico && recipients.phone) channels.push('whatsapp');
+  if (channels.length === 0) return [];
+
+  return deliverInvoice(invoiceId, { channels });
+};
+
+/**
+ * Fire-and-forget wrapper: delivery must never fail the emission
+ */
+const triggerInvoiceDelivery = (invoiceId) => {
+  autoDeliverInvoice(invoiceId).catch(error => {
+    console.error(`[InvoiceDelivery] Error auto-delivering invoice ${invoiceId}:`, error.message);
+  });
+};
+
+module.exports = {
+  CHANNELS,
+  deliverInvoice,
+  triggerInvoiceDelivery
+};
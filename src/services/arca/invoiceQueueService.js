@@ -0,0 +1,490 @@
+/**
+ * Invoice Queue Service
+ * Durable queue for invoice emission through WSFE.
+ *
+ * Invoices are stored as InvoiceJob rows and processed right away; when
+ * WSAA/WSFE are down the job stays pending and is retried with exponential
+ * backoff by the scheduler.
+ *
+ * DUPLICATES: before sending FECAESolicitar the job stores the number it is
+ * about to request. If the response is lost (timeout, crash) the next attempt
+ * asks AFIP for the last authorized number (getUltimoComprobante) and, when
+ * it reached ours, fetches it with FECompConsultar and records that CAE
+ * instead of emitting again.
+ *
+ * CONTINGENCY: when WSFE can't be reached and the attempt surely did not use
+ * a number, the invoice is issued under CAEA on the establishment's
+ * contingency punto de venta (see caeaService) and reported to AFIP later.
+ *
+ * Every emitted invoice is handed to invoiceDeliveryService, which sends the
+ * PDF to the customer when automatic delivery is enabled.
+ */
+
+const { Op } = require('sequelize');
+const {
+  InvoiceJob,
+  Invoice,
+  EstablishmentAfipConfig,
+  EstablishmentAfipPuntoVenta,
+  Order,
+  Booking,
+  sequelize
+} = require('../../models');
+const ArcaFactory = require('./arcaFactory');
+const caeaService = require('./caeaService');
+const { triggerInvoiceDelivery } = require('./invoiceDeliveryService');
+const { statusError } = require('../../utils/errors');
+
+// Backoff between attempts: 1, 2, 4 ... minutes, capped at 1 hour
+const RETRY_BASE_MINUTES = 1;
+const RETRY_MAX_MINUTES = 60;
+
+// A job locked for longer than this is assumed abandoned (process crashed)
+const STALE_LOCK_MINUTES = 10;
+
+// Local number collisions tolerated while issuing under CAEA
+const CAEA_MAX_NUMBER_RETRIES = 5;
+
+// AFIP error codes worth retrying: internal errors and the "not the next
+// number" race between two emissions on the same punto de venta
+const AFIP_INTERNAL_ERROR_CODES = [500, 501, 502];
+const TRANSIENT_AFIP_CODES = [...AFIP_INTERNAL_ERROR_CODES, 10016];
+
+/**
+ * Parse AFIP date format (YYYYMMDD) to ISO date
+ */
+function parseAFIPDate(dateStr) {
+  if (!dateStr) return null;
+
+  if (/^\d{8}$/.test(dateStr)) {
+    return `${dateStr.slice(0, 4)}-${dateStr.slice(4, 6)}-${dateStr.slice(6, 8)}`;
+  }
+
+  return dateStr;
+}
+
+const retryDelayMs = (attempts) => {
+  const minutes = Math.min(RETRY_BASE_MINUTES * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_MINUTES);
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Whether the request surely reached AFIP and was answered, so the
+ * comprobante number of the attempt was not used
+ */
+const isAnsweredByAfip = (error) => !!error.rechazada || Array.isArray(error.afipCodes);
+
+/**
+ * Whether the failure means WSAA/WSFE is down (no answer or an AFIP internal
+ * error), as opposed to a rejection or a numbering race
+ */
+const isAfipUnavailable = (error) => {
+  if (error.rechazada) return false;
+  if (Array.isArray(error.afipCodes)) {
+    return error.afipCodes.some(code => AFIP_INTERNAL_ERROR_CODES.includes(code));
+  }
+  return true;
+};
+
+/**
+ * Whether retrying can't help. Rejections carry the codes of their
+ * Observaciones, so a rejected comprobante with a transient code (e.g. the
+ * 10016 numbering race) is still retried.
+ */
+const isPermanentError = (error) => {
+  if (Array.isArray(error.afipCodes) && error.afipCodes.some(code => TRANSIENT_AFIP_CODES.includes(code))) {
+    return false;
+  }
+  return !!error.rechazada || Array.isArray(error.afipCodes);
+};
+
+/**
+ * Queue an invoice for emission
+ * @param {Object} params
+ * @param {string} params.establishmentId
+ * @param {string} [params.puntoVentaId] - Uses the default punto de venta if not specified
+ * @param {string} [params.orderId]
+ * @param {string} [params.bookingId]
+ * @param {Object} params.datos - { items, total, cliente, receptorCondicion }
+ * @param {string} [params.createdById]
+ * @param {Transaction} [transaction]
+ * @returns {Promise<InvoiceJob>}
+ */
+const enqueueInvoice = async ({ establishmentId, puntoVentaId = null, orderId = null, bookingId = null, datos, createdById = null }, transaction = null) => {
+  if (orderId) {
+    const existingInvoice = await Invoice.findOne({
+      where: { orderId, status: 'emitido' },
+      transaction
+    });
+    if (existingInvoice) {
+      throw statusError('Esta venta ya tiene una factura emitida', 400);
+    }
+
+    const openJob = await InvoiceJob.findOne({
+      where: { orderId, status: { [Op.in]: ['pending', 'processing'] } },
+      transaction
+    });
+    if (openJob) {
+      throw statusError('Esta venta ya tiene una factura en cola de emisión', 409, { jobId: openJob.id });
+    }
+  }
+
+  // Validates the AFIP config and resolves the punto de venta the job will always use
+  const { config } = await ArcaFactory.forEstablishment(establishmentId, puntoVentaId);
+  const puntoVenta = await EstablishmentAfipPuntoVenta.findOne({
+    where: puntoVentaId
+      ? { id: puntoVentaId, establishmentId }
+      : { establishmentId, numero: config.puntoVenta, isActive: true },
+    transaction
+  });
+
+  return InvoiceJob.create({
+    establishmentId,
+    puntoVentaId: puntoVenta.id,
+    orderId,
+    bookingId,
+    payload: {
+      items: datos.items,
+      total: datos.total,
+      cliente: datos.cliente || {},
+      receptorCondicion: datos.receptorCondicion || 'consumidor_final'
+    },
+    status: 'pending',
+    nextAttemptAt: new Date(),
+    createdById
+  }, { transaction });
+};
+
+/**
+ * Take the job for this worker. Returns false if someone else has it.
+ */
+const claimJob = async (job) => {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MINUTES * 60 * 1000);
+  const [affected] = await InvoiceJob.update(
+    {
+      status: 'processing',
+      lockedAt: new Date(),
+      lastAttemptAt: new Date(),
+      attempts: sequelize.literal('attempts + 1')
+    },
+    {
+      where: {
+        id: job.id,
+        [Op.or]: [
+          { status: 'pending' },
+          { status: 'processing', lockedAt: { [Op.lt]: staleBefore } }
+        ]
+      }
+    }
+  );
+  return affected > 0;
+};
+
+/**
+ * Store the authorized comprobante and close the job in one transaction
+ * @param {Object} [options]
+ * @param {boolean} [options.recovered] - Recovered with FECompConsultar
+ * @param {string} [options.puntoVentaId] - Punto de venta actually used (CAEA contingency)
+ * @param {Object} [options.invoiceFields] - Extra Invoice fields (CAEA contingency)
+ */
+const completeJob = async (job, resultado, { recovered = false, puntoVentaId = null, invoiceFields = {} } = {}) => {
+  const afipConfig = await EstablishmentAfipConfig.findOne({
+    where: { establishmentId: job.establishmentId, isActive: true }
+  });
+
+  let resolvedBookingId = job.bookingId;
+  if (!resolvedBookingId && job.orderId) {
+    const orderForBooking = await Order.findByPk(job.orderId, { attributes: ['bookingId'] });
+    resolvedBookingId = orderForBooking?.bookingId || null;
+  }
+
+  const invoice = await sequelize.transaction(async (transaction) => {
+    const invoice = await Invoice.create({
+      establishmentId: job.establishmentId,
+      afipConfigId: afipConfig.id,
+      puntoVentaId: puntoVentaId || job.puntoVentaId,
+      cae: resultado.cae,
+      caeVencimiento: parseAFIPDate(resultado.caeVencimiento),
+      tipoComprobante: resultado.tipoComprobante,
+      tipoComprobanteNombre: resultado.tipoComprobanteNombre,
+      numeroComprobante: resultado.numeroComprobante,
+      puntoVenta: resultado.puntoVenta,
+      fechaEmision: parseAFIPDate(resultado.fechaEmision),
+      importeTotal: resultado.importeTotal,
+      importeNeto: resultado.importeNeto,
+      importeIva: resultado.importeIva || 0,
+      clienteNombre: resultado.cliente.nombre,
+      clienteDocTipo: resultado.cliente.docTipo,
+      clienteDocNro: resultado.cliente.docNro,
+      clienteCondicionIva: resultado.cliente.condicionIva,
+      items: resultado.items,
+      orderId: job.orderId || null,
+      bookingId: resolvedBookingId || null,
+      status: 'emitido',
+      afipResponse: resultado.afipResponse,
+      createdById: job.createdById,
+      ...invoiceFields
+    }, { transaction });
+
+    // Always update Order with invoice reference (primary)
+    if (job.orderId) {
+      await Order.update({ invoiceId: invoice.id }, { where: { id: job.orderId }, transaction });
+    }
+    // Also update Booking if exists
+    if (resolvedBookingId) {
+      await Booking.update({ invoiceId: invoice.id }, { where: { id: resolvedBookingId }, transaction });
+    }
+
+    await job.update({
+      status: 'completed',
+      invoiceId: invoice.id,
+      recoveredFromAfip: recovered,
+      completedAt: new Date(),
+      lockedAt: null,
+      nextAttemptAt: null,
+      lastError: null
+    }, { transaction });
+
+    return invoice;
+  });
+
+  // Send the PDF to the customer if the establishment enabled it
+  triggerInvoiceDelivery(invoice.id);
+  return invoice;
+};
+
+/**
+ * After a lost response, check whether AFIP authorized the number the job
+ * requested. Returns the emission result if it did, null otherwise.
+ */
+const recoverAuthorizedComprobante = async (job, wsfe) => {
+  const ultimo = await wsfe.getUltimoComprobante(job.tipoComprobante);
+  if (ultimo < job.numeroComprobante) return null;
+
+  // The number is taken; make sure it is ours and not another sale's
+  const takenLocally = await Invoice.findOne({
+    where: {
+      tipoComprobante: job.tipoComprobante,
+      puntoVenta: wsfe.puntoVenta,
+      numeroComprobante: job.numeroComprobante,
+      establishmentId: job.establishmentId
+    },
+    attributes: ['id']
+  });
+  if (takenLocally) return null;
+
+  const comprobante = wsfe.prepararComprobante(job.payload);
+  const consulta = await wsfe.consultarComprobante(job.tipoComprobante, job.numeroComprobante);
+  if (!consulta || consulta.resultado !== 'A') return null;
+
+  const matches = Math.abs(consulta.importeTotal - comprobante.total) < 0.01 &&
+    consulta.docTipo === comprobante.docTipo &&
+    String(parseInt(consulta.docNro) || 0) === String(parseInt(comprobante.docNro) || 0) &&
+    (!job.fechaComprobante || consulta.fechaEmision === job.fechaComprobante);
+  if (!matches) return null;
+
+  console.log(`[InvoiceQueue] Recovered comprobante ${job.numeroComprobante} (CAE ${consulta.cae}) for job ${job.id}`);
+
+  return wsfe.armarResultado(job.payload, comprobante, {
+    cae: consulta.cae,
+    caeVencimiento: consulta.caeVencimiento,
+    numeroComprobante: job.numeroComprobante,
+    fechaEmision: consulta.fechaEmision,
+    afipResponse: { recuperado: true, FECompConsultar: consulta.raw }
+  });
+};
+
+/**
+ * Issue the job's invoice under CAEA. Returns the Invoice, or null when the
+ * establishment has no contingency punto de venta with a valid CAEA.
+ */
+const emitUnderCaea = async (job) => {
+  for (let attempt = 1; attempt <= CAEA_MAX_NUMBER_RETRIES; attempt++) {
+    const emision = await caeaService.prepararEmisionCaea(job.establishmentId, job.payload);
+    if (!emision) return null;
+
+    try {
+      return await completeJob(job, emision.resultado, {
+        puntoVentaId: emision.puntoVentaId,
+        invoiceFields: emision.invoiceFields
+      });
+    } catch (error) {
+      // Another sale took the number in the meantime
+      if (error.name !== 'SequelizeUniqueConstraintError' || attempt === CAEA_MAX_NUMBER_RETRIES) throw error;
+    }
+  }
+  return null;
+};
+
+/**
+ * Process one job: recover or emit the invoice and record the outcome
+ * @returns {Promise<InvoiceJob>} The job after processing (reloaded)
+ */
+const processInvoiceJob = async (jobId) => {
+  let job = await InvoiceJob.findByPk(jobId);
+  if (!job || !['pending', 'processing'].includes(job.status)) return job;
+
+  if (!(await claimJob(job))) return job.reload();
+  job = await job.reload();
+
+  try {
+    const { wsfe } = await ArcaFactory.forEstablishment(job.establishmentId, job.puntoVentaId);
+
+    if (job.numeroComprobante) {
+      const recovered = await recoverAuthorizedComprobante(job, wsfe);
+      if (recovered) {
+        await completeJob(job, recovered, { recovered: true });
+        return job.reload();
+      }
+      await job.update({ tipoComprobante: null, numeroComprobante: null, fechaComprobante: null });
+    }
+
+    const resultado = await wsfe.emitirFactura(job.payload, {
+      onNumeroAsignado: ({ tipoComprobante, numeroComprobante, fechaEmision }) => job.update({
+        tipoComprobante,
+        numeroComprobante,
+        fechaComprobante: fechaEmision
+      })
+    });
+
+    await completeJob(job, resultado);
+    console.log(`[InvoiceQueue] Job ${job.id} emitted comprobante ${resultado.numeroComprobante}`);
+  } catch (error) {
+    const updates = { lockedAt: null, lastError: error.message };
+
+    // AFIP answered: the number of this attempt was not used
+    const answered = isAnsweredByAfip(error);
+    if (answered) {
+      Object.assign(updates, { tipoComprobante: null, numeroComprobante: null, fechaComprobante: null });
+    }
+
+    // WSFE unreachable and no number possibly authorized: fall back to CAEA
+    if (isAfipUnavailable(error) && (answered || !job.numeroComprobante)) {
+      try {
+        const invoice = await emitUnderCaea(job);
+        if (invoice) {
+          console.log(`[InvoiceQueue] Job ${job.id} issued under CAEA as comprobante ${invoice.numeroComprobante}`);
+          return job.reload();
+        }
+      } catch (caeaError) {
+        console.error(`[InvoiceQueue] CAEA fallback failed for job ${job.id}:`, caeaError.message);
+      }
+    }
+
+    if (isPermanentError(error) || job.attempts >= job.maxAttempts) {
+      updates.status = 'failed';
+      updates.nextAttemptAt = null;
+      console.error(`[InvoiceQueue] Job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+    } else {
+      updates.status = 'pending';
+      updates.nextAttemptAt = new Date(Date.now() + retryDelayMs(job.attempts));
+      console.warn(`[InvoiceQueue] Job ${job.id} attempt ${job.attempts} failed, retrying at ${updates.nextAttemptAt.toISOString()}: ${error.message}`);
+    }
+
+    await job.update(updates);
+  }
+
+  return job.reload();
+};
+
+/**
+ * Process every job due for an attempt (called by the scheduler).
+ * Jobs run one at a time so numbering on a punto de venta never races.
+ * @returns {number} Jobs completed
+ */
+const processPendingInvoiceJobs = async () => {
+  try {
+    const staleBefore = new Date(Date.now() - STALE_LOCK_MINUTES * 60 * 1000);
+    const jobs = await InvoiceJob.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+          { status: 'processing', lockedAt: { [Op.lt]: staleBefore } }
+        ]
+      },
+      attributes: ['id'],
+      order: [['created_at', 'ASC']],
+      limit: 50
+    });
+
+    let completed = 0;
+    for (const { id } of jobs) {
+      const job = await processInvoiceJob(id);
+      if (job?.status === 'completed') completed++;
+    }
+
+    if (completed > 0) {
+      console.log(`[InvoiceQueue] Emitted ${completed} queued invoice(s)`);
+    }
+    return completed;
+  } catch (error) {
+    console.error('[InvoiceQueue] Error processing invoice queue:', error);
+    return 0;
+  }
+};
+
+/**
+ * Put a failed job back in the queue for an immediate attempt
+ */
+const retryInvoiceJob = async (job) => {
+  if (!['failed', 'pending'].includes(job.status)) {
+    throw statusError('Solo se pueden reintentar facturas pendientes o fallidas', 400);
+  }
+  await job.update({
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    lastError: null
+  });
+  return processInvoiceJob(job.id);
+};
+
+/**
+ * Give up on a job (e.g. the sale was invoiced by other means)
+ */
+const cancelInvoiceJob = async (job) => {
+  if (!['failed', 'pending'].includes(job.status)) {
+    throw statusError('Solo se pueden cancelar facturas pendientes o fallidas', 400);
+  }
+  // A number may have been requested with no answer: a job that could still
+  // be authorized in AFIP must be retried (recovered) instead of cancelled
+  if (job.numeroComprobante) {
+    throw statusError('La última solicitud a AFIP no tuvo respuesta. Reintentá para confirmar si fue autorizada antes de cancelar', 409);
+  }
+  await job.update({ status: 'cancelled', nextAttemptAt: null, lockedAt: null });
+  return job;
+};
+
+/**
+ * Jobs that need attention: failed, pending after at least one failed
+ * attempt, or processing with a stale lock
+ */
+const getStuckInvoiceJobs = async (establishmentId) => {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MINUTES * 60 * 1000);
+  return InvoiceJob.findAll({
+    where: {
+      establishmentId,
+      [Op.or]: [
+        { status: 'failed' },
+        { status: 'pending', attempts: { [Op.gt]: 0 } },
+        { status: 'processing', lockedAt: { [Op.lt]: staleBefore } }
+      ]
+    },
+    include: [
+      { model: Order, as: 'order', attributes: ['id', 'orderNumber', 'total'] },
+      { model: Booking, as: 'booking', attributes: ['id', 'date', 'startTime', 'clientName'] },
+      { model: EstablishmentAfipPuntoVenta, as: 'puntoVentaRef', attributes: ['id', 'numero', 'descripcion'] }
+    ],
+    order: [['created_at', 'ASC']]
+  });
+};
+
+module.exports = {
+  parseAFIPDate,
+  enqueueInvoice,
+  processInvoiceJob,
+  processPendingInvoiceJobs,
+  retryInvoiceJob,
+  cancelInvoiceJob,
+  getStuckInvoiceJobs
+};
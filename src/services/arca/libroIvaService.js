@@ -0,0 +1,611 @@
+/**
+ * Libro IVA Digital Service
+ *
+ * Builds the monthly sales and purchases tax books of an establishment:
+ *   - VENTAS: every Invoice (facturas and notas de crédito) of the period
+ *   - COMPRAS: supplier invoices registered as Expense, plus stock purchases
+ *     (StockMovement entradas) not already registered as an Expense
+ *
+ * Output:
+ *   - Fixed-width files in the Libro IVA Digital layout (RG 4597):
+ *     VENTAS_CBTE, VENTAS_ALICUOTAS, COMPRAS_CBTE, COMPRAS_ALICUOTAS
+ *   - A summary per alícuota as CSV or XLSX
+ *
+ * Purchases missing fiscal data (registered supplier with CUIT, comprobante
+ * type, PPPPP-NNNNNNNN number, VAT breakdown for A) are left out of the files
+ * and listed as "incompletos" so the accountant can fix them first.
+ */
+
+const { Op } = require('sequelize');
+const ExcelJS = require('exceljs');
+const {
+  Invoice,
+  Expense,
+  StockMovement,
+  Supplier
+} = require('../../models');
+const { INVOICE_TYPES, INVOICE_TYPE_NAMES, DOC_TYPES } = require('./wsfeService');
+const csvUtils = require('../../utils/csvGenerator');
+const { round2 } = require('../../utils/money');
+
+// AFIP alícuota codes by rate
+const ALICUOTA_IDS = {
+  0: 3,
+  2.5: 9,
+  5: 8,
+  10.5: 4,
+  21: 5,
+  27: 6
+};
+
+const ALICUOTA_RATES = Object.fromEntries(
+  Object.entries(ALICUOTA_IDS).map(([rate, id]) => [id, parseFloat(rate)])
+);
+
+// Comprobantes that discriminate VAT
+const TIPOS_A = [INVOICE_TYPES.FACTURA_A, INVOICE_TYPES.NC_A];
+const TIPOS_NC = [INVOICE_TYPES.NC_A, INVOICE_TYPES.NC_B, INVOICE_TYPES.NC_C];
+
+// The 21% VAT WSFE discriminates on A/B comprobantes (see wsfeService)
+const VENTAS_ALICUOTA_ID = 5;
+
+const ARCHIVOS = ['ventas-cbte', 'ventas-alicuotas', 'compras-cbte', 'compras-alicuotas'];
+
+// =====================================================
+// FIXED-WIDTH FORMATTING
+// =====================================================
+
+/**
+ * Amount: 13 integers + 2 decimals, no separator, zero padded
+ */
+const amount = (value, length = 15) => String(Math.round(Math.abs(parseFloat(value) || 0) * 100)).padStart(length, '0');
+
+const numeric = (value, length) => String(parseInt(value) || 0).padStart(length, '0').slice(-length);
+
+const text = (value, length) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7E]/g, '')
+  .slice(0, length)
+  .padEnd(length, ' ');
+
+const EXCHANGE_RATE_ONE = '0001000000'; // 4 integers + 6 decimals
+
+const toFile = (lines) => lines.length ? `${lines.join('\r\n')}\r\n` : '';
+
+// =====================================================
+// PERIOD
+// =====================================================
+
+/**
+ * Date range of a YYYYMM period
+ * @returns {Object} { desde: YYYY-MM-DD, hasta: YYYY-MM-DD }
+ */
+const periodoRange = (periodo) => {
+  if (!/^\d{6}$/.test(String(periodo || ''))) {
+    const error = new Error('Período inválido, usar AAAAMM');
+    error.status = 400;
+    throw error;
+  }
+  const year = parseInt(String(periodo).slice(0, 4));
+  const month = parseInt(String(periodo).slice(4, 6));
+  if (month < 1 || month > 12) {
+    const error = new Error('Período inválido, usar AAAAMM');
+    error.status = 400;
+    throw error;
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const mm = String(month).padStart(2, '0');
+  return { desde: `${year}-${mm}-01`, hasta: `${year}-${mm}-${lastDay}` };
+};
+
+/**
+ * Split a "PPPPP-NNNNNNNN" supplier invoice number
+ * @returns {Object|null} { puntoVenta, numero }
+ */
+const parseNumeroComprobante = (invoiceNumber) => {
+  const match = String(invoiceNumber || '').trim().match(/^(?:[A-Ca-c]\s*)?(\d{1,5})\s*-\s*(\d{1,8})$/);
+  if (!match) return null;
+  return { puntoVenta: parseInt(match[1]), numero: parseInt(match[2]) };
+};
+
+const cuitDigits = (taxId) => String(taxId || '').replace(/\D/g, '');
+
+// =====================================================
+// SALES
+// =====================================================
+
+const invoiceToVenta = (invoice) => {
+  const discriminaIva = invoice.tipoComprobante !== INVOICE_TYPES.FACTURA_C &&
+    invoice.tipoComprobante !== INVOICE_TYPES.NC_C;
+
+  return {
+    fecha: invoice.fechaEmision,
+    tipoComprobante: invoice.tipoComprobante,
+    tipoComprobanteNombre: invoice.tipoComprobanteNombre,
+    puntoVenta: invoice.puntoVenta,
+    numero: invoice.numeroComprobante,
+    docTipo: invoice.clienteDocTipo || DOC_TYPES.CONSUMIDOR_FINAL,
+    docNro: invoice.clienteDocNro || '0',
+    nombre: invoice.clienteNombre || 'Consumidor Final',
+    total: round2(invoice.importeTotal),
+    noGravado: 0,
+    otrosTributos: round2(invoice.importeTributos),
+    creditoFiscal: 0,
+    esNotaCredito: TIPOS_NC.includes(invoice.tipoComprobante),
+    alicuotas: discriminaIva
+      ? [{ id: VENTAS_ALICUOTA_ID, neto: round2(invoice.importeNeto), iva: round2(invoice.importeIva) }]
+      : []
+  };
+};
+
+// =====================================================
+// PURCHASES
+// =====================================================
+
+/**
+ * Common validation of a purchase comprobante. Returns the missing data.
+ */
+const missingPurchaseData = ({ supplier, invoiceType, numero }) => {
+  const faltantes = [];
+  if (!supplier) faltantes.push('proveedor registrado');
+  else if (cuitDigits(supplier.taxId).length !== 11) faltantes.push('CUIT del proveedor');
+  if (!INVOICE_TYPE_NAMES[invoiceType]) faltantes.push('tipo de comprobante');
+  if (!numero) faltantes.push('número de comprobante (PPPPP-NNNNNNNN)');
+  return faltantes;
+};
+
+const buildCompra = ({ fecha, supplier, invoiceType, numero, total, alicuotas }) => {
+  const neto = alicuotas.reduce((sum, a) => sum + a.neto, 0);
+  const iva = alicuotas.reduce((sum, a) => sum + a.iva, 0);
+  return {
+    fecha,
+    tipoComprobante: invoiceType,
+    tipoComprobanteNombre: INVOICE_TYPE_NAMES[invoiceType],
+    puntoVenta: numero.puntoVenta,
+    numero: numero.numero,
+    docTipo: DOC_TYPES.CUIT,
+    docNro: cuitDigits(supplier.taxId),
+    nombre: supplier.businessName || supplier.name,
+    total: round2(total),
+    // Whatever the VAT breakdown does not explain (e.g. non-taxed concepts)
+    noGravado: alicuotas.length ? Math.max(round2(total - neto - iva), 0) : 0,
+    otrosTributos: 0,
+    creditoFiscal: round2(iva),
+    esNotaCredito: TIPOS_NC.includes(invoiceType),
+    alicuotas
+  };
+};
+
+const expenseToCompra = (expense) => {
+  const numero = parseNumeroComprobante(expense.invoiceNumber);
+  const supplier = expense.supplierRef;
+  const invoiceType = expense.invoiceType;
+  const faltantes = missingPurchaseData({ supplier, invoiceType, numero });
+
+  const alicuotas = [];
+  if (TIPOS_A.includes(invoiceType)) {
+    const rate = expense.vatRate !== null ? parseFloat(expense.vatRate) : null;
+    if (expense.netAmount === null || rate === null) {
+      faltantes.push('neto gravado y alícuota de IVA');
+    } else if (ALICUOTA_IDS[rate] === undefined) {
+      faltantes.push('alícuota de IVA válida');
+    } else {
+      const neto = round2(expense.netAmount);
+      alicuotas.push({
+        id: ALICUOTA_IDS[rate],
+        neto,
+        iva: expense.vatAmount !== null ? round2(expense.vatAmount) : round2(neto * rate / 100)
+      });
+    }
+  }
+
+  const base = {
+    fecha: expense.expenseDate,
+    comprobante: expense.invoiceNumber,
+    proveedor: supplier ? (supplier.businessName || supplier.name) : expense.supplier,
+    total: round2(expense.amount)
+  };
+
+  if (faltantes.length) {
+    return { incompleto: { origen: 'gasto', ids: [expense.id], ...base, faltantes } };
+  }
+  return { compra: buildCompra({ ...base, supplier, invoiceType, numero, alicuotas }) };
+};
+
+/**
+ * One purchase per supplier invoice, from its stock entradas
+ */
+const stockGroupToCompra = (movements) => {
+  const first = movements[0];
+  const numero = parseNumeroComprobante(first.invoiceNumber);
+  const supplier = first.supplierRef;
+  const invoiceType = first.invoiceType;
+  const faltantes = missingPurchaseData({ supplier, invoiceType, numero });
+
+  const costo = round2(movements.reduce((sum, m) => sum + (parseFloat(m.totalCost) || 0), 0));
+  let total = costo;
+  const alicuotas = [];
+
+  if (TIPOS_A.includes(invoiceType)) {
+    const withRate = movements.find(m => m.vatRate !== null);
+    const rate = withRate ? parseFloat(withRate.vatRate) : null;
+    if (rate === null) {
+      faltantes.push('alícuota de IVA');
+    } else if (ALICUOTA_IDS[rate] === undefined) {
+      faltantes.push('alícuota de IVA válida');
+    } else {
+      // unitCost of A invoices is net of VAT
+      const iva = round2(costo * rate / 100);
+      alicuotas.push({ id: ALICUOTA_IDS[rate], neto: costo, iva });
+      total = round2(costo + iva);
+    }
+  }
+
+  const base = {
+    fecha: first.fecha,
+    comprobante: first.invoiceNumber,
+    proveedor: supplier ? (supplier.businessName || supplier.name) : null,
+    total
+  };
+
+  if (faltantes.length) {
+    return { incompleto: { origen: 'stock', ids: movements.map(m => m.id), ...base, faltantes } };
+  }
+  return { compra: buildCompra({ ...base, supplier, invoiceType, numero, alicuotas }) };
+};
+
+/**
+ * Argentina calendar date (YYYY-MM-DD) of a timestamp
+ */
+const argentinaDate = (date) => new Date(new Date(date).getTime() - 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// =====================================================
+// BOOK
+// =====================================================
+
+/**
+ * Build the tax books of a period
+ * @param {string} establishmentId
+ * @param {string} periodo - YYYYMM
+ * @returns {Promise<Object>} { periodo, desde, hasta, ventas, compras, incompletos }
+ */
+const buildLibroIva = async (establishmentId, periodo) => {
+  const { desde, hasta } = periodoRange(periodo);
+
+  const invoices = await Invoice.findAll({
+    where: {
+      establishmentId,
+      fechaEmision: { [Op.between]: [desde, hasta] }
+    },
+    order: [['fechaEmision', 'ASC'], ['tipoComprobante', 'ASC'], ['puntoVenta', 'ASC'], ['numeroComprobante', 'ASC']]
+  });
+
+  const expenses = await Expense.findAll({
+    where: {
+      establishmentId,
+      expenseDate: { [Op.between]: [desde, hasta] },
+      invoiceNumber: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] }
+    },
+    include: [{ model: Supplier, as: 'supplierRef', required: false }],
+    order: [['expenseDate', 'ASC']]
+  });
+
+  const movements = await StockMovement.findAll({
+    where: {
+      establishmentId,
+      type: 'entrada',
+      invoiceNumber: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] },
+      createdAt: {
+        [Op.gte]: new Date(`${desde}T00:00:00-03:00`),
+        [Op.lte]: new Date(`${hasta}T23:59:59.999-03:00`)
+      }
+    },
+    include: [{ model: Supplier, as: 'supplierRef', required: false }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const compras = [];
+  const incompletos = [];
+
+  const expenseKeys = new Set();
+  for (const expense of expenses) {
+    expenseKeys.add(`${expense.supplierId || ''}|${expense.invoiceNumber.trim()}`);
+    const { compra, incompleto } = expenseToCompra(expense);
+    if (compra) compras.push(compra);
+    else incompletos.push(incompleto);
+  }
+
+  // Stock purchases already registered as an Expense are not counted twice
+  const groups = new Map();
+  for (const movement of movements) {
+    const key = `${movement.supplierId || ''}|${movement.invoiceNumber.trim()}`;
+    if (expenseKeys.has(key)) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    movement.fecha = argentinaDate(movement.createdAt);
+    groups.get(key).push(movement);
+  }
+  for (const group of groups.values()) {
+    const { compra, incompleto } = stockGroupToCompra(group);
+    if (compra) compras.push(compra);
+    else incompletos.push(incompleto);
+  }
+
+  compras.sort((a, b) => a.fecha.localeCompare(b.fecha));
+
+  return {
+    periodo: String(periodo),
+    desde,
+    hasta,
+    ventas: invoices.map(invoiceToVenta),
+    compras,
+    incompletos
+  };
+};
+
+// =====================================================
+// FIXED-WIDTH FILES
+// =====================================================
+
+const fecha8 = (date) => String(date).replace(/-/g, '');
+
+/**
+ * VENTAS_CBTE: 266 characters per comprobante
+ */
+const ventasCbteFile = (ventas) => toFile(ventas.map(v => [
+  fecha8(v.fecha),
+  numeric(v.tipoComprobante, 3),
+  numeric(v.puntoVenta, 5),
+  numeric(v.numero, 20), // Número desde
+  numeric(v.numero, 20), // Número hasta
+  numeric(v.docTipo, 2),
+  numeric(v.docNro, 20),
+  text(v.nombre, 30),
+  amount(v.total),
+  amount(v.noGravado),
+  amount(0), // Percepción a no categorizados
+  amount(0), // Operaciones exentas
+  amount(0), // Percepciones impuestos nacionales
+  amount(0), // Percepciones Ingresos Brutos
+  amount(0), // Percepciones impuestos municipales
+  amount(0), // Impuestos internos
+  'PES',
+  EXCHANGE_RATE_ONE,
+  numeric(v.alicuotas.length, 1),
+  '0', // Código de operación
+  amount(v.otrosTributos),
+  '00000000' // Fecha de vencimiento de pago (solo servicios)
+].join('')));
+
+/**
+ * VENTAS_ALICUOTAS: 62 characters per alícuota
+ */
+const ventasAlicuotasFile = (ventas) => toFile(ventas.flatMap(v => v.alicuotas.map(a => [
+  numeric(v.tipoComprobante, 3),
+  numeric(v.puntoVenta, 5),
+  numeric(v.numero, 20),
+  amount(a.neto),
+  numeric(a.id, 4),
+  amount(a.iva)
+].join(''))));
+
+/**
+ * COMPRAS_CBTE: 325 characters per comprobante
+ */
+const comprasCbteFile = (compras) => toFile(compras.map(c => [
+  fecha8(c.fecha),
+  numeric(c.tipoComprobante, 3),
+  numeric(c.puntoVenta, 5),
+  numeric(c.numero, 20),
+  text('', 16), // Despacho de importación
+  numeric(c.docTipo, 2),
+  numeric(c.docNro, 20),
+  text(c.nombre, 30),
+  amount(c.total),
+  amount(c.noGravado),
+  amount(0), // Operaciones exentas
+  amount(0), // Percepciones de IVA
+  amount(0), // Percepciones otros impuestos nacionales
+  amount(0), // Percepciones Ingresos Brutos
+  amount(0), // Percepciones impuestos municipales
+  amount(0), // Impuestos internos
+  'PES',
+  EXCHANGE_RATE_ONE,
+  numeric(c.alicuotas.length, 1),
+  '0', // Código de operación
+  amount(c.creditoFiscal),
+  amount(c.otrosTributos),
+  numeric(0, 11), // CUIT emisor/corredor
+  text('', 30), // Denominación emisor/corredor
+  amount(0) // IVA comisión
+].join('')));
+
+/**
+ * COMPRAS_ALICUOTAS: 84 characters per alícuota
+ */
+const comprasAlicuotasFile = (compras) => toFile(compras.flatMap(c => c.alicuotas.map(a => [
+  numeric(c.tipoComprobante, 3),
+  numeric(c.puntoVenta, 5),
+  numeric(c.numero, 20),
+  numeric(c.docTipo, 2),
+  numeric(c.docNro, 20),
+  amount(a.neto),
+  numeric(a.id, 4),
+  amount(a.iva)
+].join(''))));
+
+/**
+ * Fixed-width file of the book
+ * @param {Object} libro - Result of buildLibroIva
+ * @param {string} archivo - ventas-cbte | ventas-alicuotas | compras-cbte | compras-alicuotas
+ * @returns {Object} { filename, content }
+ */
+const buildArchivo = (libro, archivo) => {
+  const builders = {
+    'ventas-cbte': () => ventasCbteFile(libro.ventas),
+    'ventas-alicuotas': () => ventasAlicuotasFile(libro.ventas),
+    'compras-cbte': () => comprasCbteFile(libro.compras),
+    'compras-alicuotas': () => comprasAlicuotasFile(libro.compras)
+  };
+  if (!builders[archivo]) {
+    const error = new Error(`Archivo inválido. Opciones: ${ARCHIVOS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return {
+    filename: `LIBRO_IVA_DIGITAL_${archivo.replace('-', '_').toUpperCase()}_${libro.periodo}.txt`,
+    content: builders[archivo]()
+  };
+};
+
+// =====================================================
+// SUMMARY
+// =====================================================
+
+/**
+ * Totals per book and alícuota. Notas de crédito subtract.
+ * @returns {Array} [{ libro, alicuota, comprobantes, netoGravado, iva, noGravado, total }]
+ */
+const resumenPorAlicuota = (libro) => {
+  const rows = new Map();
+
+  const add = (nombreLibro, alicuota, values) => {
+    const key = `${nombreLibro}|${alicuota}`;
+    if (!rows.has(key)) {
+      rows.set(key, { libro: nombreLibro, alicuota, comprobantes: 0, netoGravado: 0, iva: 0, noGravado: 0, total: 0 });
+    }
+    const row = rows.get(key);
+    row.comprobantes += 1;
+    for (const field of ['netoGravado', 'iva', 'noGravado', 'total']) {
+      row[field] = round2(row[field] + (values[field] || 0));
+    }
+  };
+
+  const addComprobante = (nombreLibro, c) => {
+    const sign = c.esNotaCredito ? -1 : 1;
+    if (!c.alicuotas.length) {
+      add(nombreLibro, 'Sin discriminar', { total: sign * c.total });
+      return;
+    }
+    c.alicuotas.forEach((a, index) => {
+      add(nombreLibro, `${ALICUOTA_RATES[a.id]}%`, {
+        netoGravado: sign * a.neto,
+        iva: sign * a.iva,
+        // Comprobante-level amounts go with its first alícuota
+        noGravado: index === 0 ? sign * c.noGravado : 0,
+        total: index === 0 ? sign * c.total : 0
+      });
+    });
+  };
+
+  libro.ventas.forEach(v => addComprobante('Ventas', v));
+  libro.compras.forEach(c => addComprobante('Compras', c));
+
+  return [...rows.values()];
+};
+
+const RESUMEN_FIELDS = [
+  { label: 'Libro', value: 'libro' },
+  { label: 'Alícuota', value: 'alicuota' },
+  { label: 'Comprobantes', value: 'comprobantes' },
+  { label: 'Neto Gravado', value: 'netoGravado' },
+  { label: 'IVA', value: 'iva' },
+  { label: 'No Gravado', value: 'noGravado' },
+  { label: 'Total', value: 'total' }
+];
+
+/**
+ * Summary per alícuota as CSV
+ */
+const buildResumenCsv = (libro) => {
+  const data = resumenPorAlicuota(libro).map(row => ({
+    ...row,
+    netoGravado: csvUtils.formatNumberForCSV(row.netoGravado),
+    iva: csvUtils.formatNumberForCSV(row.iva),
+    noGravado: csvUtils.formatNumberForCSV(row.noGravado),
+    total: csvUtils.formatNumberForCSV(row.total)
+  }));
+  return csvUtils.generateCSV(data, RESUMEN_FIELDS);
+};
+
+/**
+ * Summary per alícuota plus the detail of each book as XLSX
+ * @returns {Promise<Buffer>}
+ */
+const buildResumenXlsx = async (libro) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const money = '#,##0.00';
+
+  const resumen = workbook.addWorksheet('Resumen');
+  resumen.columns = RESUMEN_FIELDS.map(f => ({
+    header: f.label,
+    key: f.value,
+    width: f.value === 'alicuota' ? 16 : 15,
+    style: ['netoGravado', 'iva', 'noGravado', 'total'].includes(f.value) ? { numFmt: money } : {}
+  }));
+  resumenPorAlicuota(libro).forEach(row => resumen.addRow(row));
+
+  const detailColumns = [
+    { header: 'Fecha', key: 'fecha', width: 12 },
+    { header: 'Comprobante', key: 'tipoComprobanteNombre', width: 20 },
+    { header: 'Número', key: 'numeroCompleto', width: 16 },
+    { header: 'Documento', key: 'docNro', width: 14 },
+    { header: 'Nombre', key: 'nombre', width: 30 },
+    { header: 'Neto Gravado', key: 'netoGravado', width: 15, style: { numFmt: money } },
+    { header: 'IVA', key: 'iva', width: 15, style: { numFmt: money } },
+    { header: 'No Gravado', key: 'noGravado', width: 15, style: { numFmt: money } },
+    { header: 'Total', key: 'total', width: 15, style: { numFmt: money } }
+  ];
+
+  const addDetail = (name, comprobantes) => {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = detailColumns;
+    comprobantes.forEach(c => {
+      const sign = c.esNotaCredito ? -1 : 1;
+      sheet.addRow({
+        fecha: c.fecha,
+        tipoComprobanteNombre: c.tipoComprobanteNombre,
+        numeroCompleto: `${String(c.puntoVenta).padStart(5, '0')}-${String(c.numero).padStart(8, '0')}`,
+        docNro: c.docNro,
+        nombre: c.nombre,
+        netoGravado: sign * c.alicuotas.reduce((sum, a) => sum + a.neto, 0),
+        iva: sign * c.alicuotas.reduce((sum, a) => sum + a.iva, 0),
+        noGravado: sign * c.noGravado,
+        total: sign * c.total
+      });
+    });
+  };
+
+  addDetail('Ventas', libro.ventas);
+  addDetail('Compras', libro.compras);
+
+  if (libro.incompletos.length) {
+    const sheet = workbook.addWorksheet('Compras incompletas');
+    sheet.columns = [
+      { header: 'Origen', key: 'origen', width: 10 },
+      { header: 'Fecha', key: 'fecha', width: 12 },
+      { header: 'Comprobante', key: 'comprobante', width: 20 },
+      { header: 'Proveedor', key: 'proveedor', width: 30 },
+      { header: 'Total', key: 'total', width: 15, style: { numFmt: money } },
+      { header: 'Datos faltantes', key: 'faltantes', width: 60 }
+    ];
+    libro.incompletos.forEach(i => sheet.addRow({ ...i, faltantes: i.faltantes.join(', ') }));
+  }
+
+  [workbook.getWorksheet('Resumen'), workbook.getWorksheet('Ventas'), workbook.getWorksheet('Compras')]
+    .forEach(sheet => { sheet.getRow(1).font = { bold: true }; });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+  ARCHIVOS,
+  periodoRange,
+  parseNumeroComprobante,
+  buildLibroIva,
+  buildArchivo,
+  resumenPorAlicuota,
+  buildResumenCsv,
+  buildResumenXlsx
+};
@@ -289,28 +289,29 @@ class PDFService {
       ctz: 1,
       tipoDocRec: invoice.clienteDocTipo,
       nroDocRec: parseInt(invoice.clienteDocNro) || 0,
-      tipoCodAut: 'E', // CAE
+      tipoCodAut: invoice.modoAutorizacion === 'CAEA' ? 'A' : 'E', // A = CAEA, E = CAE
       codAut: parseInt(invoice.cae)
     };
   }
 
   /**
-   * Draw CAE information
+   * Draw CAE (or CAEA for contingency invoices) information
    */
   drawCAEInfo(doc, invoice) {
     const y = doc._totalsEndY || 470;
     const rightX = doc.page.width - 250;
+    const label = invoice.modoAutorizacion === 'CAEA' ? 'CAEA' : 'CAE';
     
     doc.fontSize(9)
        .font('Helvetica-Bold')
-       .text('CAE:', rightX, y)
+       .text(`${label}:`, rightX, y)
        .font('Helvetica')
-       .text(invoice.cae, rightX + 30, y);
+       .text(invoice.cae, rightX + 35, y);
     
     doc.font('Helvetica-Bold')
-       .text('Vencimiento CAE:', rightX, y + 15)
+       .text(`Vencimiento ${label}:`, rightX, y + 15)
        .font('Helvetica')
-       .text(this.formatDisplayDate(invoice.caeVencimiento), rightX + 100, y + 15);
+       .text(this.formatDisplayDate(invoice.caeVencimiento), rightX + 105, y + 15);
   }
 
   /**
@@ -377,6 +378,15 @@ class PDFService {
     })}`;
   }
 
+  /**
+   * File name of the invoice PDF: Factura_B_00001-00000123.pdf
+   */
+  getFilename(invoice) {
+    const pv = String(invoice.puntoVenta).padStart(5, '0');
+    const numero = String(invoice.numeroComprobante).padStart(8, '0');
+    return `${invoice.tipoComprobanteNombre.replace(/\s+/g, '_')}_${pv}-${numero}.pdf`;
+  }
+
   /**
    * Format date for display (DD/MM/YYYY)
    */
@@ -10,6 +10,10 @@
  * - 1:  Factura A (RI → RI)
  * - 6:  Factura B (RI → CF/Monotrib)
  * - 11: Factura C (Monotrib → Todos)
+ * 
+ * CAEA (contingency): fortnightly authorization codes requested in advance,
+ * used to invoice while FECAESolicitar is unreachable and reported later
+ * with FECAEARegInformativo.
  */
 
 const soap = require('soap');
@@ -54,6 +58,42 @@ const IVA_CONDITIONS = {
   MONOTRIBUTISTA: 6
 };
 
+/**
+ * Error for invoice data AFIP would never accept (not worth retrying)
+ */
+const invalidInvoiceError = (message) => {
+  const error = new Error(message);
+  error.rechazada = true;
+  return error;
+};
+
+/**
+ * Turn an AFIP Errors block into an Error carrying the numeric codes
+ */
+const afipErrorsToError = (errorsBlock) => {
+  const errors = Array.isArray(errorsBlock.Err) ? errorsBlock.Err : [errorsBlock.Err];
+  const error = new Error(`Error AFIP: ${errors.map(e => `[${e.Code}] ${e.Msg}`).join(', ')}`);
+  error.afipCodes = errors.map(e => parseInt(e.Code));
+  return error;
+};
+
+/**
+ * Turn a comprobante AFIP did not approve into an Error carrying the codes
+ * of its Observaciones, so callers can tell a rejection from a retryable one
+ */
+const rejectionToError = (detalle, message) => {
+  const error = new Error(message);
+  error.rechazada = true;
+  if (detalle.Observaciones) {
+    const obs = Array.isArray(detalle.Observaciones.Obs)
+      ? detalle.Observaciones.Obs
+      : [detalle.Observaciones.Obs];
+    error.message = obs.map(o => `[${o.Code}] ${o.Msg}`).join(', ');
+    error.afipCodes = obs.map(o => parseInt(o.Code));
+  }
+  return error;
+};
+
 class WSFEService {
   /**
    * @param {Object} config - AFIP configuration
@@ -197,27 +237,158 @@ class WSFEService {
    */
   validateInvoiceData(datos) {
     if (!datos.items || !Array.isArray(datos.items) || datos.items.length === 0) {
-      throw new Error('Debe incluir al menos un item en la factura');
+      throw invalidInvoiceError('Debe incluir al menos un item en la factura');
     }
 
     if (!datos.total || datos.total <= 0) {
-      throw new Error('El total debe ser mayor a 0');
+      throw invalidInvoiceError('El total debe ser mayor a 0');
     }
 
     // Validate items
     for (const item of datos.items) {
       if (!item.descripcion) {
-        throw new Error('Cada item debe tener una descripción');
+        throw invalidInvoiceError('Cada item debe tener una descripción');
       }
       if (!item.cantidad || item.cantidad <= 0) {
-        throw new Error('La cantidad de cada item debe ser mayor a 0');
+        throw invalidInvoiceError('La cantidad de cada item debe ser mayor a 0');
       }
       if (!item.precioUnitario || item.precioUnitario < 0) {
-        throw new Error('El precio unitario debe ser mayor o igual a 0');
+        throw invalidInvoiceError('El precio unitario debe ser mayor o igual a 0');
       }
     }
   }
 
+  /**
+   * Work out invoice type, receptor document and amounts for an invoice
+   * (shared by emission and by the recovery of a comprobante already authorized)
+   * @param {Object} datos - Same as emitirFactura
+   * @returns {Object} { tipoComprobante, tipoComprobanteNombre, docTipo, docNro, total, impNeto, impIVA, ivaArray }
+   */
+  prepararComprobante(datos) {
+    // Validate data
+    this.validateInvoiceData(datos);
+
+    // Determine invoice type
+    const tipoComprobante = this.getInvoiceType(datos.receptorCondicion);
+    const tipoComprobanteNombre = INVOICE_TYPE_NAMES[tipoComprobante];
+    const total = parseFloat(datos.total);
+
+    // Document configuration
+    let docTipo = datos.cliente?.docTipo || DOC_TYPES.CONSUMIDOR_FINAL;
+    let docNro = datos.cliente?.docNro || '0';
+
+    // AFIP rule: DocTipo 99 (CF) requires DocNro = 0
+    if (docTipo === DOC_TYPES.CONSUMIDOR_FINAL) {
+      docNro = '0';
+    }
+
+    // Factura A requires CUIT
+    if (tipoComprobante === INVOICE_TYPES.FACTURA_A && docTipo !== DOC_TYPES.CUIT) {
+      throw invalidInvoiceError('Factura A requiere CUIT del receptor');
+    }
+
+    // Build invoice request - calculate IVA for Factura A/B
+    const isFacturaC = tipoComprobante === INVOICE_TYPES.FACTURA_C;
+    
+    // For Factura C (Monotributista): ImpNeto = total, ImpIVA = 0, no Iva array
+    // For Factura A/B (Resp. Inscripto): Must discriminate IVA 21%
+    let impNeto, impIVA, ivaArray;
+    
+    if (isFacturaC) {
+      // Monotributista - no IVA discrimination
+      impNeto = total;
+      impIVA = 0;
+      ivaArray = null;
+    } else {
+      // Responsable Inscripto - must discriminate IVA 21%
+      // Total includes IVA, so: total = neto * 1.21
+      impNeto = Math.round((total / 1.21) * 100) / 100; // Round to 2 decimals
+      impIVA = Math.round((total - impNeto) * 100) / 100;
+      
+      // AFIP requires Iva array when ImpIVA > 0
+      ivaArray = {
+        AlicIva: [{
+          Id: 5, // 5 = 21%
+          BaseImp: impNeto,
+          Importe: impIVA
+        }]
+      };
+    }
+
+    return { tipoComprobante, tipoComprobanteNombre, docTipo, docNro, total, impNeto, impIVA, ivaArray };
+  }
+
+  /**
+   * Build the FECAEDetRequest of a comprobante (same shape for CAE and CAEA)
+   * @param {Object} comprobanteDatos - Result of prepararComprobante
+   * @param {number} numero - Comprobante number
+   * @param {string} fecha - CbteFch (YYYYMMDD)
+   */
+  armarDetalle(comprobanteDatos, numero, fecha) {
+    const { docTipo, docNro, total, impNeto, impIVA, ivaArray } = comprobanteDatos;
+
+    const comprobante = {
+      Concepto: 1, // 1 = Products
+      DocTipo: docTipo,
+      DocNro: parseInt(docNro) || 0,
+      CbteDesde: numero,
+      CbteHasta: numero,
+      CbteFch: fecha,
+      ImpTotal: total,
+      ImpTotConc: 0, // No taxable amount
+      ImpNeto: impNeto,
+      ImpOpEx: 0, // Exempt
+      ImpIVA: impIVA,
+      ImpTrib: 0, // Other taxes
+      MonId: 'PES', // Currency: Pesos
+      MonCotiz: 1 // Exchange rate
+    };
+
+    // Add IVA array for Factura A/B
+    if (ivaArray) {
+      comprobante.Iva = ivaArray;
+    }
+
+    return comprobante;
+  }
+
+  /**
+   * Build the emission result stored as Invoice
+   * @param {Object} datos - Invoice data
+   * @param {Object} comprobante - Result of prepararComprobante
+   * @param {Object} autorizacion - { cae, caeVencimiento, numeroComprobante, fechaEmision, afipResponse }
+   */
+  armarResultado(datos, comprobante, autorizacion) {
+    const { tipoComprobante, tipoComprobanteNombre, docTipo, docNro, total, impNeto, impIVA } = comprobante;
+
+    return {
+      resultado: 'APROBADO',
+      cae: autorizacion.cae,
+      caeVencimiento: autorizacion.caeVencimiento,
+      tipoComprobante,
+      tipoComprobanteNombre,
+      numeroComprobante: autorizacion.numeroComprobante,
+      puntoVenta: this.puntoVenta,
+      fechaEmision: autorizacion.fechaEmision,
+      importeTotal: total,
+      importeNeto: impNeto,
+      importeIva: impIVA,
+      cliente: {
+        nombre: datos.cliente?.nombre || 'Consumidor Final',
+        docTipo,
+        docNro: String(docNro),
+        condicionIva: datos.cliente?.condicionIva || IVA_CONDITIONS.CONSUMIDOR_FINAL
+      },
+      items: datos.items.map(item => ({
+        descripcion: item.descripcion,
+        cantidad: item.cantidad,
+        precioUnitario: item.precioUnitario,
+        subtotal: item.cantidad * item.precioUnitario
+      })),
+      afipResponse: autorizacion.afipResponse
+    };
+  }
+
   /**
    * Emit an invoice (Factura A, B, or C)
    * @param {Object} datos - Invoice data
@@ -225,21 +396,20 @@ class WSFEService {
    * @param {number} datos.total - Total amount
    * @param {Object} datos.cliente - {nombre, docTipo, docNro, condicionIva}
    * @param {string} datos.receptorCondicion - Receptor fiscal condition
+   * @param {Object} [options]
+   * @param {Function} [options.onNumeroAsignado] - Called with { tipoComprobante, numeroComprobante, fechaEmision }
+   *   right before the request is sent, so callers can persist the number they are about to use
    * @returns {Promise<Object>} - Invoice result with CAE
    */
-  async emitirFactura(datos) {
+  async emitirFactura(datos, { onNumeroAsignado } = {}) {
     try {
       console.log(`[WSFE] Emitting invoice for establishment ${this.establishmentId}`);
       
-      // Validate data
-      this.validateInvoiceData(datos);
+      const comprobanteDatos = this.prepararComprobante(datos);
+      const { tipoComprobante, tipoComprobanteNombre } = comprobanteDatos;
 
       const client = await this.initClient();
       const credentials = await this.wsaaService.getCredentials();
-
-      // Determine invoice type
-      const tipoComprobante = this.getInvoiceType(datos.receptorCondicion);
-      const tipoComprobanteNombre = INVOICE_TYPE_NAMES[tipoComprobante];
       
       console.log(`[WSFE] Invoice type: ${tipoComprobanteNombre} (${tipoComprobante})`);
 
@@ -250,71 +420,8 @@ class WSFEService {
 
       // Prepare data
       const fechaHoy = this.formatDate(new Date());
-      const total = parseFloat(datos.total);
-
-      // Document configuration
-      let docTipo = datos.cliente?.docTipo || DOC_TYPES.CONSUMIDOR_FINAL;
-      let docNro = datos.cliente?.docNro || '0';
-
-      // AFIP rule: DocTipo 99 (CF) requires DocNro = 0
-      if (docTipo === DOC_TYPES.CONSUMIDOR_FINAL) {
-        docNro = '0';
-      }
-
-      // Factura A requires CUIT
-      if (tipoComprobante === INVOICE_TYPES.FACTURA_A && docTipo !== DOC_TYPES.CUIT) {
-        throw new Error('Factura A requiere CUIT del receptor');
-      }
-
-      // Build invoice request - calculate IVA for Factura A/B
-      const isFacturaC = tipoComprobante === INVOICE_TYPES.FACTURA_C;
-      
-      // For Factura C (Monotributista): ImpNeto = total, ImpIVA = 0, no Iva array
-      // For Factura A/B (Resp. Inscripto): Must discriminate IVA 21%
-      let impNeto, impIVA, ivaArray;
-      
-      if (isFacturaC) {
-        // Monotributista - no IVA discrimination
-        impNeto = total;
-        impIVA = 0;
-        ivaArray = null;
-      } else {
-        // Responsable Inscripto - must discriminate IVA 21%
-        // Total includes IVA, so: total = neto * 1.21
-        impNeto = Math.round((total / 1.21) * 100) / 100; // Round to 2 decimals
-        impIVA = Math.round((total - impNeto) * 100) / 100;
-        
-        // AFIP requires Iva array when ImpIVA > 0
-        ivaArray = {
-          AlicIva: [{
-            Id: 5, // 5 = 21%
-            BaseImp: impNeto,
-            Importe: impIVA
-          }]
-        };
-      }
 
-      const comprobante = {
-        Concepto: 1, // 1 = Products
-        DocTipo: docTipo,
-        DocNro: parseInt(docNro) || 0,
-        CbteDesde: proximoNro,
-        CbteHasta: proximoNro,
-        CbteFch: fechaHoy,
-        ImpTotal: total,
-        ImpTotConc: 0, // No taxable amount
-        ImpNeto: impNeto,
-        ImpOpEx: 0, // Exempt
-        ImpIVA: impIVA,
-        ImpTrib: 0, // Other taxes
-        MonId: 'PES', // Currency: Pesos
-        MonCotiz: 1 // Exchange rate
-      };
-
-      // Add IVA array for Factura A/B
-      if (ivaArray) {
-        comprobante.Iva = ivaArray;
-      }
+      const comprobante = this.armarDetalle(comprobanteDatos, proximoNro, fechaHoy);
 
       const params = {
         Auth: {
@@ -334,6 +441,10 @@ class WSFEService {
         }
       };
 
+      if (onNumeroAsignado) {
+        await onNumeroAsignado({ tipoComprobante, numeroComprobante: proximoNro, fechaEmision: fechaHoy });
+      }
+
       console.log(`[WSFE] Sending request to AFIP...`);
 
       return new Promise((resolve, reject) => {
@@ -346,11 +457,7 @@ class WSFEService {
 
           // Check for general errors
           if (response.Errors) {
-            const errors = Array.isArray(response.Errors.Err) 
-              ? response.Errors.Err 
-              : [response.Errors.Err];
-            const errorMsg = errors.map(e => `[${e.Code}] ${e.Msg}`).join(', ');
-            return reject(new Error(`Error AFIP: ${errorMsg}`));
+            return reject(afipErrorsToError(response.Errors));
           }
 
           // Get invoice detail
@@ -359,52 +466,22 @@ class WSFEService {
 
           // Check if rejected
           if (detalle.Resultado !== 'A') {
-            let errorMsg = `Factura rechazada por AFIP (Resultado: ${detalle.Resultado})`;
-            
-            if (detalle.Observaciones) {
-              const obs = Array.isArray(detalle.Observaciones.Obs) 
-                ? detalle.Observaciones.Obs 
-                : [detalle.Observaciones.Obs];
-              errorMsg = obs.map(o => `[${o.Code}] ${o.Msg}`).join(', ');
-            }
-            
-            return reject(new Error(errorMsg));
+            return reject(rejectionToError(detalle, `Factura rechazada por AFIP (Resultado: ${detalle.Resultado})`));
           }
 
           // Success!
           console.log(`[WSFE] Invoice approved! CAE: ${detalle.CAE}`);
 
-          const resultado = {
-            resultado: 'APROBADO',
+          resolve(this.armarResultado(datos, comprobanteDatos, {
             cae: detalle.CAE,
             caeVencimiento: detalle.CAEFchVto,
-            tipoComprobante,
-            tipoComprobanteNombre,
             numeroComprobante: proximoNro,
-            puntoVenta: this.puntoVenta,
             fechaEmision: fechaHoy,
-            importeTotal: total,
-            importeNeto: impNeto,
-            importeIva: impIVA,
-            cliente: {
-              nombre: datos.cliente?.nombre || 'Consumidor Final',
-              docTipo,
-              docNro: String(docNro),
-              condicionIva: datos.cliente?.condicionIva || IVA_CONDITIONS.CONSUMIDOR_FINAL
-            },
-            items: datos.items.map(item => ({
-              descripcion: item.descripcion,
-              cantidad: item.cantidad,
-              precioUnitario: item.precioUnitario,
-              subtotal: item.cantidad * item.precioUnitario
-            })),
             afipResponse: {
               FeCabResp: response.FeCabResp,
               FeDetResp: detalle
             }
-          };
-
-          resolve(resultado);
+          }));
         });
       });
 
@@ -414,6 +491,265 @@ class WSFEService {
     }
   }
 
+  /**
+   * Look up an authorized comprobante (FECompConsultar)
+   * @param {number} tipoComprobante
+   * @param {number} numeroComprobante
+   * @returns {Promise<Object|null>} { cae, caeVencimiento, fechaEmision, importeTotal, docTipo, docNro, resultado, raw } or null if it doesn't exist
+   */
+  async consultarComprobante(tipoComprobante, numeroComprobante) {
+    try {
+      const client = await this.initClient();
+      const credentials = await this.wsaaService.getCredentials();
+
+      const params = {
+        Auth: {
+          Token: credentials.token,
+          Sign: credentials.sign,
+          Cuit: this.cuit
+        },
+        FeCompConsReq: {
+          CbteTipo: tipoComprobante,
+          CbteNro: numeroComprobante,
+          PtoVta: this.puntoVenta
+        }
+      };
+
+      return new Promise((resolve, reject) => {
+        client.FECompConsultar(params, (err, result) => {
+          if (err) {
+            return reject(new Error(`Error consultando comprobante: ${err.message}`));
+          }
+
+          const response = result.FECompConsultarResult;
+
+          if (response.Errors) {
+            const error = afipErrorsToError(response.Errors);
+            // 602: no existen datos para el comprobante consultado
+            if (error.afipCodes.includes(602)) return resolve(null);
+            return reject(error);
+          }
+
+          const cbte = response.ResultGet;
+          resolve({
+            cae: cbte.CodAutorizacion,
+            caeVencimiento: cbte.FchVto,
+            fechaEmision: cbte.CbteFch,
+            importeTotal: parseFloat(cbte.ImpTotal),
+            docTipo: parseInt(cbte.DocTipo),
+            docNro: String(cbte.DocNro),
+            resultado: cbte.Resultado,
+            raw: cbte
+          });
+        });
+      });
+    } catch (error) {
+      console.error(`[WSFE] Error querying invoice:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a CAEA block (FECAEASolicitar / FECAEAConsultar)
+   */
+  parseCAEA(resultGet) {
+    return {
+      caea: resultGet.CAEA,
+      periodo: parseInt(resultGet.Periodo),
+      orden: parseInt(resultGet.Orden),
+      fchVigDesde: resultGet.FchVigDesde,
+      fchVigHasta: resultGet.FchVigHasta,
+      fchTopeInf: resultGet.FchTopeInf,
+      fchProceso: resultGet.FchProceso
+    };
+  }
+
+  /**
+   * Request the CAEA of a fortnight (FECAEASolicitar)
+   * AFIP issues one CAEA per CUIT and fortnight; if it was already requested
+   * it is fetched with FECAEAConsultar instead.
+   * @param {number} periodo - YYYYMM
+   * @param {number} orden - 1 (days 1-15) or 2 (days 16-end)
+   * @returns {Promise<Object>} { caea, periodo, orden, fchVigDesde, fchVigHasta, fchTopeInf, fchProceso }
+   */
+  async solicitarCAEA(periodo, orden) {
+    try {
+      const client = await this.initClient();
+      const credentials = await this.wsaaService.getCredentials();
+
+      const params = {
+        Auth: {
+          Token: credentials.token,
+          Sign: credentials.sign,
+          Cuit: this.cuit
+        },
+        Periodo: periodo,
+        Orden: orden
+      };
+
+      const resultado = await new Promise((resolve, reject) => {
+        client.FECAEASolicitar(params, (err, result) => {
+          if (err) {
+            return reject(new Error(`Error solicitando CAEA: ${err.message}`));
+          }
+
+          const response = result.FECAEASolicitarResult;
+
+          if (response.Errors) {
+            return reject(afipErrorsToError(response.Errors));
+          }
+
+          resolve(this.parseCAEA(response.ResultGet));
+        });
+      });
+
+      console.log(`[WSFE] CAEA ${resultado.caea} obtained for ${periodo}/${orden}`);
+      return resultado;
+    } catch (error) {
+      // 15008: CAEA already requested for the period - fetch it
+      if (error.afipCodes?.includes(15008)) {
+        return this.consultarCAEA(periodo, orden);
+      }
+      console.error(`[WSFE] Error requesting CAEA:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch an already issued CAEA (FECAEAConsultar)
+   * @param {number} periodo - YYYYMM
+   * @param {number} orden - 1 or 2
+   */
+  async consultarCAEA(periodo, orden) {
+    const client = await this.initClient();
+    const credentials = await this.wsaaService.getCredentials();
+
+    const params = {
+      Auth: {
+        Token: credentials.token,
+        Sign: credentials.sign,
+        Cuit: this.cuit
+      },
+      Periodo: periodo,
+      Orden: orden
+    };
+
+    return new Promise((resolve, reject) => {
+      client.FECAEAConsultar(params, (err, result) => {
+        if (err) {
+          return reject(new Error(`Error consultando CAEA: ${err.message}`));
+        }
+
+        const response = result.FECAEAConsultarResult;
+
+        if (response.Errors) {
+          return reject(afipErrorsToError(response.Errors));
+        }
+
+        resolve(this.parseCAEA(response.ResultGet));
+      });
+    });
+  }
+
+  /**
+   * Report a comprobante issued under CAEA (FECAEARegInformativo)
+   * @param {Object} comprobante
+   * @param {number} comprobante.tipoComprobante
+   * @param {Object} comprobante.detalle - FECAEDetRequest built with armarDetalle
+   * @param {string} comprobante.caea
+   * @param {string} comprobante.fechaHoraGeneracion - CbteFchHsGen (YYYYMMDDhhmmss)
+   * @returns {Promise<Object>} AFIP detail response
+   */
+  async informarComprobanteCAEA({ tipoComprobante, detalle, caea, fechaHoraGeneracion }) {
+    try {
+      const client = await this.initClient();
+      const credentials = await this.wsaaService.getCredentials();
+
+      const params = {
+        Auth: {
+          Token: credentials.token,
+          Sign: credentials.sign,
+          Cuit: this.cuit
+        },
+        FeCAEARegInfReq: {
+          FeCabReq: {
+            CantReg: 1,
+            PtoVta: this.puntoVenta,
+            CbteTipo: tipoComprobante
+          },
+          FeDetReq: {
+            FECAEADetRequest: {
+              ...detalle,
+              CAEA: caea,
+              CbteFchHsGen: fechaHoraGeneracion
+            }
+          }
+        }
+      };
+
+      return new Promise((resolve, reject) => {
+        client.FECAEARegInformativo(params, (err, result) => {
+          if (err) {
+            return reject(new Error(`Error informando comprobante CAEA: ${err.message}`));
+          }
+
+          const response = result.FECAEARegInformativoResult;
+
+          if (response.Errors) {
+            return reject(afipErrorsToError(response.Errors));
+          }
+
+          const detalleArray = response.FeDetResp.FECAEADetResponse;
+          const detalleResp = Array.isArray(detalleArray) ? detalleArray[0] : detalleArray;
+
+          if (detalleResp.Resultado !== 'A') {
+            return reject(rejectionToError(detalleResp, `Comprobante CAEA rechazado por AFIP (Resultado: ${detalleResp.Resultado})`));
+          }
+
+          resolve({ FeCabResp: response.FeCabResp, FeDetResp: detalleResp });
+        });
+      });
+    } catch (error) {
+      console.error(`[WSFE] Error reporting CAEA comprobante:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Report that a CAEA was not used on this punto de venta (FECAEASinMovimientoInformar)
+   * @param {string} caea
+   */
+  async informarCAEASinMovimiento(caea) {
+    const client = await this.initClient();
+    const credentials = await this.wsaaService.getCredentials();
+
+    const params = {
+      Auth: {
+        Token: credentials.token,
+        Sign: credentials.sign,
+        Cuit: this.cuit
+      },
+      PtoVta: this.puntoVenta,
+      CAEA: caea
+    };
+
+    return new Promise((resolve, reject) => {
+      client.FECAEASinMovimientoInformar(params, (err, result) => {
+        if (err) {
+          return reject(new Error(`Error informando CAEA sin movimiento: ${err.message}`));
+        }
+
+        const response = result.FECAEASinMovimientoInformarResult;
+
+        if (response.Errors) {
+          return reject(afipErrorsToError(response.Errors));
+        }
+
+        resolve(response);
+      });
+    });
+  }
+
   /**
    * Get available points of sale from AFIP
    * @returns {Promise<Array>}
@@ -0,0 +1,713 @@
+/**
+ * Booking Cart Service
+ * Several court/amenity slots and products booked and paid together.
+ *
+ * Adding a slot to an open cart holds it (and every other slot of the cart)
+ * for CART_HOLD_MINUTES: while held, nobody else can book it. Checkout is
+ * either one Mercado Pago preference (external reference CART-<cartId>,
+ * split with the platform fee like the court bookings) or, for staff carts,
+ * one payment registered at the venue. Completing the cart creates all the
+ * bookings, their payments and the product consumptions in one transaction:
+ * if any slot was taken in the meantime nothing is created. A Mercado Pago
+ * payment that can't complete its cart (slot taken, or the cart was already
+ * paid) is refunded.
+ *
+ * The scheduler expires the carts whose hold ran out.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  BookingCart,
+  BookingCartItem,
+  Booking,
+  BookingPayment,
+  BookingConsumption,
+  Court,
+  Amenity,
+  Product,
+  Establishment,
+  PlatformConfig,
+  User,
+  sequelize
+} = require('../models');
+const mpService = require('./mercadopago');
+const { isCourtFree, findCartHolds } = require('./waitlistService');
+const { sendBookingConfirmation } = require('./email');
+const { calculateBookingPrice } = require('../controllers/priceScheduleController');
+const { getUserActiveCashRegister, registerSaleMovement } = require('../utils/cashRegisterHelper');
+const { moveProductStock } = require('./compositeProducts');
+const { statusError } = require('../utils/errors');
+const { round2 } = require('../utils/money');
+
+// Time the slots stay held while the cart is being filled
+const CART_HOLD_MINUTES = 15;
+// Time the player has to pay once the checkout is created
+const CHECKOUT_HOLD_MINUTES = 20;
+
+// Bookings in these statuses occupy the court or amenity
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const addMinutes = (time, minutes) => {
+  const total = (timeToMinutes(time) + minutes) % 1440;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const minutesBetween = (startTime, endTime) => {
+  let diff = timeToMinutes(endTime) - timeToMinutes(startTime);
+  if (diff <= 0) diff += 1440;
+  return diff;
+};
+
+const toRange = (startTime, endTime) => {
+  const start = timeToMinutes(startTime);
+  return { start, end: start + minutesBetween(startTime, endTime) };
+};
+
+const rangesOverlap = (a, b) => a.start < b.end && a.end > b.start;
+
+const isSlot = (item) => item.type === 'court' || item.type === 'amenity';
+
+const holdUntil = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+/**
+ * Price of an amenity slot (fixed 90/120 minute prices when set)
+ */
+const amenityPrice = (amenity, duration) => {
+  const perHour = parseFloat(amenity.pricePerHour) || 0;
+  if (duration === 90 && amenity.pricePerHour90) return parseFloat(amenity.pricePerHour90);
+  if (duration === 120 && amenity.pricePerHour120) return parseFloat(amenity.pricePerHour120);
+  return round2(perHour * duration / 60);
+};
+
+/**
+ * Whether an amenity is free (no active bookings nor other carts holding it)
+ */
+const isAmenityFree = async ({ amenityId, date, startTime, endTime, excludeCartId = null, transaction }) => {
+  const bookings = await Booking.findAll({
+    where: {
+      amenityId,
+      date,
+      status: { [Op.in]: ACTIVE_BOOKING_STATUSES }
+    },
+    attributes: ['startTime', 'endTime'],
+    transaction
+  });
+  const range = toRange(startTime, endTime);
+  if (bookings.some(b => rangesOverlap(range, toRange(b.startTime, b.endTime)))) {
+    return false;
+  }
+
+  const holds = await findCartHolds({ amenityId, date, startTime, endTime, excludeCartId, transaction });
+  return holds.length === 0;
+};
+
+const isSlotFree = (item, cartId, transaction) => {
+  const slot = {
+    date: item.date,
+    startTime: item.startTime,
+    endTime: item.endTime,
+    excludeCartId: cartId,
+    transaction
+  };
+  return item.type === 'court'
+    ? isCourtFree({ courtId: item.courtId, ...slot })
+    : isAmenityFree({ amenityId: item.amenityId, ...slot });
+};
+
+const slotLabel = (item) => `${item.date} ${item.startTime.slice(0, 5)}`;
+
+/**
+ * Expire a cart whose hold ran out; throws if the cart can't be changed
+ */
+const assertOpen = async (cart, transaction) => {
+  if (!cart) {
+    throw statusError('Carrito no encontrado', 404);
+  }
+  if (!['open', 'checking_out'].includes(cart.status)) {
+    throw statusError('El carrito ya no está abierto', 400);
+  }
+  if (cart.holdExpiresAt && new Date(cart.holdExpiresAt) <= new Date()) {
+    await cart.update({ status: 'expired' }, { transaction });
+    throw statusError('El carrito venció y sus horarios se liberaron', 410);
+  }
+};
+
+const refreshTotal = async (cart, transaction) => {
+  const items = await BookingCartItem.findAll({ where: { cartId: cart.id }, transaction });
+  const totalAmount = round2(items.reduce((sum, item) => sum + (parseFloat(item.totalPrice) || 0), 0));
+  // A changed cart needs a new checkout
+  await cart.update({
+    totalAmount,
+    holdExpiresAt: holdUntil(CART_HOLD_MINUTES),
+    status: 'open',
+    mpPreferenceId: null
+  }, { transaction });
+  return cart;
+};
+
+/**
+ * Cart with its items, courts, amenities and products
+ */
+const getCart = (cartId) => {
+  return BookingCart.findByPk(cartId, {
+    include: [
+      {
+        model: BookingCartItem,
+        as: 'items',
+        include: [
+          { model: Court, as: 'court', attributes: ['id', 'name', 'sport'] },
+          { model: Amenity, as: 'amenity', attributes: ['id', 'name'] },
+          { model: Product, as: 'product', attributes: ['id', 'name', 'unit', 'image'] }
+        ]
+      },
+      { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug'] }
+    ],
+    order: [[{ model: BookingCartItem, as: 'items' }, 'createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Open a cart. Staff carts book for a guest (clientName/Phone/Email) and can
+ * be paid at the venue; player carts are paid with Mercado Pago.
+ */
+const createCart = async ({ establishmentId, user, isStaff, clientName, clientEmail, clientPhone, notes }) => {
+  const establishment = await Establishment.findOne({ where: { id: establishmentId, isActive: true } });
+  if (!establishment) {
+    throw statusError('Establecimiento no encontrado', 404);
+  }
+
+  return BookingCart.create({
+    establishmentId,
+    userId: isStaff ? null : user.id,
+    createdById: user.id,
+    channel: isStaff ? 'staff' : 'online',
+    clientName: clientName || (isStaff ? null : `${user.firstName} ${user.lastName}`.trim()),
+    clientEmail: clientEmail || (isStaff ? null : user.email),
+    clientPhone: clientPhone || (isStaff ? null : user.phone) || null,
+    notes: notes || null
+  });
+};
+
+/**
+ * Add a court slot, an amenity slot or a product to the cart and renew the
+ * hold of its slots
+ * @param {Object} data - { type, courtId|amenityId, date, startTime, endTime|duration } or { type: 'product', productId, quantity }
+ */
+const addItem = async (cartId, data) => {
+  return sequelize.transaction(async (transaction) => {
+    const cart = await BookingCart.findByPk(cartId, { transaction, lock: transaction.LOCK.UPDATE });
+    await assertOpen(cart, transaction);
+
+    if (data.type === 'product') {
+      const quantity = parseInt(data.quantity, 10) || 1;
+      const product = await Product.findOne({
+        where: { id: data.productId, establishmentId: cart.establishmentId, isActive: true },
+        transaction
+      });
+      if (!product) {
+        throw statusError('Producto no encontrado', 404);
+      }
+
+      const unitPrice = parseFloat(product.salePrice) || 0;
+      const existing = await BookingCartItem.findOne({ where: { cartId, productId: product.id }, transaction });
+      const item = existing
+        ? await existing.update({
+          quantity: existing.quantity + quantity,
+          unitPrice,
+          totalPrice: round2(unitPrice * (existing.quantity + quantity))
+        }, { transaction })
+        : await BookingCartItem.create({
+          cartId,
+          type: 'product',
+          productId: product.id,
+          quantity,
+          unitPrice,
+          totalPrice: round2(unitPrice * quantity)
+        }, { transaction });
+
+      await refreshTotal(cart, transaction);
+      return item;
+    }
+
+    if (!['court', 'amenity'].includes(data.type)) {
+      throw statusError('Tipo de ítem inválido', 400);
+    }
+
+    const { date, startTime } = data;
+    const duration = data.endTime ? minutesBetween(startTime, data.endTime) : parseInt(data.duration, 10);
+    if (!date || !startTime || !duration) {
+      throw statusError('Indicá la fecha, la hora y la duración', 400);
+    }
+    const endTime = data.endTime || addMinutes(startTime, duration);
+    const slot = { type: data.type, date, startTime, endTime };
+
+    let price;
+    if (data.type === 'court') {
+      const court = await Court.findOne({
+        where: { id: data.courtId, establishmentId: cart.establishmentId, isActive: true },
+        transaction
+      });
+      if (!court) {
+        throw statusError('Cancha no encontrada', 404);
+      }
+      slot.courtId = court.id;
+      const calculated = await calculateBookingPrice(court.id, startTime, endTime, date, {
+        userId: cart.userId,
+        clientEmail: cart.clientEmail
+      });
+      price = round2(parseFloat(calculated.totalPrice) || 0);
+    } else {
+      const amenity = await Amenity.findOne({
+        where: { id: data.amenityId, establishmentId: cart.establishmentId, isActive: true, isBookable: true },
+        transaction
+      });
+      if (!amenity) {
+        throw statusError('Espacio no encontrado', 404);
+      }
+      slot.amenityId = amenity.id;
+      price = amenityPrice(amenity, duration);
+    }
+
+    // The same court/amenity can't be twice in the cart at overlapping times
+    const sameResource = await BookingCartItem.findAll({
+      where: slot.courtId ? { cartId, courtId: slot.courtId, date } : { cartId, amenityId: slot.amenityId, date },
+      transaction
+    });
+    const range = toRange(startTime, endTime);
+    if (sameResource.some(item => rangesOverlap(range, toRange(item.startTime, item.endTime)))) {
+      throw statusError(`El horario ${slotLabel(slot)} ya está en el carrito`, 409);
+    }
+
+    if (!(await isSlotFree(slot, cart.id, transaction))) {
+      throw statusError(`El horario ${slotLabel(slot)} no está disponible`, 409);
+    }
+
+    const item = await BookingCartItem.create({
+      cartId,
+      ...slot,
+      duration,
+      quantity: 1,
+      unitPrice: price,
+      totalPrice: price
+    }, { transaction });
+
+    await refreshTotal(cart, transaction);
+    return item;
+  });
+};
+
+/**
+ * Take an item out of the cart (its slot is released right away)
+ */
+const removeItem = async (cartId, itemId) => {
+  return sequelize.transaction(async (transaction) => {
+    const cart = await BookingCart.findByPk(cartId, { transaction, lock: transaction.LOCK.UPDATE });
+    await assertOpen(cart, transaction);
+
+    const item = await BookingCartItem.findOne({ where: { id: itemId, cartId }, transaction });
+    if (!item) {
+      throw statusError('Ítem no encontrado', 404);
+    }
+
+    await item.destroy({ transaction });
+    await refreshTotal(cart, transaction);
+    return cart;
+  });
+};
+
+/**
+ * Drop the cart and release its slots
+ */
+const abandonCart = async (cartId) => {
+  const cart = await BookingCart.findByPk(cartId);
+  if (!cart) {
+    throw statusError('Carrito no encontrado', 404);
+  }
+  if (!['open', 'checking_out'].includes(cart.status)) {
+    throw statusError('El carrito ya no está abierto', 400);
+  }
+  return cart.update({ status: 'abandoned' });
+};
+
+/**
+ * Sell a product of the cart as a consumption of one of its bookings
+ */
+const consumeProduct = async (item, booking, addedBy, transaction) => {
+  const product = await Product.findByPk(item.productId, { transaction, lock: transaction.LOCK.UPDATE });
+
+  await BookingConsumption.create({
+    bookingId: booking.id,
+    productId: item.productId,
+    establishmentId: booking.establishmentId,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    totalPrice: item.totalPrice,
+    notes: 'Comprado con la reserva',
+    addedBy
+  }, { transaction });
+
+  // Stock can go negative, like the sales at the venue
+  await moveProductStock(product, -item.quantity, {
+    type: 'venta',
+    notes: `Venta en reserva #${booking.id.substring(0, 8)}`,
+    userId: addedBy
+  }, transaction);
+};
+
+/**
+ * Create every booking of the cart, paid, in one transaction. Throws 409
+ * without creating anything if any slot was taken in the meantime.
+ * @param {Object} payment - { method, registeredBy?, mpPaymentId? }
+ * @returns {Promise<{cart, bookings}>}
+ */
+const completeCart = async (cartId, { method, registeredBy = null, mpPaymentId = null }) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const cart = await BookingCart.findByPk(cartId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (cart.status === 'completed') {
+      // A repeated notification of the payment that already completed it
+      if (mpPaymentId && cart.mpPaymentId === mpPaymentId) {
+        return { cart, bookings: [], alreadyCompleted: true };
+      }
+      throw statusError('El carrito ya fue pagado', 409);
+    }
+    const items = await BookingCartItem.findAll({
+      where: { cartId },
+      order: [['date', 'ASC'], ['startTime', 'ASC'], ['createdAt', 'ASC']],
+      transaction
+    });
+    const slots = items.filter(isSlot);
+    const products = items.filter(item => item.type === 'product');
+    if (slots.length === 0) {
+      throw statusError('El carrito no tiene reservas', 400);
+    }
+
+    for (const item of slots) {
+      if (!(await isSlotFree(item, cart.id, transaction))) {
+        throw statusError(`El horario ${slotLabel(item)} ya no está disponible`, 409);
+      }
+    }
+
+    const now = new Date();
+    const addedBy = registeredBy || cart.createdById;
+    const productsTotal = round2(products.reduce((sum, item) => sum + parseFloat(item.totalPrice), 0));
+    const bookings = [];
+
+    for (const item of slots) {
+      // Free the unique (courtId, date, startTime) index from a cancelled booking
+      await Booking.destroy({
+        where: {
+          ...(item.courtId ? { courtId: item.courtId } : { amenityId: item.amenityId }),
+          date: item.date,
+          startTime: item.startTime,
+          status: 'cancelled'
+        },
+        transaction
+      });
+
+      // Products are consumed in the first booking, so they're paid with it
+      const paid = round2(parseFloat(item.totalPrice) + (bookings.length === 0 ? productsTotal : 0));
+
+      const booking = await Booking.create({
+        userId: cart.userId,
+        createdByStaffId: cart.channel === 'staff' ? cart.createdById : null,
+        createdBy: cart.createdById,
+        establishmentId: cart.establishmentId,
+        courtId: item.courtId || null,
+        amenityId: item.amenityId || null,
+        date: item.date,
+        startTime: item.startTime,
+        endTime: item.endTime,
+        duration: item.duration,
+        totalAmount: item.totalPrice,
+        paymentType: 'full',
+        status: 'confirmed',
+        paymentStatus: 'completed',
+        depositAmount: paid,
+        initialDeposit: paid,
+        depositMethod: method,
+        clientName: cart.clientName,
+        clientPhone: cart.clientPhone,
+        clientEmail: cart.clientEmail,
+        notes: cart.notes || `Reserva del carrito #${cart.id.substring(0, 8)}`,
+        checkInCode: crypto.randomBytes(3).toString('hex').toUpperCase(),
+        reviewToken: crypto.randomBytes(32).toString('hex'),
+        confirmedAt: now,
+        paidAt: now,
+        mpPaymentId
+      }, { transaction });
+
+      await BookingPayment.create({
+        bookingId: booking.id,
+        amount: paid,
+        method,
+        playerName: cart.clientName || 'Cliente',
+        notes: `Pago del carrito #${cart.id.substring(0, 8)}`,
+        paymentType: 'deposit',
+        registeredBy,
+        paidAt: now
+      }, { transaction });
+
+      await item.update({ bookingId: booking.id }, { transaction });
+      bookings.push(booking);
+    }
+
+    for (const item of products) {
+      await consumeProduct(item, bookings[0], addedBy, transaction);
+      await item.update({ bookingId: bookings[0].id }, { transaction });
+    }
+
+    // Payments taken at the venue go to the staff member's open cash register
+    if (registeredBy && method !== 'mercadopago') {
+      const cashRegister = await getUserActiveCashRegister(registeredBy, cart.establishmentId);
+      if (cashRegister) {
+        for (const booking of bookings) {
+          await registerSaleMovement({
+            cashRegisterId: cashRegister.id,
+            establishmentId: cart.establishmentId,
+            bookingId: booking.id,
+            amount: parseFloat(booking.depositAmount),
+            paymentMethod: method,
+            description: `Reserva (carrito) - ${cart.clientName || 'Cliente'}`,
+            registeredBy
+          }, transaction);
+        }
+      } else {
+        console.log(`[BookingCart] No open cash register for user ${registeredBy}, cart ${cart.id} not registered in cash`);
+      }
+    }
+
+    await cart.update({
+      status: 'completed',
+      paymentMethod: method,
+      mpPaymentId,
+      paidAt: now,
+      completedAt: now,
+      holdExpiresAt: null
+    }, { transaction });
+
+    return { cart, bookings };
+  });
+
+  if (result.alreadyCompleted) {
+    return result;
+  }
+
+  console.log(`[BookingCart] Cart ${cartId} completed: ${result.bookings.length} bookings (${method})`);
+  notifyBookings(result.cart, result.bookings);
+  return result;
+};
+
+/**
+ * Confirmation emails of the cart bookings (fire-and-forget)
+ */
+const notifyBookings = (cart, bookings) => {
+  if (!cart.clientEmail) return;
+  Establishment.findByPk(cart.establishmentId)
+    .then(async (establishment) => {
+      for (const booking of bookings) {
+        const court = booking.courtId ? await Court.findByPk(booking.courtId) : null;
+        await sendBookingConfirmation(booking, establishment, court);
+      }
+    })
+    .catch(error => console.error(`[BookingCart] Error sending confirmations of cart ${cart.id}:`, error.message));
+};
+
+/**
+ * Create the Mercado Pago checkout of the whole cart
+ * @returns {Promise<Object>} { preferenceId, initPoint, sandboxInitPoint, amount, holdExpiresAt }
+ */
+const createCartCheckout = async (cart, items, establishment, backUrls) => {
+  const amount = round2(parseFloat(cart.totalAmount));
+  const platformConfig = await PlatformConfig.getConfig();
+  const fee = mpService.calculateFee(amount, establishment, parseFloat(platformConfig.defaultFeePercent));
+  const user = cart.userId ? await User.findByPk(cart.userId, { attributes: ['id', 'email', 'firstName', 'lastName'] }) : null;
+  const firstCourt = items.find(item => item.courtId);
+
+  const preference = await mpService.createSplitPreference(
+    {
+      items: items.map(item => ({
+        title: item.type === 'product'
+          ? item.product?.name || 'Producto'
+          : `${item.court?.name || item.amenity?.name || 'Reserva'} - ${establishment.name}`,
+        description: isSlot(item) ? `${item.date} ${item.startTime.slice(0, 5)}` : undefined,
+        quantity: item.quantity,
+        unitPrice: parseFloat(item.unitPrice)
+      })),
+      payer: user
+        ? { email: user.email, name: user.firstName, surname: user.lastName }
+        : { email: cart.clientEmail, name: cart.clientName },
+      backUrls,
+      externalReference: `CART-${cart.id}`,
+      notificationUrl: `${mpService.config.appUrl}/api/mp/webhooks`,
+      // court_id lets the webhook recover the metadata with the seller token
+      metadata: {
+        type: 'booking_cart',
+        cart_id: cart.id,
+        user_id: cart.userId,
+        court_id: firstCourt?.courtId || null
+      }
+    },
+    { accessToken: establishment.mpAccessToken },
+    fee
+  );
+
+  const holdExpiresAt = holdUntil(CHECKOUT_HOLD_MINUTES);
+  await cart.update({ status: 'checking_out', mpPreferenceId: preference.id, holdExpiresAt });
+
+  return {
+    preferenceId: preference.id,
+    initPoint: preference.initPoint,
+    sandboxInitPoint: preference.sandboxInitPoint,
+    amount,
+    holdExpiresAt
+  };
+};
+
+/**
+ * Check out the cart: staff carts paid at the venue are completed right
+ * away; otherwise a Mercado Pago checkout of the whole cart is returned and
+ * the bookings are created when the payment is approved.
+ * @param {Object} options - { paymentMethod?, registeredBy?, backUrls? }
+ * @returns {Promise<{cart, bookings?, checkout?}>}
+ */
+const checkoutCart = async (cartId, { paymentMethod = null, registeredBy = null, backUrls = null } = {}) => {
+  const cart = await getCart(cartId);
+  await assertOpen(cart);
+
+  if (!cart.items.some(isSlot)) {
+    throw statusError('El carrito no tiene reservas', 400);
+  }
+
+  if (paymentMethod && paymentMethod !== 'mercadopago') {
+    if (cart.channel !== 'staff') {
+      throw statusError('Solo el personal puede registrar pagos en el establecimiento', 403);
+    }
+    const { bookings } = await completeCart(cart.id, { method: paymentMethod, registeredBy });
+    return { cart: await getCart(cart.id), bookings };
+  }
+
+  const establishment = await Establishment.findByPk(cart.establishmentId);
+  if (!establishment?.mpActive || !establishment.mpAccessToken) {
+    throw statusError('El establecimiento todavía no acepta pagos online', 400);
+  }
+
+  const checkout = await createCartCheckout(cart, cart.items, establishment, backUrls);
+  return { cart, checkout };
+};
+
+/**
+ * Refund a cart payment through the establishment's Mercado Pago account
+ */
+const refundCartPayment = async (cart, mpPaymentId, amount) => {
+  const establishment = await Establishment.findByPk(cart.establishmentId, { attributes: ['id', 'mpAccessToken'] });
+  try {
+    const result = await mpService.refundPayment(mpPaymentId, amount, establishment?.mpAccessToken);
+    console.log(`[BookingCart] Refunded $${amount} of MP payment ${mpPaymentId}`);
+    return { mpPaymentId, amount, refundId: result.id, status: result.status || 'approved' };
+  } catch (error) {
+    console.error(`[BookingCart] MP refund failed for payment ${mpPaymentId}:`, error.message);
+    return { mpPaymentId, amount, status: 'failed', error: error.message };
+  }
+};
+
+/**
+ * Settle a Mercado Pago notification of a cart (external reference CART-<cartId>)
+ */
+const processCartPayment = async (cartId, paymentData) => {
+  const cart = await BookingCart.findByPk(cartId);
+  if (!cart) {
+    console.log(`[BookingCart] Cart ${cartId} not found`);
+    return null;
+  }
+  if (paymentData.status !== 'approved') {
+    return cart;
+  }
+
+  const mpPaymentId = paymentData.id?.toString();
+  if (cart.mpPaymentId === mpPaymentId) {
+    return cart; // Repeated notification
+  }
+
+  const amount = round2(parseFloat(paymentData.amount) || parseFloat(cart.totalAmount) || 0);
+
+  if (cart.status !== 'completed') {
+    try {
+      await completeCart(cart.id, { method: 'mercadopago', mpPaymentId });
+      return cart.reload();
+    } catch (error) {
+      console.error(`[BookingCart] Cart ${cart.id} couldn't be completed:`, error.message);
+    }
+  }
+
+  // Slot taken after the hold ran out, or the cart was paid twice. The cart is
+  // re-read under lock: a concurrent copy of this notification may have just
+  // completed (or refunded) it with this same payment.
+  const refunded = await sequelize.transaction(async (transaction) => {
+    const current = await BookingCart.findByPk(cart.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (current.mpPaymentId === mpPaymentId) {
+      return false;
+    }
+
+    const refund = await refundCartPayment(current, mpPaymentId, amount);
+    if (refund.status !== 'failed' && current.status !== 'completed') {
+      await current.update({
+        status: 'refunded',
+        mpPaymentId,
+        refundedAmount: amount,
+        refundedAt: new Date()
+      }, { transaction });
+    }
+    return refund.status !== 'failed';
+  });
+
+  if (refunded) {
+    console.log(`[BookingCart] Payment ${mpPaymentId} couldn't book cart ${cart.id}, refunded`);
+  }
+  return cart.reload();
+};
+
+/**
+ * Expire the carts whose hold ran out, releasing their slots
+ * @returns {Promise<number>} Carts expired
+ */
+const expireCarts = async (now = new Date()) => {
+  try {
+    const [count] = await BookingCart.update(
+      { status: 'expired' },
+      {
+        where: {
+          status: { [Op.in]: ['open', 'checking_out'] },
+          holdExpiresAt: { [Op.lte]: now }
+        }
+      }
+    );
+
+    if (count > 0) {
+      console.log(`[BookingCart] Expired ${count} carts`);
+    }
+    return count;
+  } catch (error) {
+    console.error('[BookingCart] Error expiring carts:', error.message);
+    return 0;
+  }
+};
+
+module.exports = {
+  CART_HOLD_MINUTES,
+  CHECKOUT_HOLD_MINUTES,
+  getCart,
+  createCart,
+  addItem,
+  removeItem,
+  abandonCart,
+  checkoutCart,
+  completeCart,
+  processCartPayment,
+  expireCarts
+};
@@ -0,0 +1,331 @@
+/**
+ * Booking Reminders Service
+ * Sends automatic reminders for upcoming bookings following each
+ * establishment's reminder rules (e.g. 24h and 2h before, by WhatsApp/email).
+ *
+ * Every reminder is stored in booking_reminders (one row per booking, rule and
+ * channel). The row is inserted as pending before sending, so its unique
+ * index keeps two scheduler runs from sending the same reminder, and then
+ * marked sent or failed. Failed reminders are retried up to
+ * MAX_REMINDER_ATTEMPTS times while still due.
+ * Each reminder carries a secret token so the client can confirm attendance
+ * or cancel straight from the message.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Booking, BookingReminder, Court, Amenity, Establishment, User, Client } = require('../models');
+const { sendBookingReminderWhatsApp } = require('./whatsappNotification');
+const { sendBookingReminder, formatDate } = require('./email');
+const { executeCancellation } = require('./cancellationPolicy');
+
+const CHANNELS = ['whatsapp', 'email'];
+
+const DEFAULT_RULES = [
+  { hoursBefore: 24, channels: ['whatsapp', 'email'] },
+  { hoursBefore: 2, channels: ['whatsapp'] }
+];
+
+// Largest rule accepted; also bounds how far ahead the scheduler looks
+const MAX_HOURS_BEFORE = 168;
+
+const MAX_REMINDER_ATTEMPTS = 3;
+
+/**
+ * Clean up reminder rules coming from the establishment config
+ * Drops invalid entries, unknown channels and duplicated hours
+ */
+const normalizeReminderRules = (rules) => {
+  if (!Array.isArray(rules)) return DEFAULT_RULES;
+
+  const byHours = new Map();
+  for (const rule of rules) {
+    const hoursBefore = parseInt(rule?.hoursBefore, 10);
+    if (!hoursBefore || hoursBefore < 1 || hoursBefore > MAX_HOURS_BEFORE) continue;
+
+    const channels = (Array.isArray(rule.channels) ? rule.channels : [])
+      .filter(channel => CHANNELS.includes(channel));
+    if (channels.length === 0) continue;
+
+    byHours.set(hoursBefore, { hoursBefore, channels: [...new Set(channels)] });
+  }
+
+  return [...byHours.values()].sort((a, b) => b.hoursBefore - a.hoursBefore);
+};
+
+/**
+ * Minutes from "now" (Argentina wall clock) until the booking starts
+ */
+const minutesUntilBooking = (booking, argentinaTime) => {
+  const now = argentinaTime.date;
+  const nowMs = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours(), now.getMinutes());
+
+  const [year, month, day] = booking.date.split('-').map(Number);
+  const [hours, minutes] = booking.startTime.split(':').map(Number);
+  const startMs = Date.UTC(year, month - 1, day, hours, minutes);
+
+  return Math.round((startMs - nowMs) / 60000);
+};
+
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+const getContact = (booking) => ({
+  name: booking.clientName || booking.client?.name ||
+    [booking.user?.firstName, booking.user?.lastName].filter(Boolean).join(' ') || null,
+  phone: booking.clientPhone || booking.client?.phone || booking.user?.phone || null,
+  email: booking.clientEmail || booking.client?.email || booking.user?.email || null
+});
+
+const isUniqueViolation = (error) => error.name === 'SequelizeUniqueConstraintError';
+
+/**
+ * Claim a reminder before sending it: insert its row as pending, or take a
+ * failed one back for another attempt. Null when another run claimed it.
+ * @param {BookingReminder|null} failed - Previous failed attempt
+ */
+const claimReminder = async (booking, hoursBefore, channel, failed = null) => {
+  if (failed) {
+    const [claimed] = await BookingReminder.update(
+      { status: 'pending', attempts: failed.attempts + 1, error: null },
+      { where: { id: failed.id, status: 'failed', attempts: failed.attempts } }
+    );
+    return claimed ? BookingReminder.findByPk(failed.id) : null;
+  }
+
+  try {
+    return await BookingReminder.create({
+      bookingId: booking.id,
+      establishmentId: booking.establishmentId,
+      hoursBefore,
+      channel,
+      status: 'pending',
+      actionToken: crypto.randomBytes(24).toString('hex')
+    });
+  } catch (error) {
+    if (isUniqueViolation(error)) return null;
+    throw error;
+  }
+};
+
+/**
+ * Send a claimed reminder over its channel and record the result
+ */
+const deliverReminder = async (booking, reminder) => {
+  const contact = getContact(booking);
+  const place = booking.court || booking.amenity;
+  const { actionToken } = reminder;
+
+  if (reminder.channel === 'whatsapp') {
+    if (!contact.phone) {
+      return reminder.update({ status: 'skipped', error: 'No phone number' });
+    }
+    const result = await sendBookingReminderWhatsApp({
+      clientPhone: contact.phone,
+      clientName: contact.name,
+      establishmentName: booking.establishment.name,
+      courtName: place?.name || 'Cancha',
+      dateTime: `${formatDate(booking.date)} a las ${booking.startTime.slice(0, 5)}`,
+      actionToken
+    });
+    return reminder.update({
+      status: result.success ? 'sent' : 'failed',
+      recipient: result.recipient || contact.phone,
+      messageId: result.messageId || null,
+      error: result.success ? null : JSON.stringify(result.error || result.reason),
+      sentAt: result.success ? new Date() : null
+    });
+  }
+
+  if (!contact.email) {
+    return reminder.update({ status: 'skipped', error: 'No email' });
+  }
+  const sent = await sendBookingReminder(
+    { ...booking.toJSON(), clientName: contact.name, clientEmail: contact.email },
+    booking.establishment,
+    place,
+    actionToken
+  );
+  return reminder.update({
+    status: sent ? 'sent' : 'failed',
+    recipient: contact.email,
+    error: sent ? null : 'Email delivery failed',
+    sentAt: sent ? new Date() : null
+  });
+};
+
+/**
+ * Send reminders that are due according to each establishment's rules.
+ * When several rules are due at once (e.g. a booking made 3h ahead with a
+ * 24h rule) only the closest one is sent and the others are recorded as skipped.
+ * @param {Object} argentinaTime - Result of getArgentinaTime()
+ * @returns {number} Reminders sent
+ */
+const sendDueReminders = async (argentinaTime) => {
+  try {
+    const today = argentinaTime.dateString;
+
+    const bookings = await Booking.findAll({
+      where: {
+        date: { [Op.between]: [today, addDays(today, Math.ceil(MAX_HOURS_BEFORE / 24))] },
+        status: { [Op.in]: ['pending', 'confirmed'] },
+        bookingType: { [Op.ne]: 'tournament' }
+      },
+      include: [
+        {
+          model: Establishment,
+          as: 'establishment',
+          where: { remindersEnabled: true },
+          attributes: ['id', 'name', 'reminderRules']
+        },
+        { model: Court, as: 'court', attributes: ['id', 'name'] },
+        { model: Amenity, as: 'amenity', attributes: ['id', 'name'] },
+        { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'phone', 'email'] },
+        { model: Client, as: 'client', attributes: ['id', 'name', 'phone', 'email'] },
+        { model: BookingReminder, as: 'reminders', attributes: ['id', 'hoursBefore', 'channel', 'status', 'attempts'] }
+      ]
+    });
+
+    let sentCount = 0;
+
+    for (const booking of bookings) {
+      const minutesLeft = minutesUntilBooking(booking, argentinaTime);
+      if (minutesLeft <= 0) continue;
+
+      // Failed reminders with attempts left are due again
+      const retryable = new Map();
+      const done = new Set();
+      for (const r of booking.reminders) {
+        const key = `${r.hoursBefore}:${r.channel}`;
+        if (r.status === 'failed' && r.attempts < MAX_REMINDER_ATTEMPTS) retryable.set(key, r);
+        else done.add(key);
+      }
+      const dueRules = normalizeReminderRules(booking.establishment.reminderRules)
+        .filter(rule => minutesLeft <= rule.hoursBefore * 60)
+        .filter(rule => rule.channels.some(channel => !done.has(`${rule.hoursBefore}:${channel}`)));
+
+      if (dueRules.length === 0) continue;
+
+      const [closest, ...outdated] = [...dueRules].sort((a, b) => a.hoursBefore - b.hoursBefore);
+
+      for (const rule of outdated) {
+        for (const channel of rule.channels.filter(c => !done.has(`${rule.hoursBefore}:${c}`))) {
+          const key = `${rule.hoursBefore}:${channel}`;
+          if (retryable.has(key)) {
+            await retryable.get(key).update({ status: 'skipped', error: 'Superseded by a closer reminder' });
+            continue;
+          }
+          await BookingReminder.create({
+            bookingId: booking.id,
+            establishmentId: booking.establishmentId,
+            hoursBefore: rule.hoursBefore,
+            channel,
+            status: 'skipped',
+            error: 'Superseded by a closer reminder'
+          }).catch(error => {
+            if (!isUniqueViolation(error)) throw error;
+          });
+        }
+      }
+
+      for (const channel of closest.channels.filter(c => !done.has(`${closest.hoursBefore}:${c}`))) {
+        let claim = null;
+        try {
+          claim = await claimReminder(booking, closest.hoursBefore, channel, retryable.get(`${closest.hoursBefore}:${channel}`));
+          if (!claim) continue;
+          const reminder = await deliverReminder(booking, claim);
+          if (reminder.status === 'sent') sentCount++;
+        } catch (error) {
+          console.error(`[Reminders] Error sending ${channel} reminder for booking ${booking.id}:`, error.message);
+          // A claim left pending would never be retried
+          if (claim) {
+            await claim.update({ status: 'failed', error: error.message })
+              .catch(updateError => console.error(`[Reminders] Error recording failed reminder ${claim.id}:`, updateError.message));
+          }
+        }
+      }
+
+      if (!booking.reminderSent) {
+        await booking.update({ reminderSent: true });
+      }
+    }
+
+    if (sentCount > 0) {
+      console.log(`[Reminders] Sent ${sentCount} booking reminder(s)`);
+    }
+    return sentCount;
+  } catch (error) {
+    console.error('[Reminders] Error sending due reminders:', error);
+    return 0;
+  }
+};
+
+const findReminderByToken = async (actionToken) => {
+  const reminder = await BookingReminder.findOne({
+    where: { actionToken },
+    include: [{
+      model: Booking,
+      as: 'booking',
+      include: [
+        { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug', 'address', 'phone'] },
+        { model: Court, as: 'court', attributes: ['id', 'name', 'sport'] },
+        { model: Amenity, as: 'amenity', attributes: ['id', 'name'] }
+      ]
+    }]
+  });
+
+  if (!reminder || !reminder.booking) {
+    const error = new Error('Recordatorio no encontrado');
+    error.status = 404;
+    throw error;
+  }
+  return reminder;
+};
+
+/**
+ * Confirm attendance or cancel a booking from a reminder link
+ * @param {string} actionToken
+ * @param {'confirm'|'cancel'} action
+ */
+const respondToReminder = async (actionToken, action) => {
+  const reminder = await findReminderByToken(actionToken);
+  const booking = reminder.booking;
+
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    const error = new Error('La reserva ya no está activa');
+    error.status = 410;
+    throw error;
+  }
+
+  const bookingStart = new Date(`${booking.date}T${booking.startTime}-03:00`);
+  if (bookingStart <= new Date()) {
+    const error = new Error('La reserva ya comenzó');
+    error.status = 410;
+    throw error;
+  }
+
+  if (action === 'confirm') {
+    await booking.update({ attendanceConfirmedAt: booking.attendanceConfirmedAt || new Date() });
+    await reminder.update({ response: 'confirmed', respondedAt: new Date() });
+  } else {
+    const establishment = await Establishment.findByPk(booking.establishmentId);
+    const { outcome } = await executeCancellation(booking, establishment, {
+      reason: 'Cancelada por el cliente desde el recordatorio'
+    });
+    await reminder.update({ response: 'cancelled', respondedAt: new Date() });
+    return { reminder, booking, cancellation: outcome };
+  }
+
+  return { reminder, booking };
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  normalizeReminderRules,
+  sendDueReminders,
+  findReminderByToken,
+  respondToReminder
+};
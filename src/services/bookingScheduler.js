@@ -1,10 +1,21 @@
 /**
  * Booking Scheduler Service
- * Handles automatic status updates for bookings
+ * Handles automatic status updates for bookings and sends due reminders
+ * (bookings and membership renewals); also runs the open-match matchmaking
  */
 
-const { Booking } = require('../models');
+const { Booking, Establishment } = require('../models');
 const { Op } = require('sequelize');
+const { expireWaitlistOffers } = require('./waitlistService');
+const { sendDueReminders } = require('./bookingReminders');
+const { applyNoShowPenalty } = require('./clientDebts');
+const { expireMemberships, sendRenewalReminders } = require('./memberships');
+const { processPendingInvoiceJobs } = require('./arca/invoiceQueueService');
+const { runCaeaTasks } = require('./arca/caeaService');
+const { runMatchmaking, expireMatchProposals } = require('./matchmaking');
+const { expireUnpaidSeats } = require('./matchPayments');
+const { sendDueSplitReminders, expireSplitPayments, retryFailedSplitRefunds } = require('./splitPayments');
+const { expireCarts } = require('./bookingCart');
 
 // Argentina timezone offset (UTC-3)
 const ARGENTINA_OFFSET = -3;
@@ -40,6 +51,7 @@ const getArgentinaTime = () => {
  * 30 minutes after their start time.
  * IMPORTANT: Only marks bookings from TODAY that have ALREADY STARTED + 30 min passed.
  * Never marks future bookings or bookings from other days.
+ * Applies the establishment's no-show penalty (ClientDebt) to each marked booking.
  */
 const markNoShowBookings = async () => {
   try {
@@ -56,7 +68,15 @@ const markNoShowBookings = async () => {
       where: {
         date: today,
         status: { [Op.in]: ['pending', 'confirmed'] }
-      }
+      },
+      include: [{
+        model: Establishment,
+        as: 'establishment',
+        attributes: [
+          'id', 'noShowPenalty', 'noShowPenaltyType', 'noShowPenaltyPercentage',
+          'depositType', 'depositPercentage', 'depositFixedAmount'
+        ]
+      }]
     });
     
     let updatedCount = 0;
@@ -77,6 +97,11 @@ const markNoShowBookings = async () => {
         await booking.update({ status: 'no_show' });
         updatedCount++;
         console.log(`[BookingScheduler] Marked booking ${booking.id} as no_show (started at ${booking.startTime}, ${minutesSinceStart} min ago)`);
+
+        // Charge the no-show penalty as a client debt
+        if (booking.establishment && booking.bookingType !== 'tournament') {
+          await applyNoShowPenalty(booking, booking.establishment);
+        }
       }
     }
     
@@ -157,6 +182,19 @@ const markCompletedBookings = async () => {
 const runScheduledChecks = async () => {
   await markNoShowBookings();
   await markCompletedBookings();
+  await expireWaitlistOffers(getArgentinaTime().dateString);
+  await sendDueReminders(getArgentinaTime());
+  await expireMemberships(getArgentinaTime().dateString);
+  await sendRenewalReminders(getArgentinaTime().dateString);
+  await processPendingInvoiceJobs();
+  await runCaeaTasks(getArgentinaTime().dateString);
+  await expireMatchProposals();
+  await expireUnpaidSeats();
+  await expireSplitPayments();
+  await retryFailedSplitRefunds();
+  await sendDueSplitReminders();
+  await expireCarts();
+  await runMatchmaking(getArgentinaTime().dateString);
 };
 
 /**
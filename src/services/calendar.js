@@ -0,0 +1,460 @@
+/**
+ * Calendar Service
+ * Builds iCalendar (RFC 5545) data for bookings and open matches:
+ *   - .ics invites attached to booking emails (METHOD:REQUEST / METHOD:CANCEL)
+ *   - subscribable feeds per user and per court, protected by a secret token
+ *
+ * Bookings of a recurring group (turnos fijos) are published as a single
+ * weekly RRULE event. Cancelled occurrences become EXDATEs and occurrences
+ * moved to another court or time are sent as RECURRENCE-ID overrides.
+ *
+ * Argentina has no DST, so every time is converted to UTC once and written
+ * with the Z suffix; no VTIMEZONE block is needed.
+ */
+
+const crypto = require('crypto');
+const { Op, where, fn, col } = require('sequelize');
+const {
+  Booking, AvailableMatch, MatchParticipant, RecurringBookingGroup,
+  CalendarFeed, Court, Amenity, Establishment, User
+} = require('../models');
+
+// Argentina timezone offset (UTC-3), same as bookingScheduler
+const ARGENTINA_UTC_OFFSET = '-03:00';
+
+const UID_DOMAIN = 'miscanchas.com';
+const PRODUCT_ID = '-//MisCanchas//Reservas//ES';
+
+// How far back feeds go; older events are already in the subscriber's calendar
+const FEED_PAST_DAYS = 60;
+
+const getBackendUrl = () => process.env.BACKEND_URL || process.env.APP_URL || 'http://localhost:8001';
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 §3.1)
+ */
+const foldLine = (line) => {
+  const buffer = Buffer.from(line, 'utf8');
+  if (buffer.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Date + wall-clock time in Argentina to a Date
+ */
+const toDateTime = (date, time) => new Date(`${date}T${String(time).slice(0, 5)}:00${ARGENTINA_UTC_OFFSET}`);
+
+/**
+ * Start/end of a slot; an end time before the start means it ends after midnight
+ */
+const slotRange = (date, startTime, endTime) => {
+  const start = toDateTime(date, startTime);
+  const end = toDateTime(date, endTime);
+  if (end <= start) end.setUTCDate(end.getUTCDate() + 1);
+  return { start, end };
+};
+
+const formatLocation = (establishment) => [establishment?.name, establishment?.address, establishment?.city]
+  .filter(Boolean)
+  .join(', ');
+
+/**
+ * Lines of a VEVENT
+ */
+const buildEvent = ({
+  uid, start, end, summary, description, location, url, status = 'CONFIRMED',
+  sequence = 0, lastModified, rrule, exdates = [], recurrenceId, organizer, attendee
+}) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`
+  ];
+  if (recurrenceId) lines.push(`RECURRENCE-ID:${formatUtc(recurrenceId)}`);
+  if (rrule) lines.push(`RRULE:${rrule}`);
+  if (exdates.length > 0) lines.push(`EXDATE:${exdates.map(formatUtc).join(',')}`);
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer) lines.push(`ORGANIZER;CN=${escapeText(organizer.name)}:mailto:${organizer.email}`);
+  if (attendee) {
+    lines.push(`ATTENDEE;CN=${escapeText(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${attendee.email}`);
+  }
+  lines.push(`STATUS:${status}`);
+  lines.push(`SEQUENCE:${sequence}`);
+  if (lastModified) lines.push(`LAST-MODIFIED:${formatUtc(new Date(lastModified))}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Full VCALENDAR document (CRLF line endings, folded lines)
+ * @param {Object} options - { name, method, events: array of VEVENT line arrays }
+ */
+const buildCalendar = ({ name, method = 'PUBLISH', events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    lines.push('X-PUBLISHED-TTL:PT1H');
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+  }
+  for (const event of events) lines.push(...event);
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const bookingUid = (booking) => `booking-${booking.id}@${UID_DOMAIN}`;
+const matchUid = (match) => `match-${match.id}@${UID_DOMAIN}`;
+const recurringUid = (group) => `recurring-${group.id}@${UID_DOMAIN}`;
+
+const bookingPlaceName = (booking, court) => (court || booking.court || booking.amenity)?.name || 'Cancha';
+
+/**
+ * VEVENT for a single booking
+ * @param {Object} options - { establishment, court, forEstablishment: show the client instead of the venue,
+ *   method, uid/recurrenceId for recurring overrides, organizer/attendee for email invites }
+ */
+const bookingToEvent = (booking, {
+  establishment, court, forEstablishment = false, method, uid, recurrenceId, organizer, attendee
+} = {}) => {
+  const place = bookingPlaceName(booking, court);
+  const venue = establishment || booking.establishment;
+  const { start, end } = slotRange(booking.date, booking.startTime, booking.endTime);
+  const cancelled = booking.status === 'cancelled' || method === 'CANCEL';
+
+  const summary = forEstablishment
+    ? `${booking.clientName || 'Reserva'} · ${place}`
+    : `${place} · ${venue?.name || 'Reserva'}`;
+
+  const description = [
+    forEstablishment ? null : `Reserva en ${venue?.name || 'el establecimiento'}`,
+    booking.clientPhone && forEstablishment ? `Tel: ${booking.clientPhone}` : null,
+    booking.checkInCode ? `Código de ingreso: ${booking.checkInCode}` : null,
+    booking.notes || null
+  ].filter(Boolean).join('\n');
+
+  return buildEvent({
+    uid: uid || bookingUid(booking),
+    start,
+    end,
+    summary,
+    description,
+    location: formatLocation(venue),
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    sequence: cancelled ? 1 : 0,
+    lastModified: booking.updatedAt,
+    recurrenceId,
+    organizer,
+    attendee
+  });
+};
+
+/**
+ * VEVENT for an open match
+ */
+const matchToEvent = (match, { cancelled = false } = {}) => {
+  const { start, end } = slotRange(match.date, match.startTime, match.endTime);
+  const isCancelled = cancelled || match.status === 'cancelled';
+
+  return buildEvent({
+    uid: matchUid(match),
+    start,
+    end,
+    summary: `Partido de ${match.sport} · ${match.court?.name || 'Cancha'}`,
+    description: [
+      `Partido abierto en ${match.establishment?.name || 'el establecimiento'}`,
+      `Jugadores: ${match.currentParticipants}/${match.maxParticipants}`,
+      match.description || null
+    ].filter(Boolean).join('\n'),
+    location: formatLocation(match.establishment),
+    status: isCancelled ? 'CANCELLED' : 'CONFIRMED',
+    sequence: isCancelled ? 1 : 0,
+    lastModified: match.updatedAt
+  });
+};
+
+/**
+ * VEVENTs for a recurring group: the weekly RRULE master plus overrides
+ * for occurrences that no longer follow the pattern
+ * @param {Object} group - RecurringBookingGroup with court and establishment
+ * @param {Array} bookings - Bookings of the group included in the feed
+ */
+const recurringGroupToEvents = (group, bookings, { forEstablishment = false } = {}) => {
+  const establishment = group.establishment;
+  const court = group.primaryCourt;
+  const { start, end } = slotRange(group.startDate, group.startTime, group.endTime);
+
+  // No BYDAY: in UTC a late slot can fall on the next weekday, so the
+  // weekday is taken from DTSTART (which is always group.dayOfWeek locally)
+  const rrule = group.endDate
+    ? `FREQ=WEEKLY;UNTIL=${formatUtc(slotRange(group.endDate, group.startTime, group.endTime).start)}`
+    : `FREQ=WEEKLY;COUNT=${group.totalOccurrences}`;
+
+  const exdates = [];
+  const overrides = [];
+  for (const booking of bookings) {
+    const occurrence = toDateTime(booking.date, group.startTime);
+    if (booking.status === 'cancelled') {
+      exdates.push(occurrence);
+      continue;
+    }
+    const moved = booking.courtId !== group.courtId ||
+      booking.startTime.slice(0, 5) !== group.startTime.slice(0, 5) ||
+      booking.endTime.slice(0, 5) !== group.endTime.slice(0, 5);
+    if (!moved) continue;
+
+    overrides.push(bookingToEvent(booking, {
+      establishment,
+      forEstablishment,
+      uid: recurringUid(group),
+      recurrenceId: occurrence
+    }));
+  }
+
+  const place = court?.name || 'Cancha';
+  const master = buildEvent({
+    uid: recurringUid(group),
+    start,
+    end,
+    summary: forEstablishment
+      ? `${group.clientName || 'Turno fijo'} · ${place}`
+      : `Turno fijo · ${place} · ${establishment?.name || ''}`.trim(),
+    description: `Turno fijo semanal${group.sport ? ` de ${group.sport}` : ''}`,
+    location: formatLocation(establishment),
+    status: group.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    sequence: group.status === 'cancelled' ? 1 : 0,
+    lastModified: group.updatedAt,
+    rrule,
+    exdates
+  });
+
+  return [master, ...overrides];
+};
+
+/**
+ * Turn a list of bookings into events, grouping recurring bookings into RRULE events
+ */
+const bookingsToEvents = async (bookings, options = {}) => {
+  const single = bookings.filter(b => !b.recurringGroupId);
+  const byGroup = new Map();
+  for (const booking of bookings.filter(b => b.recurringGroupId)) {
+    if (!byGroup.has(booking.recurringGroupId)) byGroup.set(booking.recurringGroupId, []);
+    byGroup.get(booking.recurringGroupId).push(booking);
+  }
+
+  const events = single.map(booking => bookingToEvent(booking, options));
+
+  if (byGroup.size > 0) {
+    const groups = await RecurringBookingGroup.findAll({
+      where: { id: { [Op.in]: [...byGroup.keys()] } },
+      include: [
+        { model: Court, as: 'primaryCourt', attributes: ['id', 'name'] },
+        { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'address', 'city'] }
+      ]
+    });
+    for (const group of groups) {
+      events.push(...recurringGroupToEvents(group, byGroup.get(group.id), options));
+    }
+  }
+
+  return events;
+};
+
+const feedStartDate = () => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - FEED_PAST_DAYS);
+  return date.toISOString().split('T')[0];
+};
+
+const bookingIncludes = [
+  { model: Court, as: 'court', attributes: ['id', 'name'] },
+  { model: Amenity, as: 'amenity', attributes: ['id', 'name'] },
+  { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'address', 'city'] }
+];
+
+const matchIncludes = [
+  { model: Court, as: 'court', attributes: ['id', 'name'] },
+  { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'address', 'city'] }
+];
+
+/**
+ * Feed of a player: their bookings (own account or email) and the
+ * open matches they organize or joined
+ */
+const buildUserFeed = async (user) => {
+  const since = feedStartDate();
+
+  const owner = [{ userId: user.id }];
+  // Case-insensitive equality (iLike would treat _ and % in the email as wildcards)
+  if (user.email) owner.push(where(fn('lower', col('Booking.clientEmail')), user.email.toLowerCase()));
+
+  const bookings = await Booking.findAll({
+    where: {
+      [Op.or]: owner,
+      date: { [Op.gte]: since },
+      bookingType: { [Op.ne]: 'tournament' }
+    },
+    include: bookingIncludes,
+    order: [['date', 'ASC'], ['startTime', 'ASC']]
+  });
+
+  const participations = await MatchParticipant.findAll({
+    where: { userId: user.id, status: 'joined' },
+    attributes: ['matchId']
+  });
+  const matches = await AvailableMatch.findAll({
+    where: {
+      [Op.or]: [
+        { organizerId: user.id },
+        { id: { [Op.in]: participations.map(p => p.matchId) } }
+      ],
+      date: { [Op.gte]: since }
+    },
+    include: matchIncludes
+  });
+
+  const events = [
+    ...(await bookingsToEvents(bookings)),
+    ...matches.map(match => matchToEvent(match))
+  ];
+
+  return buildCalendar({ name: 'Mis reservas · MisCanchas', events });
+};
+
+/**
+ * Feed of a court for the establishment: every booking and open match on it
+ */
+const buildCourtFeed = async (court) => {
+  const since = feedStartDate();
+
+  const bookings = await Booking.findAll({
+    where: { courtId: court.id, date: { [Op.gte]: since } },
+    include: bookingIncludes,
+    order: [['date', 'ASC'], ['startTime', 'ASC']]
+  });
+
+  const matches = await AvailableMatch.findAll({
+    where: { courtId: court.id, date: { [Op.gte]: since } },
+    include: matchIncludes
+  });
+
+  const events = [
+    ...(await bookingsToEvents(bookings, { forEstablishment: true })),
+    ...matches.map(match => matchToEvent(match))
+  ];
+
+  const establishment = court.establishment || await Establishment.findByPk(court.establishmentId, { attributes: ['name'] });
+  return buildCalendar({ name: `${court.name} · ${establishment?.name || 'MisCanchas'}`, events });
+};
+
+/**
+ * .ics invite for a single booking, attached to confirmation and cancellation emails
+ * @param {'REQUEST'|'CANCEL'} method
+ */
+const buildBookingInvite = (booking, establishment, court, method = 'REQUEST', organizerEmail = null) => {
+  const event = bookingToEvent(booking, {
+    establishment,
+    court,
+    method,
+    organizer: organizerEmail ? { name: establishment?.name || 'MisCanchas', email: organizerEmail } : null,
+    attendee: organizerEmail && booking.clientEmail ? { name: booking.clientName, email: booking.clientEmail } : null
+  });
+
+  return buildCalendar({ method, events: [event] });
+};
+
+/**
+ * Get (or create) the feed of a user or court
+ * @param {Object} where - { feedType: 'user', userId } or { feedType: 'court', courtId }
+ */
+const findOrCreateFeed = async (where, defaults = {}) => {
+  const existing = await CalendarFeed.findOne({ where });
+  if (existing) return existing;
+  return CalendarFeed.create({ ...where, ...defaults, token: crypto.randomBytes(24).toString('hex') });
+};
+
+/**
+ * Replace the feed token, invalidating the previous subscription URL
+ */
+const regenerateFeedToken = async (feed) => feed.update({ token: crypto.randomBytes(24).toString('hex') });
+
+const getFeedUrls = (feed) => {
+  const httpUrl = `${getBackendUrl()}/api/calendar/feeds/${feed.token}.ics`;
+  return {
+    url: httpUrl,
+    webcalUrl: httpUrl.replace(/^https?:\/\//, 'webcal://')
+  };
+};
+
+/**
+ * Render the calendar behind a feed token
+ * @returns {Object|null} { feed, ics } or null if the token is unknown
+ */
+const renderFeed = async (token) => {
+  const feed = await CalendarFeed.findOne({ where: { token } });
+  if (!feed) return null;
+
+  let ics;
+  if (feed.feedType === 'user') {
+    const user = await User.findByPk(feed.userId, { attributes: ['id', 'email'] });
+    if (!user) return null;
+    ics = await buildUserFeed(user);
+  } else {
+    const court = await Court.findByPk(feed.courtId, {
+      attributes: ['id', 'name', 'establishmentId'],
+      include: [{ model: Establishment, as: 'establishment', attributes: ['id', 'name'] }]
+    });
+    if (!court) return null;
+    ics = await buildCourtFeed(court);
+  }
+
+  await feed.update({ lastAccessedAt: new Date() });
+  return { feed, ics };
+};
+
+module.exports = {
+  buildCalendar,
+  bookingToEvent,
+  matchToEvent,
+  recurringGroupToEvents,
+  buildUserFeed,
+  buildCourtFeed,
+  buildBookingInvite,
+  findOrCreateFeed,
+  regenerateFeedToken,
+  getFeedUrls,
+  renderFeed
+};
@@ -0,0 +1,305 @@
+/**
+ * Cancellation Policy Service
+ * Applies the establishment's cancellation policy when a booking is cancelled.
+ *
+ * Before cancellationDeadlineHours:
+ *   - full_refund / partial_refund (refundPercentage): deposits paid through
+ *     Mercado Pago are refunded; other deposits (cash, transfer...) become store credit
+ *   - credit: the whole deposit becomes store credit
+ *   - no_refund: the deposit is kept
+ * After the deadline (late cancellation): the deposit is kept and whatever the
+ * no-show penalty would still charge is recorded as a late_cancellation ClientDebt.
+ *
+ * Cancellations made by the establishment itself refund everything unless
+ * the staff explicitly applies the policy (e.g. the client called to cancel).
+ * Shares already paid towards an unsettled split payment are refunded in full.
+ * Mercado Pago refunds that fail are credited to the client's wallet.
+ */
+
+const { Booking, BookingPayment, Court, Amenity, sequelize } = require('../models');
+const mpService = require('./mercadopago');
+const { addCreditMovement } = require('./clientCredits');
+const { calculateNoShowPenalty, applyLateCancellationPenalty, resolveDebtorEmail } = require('./clientDebts');
+const { handleBookingCancelled } = require('./waitlistService');
+const { sendBookingCancellation } = require('./email');
+const { cancelSplitForBooking } = require('./splitPayments');
+const { statusError } = require('../utils/errors');
+const { round2 } = require('../utils/money');
+
+// Argentina timezone offset (UTC-3), same as bookingScheduler
+const ARGENTINA_UTC_OFFSET = '-03:00';
+
+/**
+ * Hours from now until the booking starts
+ */
+const hoursUntilBooking = (booking, now = new Date()) => {
+  const start = new Date(`${booking.date}T${booking.startTime.slice(0, 5)}:00${ARGENTINA_UTC_OFFSET}`);
+  return (start - now) / (1000 * 60 * 60);
+};
+
+/**
+ * Deposits paid for the booking: BookingPayment deposits plus the online
+ * Mercado Pago deposit stored on the booking itself (created by the webhook)
+ */
+const getBookingDeposits = async (booking) => {
+  const payments = await BookingPayment.findAll({
+    where: { bookingId: booking.id, paymentType: 'deposit' },
+    order: [['paidAt', 'ASC']]
+  });
+
+  const deposits = payments.map(p => ({
+    amount: parseFloat(p.amount) || 0,
+    method: p.method,
+    mpPaymentId: p.mpPaymentId || (p.method === 'mercadopago' ? booking.mpPaymentId : null)
+  }));
+
+  const onlineDeposit = parseFloat(booking.initialDeposit) || parseFloat(booking.depositAmount) || 0;
+  if (booking.mpPaymentId && onlineDeposit > 0 && !deposits.some(d => d.mpPaymentId === booking.mpPaymentId)) {
+    deposits.push({
+      amount: onlineDeposit,
+      method: 'mercadopago',
+      mpPaymentId: booking.mpPaymentId
+    });
+  }
+
+  return deposits;
+};
+
+/**
+ * Work out what cancelling the booking would do, without changing anything
+ * @param {Object} booking
+ * @param {Object} establishment
+ * @param {Object} options - { applyPolicy: false for cancellations made by the establishment }
+ */
+const previewCancellation = async (booking, establishment, { applyPolicy = true, now = new Date() } = {}) => {
+  const deposits = await getBookingDeposits(booking);
+  const paidAmount = round2(deposits.reduce((sum, d) => sum + d.amount, 0));
+
+  const policy = establishment.cancellationPolicy || 'partial_refund';
+  const deadlineHours = establishment.cancellationDeadlineHours ?? 24;
+  const hoursLeft = hoursUntilBooking(booking, now);
+  const isLate = applyPolicy && hoursLeft < deadlineHours;
+
+  let refundable = 0;
+  let creditAmount = 0;
+  let debtAmount = 0;
+
+  if (!applyPolicy) {
+    refundable = paidAmount;
+  } else if (isLate) {
+    debtAmount = calculateNoShowPenalty(booking, establishment);
+  } else if (policy === 'full_refund') {
+    refundable = paidAmount;
+  } else if (policy === 'partial_refund') {
+    refundable = paidAmount * (establishment.refundPercentage ?? 50) / 100;
+  } else if (policy === 'credit') {
+    creditAmount = paidAmount;
+  }
+  refundable = round2(refundable);
+
+  // Refund through Mercado Pago first; what can't go back automatically becomes credit
+  const mpRefunds = [];
+  let pending = refundable;
+  for (const deposit of deposits) {
+    if (pending <= 0) break;
+    if (!deposit.mpPaymentId) continue;
+    const amount = round2(Math.min(deposit.amount, pending));
+    mpRefunds.push({ mpPaymentId: deposit.mpPaymentId, amount });
+    pending = round2(pending - amount);
+  }
+  const refundCreditAmount = pending;
+  creditAmount = round2(creditAmount + refundCreditAmount);
+
+  const refundAmount = round2(mpRefunds.reduce((sum, r) => sum + r.amount, 0));
+  const retainedAmount = round2(paidAmount - refundAmount - creditAmount);
+
+  let outcome = 'none';
+  if (debtAmount > 0) outcome = 'debt';
+  else if (refundAmount > 0) outcome = 'refund';
+  else if (creditAmount > 0) outcome = 'credit';
+
+  const messages = [];
+  if (refundAmount > 0) messages.push(`Se reintegran $${refundAmount} a tu medio de pago de Mercado Pago`);
+  if (creditAmount > 0) messages.push(`Se acreditan $${creditAmount} como saldo a favor en el establecimiento`);
+  if (retainedAmount > 0) messages.push(`El establecimiento retiene $${retainedAmount} de la seña`);
+  if (debtAmount > 0) messages.push(`Por cancelar con menos de ${deadlineHours} hs de anticipación queda una deuda de $${debtAmount}`);
+  if (messages.length === 0) messages.push('La reserva se cancela sin cargos');
+
+  return {
+    policy,
+    applyPolicy,
+    deadlineHours,
+    hoursUntilBooking: Math.round(hoursLeft * 10) / 10,
+    isLate,
+    paidAmount,
+    refundAmount,
+    mpRefunds,
+    creditAmount,
+    refundCreditAmount,
+    retainedAmount,
+    debtAmount,
+    outcome,
+    message: messages.join('. ')
+  };
+};
+
+/**
+ * Email the client that the booking was cancelled, with the .ics cancellation
+ */
+const notifyCancellation = async (booking, establishment) => {
+  const clientEmail = await resolveDebtorEmail(booking);
+  if (!clientEmail) return false;
+
+  const place = booking.courtId
+    ? await Court.findByPk(booking.courtId, { attributes: ['id', 'name'] })
+    : await Amenity.findByPk(booking.amenityId, { attributes: ['id', 'name'] });
+
+  return sendBookingCancellation({ ...booking.toJSON(), clientEmail }, establishment, place);
+};
+
+/**
+ * Wallet movement for a cancellation credit, in the caller's transaction
+ */
+const creditCancellation = (booking, { movementType, amount, clientEmail, userId }, transaction) => addCreditMovement({
+  establishmentId: booking.establishmentId,
+  clientId: booking.clientId,
+  userId: booking.userId,
+  clientEmail,
+  movementType,
+  amount,
+  bookingId: booking.id,
+  description: `${movementType === 'refund_credit' ? 'Reintegro' : 'Crédito'} por cancelación de reserva del ${booking.date} a las ${booking.startTime.slice(0, 5)}`,
+  registeredBy: userId,
+  transaction
+});
+
+/**
+ * Cancel the booking and carry out the policy outcome
+ * (Mercado Pago refunds, store credit and/or late-cancellation debt).
+ * Fails with status 409 when the booking is already cancelled.
+ *
+ * The cancellation, its store credit and its debt are written together with
+ * the booking locked, and the outcome records the Mercado Pago refunds still
+ * to do (refundStatus 'pending'). Refunds are then requested with an
+ * idempotency key per payment, and their result (plus the credit for the
+ * ones Mercado Pago rejected) is stored in a second transaction.
+ * @returns {Object} { booking, outcome }
+ */
+const executeCancellation = async (booking, establishment, { reason = null, applyPolicy = true, userId = null } = {}) => {
+  const clientEmail = await resolveDebtorEmail(booking);
+
+  // The booking is locked and re-checked so concurrent cancellations can't both refund it
+  const outcome = await sequelize.transaction(async (transaction) => {
+    const current = await Booking.findByPk(booking.id, {
+      attributes: ['id', 'status'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!current || current.status === 'cancelled') {
+      throw statusError('La reserva ya fue cancelada', 409);
+    }
+
+    const preview = await previewCancellation(booking, establishment, { applyPolicy });
+    const result = {
+      ...preview,
+      refundStatus: preview.mpRefunds.length > 0 ? 'pending' : 'none',
+      refunds: preview.mpRefunds.map(refund => ({
+        ...refund,
+        status: 'pending',
+        idempotencyKey: `booking-${booking.id}-refund-${refund.mpPaymentId}`
+      })),
+      creditMovementIds: [],
+      debtId: null,
+      processedAt: new Date()
+    };
+    delete result.mpRefunds;
+
+    // Policy credit and refunds that can't go back through Mercado Pago land in the client's wallet
+    const credits = [
+      { movementType: 'cancellation_credit', amount: round2(preview.creditAmount - preview.refundCreditAmount) },
+      { movementType: 'refund_credit', amount: preview.refundCreditAmount }
+    ].filter(credit => credit.amount > 0);
+    for (const credit of credits) {
+      const movement = await creditCancellation(booking, { ...credit, clientEmail, userId }, transaction);
+      result.creditMovementIds.push(movement.id);
+    }
+
+    if (preview.debtAmount > 0) {
+      const debt = await applyLateCancellationPenalty(booking, establishment, preview.debtAmount, transaction);
+      result.debtId = debt?.id || null;
+    }
+
+    await booking.update({
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancellationReason: reason,
+      cancellationOutcome: result
+    }, { transaction });
+    return result;
+  });
+
+  if (outcome.refunds.length > 0) {
+    for (const refund of outcome.refunds) {
+      try {
+        const result = await mpService.refundPayment(refund.mpPaymentId, refund.amount, establishment.mpAccessToken, refund.idempotencyKey);
+        Object.assign(refund, { refundId: result.id, status: result.status || 'approved' });
+        console.log(`[Cancellation] Refunded $${refund.amount} of MP payment ${refund.mpPaymentId} (booking ${booking.id})`);
+      } catch (error) {
+        console.error(`[Cancellation] MP refund failed for payment ${refund.mpPaymentId}:`, error.message);
+        Object.assign(refund, { status: 'failed', error: error.message });
+      }
+    }
+
+    // Refunds Mercado Pago rejected go to the wallet like the ones it can't take
+    const failedRefundAmount = round2(outcome.refunds
+      .filter(r => r.status === 'failed')
+      .reduce((sum, r) => sum + r.amount, 0));
+    const refundedAmount = round2(outcome.refunds
+      .filter(r => r.status !== 'failed')
+      .reduce((sum, r) => sum + r.amount, 0));
+
+    await sequelize.transaction(async (transaction) => {
+      if (failedRefundAmount > 0) {
+        const movement = await creditCancellation(booking, {
+          movementType: 'refund_credit',
+          amount: failedRefundAmount,
+          clientEmail,
+          userId
+        }, transaction);
+        outcome.creditMovementIds.push(movement.id);
+        outcome.refundCreditAmount = round2(outcome.refundCreditAmount + failedRefundAmount);
+        outcome.creditAmount = round2(outcome.creditAmount + failedRefundAmount);
+        outcome.message += `. El reintegro de $${failedRefundAmount} por Mercado Pago falló y se acreditó como saldo a favor`;
+      }
+      outcome.refundStatus = 'completed';
+
+      const updates = { cancellationOutcome: { ...outcome } };
+      if (refundedAmount + outcome.creditAmount >= outcome.paidAmount) {
+        updates.paymentStatus = 'refunded';
+      }
+      await booking.update(updates, { transaction });
+    });
+  }
+
+  const splitRefunds = await cancelSplitForBooking(booking);
+  if (splitRefunds.length > 0) {
+    outcome.splitRefunds = splitRefunds;
+    await booking.update({ cancellationOutcome: { ...outcome } });
+  }
+
+  // Offer the freed slot to the waitlist (fire and forget)
+  handleBookingCancelled(booking);
+
+  // Remove the event from the client's calendar (METHOD:CANCEL .ics)
+  notifyCancellation(booking, establishment)
+    .catch(error => console.error('[Cancellation] Error sending cancellation email:', error.message));
+
+  return { booking, outcome };
+};
+
+module.exports = {
+  hoursUntilBooking,
+  getBookingDeposits,
+  previewCancellation,
+  executeCancellation
+};
@@ -0,0 +1,161 @@
+/**
+ * Client Credits Service
+ * Store credit ledger (wallet) per establishment. A holder is identified like
+ * ClientDebt: by email, falling back to client record or user account.
+ *
+ * Credit comes from top-ups, cancellation policy credits, refunds that can't go
+ * back to the original payment and recurring bookings cancelled with paid turns.
+ * It is spent as the 'store_credit' payment method on bookings and orders.
+ * Client.creditBalance caches the balance for listings.
+ */
+
+const { Op } = require('sequelize');
+const { ClientCreditMovement, Client, Establishment } = require('../models');
+const { round2 } = require('../utils/money');
+
+// Payment method code used to pay with store credit
+const STORE_CREDIT_METHOD = 'store_credit';
+
+const isStoreCreditMethod = (method) => method?.toLowerCase() === STORE_CREDIT_METHOD;
+
+const holderWhere = ({ clientId = null, userId = null, clientEmail = null }) => {
+  const conditions = [];
+  if (clientEmail) conditions.push({ clientEmail: clientEmail.toLowerCase() });
+  if (clientId) conditions.push({ clientId });
+  if (userId) conditions.push({ userId });
+  return conditions;
+};
+
+/**
+ * Current store credit balance of a holder at an establishment
+ */
+const getCreditBalance = async ({ establishmentId, clientId, userId, clientEmail, transaction }) => {
+  const conditions = holderWhere({ clientId, userId, clientEmail });
+  if (conditions.length === 0) return 0;
+
+  const total = await ClientCreditMovement.sum('amount', {
+    where: { establishmentId, [Op.or]: conditions },
+    transaction
+  });
+  return round2(total || 0);
+};
+
+/**
+ * Recalculate creditBalance of the establishment client
+ * matching the given clientId or email
+ */
+const syncClientCreditBalance = async ({ establishmentId, clientId = null, clientEmail = null, transaction }) => {
+  let client = null;
+  if (clientId) {
+    client = await Client.findByPk(clientId, { transaction });
+  } else if (clientEmail) {
+    client = await Client.findOne({
+      where: { establishmentId, email: { [Op.iLike]: clientEmail } },
+      transaction
+    });
+  }
+  if (!client) return null;
+
+  const balance = await getCreditBalance({
+    establishmentId: client.establishmentId,
+    clientId: client.id,
+    clientEmail: client.email,
+    transaction
+  });
+
+  await client.update({ creditBalance: balance }, { transaction });
+  return client;
+};
+
+/**
+ * Add a movement to the ledger (positive = credit, negative = usage)
+ */
+const addCreditMovement = async ({
+  establishmentId,
+  clientId = null,
+  userId = null,
+  clientEmail = null,
+  movementType,
+  amount,
+  bookingId = null,
+  orderId = null,
+  recurringGroupId = null,
+  paymentMethod = null,
+  description = null,
+  registeredBy = null,
+  transaction
+}) => {
+  const balance = await getCreditBalance({ establishmentId, clientId, userId, clientEmail, transaction });
+
+  const movement = await ClientCreditMovement.create({
+    establishmentId,
+    clientId,
+    userId,
+    clientEmail: clientEmail ? clientEmail.toLowerCase() : null,
+    movementType,
+    amount: round2(amount),
+    balanceAfter: round2(balance + amount),
+    bookingId,
+    orderId,
+    recurringGroupId,
+    paymentMethod,
+    description,
+    registeredBy
+  }, { transaction });
+
+  await syncClientCreditBalance({ establishmentId, clientId, clientEmail, transaction });
+
+  return movement;
+};
+
+/**
+ * Lock the holder's client record, or the establishment for holders without
+ * one, so concurrent payments read and spend the balance one at a time
+ */
+const lockHolder = async ({ establishmentId, clientId = null, clientEmail = null }, transaction) => {
+  const lock = { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE };
+  let client = null;
+  if (clientId) {
+    client = await Client.findByPk(clientId, lock);
+  } else if (clientEmail) {
+    client = await Client.findOne({ where: { establishmentId, email: { [Op.iLike]: clientEmail } }, ...lock });
+  }
+  if (!client) {
+    await Establishment.findByPk(establishmentId, lock);
+  }
+};
+
+/**
+ * Pay with store credit. Runs in the caller's transaction, which must also
+ * record the payment it funds. Fails with status 400 when the balance isn't
+ * enough.
+ * @returns {Object} The (negative) payment movement
+ */
+const spendCredit = async ({ amount, transaction, ...holder }) => {
+  if (!transaction) {
+    throw new Error('spendCredit requires a transaction');
+  }
+  await lockHolder(holder, transaction);
+
+  const value = round2(parseFloat(amount) || 0);
+  const balance = await getCreditBalance({ ...holder, transaction });
+
+  if (value <= 0 || balance < value) {
+    const error = new Error(`Saldo a favor insuficiente (disponible: $${balance})`);
+    error.status = 400;
+    error.balance = balance;
+    throw error;
+  }
+
+  return addCreditMovement({ ...holder, movementType: 'payment', amount: -value, transaction });
+};
+
+module.exports = {
+  STORE_CREDIT_METHOD,
+  isStoreCreditMethod,
+  getCreditBalance,
+  syncClientCreditBalance,
+  addCreditMovement,
+  lockHolder,
+  spendCredit
+};
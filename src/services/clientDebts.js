@@ -0,0 +1,249 @@
+/**
+ * Client Debts Service
+ * Creates penalty debts (no-show, late cancellation) following the
+ * establishment's policy and keeps Client.hasDebt / debtAmount in sync.
+ */
+
+const { Op } = require('sequelize');
+const { ClientDebt, Client, User } = require('../models');
+const { round2 } = require('../utils/money');
+
+/**
+ * Deposit the client was expected to pay for the booking
+ */
+const expectedDeposit = (booking, establishment) => {
+  const total = parseFloat(booking.totalAmount) || 0;
+
+  if (parseFloat(booking.initialDeposit) > 0) {
+    return parseFloat(booking.initialDeposit);
+  }
+  if (booking.depositPercent) {
+    return total * booking.depositPercent / 100;
+  }
+  if (establishment.depositType === 'fixed') {
+    return Math.min(parseFloat(establishment.depositFixedAmount) || 0, total);
+  }
+  return total * (establishment.depositPercentage ?? 50) / 100;
+};
+
+/**
+ * Amount still owed for a no-show according to the establishment policy.
+ * Whatever the client already paid (deposit/partial payments) is discounted.
+ *   - full_charge: the whole booking
+ *   - deposit_only: the deposit (nothing owed if it was already paid)
+ *   - percentage: noShowPenaltyPercentage of the booking
+ */
+const calculateNoShowPenalty = (booking, establishment) => {
+  if (!establishment.noShowPenalty) return 0;
+
+  const total = parseFloat(booking.totalAmount) || 0;
+  const paid = parseFloat(booking.depositAmount) || 0;
+
+  let penalty;
+  switch (establishment.noShowPenaltyType) {
+    case 'full_charge':
+      penalty = total;
+      break;
+    case 'percentage':
+      penalty = total * (establishment.noShowPenaltyPercentage ?? 100) / 100;
+      break;
+    case 'deposit_only':
+    default:
+      penalty = expectedDeposit(booking, establishment);
+  }
+
+  return round2(Math.max(0, penalty - paid));
+};
+
+/**
+ * Email identifying the debtor (booking guest data, client record or user account)
+ */
+const resolveDebtorEmail = async (booking) => {
+  if (booking.clientEmail) return booking.clientEmail.toLowerCase();
+  if (booking.clientId) {
+    const client = await Client.findByPk(booking.clientId, { attributes: ['email'] });
+    if (client?.email) return client.email.toLowerCase();
+  }
+  if (booking.userId) {
+    const user = await User.findByPk(booking.userId, { attributes: ['email'] });
+    if (user?.email) return user.email.toLowerCase();
+  }
+  return '';
+};
+
+/**
+ * Recalculate hasDebt / debtAmount of the establishment client
+ * matching the given clientId or email
+ */
+const syncClientDebtStatus = async ({ establishmentId, clientId = null, clientEmail = null }) => {
+  try {
+    let client = null;
+    if (clientId) {
+      client = await Client.findByPk(clientId);
+    } else if (clientEmail) {
+      client = await Client.findOne({
+        where: { establishmentId, email: { [Op.iLike]: clientEmail } }
+      });
+    }
+    if (!client) return null;
+
+    const debtorWhere = [{ clientId: client.id }];
+    if (client.email) debtorWhere.push({ clientEmail: client.email.toLowerCase() });
+
+    const pendingTotal = await ClientDebt.sum('amount', {
+      where: {
+        establishmentId: client.establishmentId,
+        status: 'pending',
+        [Op.or]: debtorWhere
+      }
+    }) || 0;
+
+    await client.update({
+      hasDebt: pendingTotal > 0,
+      debtAmount: round2(pendingTotal)
+    });
+    return client;
+  } catch (error) {
+    console.error('[Debt] Error syncing client debt status:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Sync every client affected by a set of debts (after paying/forgiving them)
+ */
+const syncClientsForDebts = async (debtIds) => {
+  const debts = await ClientDebt.findAll({
+    where: { id: { [Op.in]: debtIds } },
+    attributes: ['establishmentId', 'clientId', 'clientEmail']
+  });
+
+  const seen = new Set();
+  for (const debt of debts) {
+    const key = `${debt.establishmentId}:${debt.clientId || debt.clientEmail}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    await syncClientDebtStatus(debt);
+  }
+};
+
+/**
+ * Create the no-show debt for a booking according to the establishment policy.
+ * Does nothing if the policy is disabled, nothing is owed or the debt already exists.
+ * @returns {Object|null} Created debt
+ */
+const applyNoShowPenalty = async (booking, establishment) => {
+  try {
+    const amount = calculateNoShowPenalty(booking, establishment);
+    if (amount <= 0) return null;
+
+    const existing = await ClientDebt.findOne({
+      where: { bookingId: booking.id, reason: 'no_show' }
+    });
+    if (existing) return existing;
+
+    const clientEmail = await resolveDebtorEmail(booking);
+    const debt = await ClientDebt.create({
+      clientId: booking.clientId || null,
+      userId: booking.userId || null,
+      clientEmail,
+      establishmentId: booking.establishmentId,
+      bookingId: booking.id,
+      amount,
+      reason: 'no_show',
+      description: `No asistió a la reserva del ${booking.date} a las ${booking.startTime.slice(0, 5)}`
+    });
+
+    await syncClientDebtStatus({
+      establishmentId: booking.establishmentId,
+      clientId: booking.clientId,
+      clientEmail
+    });
+
+    console.log(`[Debt] Created no-show debt: ${debt.id} for $${debt.amount}`);
+    return debt;
+  } catch (error) {
+    console.error('[Debt] Error creating no-show debt:', error);
+    return null;
+  }
+};
+
+/**
+ * Create the late-cancellation debt for a booking cancelled after the
+ * establishment's deadline. A late cancellation is charged like a no-show.
+ * Inside a caller's transaction errors are thrown (so the caller rolls back)
+ * and the client's debt status is synced once it commits.
+ * @param {number|null} amount - Precomputed amount (defaults to the no-show penalty)
+ * @returns {Object|null} Created debt
+ */
+const applyLateCancellationPenalty = async (booking, establishment, amount = null, transaction = null) => {
+  try {
+    const debtAmount = round2(amount ?? calculateNoShowPenalty(booking, establishment));
+    if (debtAmount <= 0) return null;
+
+    const existing = await ClientDebt.findOne({
+      where: { bookingId: booking.id, reason: 'late_cancellation' },
+      transaction
+    });
+    if (existing) return existing;
+
+    const clientEmail = await resolveDebtorEmail(booking);
+    const debt = await ClientDebt.create({
+      clientId: booking.clientId || null,
+      userId: booking.userId || null,
+      clientEmail,
+      establishmentId: booking.establishmentId,
+      bookingId: booking.id,
+      amount: debtAmount,
+      reason: 'late_cancellation',
+      description: `Cancelación tardía de reserva del ${booking.date} a las ${booking.startTime.slice(0, 5)}`
+    }, { transaction });
+
+    const sync = () => syncClientDebtStatus({
+      establishmentId: booking.establishmentId,
+      clientId: booking.clientId,
+      clientEmail
+    });
+    if (transaction) {
+      transaction.afterCommit(sync);
+    } else {
+      await sync();
+    }
+
+    console.log(`[Debt] Created late cancellation debt: ${debt.id} for $${debt.amount}`);
+    return debt;
+  } catch (error) {
+    console.error('[Debt] Error creating late cancellation debt:', error);
+    if (transaction) throw error;
+    return null;
+  }
+};
+
+/**
+ * Pending debts of a debtor at an establishment (by email and/or user)
+ */
+const findPendingDebts = async ({ establishmentId, email = null, userId = null }) => {
+  const debtorWhere = [];
+  if (email) debtorWhere.push({ clientEmail: email.toLowerCase() });
+  if (userId) debtorWhere.push({ userId });
+  if (debtorWhere.length === 0) return [];
+
+  return ClientDebt.findAll({
+    where: {
+      establishmentId,
+      status: 'pending',
+      [Op.or]: debtorWhere
+    },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+module.exports = {
+  calculateNoShowPenalty,
+  applyNoShowPenalty,
+  applyLateCancellationPenalty,
+  resolveDebtorEmail,
+  syncClientDebtStatus,
+  syncClientsForDebts,
+  findPendingDebts
+};
@@ -0,0 +1,392 @@
+/**
+ * Composite Products Service
+ * Combos ("2 aguas + 1 Gatorade") and prepared products (a beer pitcher)
+ * built from other products of the establishment.
+ *
+ * A composite has no stock of its own: selling it deducts each component
+ * (units sold × component quantity) with a movement whose referenceType is
+ * 'composite_product' and referenceId the composite, so the cost of every
+ * combo sold can be traced back from its components. Components must be
+ * simple products (no combos inside combos).
+ *
+ * Every sale path (direct orders, booking consumptions, booking carts) moves
+ * stock through moveProductStock, which handles simple and composite
+ * products alike and values each movement at its FIFO lot cost.
+ *
+ * A composite's costPrice is the sum of its components' costs. It is
+ * recomputed whenever a component's costPrice changes (product edits,
+ * entradas that update the cost and purchase order receptions).
+ */
+
+const { Op } = require('sequelize');
+const {
+  Product,
+  ProductComponent,
+  StockMovement,
+  Order,
+  OrderItem,
+  BookingConsumption,
+  sequelize
+} = require('../models');
+const { takeFromLots, returnToLots, saveAllocations } = require('./stockLots');
+const { statusError } = require('../utils/errors');
+const { round2 } = require('../utils/money');
+
+const COMPOSITE_TYPES = ['combo', 'prepared'];
+
+const COMPOSITE_REFERENCE = 'composite_product';
+
+const isComposite = (product) => COMPOSITE_TYPES.includes(product.productType);
+
+const profitMarginOf = (costPrice, salePrice) => (
+  costPrice > 0 ? ((salePrice - costPrice) / costPrice * 100).toFixed(2) : 0
+);
+
+/**
+ * Update the stock of a product and record its movement, valued at the
+ * FIFO cost of the lots it takes from (or returns to)
+ * @param {number} delta - Signed stock change (negative for sales)
+ */
+const applyMovement = async (product, delta, data, transaction) => {
+  const previousStock = product.currentStock;
+  const newStock = previousStock + delta;
+  await product.update({ currentStock: newStock }, { transaction });
+
+  const { allocations, totalCost } = delta < 0
+    ? await takeFromLots(product, -delta, {}, transaction)
+    : await returnToLots(product, delta, transaction);
+
+  const movement = await StockMovement.create({
+    establishmentId: product.establishmentId,
+    productId: product.id,
+    type: data.type,
+    quantity: delta,
+    previousStock,
+    newStock,
+    unitCost: round2(totalCost / Math.abs(delta)),
+    totalCost,
+    notes: data.notes || null,
+    referenceType: data.referenceType || null,
+    referenceId: data.referenceId || null,
+    userId: data.userId
+  }, { transaction });
+
+  await saveAllocations(movement, allocations, transaction);
+  return movement;
+};
+
+/**
+ * Move the stock of a sold (or returned) product. Simple products move their
+ * own stock when tracked; composites move the stock of their tracked
+ * components. Stock can go negative, like every sale at the venue. Inside a
+ * transaction the moved products are locked until it ends.
+ * @param {Product} product
+ * @param {number} delta - Signed units of the product (negative for sales)
+ * @param {Object} data - { type, notes, userId }
+ * @param {Transaction} [transaction]
+ * @returns {Promise<Array<StockMovement>>}
+ */
+const moveProductStock = async (product, delta, data, transaction = null) => {
+  if (delta === 0) return [];
+
+  if (!isComposite(product)) {
+    if (!product.trackStock) return [];
+    // Fresh, locked stock so concurrent sales don't overwrite each other
+    if (transaction) await product.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    return [await applyMovement(product, delta, data, transaction)];
+  }
+
+  const components = await ProductComponent.findAll({
+    where: { productId: product.id },
+    transaction
+  });
+
+  const movements = [];
+  for (const line of components) {
+    const component = await Product.findByPk(line.componentId, {
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE })
+    });
+    if (!component || !component.trackStock) continue;
+
+    movements.push(await applyMovement(component, delta * line.quantity, {
+      ...data,
+      notes: `${data.notes} (${product.name})`,
+      referenceType: COMPOSITE_REFERENCE,
+      referenceId: product.id
+    }, transaction));
+  }
+  return movements;
+};
+
+/**
+ * Units of each composite that its components' stock can make
+ * @returns {Promise<Map<productId, number|null>>} null when no component tracks stock
+ */
+const getAvailableUnits = async (productIds) => {
+  const lines = await ProductComponent.findAll({
+    where: { productId: { [Op.in]: productIds } },
+    include: [{ model: Product, as: 'component', attributes: ['id', 'currentStock', 'trackStock'] }]
+  });
+
+  const available = new Map(productIds.map(id => [id, null]));
+  for (const line of lines) {
+    if (!line.component.trackStock) continue;
+    const units = Math.max(Math.floor(line.component.currentStock / line.quantity), 0);
+    const current = available.get(line.productId);
+    available.set(line.productId, current === null ? units : Math.min(current, units));
+  }
+  return available;
+};
+
+/**
+ * Components of a product with their costs and list prices
+ * @returns {Promise<Object>} { components, unitCost, listPrice, availableUnits }
+ */
+const getComponents = async (productId) => {
+  const lines = await ProductComponent.findAll({
+    where: { productId },
+    include: [{
+      model: Product,
+      as: 'component',
+      attributes: ['id', 'name', 'sku', 'unit', 'costPrice', 'salePrice', 'currentStock', 'trackStock', 'isActive']
+    }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const unitCost = lines.reduce((sum, line) => sum + parseFloat(line.component.costPrice) * line.quantity, 0);
+  const listPrice = lines.reduce((sum, line) => sum + parseFloat(line.component.salePrice) * line.quantity, 0);
+  const available = lines.length > 0 ? await getAvailableUnits([productId]) : new Map();
+
+  return {
+    components: lines,
+    unitCost: round2(unitCost),
+    listPrice: round2(listPrice),
+    availableUnits: available.get(productId) ?? null
+  };
+};
+
+/**
+ * Replace the components of a product. An empty list turns it back into a
+ * simple product; otherwise it becomes a composite without stock of its own
+ * and its costPrice is the sum of its components' costs.
+ * @param {Object} data - { productType?, components: [{ componentId, quantity }] }
+ * @returns {Promise<Product>}
+ */
+const setComponents = async (productId, { productType, components }) => {
+  if (!Array.isArray(components)) {
+    throw statusError('components must be an array', 400);
+  }
+  if (components.length > 0 && productType && !COMPOSITE_TYPES.includes(productType)) {
+    throw statusError(`productType must be one of: ${COMPOSITE_TYPES.join(', ')}`, 400);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    const product = await Product.findByPk(productId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!product) {
+      throw statusError('Product not found', 404);
+    }
+
+    await ProductComponent.destroy({ where: { productId }, transaction });
+
+    if (components.length === 0) {
+      if (isComposite(product)) {
+        await product.update({ productType: 'simple', trackStock: true }, { transaction });
+      }
+      return;
+    }
+
+    const seen = new Set();
+    let unitCost = 0;
+    for (const line of components) {
+      const quantity = parseInt(line.quantity, 10);
+      if (!line.componentId || !(quantity > 0)) {
+        throw statusError('Each component needs a componentId and a positive quantity', 400);
+      }
+      if (line.componentId === productId) {
+        throw statusError('A product cannot be a component of itself', 400);
+      }
+      if (seen.has(line.componentId)) {
+        throw statusError('Duplicated component', 400);
+      }
+      seen.add(line.componentId);
+
+      const component = await Product.findByPk(line.componentId, { transaction });
+      if (!component || component.establishmentId !== product.establishmentId) {
+        throw statusError(`Product ${line.componentId} not found or doesn't belong to establishment`, 400);
+      }
+      if (isComposite(component)) {
+        throw statusError(`${component.name} is a ${component.productType} and cannot be a component`, 400);
+      }
+
+      await ProductComponent.create({ productId, componentId: component.id, quantity }, { transaction });
+      unitCost += parseFloat(component.costPrice) * quantity;
+    }
+
+    // A product used inside other composites cannot become one itself
+    const usedIn = await ProductComponent.count({ where: { componentId: productId }, transaction });
+    if (usedIn > 0) {
+      throw statusError('This product is a component of other products and cannot have components', 400);
+    }
+
+    const costPrice = round2(unitCost);
+    await product.update({
+      productType: productType || (isComposite(product) ? product.productType : 'combo'),
+      trackStock: false,
+      costPrice,
+      profitMargin: profitMarginOf(costPrice, parseFloat(product.salePrice))
+    }, { transaction });
+  });
+
+  return Product.findByPk(productId);
+};
+
+/**
+ * Recompute the costPrice and profitMargin of the composites that use any of
+ * the given products, after their costPrice changed
+ * @returns {Promise<number>} Composites updated
+ */
+const refreshCompositeCosts = async (componentIds, transaction = null) => {
+  const usedIn = await ProductComponent.findAll({
+    where: { componentId: { [Op.in]: componentIds } },
+    attributes: ['productId'],
+    transaction
+  });
+  const productIds = [...new Set(usedIn.map(line => line.productId))];
+  if (productIds.length === 0) return 0;
+
+  const composites = await Product.findAll({
+    where: { id: { [Op.in]: productIds } },
+    include: [{
+      model: ProductComponent,
+      as: 'components',
+      include: [{ model: Product, as: 'component', attributes: ['id', 'costPrice'] }]
+    }],
+    transaction
+  });
+
+  for (const product of composites) {
+    const costPrice = round2(product.components.reduce((sum, line) => sum + parseFloat(line.component.costPrice) * line.quantity, 0));
+    await product.update({
+      costPrice,
+      profitMargin: profitMarginOf(costPrice, parseFloat(product.salePrice))
+    }, { transaction });
+  }
+  return composites.length;
+};
+
+/**
+ * Sales, cost of goods sold and margin of every composite of an establishment.
+ * Revenue comes from the OrderItems of non-cancelled orders plus the booking
+ * consumptions not yet converted into an order; the cost from the component
+ * movements of the period that reference each composite.
+ * @param {Object} options - { startDate?, endDate? }
+ * @returns {Promise<Object>} { composites, totals }
+ */
+const getCompositeMargins = async (establishmentId, { startDate, endDate } = {}) => {
+  const composites = await Product.findAll({
+    where: { establishmentId, productType: { [Op.in]: COMPOSITE_TYPES } },
+    include: [{
+      model: ProductComponent,
+      as: 'components',
+      include: [{ model: Product, as: 'component', attributes: ['id', 'name', 'costPrice', 'salePrice'] }]
+    }],
+    order: [['name', 'ASC']]
+  });
+  const productIds = composites.map(p => p.id);
+  if (productIds.length === 0) {
+    return { composites: [], totals: { units: 0, revenue: 0, cost: 0, margin: 0, marginPercent: null } };
+  }
+
+  const createdAt = {};
+  if (startDate) createdAt[Op.gte] = new Date(startDate);
+  if (endDate) createdAt[Op.lte] = new Date(`${endDate}T23:59:59`);
+  const inPeriod = Object.getOwnPropertySymbols(createdAt).length > 0 ? { createdAt } : {};
+
+  const [orderItems, consumptions, movements, available] = await Promise.all([
+    OrderItem.findAll({
+      where: { productId: { [Op.in]: productIds } },
+      attributes: ['productId', 'quantity', 'totalPrice'],
+      include: [{
+        model: Order,
+        as: 'order',
+        attributes: ['id'],
+        where: { establishmentId, status: { [Op.notIn]: ['cancelled', 'refunded'] }, ...inPeriod }
+      }]
+    }),
+    BookingConsumption.findAll({
+      where: { establishmentId, productId: { [Op.in]: productIds }, orderId: null, ...inPeriod },
+      attributes: ['productId', 'quantity', 'totalPrice'],
+      raw: true
+    }),
+    StockMovement.findAll({
+      where: {
+        establishmentId,
+        referenceType: COMPOSITE_REFERENCE,
+        referenceId: { [Op.in]: productIds },
+        ...inPeriod
+      },
+      attributes: ['referenceId', 'quantity', 'unitCost'],
+      raw: true
+    }),
+    getAvailableUnits(productIds)
+  ]);
+
+  const stats = new Map(productIds.map(id => [id, { units: 0, revenue: 0, cost: 0 }]));
+  for (const sale of [...orderItems, ...consumptions]) {
+    const entry = stats.get(sale.productId);
+    entry.units += sale.quantity;
+    entry.revenue += parseFloat(sale.totalPrice);
+  }
+  for (const movement of movements) {
+    // Sales take stock out (negative); returns put it back
+    stats.get(movement.referenceId).cost += -movement.quantity * (parseFloat(movement.unitCost) || 0);
+  }
+
+  const rows = composites.map(product => {
+    const entry = stats.get(product.id);
+    const unitCost = product.components.reduce((sum, line) => sum + parseFloat(line.component.costPrice) * line.quantity, 0);
+    const listPrice = product.components.reduce((sum, line) => sum + parseFloat(line.component.salePrice) * line.quantity, 0);
+    const salePrice = parseFloat(product.salePrice);
+    const margin = entry.revenue - entry.cost;
+
+    return {
+      productId: product.id,
+      name: product.name,
+      productType: product.productType,
+      isActive: product.isActive,
+      salePrice,
+      unitCost: round2(unitCost),
+      listPrice: round2(listPrice),
+      comboDiscount: round2(listPrice - salePrice),
+      unitMargin: round2(salePrice - unitCost),
+      availableUnits: available.get(product.id),
+      unitsSold: entry.units,
+      revenue: round2(entry.revenue),
+      cost: round2(entry.cost),
+      margin: round2(margin),
+      marginPercent: entry.revenue > 0 ? round2(margin / entry.revenue * 100) : null
+    };
+  });
+
+  const totals = rows.reduce((acc, row) => ({
+    units: acc.units + row.unitsSold,
+    revenue: round2(acc.revenue + row.revenue),
+    cost: round2(acc.cost + row.cost),
+    margin: round2(acc.margin + row.margin)
+  }), { units: 0, revenue: 0, cost: 0, margin: 0 });
+  totals.marginPercent = totals.revenue > 0 ? round2(totals.margin / totals.revenue * 100) : null;
+
+  return { composites: rows, totals };
+};
+
+module.exports = {
+  COMPOSITE_TYPES,
+  COMPOSITE_REFERENCE,
+  isComposite,
+  moveProductStock,
+  getComponents,
+  setComponents,
+  refreshCompositeCosts,
+  getCompositeMargins
+};
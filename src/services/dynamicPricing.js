@@ -0,0 +1,254 @@
+/**
+ * Dynamic Pricing Service
+ * Adjusts the time-band price of a booking (CourtPriceSchedule) with the
+ * establishment's PricingRules:
+ *   - occupancy: surcharge/discount when the share of booked courts in the
+ *     rule window reaches minOccupancyPercent (e.g. +20% when evenings are 80% full)
+ *   - lead_time: for slots starting within hoursBeforeStart, optionally only
+ *     while occupancy is at most maxOccupancyPercent (last-minute discounts)
+ *   - holiday: on the rule's holidayDates and, optionally, fixed national holidays
+ *
+ * The booking is priced in 30-minute slots. Rules apply by priority on top of
+ * the slot's time-band price; each rule is bounded by its own priceFloor
+ * (discounts) and priceCap (surcharges). Every slot reports which rules applied.
+ */
+
+const { Op } = require('sequelize');
+const { PricingRule, Court, Booking, Establishment } = require('../models');
+const { round2 } = require('../utils/money');
+
+const SLOT_MINUTES = 30;
+
+// Fixed-date national holidays (MM-DD). Movable ones go in each rule's holidayDates
+const NATIONAL_HOLIDAYS = ['01-01', '03-24', '04-02', '05-01', '05-25', '06-20', '07-09', '12-08', '12-25'];
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Bookings that take a court
+const OCCUPYING_STATUSES = ['pending', 'confirmed', 'in_progress', 'completed'];
+
+const timeToMinutes = (timeStr) => {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToTime = (minutes) => {
+  const normalized = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Minutes [start, end) of a time range, extended past midnight when needed
+ */
+const toRange = (startTime, endTime) => {
+  const start = timeToMinutes(startTime);
+  let end = timeToMinutes(endTime);
+  if (end <= start) end += 1440;
+  return { start, end };
+};
+
+const inRange = (minute, range) => {
+  const normalized = minute % 1440;
+  return (normalized >= range.start && normalized < range.end) ||
+    (normalized + 1440 >= range.start && normalized + 1440 < range.end);
+};
+
+const isHoliday = (rule, date) =>
+  (rule.holidayDates || []).includes(date) ||
+  (rule.includeNationalHolidays && NATIONAL_HOLIDAYS.includes(date.slice(5)));
+
+/**
+ * Window a rule looks at: its own times, or the opening hours of the day
+ */
+const ruleWindow = (rule, establishment, dayOfWeek) => {
+  if (rule.startTime && rule.endTime) {
+    return toRange(rule.startTime, rule.endTime);
+  }
+  const hours = establishment?.openingHours?.[DAY_NAMES[dayOfWeek]];
+  if (hours && !hours.closed && hours.open && hours.close) {
+    return toRange(hours.open, hours.close);
+  }
+  return { start: 0, end: 1440 };
+};
+
+/**
+ * Active rules for a court: establishment-wide or for this court, any sport or this sport
+ */
+const loadPricingRules = (court) => PricingRule.findAll({
+  where: {
+    establishmentId: court.establishmentId,
+    isActive: true,
+    [Op.and]: [
+      { [Op.or]: [{ courtId: null }, { courtId: court.id }] },
+      { [Op.or]: [{ sport: null }, { sport: court.sport }] }
+    ]
+  },
+  order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+});
+
+/**
+ * Share (0-100) of the court time booked in a window for courts of the same sport
+ */
+const calculateOccupancy = async ({ court, date, window }) => {
+  const courts = await Court.findAll({
+    where: { establishmentId: court.establishmentId, sport: court.sport, isActive: true },
+    attributes: ['id']
+  });
+  if (courts.length === 0) return 0;
+
+  const bookings = await Booking.findAll({
+    where: {
+      courtId: { [Op.in]: courts.map(c => c.id) },
+      date,
+      status: { [Op.in]: OCCUPYING_STATUSES }
+    },
+    attributes: ['startTime', 'endTime']
+  });
+
+  const bookedMinutes = bookings.reduce((sum, booking) => {
+    const range = toRange(booking.startTime, booking.endTime);
+    const overlap = Math.min(range.end, window.end) - Math.max(range.start, window.start);
+    return sum + Math.max(0, overlap);
+  }, 0);
+
+  const capacity = courts.length * (window.end - window.start);
+  return capacity > 0 ? Math.round(bookedMinutes / capacity * 100) : 0;
+};
+
+/**
+ * Apply one rule to the running price of a slot, within the rule's floor/cap
+ */
+const applyRule = (rule, basePricePerHour, pricePerHour) => {
+  const value = parseFloat(rule.adjustmentValue) || 0;
+  const delta = rule.adjustmentType === 'fixed' ? value : basePricePerHour * value / 100;
+
+  let newPrice = pricePerHour + delta;
+  let limitedBy = null;
+
+  const floor = rule.priceFloor !== null ? parseFloat(rule.priceFloor) : null;
+  const cap = rule.priceCap !== null ? parseFloat(rule.priceCap) : null;
+
+  if (delta < 0 && floor !== null && newPrice < floor) {
+    newPrice = Math.min(pricePerHour, floor);
+    limitedBy = 'floor';
+  }
+  if (delta > 0 && cap !== null && newPrice > cap) {
+    newPrice = Math.max(pricePerHour, cap);
+    limitedBy = 'cap';
+  }
+
+  return { pricePerHour: newPrice, change: round2(newPrice - pricePerHour), limitedBy };
+};
+
+/**
+ * Adjust a time-band price with the dynamic pricing rules
+ * @param {Object} schedulePrice - Result of calculateSchedulePrice ({ totalPrice, breakdown, segments })
+ * @param {Object} params - { courtId, bookingDate, now? }
+ * @returns {Object} { totalPrice, breakdown, schedulePrice, dynamicAdjustment, slots }
+ */
+const applyPricingRules = async (schedulePrice, { courtId, bookingDate, now = new Date() }) => {
+  const { segments, ...result } = schedulePrice;
+  if (!segments || segments.length === 0) return result;
+
+  const court = await Court.findByPk(courtId, { attributes: ['id', 'establishmentId', 'sport'] });
+  if (!court) return result;
+
+  const rules = await loadPricingRules(court);
+  const establishment = rules.length > 0
+    ? await Establishment.findByPk(court.establishmentId, { attributes: ['id', 'openingHours'] })
+    : null;
+
+  const [year, month, day] = bookingDate.split('-').map(Number);
+  const dayOfWeek = new Date(year, month - 1, day).getDay();
+  const dayStartMs = new Date(`${bookingDate}T00:00:00-03:00`).getTime();
+
+  // Occupancy per window, computed once per request
+  const occupancyCache = new Map();
+  const getOccupancy = async (window) => {
+    const key = `${window.start}-${window.end}`;
+    if (!occupancyCache.has(key)) {
+      occupancyCache.set(key, await calculateOccupancy({ court, date: bookingDate, window }));
+    }
+    return occupancyCache.get(key);
+  };
+
+  const slots = [];
+  const bookingStart = segments[0].startMinute;
+  const bookingEnd = segments[segments.length - 1].endMinute;
+
+  for (let minute = bookingStart; minute < bookingEnd; minute += SLOT_MINUTES) {
+    const slotEnd = Math.min(minute + SLOT_MINUTES, bookingEnd);
+    const segment = segments.find(s => minute >= s.startMinute && minute < s.endMinute) || segments[0];
+    const basePricePerHour = segment.pricePerHour;
+
+    let pricePerHour = basePricePerHour;
+    const adjustments = [];
+
+    for (const rule of rules) {
+      if (Array.isArray(rule.daysOfWeek) && !rule.daysOfWeek.includes(dayOfWeek)) continue;
+
+      const window = ruleWindow(rule, establishment, dayOfWeek);
+      if (rule.startTime && rule.endTime && !inRange(minute, window)) continue;
+
+      let reason = null;
+      if (rule.ruleType === 'occupancy') {
+        const occupancy = await getOccupancy(window);
+        if (occupancy < (rule.minOccupancyPercent ?? 100)) continue;
+        reason = `Ocupación ${occupancy}% (desde ${rule.minOccupancyPercent}%)`;
+      } else if (rule.ruleType === 'lead_time') {
+        const hoursLeft = (dayStartMs + minute * 60000 - now.getTime()) / 3600000;
+        if (hoursLeft < 0 || hoursLeft > (rule.hoursBeforeStart ?? 0)) continue;
+        if (rule.maxOccupancyPercent !== null) {
+          const occupancy = await getOccupancy(window);
+          if (occupancy > rule.maxOccupancyPercent) continue;
+        }
+        reason = `Empieza en ${Math.round(hoursLeft * 10) / 10} hs (menos de ${rule.hoursBeforeStart} hs)`;
+      } else if (rule.ruleType === 'holiday') {
+        if (!isHoliday(rule, bookingDate)) continue;
+        reason = 'Feriado';
+      }
+
+      const applied = applyRule(rule, basePricePerHour, pricePerHour);
+      pricePerHour = applied.pricePerHour;
+      adjustments.push({
+        ruleId: rule.id,
+        name: rule.name,
+        ruleType: rule.ruleType,
+        reason,
+        pricePerHourChange: applied.change,
+        limitedBy: applied.limitedBy
+      });
+    }
+
+    slots.push({
+      startTime: minutesToTime(minute),
+      endTime: minutesToTime(slotEnd),
+      minutes: slotEnd - minute,
+      scheduleName: segment.scheduleName,
+      basePricePerHour,
+      pricePerHour: round2(pricePerHour),
+      adjustments,
+      amount: round2(pricePerHour / 60 * (slotEnd - minute))
+    });
+  }
+
+  const hasAdjustments = slots.some(slot => slot.adjustments.length > 0);
+  const totalPrice = hasAdjustments
+    ? Math.round(slots.reduce((sum, slot) => sum + slot.amount, 0))
+    : result.totalPrice;
+
+  return {
+    ...result,
+    totalPrice,
+    schedulePrice: result.totalPrice,
+    dynamicAdjustment: totalPrice - result.totalPrice,
+    slots
+  };
+};
+
+module.exports = {
+  NATIONAL_HOLIDAYS,
+  loadPricingRules,
+  calculateOccupancy,
+  applyPricingRules
+};
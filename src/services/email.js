@@ -1,5 +1,6 @@
 const sgMail = require('@sendgrid/mail');
 const qrService = require('./qrcode');
+const { buildBookingInvite } = require('./calendar');
 
 // Configure SendGrid
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
@@ -12,8 +13,9 @@ const config = {
 
 /**
  * Send an email using SendGrid
+ * @param {Array} attachments - Optional SendGrid attachments ({ content (base64), filename, type })
  */
-async function sendEmail(to, subject, html, text = null) {
+async function sendEmail(to, subject, html, text = null, attachments = null) {
   try {
     const msg = {
       to,
@@ -25,6 +27,9 @@ async function sendEmail(to, subject, html, text = null) {
       html,
       text: text || html.replace(/<[^>]*>/g, '')
     };
+    if (attachments?.length) {
+      msg.attachments = attachments;
+    }
 
     await sgMail.send(msg);
     console.log(`📧 Email sent to ${to}: ${subject}`);
@@ -62,6 +67,24 @@ function formatCurrency(amount) {
   }).format(amount);
 }
 
+/**
+ * .ics attachment for a booking (REQUEST when confirmed, CANCEL when cancelled)
+ */
+function bookingCalendarAttachment(booking, establishment, court, method) {
+  try {
+    const ics = buildBookingInvite(booking, establishment, court, method, config.fromEmail);
+    return {
+      content: Buffer.from(ics, 'utf8').toString('base64'),
+      filename: method === 'CANCEL' ? 'reserva-cancelada.ics' : 'reserva.ics',
+      type: `text/calendar; charset=utf-8; method=${method}`,
+      disposition: 'attachment'
+    };
+  } catch (error) {
+    console.error('⚠️ Error building calendar attachment:', error.message);
+    return null;
+  }
+}
+
 /**
  * Send booking confirmation email to client
  */
@@ -323,7 +346,8 @@ async function sendBookingConfirmation(booking, establishment, court) {
 </html>
   `;
 
-  return sendEmail(clientEmail, subject, html);
+  const calendarAttachment = bookingCalendarAttachment(booking, establishment, court, 'REQUEST');
+  return sendEmail(clientEmail, subject, html, null, calendarAttachment ? [calendarAttachment] : null);
 }
 
 /**
@@ -505,11 +529,670 @@ async function sendVerificationCode(email, code, name = '') {
   return sendEmail(email, subject, html);
 }
 
+/**
+ * Send waitlist offer email when a requested slot becomes free
+ */
+async function sendWaitlistOffer(entry, establishment, court, holdMinutes) {
+  const { clientEmail, clientName, date, startTime, endTime, offerToken } = entry;
+
+  if (!clientEmail) {
+    console.log('⚠️ No client email provided, skipping waitlist offer email');
+    return false;
+  }
+
+  const logoUrl = 'https://www.miscanchas.com/assets/mc-logo.png';
+  const courtName = court?.name || 'la cancha';
+  const offerUrl = `${config.frontendUrl}/lista-espera/${offerToken}`;
+  const subject = `¡Se liberó tu turno! · ${courtName} · ${formatDate(date)} ${startTime}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Turno disponible</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 520px; margin: 0 auto; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 32px 40px 24px; text-align: center; border-bottom: 1px solid #e5e7eb;">
+              <img src="${logoUrl}" alt="MisCanchas" style="height: 40px; width: auto;" />
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 32px 40px 0; text-align: center;">
+              <p style="color: #111827; font-size: 20px; font-weight: 600; margin: 0 0 8px;">
+                ¡Hola${clientName ? ', ' + clientName.split(' ')[0] : ''}!
+              </p>
+              <p style="color: #6b7280; font-size: 14px; margin: 0;">
+                Se liberó el turno que estabas esperando en ${establishment?.name || 'el establecimiento'}
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px;">
+              <table style="width: 100%; border-collapse: collapse;">
+                <tr>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;"><strong>Cancha:</strong></td>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;">${courtName}</td>
+                </tr>
+                <tr>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;"><strong>Fecha:</strong></td>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;">${formatDate(date)}</td>
+                </tr>
+                <tr>
+                  <td style="padding: 10px 0;"><strong>Horario:</strong></td>
+                  <td style="padding: 10px 0;">${startTime} - ${endTime}</td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 0 40px 32px; text-align: center;">
+              <a href="${offerUrl}" style="display: inline-block; background-color: #10b981; color: #ffffff; text-decoration: none; padding: 12px 28px; border-radius: 8px; font-weight: 600;">Reservar ahora</a>
+              <p style="color: #9ca3af; font-size: 12px; margin: 16px 0 0;">
+                Te lo guardamos durante ${holdMinutes} minutos. Después se ofrece a la siguiente persona de la lista.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; background-color: #f9fafb; border-top: 1px solid #e5e7eb; text-align: center;">
+              <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} MisCanchas · Reservá tu cancha fácil
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+
+  return sendEmail(clientEmail, subject, html);
+}
+
+/**
+ * Send booking reminder email with confirm/cancel links
+ */
+async function sendBookingReminder(booking, establishment, court, actionToken) {
+  const { clientEmail, clientName, date, startTime, endTime } = booking;
+
+  if (!clientEmail) {
+    console.log('⚠️ No client email provided, skipping booking reminder email');
+    return false;
+  }
+
+  const logoUrl = 'https://www.miscanchas.com/assets/mc-logo.png';
+  const courtName = court?.name || 'la cancha';
+  const confirmUrl = `${config.frontendUrl}/recordatorio/${actionToken}/confirmar`;
+  const cancelUrl = `${config.frontendUrl}/recordatorio/${actionToken}/cancelar`;
+  const subject = `Recordatorio de tu reserva · ${courtName} · ${formatDate(date)} ${startTime.slice(0, 5)}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Recordatorio de reserva</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 520px; margin: 0 auto; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 32px 40px 24px; text-align: center; border-bottom: 1px solid #e5e7eb;">
+              <img src="${logoUrl}" alt="MisCanchas" style="height: 40px; width: auto;" />
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 32px 40px 0; text-align: center;">
+              <p style="color: #111827; font-size: 20px; font-weight: 600; margin: 0 0 8px;">
+                ¡Hola${clientName ? ', ' + clientName.split(' ')[0] : ''}!
+              </p>
+              <p style="color: #6b7280; font-size: 14px; margin: 0;">
+                Te recordamos tu reserva en ${establishment?.name || 'el establecimiento'}
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px;">
+              <table style="width: 100%; border-collapse: collapse;">
+                <tr>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;"><strong>Cancha:</strong></td>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;">${courtName}</td>
+                </tr>
+                <tr>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;"><strong>Fecha:</strong></td>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;">${formatDate(date)}</td>
+                </tr>
+                <tr>
+                  <td style="padding: 10px 0;"><strong>Horario:</strong></td>
+                  <td style="padding: 10px 0;">${startTime.slice(0, 5)} - ${endTime.slice(0, 5)}</td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 0 40px 32px; text-align: center;">
+              <a href="${confirmUrl}" style="display: inline-block; background-color: #10b981; color: #ffffff; text-decoration: none; padding: 12px 28px; border-radius: 8px; font-weight: 600; margin: 0 4px;">Confirmo asistencia</a>
+              <a href="${cancelUrl}" style="display: inline-block; background-color: #ffffff; color: #ef4444; border: 1px solid #ef4444; text-decoration: none; padding: 11px 27px; border-radius: 8px; font-weight: 600; margin: 0 4px;">No puedo ir</a>
+              <p style="color: #9ca3af; font-size: 12px; margin: 16px 0 0;">
+                Si no podés asistir, cancelá así liberamos la cancha para otra persona.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; background-color: #f9fafb; border-top: 1px solid #e5e7eb; text-align: center;">
+              <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} MisCanchas · Reservá tu cancha fácil
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+
+  return sendEmail(clientEmail, subject, html);
+}
+
+/**
+ * Send membership/pack renewal reminder email
+ * @param {Object} membership - ClientMembership data plus clientEmail, clientName and sessionsLeft
+ */
+async function sendMembershipRenewalReminder(membership, establishment) {
+  const { clientEmail, clientName, planName, expiresAt, sessionsLeft } = membership;
+
+  if (!clientEmail) {
+    console.log('⚠️ No client email provided, skipping membership renewal reminder');
+    return false;
+  }
+
+  const logoUrl = 'https://www.miscanchas.com/assets/mc-logo.png';
+  const renewUrl = `${config.frontendUrl}/${establishment?.slug || ''}`;
+  const subject = `Tu ${planName} en ${establishment?.name || 'el establecimiento'} está por terminar`;
+  const statusLine = sessionsLeft !== null && sessionsLeft <= 1
+    ? (sessionsLeft === 1 ? 'Te queda 1 turno disponible' : 'Ya usaste todos tus turnos')
+    : `Vence el ${formatDate(expiresAt)}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Renová tu plan</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 520px; margin: 0 auto; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 32px 40px 24px; text-align: center; border-bottom: 1px solid #e5e7eb;">
+              <img src="${logoUrl}" alt="MisCanchas" style="height: 40px; width: auto;" />
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 32px 40px 0; text-align: center;">
+              <p style="color: #111827; font-size: 20px; font-weight: 600; margin: 0 0 8px;">
+                ¡Hola${clientName ? ', ' + clientName.split(' ')[0] : ''}!
+              </p>
+              <p style="color: #6b7280; font-size: 14px; margin: 0;">
+                Tu plan <strong>${planName}</strong> en ${establishment?.name || 'el establecimiento'} está por terminar
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; text-align: center;">
+              <p style="color: #111827; font-size: 16px; font-weight: 600; margin: 0;">${statusLine}</p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 0 40px 32px; text-align: center;">
+              <a href="${renewUrl}" style="display: inline-block; background-color: #10b981; color: #ffffff; text-decoration: none; padding: 12px 28px; border-radius: 8px; font-weight: 600;">Renovar mi plan</a>
+              <p style="color: #9ca3af; font-size: 12px; margin: 16px 0 0;">
+                Renovalo en el establecimiento para seguir jugando con tus beneficios.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; background-color: #f9fafb; border-top: 1px solid #e5e7eb; text-align: center;">
+              <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} MisCanchas · Reservá tu cancha fácil
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+
+  return sendEmail(clientEmail, subject, html);
+}
+
+/**
+ * Send booking cancellation email with a METHOD:CANCEL .ics so the event
+ * disappears from the client's calendar
+ * @param {Object} booking - Booking data (clientEmail resolved by the caller)
+ */
+async function sendBookingCancellation(booking, establishment, court) {
+  const { clientEmail, clientName, date, startTime, cancellationOutcome } = booking;
+
+  if (!clientEmail) {
+    console.log('⚠️ No client email provided, skipping cancellation email');
+    return false;
+  }
+
+  const logoUrl = 'https://www.miscanchas.com/assets/mc-logo.png';
+  const courtName = court?.name || 'la cancha';
+  const subject = `Reserva cancelada · ${courtName} · ${formatDate(date)}`;
+  const outcomeMessage = cancellationOutcome?.message || '';
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Reserva cancelada</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 520px; margin: 0 auto; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 32px 40px 24px; text-align: center; border-bottom: 1px solid #e5e7eb;">
+              <img src="${logoUrl}" alt="MisCanchas" style="height: 40px; width: auto;" />
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 32px 40px 0; text-align: center;">
+              <div style="display: inline-block; background-color: #fef2f2; border-radius: 100px; padding: 8px 20px;">
+                <span style="color: #ef4444; font-size: 14px; font-weight: 500;">Reserva cancelada</span>
+              </div>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; text-align: center;">
+              <p style="color: #111827; font-size: 18px; font-weight: 600; margin: 0 0 8px;">
+                ${clientName ? clientName.split(' ')[0] + ', tu' : 'Tu'} reserva fue cancelada
+              </p>
+              <p style="color: #6b7280; font-size: 14px; margin: 0;">
+                ${courtName} en ${establishment?.name || 'el establecimiento'} · ${formatDate(date)} a las ${startTime.slice(0, 5)}
+              </p>
+              ${outcomeMessage ? `<p style="color: #374151; font-size: 14px; margin: 16px 0 0;">${outcomeMessage}</p>` : ''}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; background-color: #f9fafb; border-top: 1px solid #e5e7eb; text-align: center;">
+              <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} MisCanchas · Reservá tu cancha fácil
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+
+  const calendarAttachment = bookingCalendarAttachment(booking, establishment, court, 'CANCEL');
+  return sendEmail(clientEmail, subject, html, null, calendarAttachment ? [calendarAttachment] : null);
+}
+
+/**
+ * Send a matchmaking proposal (new match or free seats in an open match)
+ * @param {Object} proposal - MatchProposal data plus playerEmail and playerName
+ */
+async function sendMatchProposal(proposal, establishment, court) {
+  const { playerEmail, playerName, sport, date, startTime, endTime, id: proposalId, expiresAt } = proposal;
+
+  if (!playerEmail) {
+    console.log('⚠️ No player email provided, skipping match proposal email');
+    return false;
+  }
+
+  const logoUrl = 'https://www.miscanchas.com/assets/mc-logo.png';
+  const courtName = court?.name || 'la cancha';
+  const proposalUrl = `${config.frontendUrl}/partidos/propuestas/${proposalId}`;
+  const subject = `Te armamos un partido de ${sport} · ${formatDate(date)} ${startTime.slice(0, 5)}`;
+  const deadline = expiresAt
+    ? new Date(expiresAt).toLocaleString('es-AR', { timeZone: 'America/Argentina/Buenos_Aires', day: 'numeric', month: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : null;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Partido propuesto</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 520px; margin: 0 auto; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 32px 40px 24px; text-align: center; border-bottom: 1px solid #e5e7eb;">
+              <img src="${logoUrl}" alt="MisCanchas" style="height: 40px; width: auto;" />
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 32px 40px 0; text-align: center;">
+              <p style="color: #111827; font-size: 20px; font-weight: 600; margin: 0 0 8px;">
+                ¡Hola${playerName ? ', ' + playerName.split(' ')[0] : ''}!
+              </p>
+              <p style="color: #6b7280; font-size: 14px; margin: 0;">
+                Encontramos jugadores de tu nivel para jugar ${sport} en ${establishment?.name || 'el establecimiento'}
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px;">
+              <table style="width: 100%; border-collapse: collapse;">
+                <tr>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;"><strong>Cancha:</strong></td>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;">${courtName}</td>
+                </tr>
+                <tr>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;"><strong>Fecha:</strong></td>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;">${formatDate(date)}</td>
+                </tr>
+                <tr>
+                  <td style="padding: 10px 0;"><strong>Horario:</strong></td>
+                  <td style="padding: 10px 0;">${startTime.slice(0, 5)} - ${endTime.slice(0, 5)}</td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 0 40px 32px; text-align: center;">
+              <a href="${proposalUrl}" style="display: inline-block; background-color: #10b981; color: #ffffff; text-decoration: none; padding: 12px 28px; border-radius: 8px; font-weight: 600;">Ver propuesta</a>
+              ${deadline ? `<p style="color: #9ca3af; font-size: 12px; margin: 16px 0 0;">
+                Confirmá antes del ${deadline}. La cancha se reserva cuando todos confirman.
+              </p>` : ''}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; background-color: #f9fafb; border-top: 1px solid #e5e7eb; text-align: center;">
+              <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} MisCanchas · Reservá tu cancha fácil
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+
+  return sendEmail(playerEmail, subject, html);
+}
+
+/**
+ * Remind a split payment participant that their share is still unpaid
+ * @param {Object} reminder - { email, name, amount, expiresAt, payUrl, organizerName, date, startTime }
+ */
+async function sendSplitPaymentReminder(reminder, establishment) {
+  const { email, name, amount, expiresAt, payUrl, organizerName, date, startTime } = reminder;
+
+  if (!email) {
+    console.log('⚠️ No participant email provided, skipping split payment reminder');
+    return false;
+  }
+
+  const logoUrl = 'https://www.miscanchas.com/assets/mc-logo.png';
+  const deadline = new Date(expiresAt).toLocaleString('es-AR', { timeZone: 'America/Argentina/Buenos_Aires', day: 'numeric', month: 'numeric', hour: '2-digit', minute: '2-digit' });
+  const subject = `Falta tu parte de la reserva en ${establishment?.name || 'el establecimiento'}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Pagá tu parte</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 520px; margin: 0 auto; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 32px 40px 24px; text-align: center; border-bottom: 1px solid #e5e7eb;">
+              <img src="${logoUrl}" alt="MisCanchas" style="height: 40px; width: auto;" />
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 32px 40px 0; text-align: center;">
+              <p style="color: #111827; font-size: 20px; font-weight: 600; margin: 0 0 8px;">
+                ¡Hola${name ? ', ' + name.split(' ')[0] : ''}!
+              </p>
+              <p style="color: #6b7280; font-size: 14px; margin: 0;">
+                ${organizerName || 'Tu grupo'} reservó en ${establishment?.name || 'el establecimiento'} para el ${formatDate(date)} a las ${startTime.slice(0, 5)} y todavía falta tu parte
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; text-align: center;">
+              <p style="color: #111827; font-size: 28px; font-weight: 700; margin: 0;">${formatCurrency(amount)}</p>
+              <p style="color: #6b7280; font-size: 14px; margin: 8px 0 0;">Tenés tiempo hasta el ${deadline}</p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 0 40px 32px; text-align: center;">
+              <a href="${payUrl}" style="display: inline-block; background-color: #10b981; color: #ffffff; text-decoration: none; padding: 12px 28px; border-radius: 8px; font-weight: 600;">Pagar mi parte</a>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; background-color: #f9fafb; border-top: 1px solid #e5e7eb; text-align: center;">
+              <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} MisCanchas · Reservá tu cancha fácil
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+
+  return sendEmail(email, subject, html);
+}
+
+/**
+ * Tell the organizer that the split payment expired and what happens with
+ * the unpaid remainder
+ * @param {Object} notice - { email, name, date, startTime, remainder, fallback, message }
+ */
+async function sendSplitPaymentExpired(notice, establishment) {
+  const { email, name, date, startTime, remainder, message } = notice;
+
+  if (!email) {
+    console.log('⚠️ No organizer email provided, skipping split payment expiry notice');
+    return false;
+  }
+
+  const logoUrl = 'https://www.miscanchas.com/assets/mc-logo.png';
+  const subject = `Venció el pago compartido de tu reserva en ${establishment?.name || 'el establecimiento'}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Pago compartido vencido</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 520px; margin: 0 auto; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 32px 40px 24px; text-align: center; border-bottom: 1px solid #e5e7eb;">
+              <img src="${logoUrl}" alt="MisCanchas" style="height: 40px; width: auto;" />
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 32px 40px 0; text-align: center;">
+              <p style="color: #111827; font-size: 20px; font-weight: 600; margin: 0 0 8px;">
+                ¡Hola${name ? ', ' + name.split(' ')[0] : ''}!
+              </p>
+              <p style="color: #6b7280; font-size: 14px; margin: 0;">
+                El pago compartido de tu reserva del ${formatDate(date)} a las ${startTime.slice(0, 5)} venció con ${formatCurrency(remainder)} sin pagar
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px 32px; text-align: center;">
+              <p style="color: #111827; font-size: 16px; font-weight: 600; margin: 0;">${message}</p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; background-color: #f9fafb; border-top: 1px solid #e5e7eb; text-align: center;">
+              <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} MisCanchas · Reservá tu cancha fácil
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+
+  return sendEmail(email, subject, html);
+}
+
+/**
+ * Send an electronic invoice with its PDF (including the AFIP QR) attached
+ * @param {Object} invoice - Invoice data
+ * @param {Buffer} pdfBuffer - Invoice PDF
+ * @param {string} filename - PDF file name
+ */
+async function sendInvoiceEmail(to, invoice, establishment, pdfBuffer, filename) {
+  if (!to) {
+    console.log('⚠️ No client email provided, skipping invoice email');
+    return false;
+  }
+
+  const logoUrl = 'https://www.miscanchas.com/assets/mc-logo.png';
+  const numero = `${String(invoice.puntoVenta).padStart(5, '0')}-${String(invoice.numeroComprobante).padStart(8, '0')}`;
+  const establishmentName = establishment?.name || 'el establecimiento';
+  const subject = `${invoice.tipoComprobanteNombre} ${numero} · ${establishmentName}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${invoice.tipoComprobanteNombre}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 520px; margin: 0 auto; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="padding: 32px 40px 24px; text-align: center; border-bottom: 1px solid #e5e7eb;">
+              <img src="${logoUrl}" alt="MisCanchas" style="height: 40px; width: auto;" />
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 32px 40px 0; text-align: center;">
+              <p style="color: #111827; font-size: 20px; font-weight: 600; margin: 0 0 8px;">
+                ¡Hola${invoice.clienteNombre ? ', ' + invoice.clienteNombre.split(' ')[0] : ''}!
+              </p>
+              <p style="color: #6b7280; font-size: 14px; margin: 0;">
+                Te enviamos el comprobante de tu compra en ${establishmentName}
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px;">
+              <table style="width: 100%; border-collapse: collapse;">
+                <tr>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;"><strong>Comprobante:</strong></td>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;">${invoice.tipoComprobanteNombre} ${numero}</td>
+                </tr>
+                <tr>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;"><strong>Fecha:</strong></td>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #eee;">${formatDate(invoice.fechaEmision)}</td>
+                </tr>
+                <tr>
+                  <td style="padding: 10px 0;"><strong>Total:</strong></td>
+                  <td style="padding: 10px 0;">${formatCurrency(invoice.importeTotal)}</td>
+                </tr>
+              </table>
+              <p style="color: #9ca3af; font-size: 12px; margin: 16px 0 0; text-align: center;">
+                El PDF adjunto incluye el código QR para verificar el comprobante en AFIP.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; background-color: #f9fafb; border-top: 1px solid #e5e7eb; text-align: center;">
+              <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} MisCanchas · Reservá tu cancha fácil
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+
+  const attachment = {
+    content: pdfBuffer.toString('base64'),
+    filename,
+    type: 'application/pdf',
+    disposition: 'attachment'
+  };
+  return sendEmail(to, subject, html, null, [attachment]);
+}
+
 module.exports = {
   sendEmail,
   sendBookingConfirmation,
   sendEstablishmentNotification,
   sendVerificationCode,
+  sendWaitlistOffer,
+  sendBookingReminder,
+  sendMembershipRenewalReminder,
+  sendBookingCancellation,
+  sendMatchProposal,
+  sendSplitPaymentReminder,
+  sendSplitPaymentExpired,
+  sendInvoiceEmail,
   formatDate,
   formatCurrency
 };
@@ -0,0 +1,523 @@
+/**
+ * Match Payments Service
+ * Per-participant Mercado Pago payment of paid open matches (pricePerPerson > 0).
+ *
+ * Joining holds a seat for SEAT_HOLD_MINUTES and returns a checkout created
+ * with the establishment's OAuth token (split with the platform fee, like the
+ * court bookings). The webhook marks the seat paid and the scheduler releases
+ * the seats still unpaid when their hold runs out. A payment approved after
+ * its seat was released takes the seat back if there is room; otherwise it
+ * is refunded.
+ *
+ * Leaving a match follows the establishment's cancellation policy (deadline
+ * hours, full/partial refund, store credit or no refund). Seats of cancelled
+ * matches are refunded in full. Refunds Mercado Pago rejects are credited to
+ * the player's wallet.
+ */
+
+const { Op } = require('sequelize');
+const {
+  AvailableMatch,
+  MatchParticipant,
+  Establishment,
+  PlatformConfig,
+  sequelize
+} = require('../models');
+const mpService = require('./mercadopago');
+const { hoursUntilBooking } = require('./cancellationPolicy');
+const { addCreditMovement } = require('./clientCredits');
+const { statusError } = require('../utils/errors');
+const { round2 } = require('../utils/money');
+
+// Time a player has to pay the seat they joined
+const SEAT_HOLD_MINUTES = 15;
+
+const isPaidMatch = (match) => (parseFloat(match.pricePerPerson) || 0) > 0;
+
+/**
+ * Release a seat: the participant leaves and the match reopens
+ * @param {MatchParticipant} participant
+ * @param {Object} updates - Extra participant fields (e.g. paymentStatus)
+ */
+const releaseSeat = async (participant, updates, transaction) => {
+  const match = await AvailableMatch.findByPk(participant.matchId, { transaction, lock: transaction.LOCK.UPDATE });
+
+  await participant.update({
+    status: 'left',
+    leftAt: new Date(),
+    seatExpiresAt: null,
+    ...updates
+  }, { transaction });
+
+  if (match) {
+    await match.update({
+      currentParticipants: Math.max(0, match.currentParticipants - 1),
+      ...(match.status === 'full' && { status: 'open' })
+    }, { transaction });
+  }
+};
+
+/**
+ * Take a seat in the match. Seats of paid matches are held until paid;
+ * asking again for a seat still on hold renews the hold.
+ * @returns {Promise<{match, participant}>}
+ */
+const holdSeat = async (matchId, userId) => {
+  return sequelize.transaction(async (transaction) => {
+    const match = await AvailableMatch.findByPk(matchId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!match) {
+      throw statusError('Match not found', 404);
+    }
+
+    const paid = isPaidMatch(match);
+    const seatExpiresAt = paid ? new Date(Date.now() + SEAT_HOLD_MINUTES * 60 * 1000) : null;
+
+    // A player who left the match earlier keeps their row (unique matchId + userId)
+    const existing = await MatchParticipant.findOne({ where: { matchId, userId }, transaction });
+    if (existing?.status === 'joined') {
+      if (paid && existing.paymentStatus === 'pending' && existing.seatExpiresAt) {
+        await existing.update({ seatExpiresAt }, { transaction });
+        return { match, participant: existing };
+      }
+      throw statusError('You have already joined this match', 409);
+    }
+
+    if (match.status !== 'open') {
+      throw statusError('Match is not open for joining', 400);
+    }
+    if (match.currentParticipants >= match.maxParticipants) {
+      throw statusError('Match is full', 400);
+    }
+
+    const seat = {
+      status: 'joined',
+      joinedAt: new Date(),
+      leftAt: null,
+      paymentStatus: 'pending',
+      amount: paid ? match.pricePerPerson : null,
+      seatExpiresAt,
+      mpPreferenceId: null,
+      mpPaymentId: null,
+      paidAt: null,
+      refundedAmount: null,
+      refundedAt: null
+    };
+    const participant = existing
+      ? await existing.update(seat, { transaction })
+      : await MatchParticipant.create({ matchId, userId, ...seat }, { transaction });
+
+    const currentParticipants = match.currentParticipants + 1;
+    await match.update({
+      currentParticipants,
+      status: currentParticipants >= match.maxParticipants ? 'full' : 'open'
+    }, { transaction });
+
+    return { match, participant };
+  });
+};
+
+/**
+ * Create the Mercado Pago checkout of a held seat
+ * @returns {Promise<Object>} { preferenceId, initPoint, sandboxInitPoint, amount, seatExpiresAt }
+ */
+const createSeatCheckout = async (match, participant, user, establishment, backUrls = null) => {
+  const amount = parseFloat(participant.amount);
+  const platformConfig = await PlatformConfig.getConfig();
+  const fee = mpService.calculateFee(amount, establishment, parseFloat(platformConfig.defaultFeePercent));
+
+  const preference = await mpService.createSplitPreference(
+    {
+      items: [{
+        title: `Partido de ${match.sport} - ${establishment.name}`,
+        description: `${match.date} ${match.startTime.slice(0, 5)}`,
+        quantity: 1,
+        unitPrice: amount
+      }],
+      payer: { email: user.email, name: user.firstName, surname: user.lastName },
+      backUrls,
+      externalReference: `MATCH-${participant.id}`,
+      notificationUrl: `${mpService.config.appUrl}/api/mp/webhooks`,
+      // court_id lets the webhook recover the metadata with the seller token
+      metadata: {
+        type: 'match_seat',
+        match_id: match.id,
+        participant_id: participant.id,
+        user_id: user.id,
+        court_id: match.courtId
+      }
+    },
+    { accessToken: establishment.mpAccessToken },
+    fee
+  );
+
+  await participant.update({ mpPreferenceId: preference.id });
+
+  return {
+    preferenceId: preference.id,
+    initPoint: preference.initPoint,
+    sandboxInitPoint: preference.sandboxInitPoint,
+    amount,
+    seatExpiresAt: participant.seatExpiresAt
+  };
+};
+
+/**
+ * Join a match. Free matches seat the player right away; paid matches hold
+ * the seat and return the checkout to pay it.
+ * @param {AvailableMatch} match
+ * @param {User} user
+ * @param {Object} options - { backUrls? }
+ * @returns {Promise<{participant, checkout: Object|null}>}
+ */
+const joinMatchSeat = async (match, user, { backUrls = null } = {}) => {
+  let establishment = null;
+  if (isPaidMatch(match)) {
+    establishment = await Establishment.findByPk(match.establishmentId);
+    if (!establishment?.mpActive || !establishment.mpAccessToken) {
+      throw statusError('The establishment does not accept online payments yet', 400);
+    }
+  }
+
+  const { participant } = await holdSeat(match.id, user.id);
+  if (!establishment) {
+    return { participant, checkout: null };
+  }
+
+  try {
+    const checkout = await createSeatCheckout(match, participant, user, establishment, backUrls);
+    return { participant, checkout };
+  } catch (error) {
+    console.error(`[MatchPayments] Error creating checkout for participant ${participant.id}:`, error.message);
+    await sequelize.transaction(t => releaseSeat(participant, { paymentStatus: 'expired' }, t));
+    throw error;
+  }
+};
+
+/**
+ * Refund a seat payment through the establishment's Mercado Pago account
+ * @returns {Promise<Object>} { amount, refundId, status, error? }
+ */
+const refundSeatPayment = async (mpPaymentId, amount, establishmentId) => {
+  const establishment = await Establishment.findByPk(establishmentId, { attributes: ['id', 'mpAccessToken'] });
+  try {
+    const result = await mpService.refundPayment(mpPaymentId, amount, establishment?.mpAccessToken);
+    console.log(`[MatchPayments] Refunded $${amount} of MP payment ${mpPaymentId}`);
+    return { mpPaymentId, amount, refundId: result.id, status: result.status || 'approved' };
+  } catch (error) {
+    console.error(`[MatchPayments] MP refund failed for payment ${mpPaymentId}:`, error.message);
+    return { mpPaymentId, amount, status: 'failed', error: error.message };
+  }
+};
+
+/**
+ * Refund a seat payment already marked refunded. When Mercado Pago rejects
+ * the refund the amount goes to the player's store credit instead.
+ * @returns {Promise<Object>} refundSeatPayment result (plus creditMovementId when credited)
+ */
+const refundSeatOrCredit = async (match, participant, amount, { clientEmail = null } = {}) => {
+  const refund = await refundSeatPayment(participant.mpPaymentId, amount, match.establishmentId);
+  if (refund.status === 'failed') {
+    const movement = await addCreditMovement({
+      establishmentId: match.establishmentId,
+      userId: participant.userId,
+      clientEmail,
+      movementType: 'refund_credit',
+      amount,
+      description: `Reintegro del partido del ${match.date} a las ${match.startTime.slice(0, 5)}`
+    });
+    refund.creditMovementId = movement.id;
+  }
+  return refund;
+};
+
+/**
+ * Settle a Mercado Pago notification of a seat (external reference MATCH-<participantId>)
+ */
+const processSeatPayment = async (participantId, paymentData) => {
+  const participant = await MatchParticipant.findByPk(participantId);
+  if (!participant) {
+    console.log(`[MatchPayments] Participant ${participantId} not found`);
+    return null;
+  }
+
+  const mpPaymentId = paymentData.id?.toString();
+  const amount = round2(parseFloat(paymentData.amount) || parseFloat(participant.amount) || 0);
+
+  if (paymentData.status === 'refunded') {
+    if (participant.mpPaymentId === mpPaymentId && participant.paymentStatus !== 'refunded') {
+      await sequelize.transaction(async (transaction) => {
+        const updates = { paymentStatus: 'refunded', refundedAmount: amount, refundedAt: new Date() };
+        if (participant.status === 'joined') {
+          await releaseSeat(participant, updates, transaction);
+        } else {
+          await participant.update(updates, { transaction });
+        }
+      });
+    }
+    return participant;
+  }
+
+  if (paymentData.status !== 'approved') {
+    return participant;
+  }
+  if (participant.mpPaymentId === mpPaymentId && participant.paymentStatus !== 'pending') {
+    return participant; // Repeated notification
+  }
+
+  const seated = await sequelize.transaction(async (transaction) => {
+    const match = await AvailableMatch.findByPk(participant.matchId, { transaction, lock: transaction.LOCK.UPDATE });
+    await participant.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+    // A concurrent copy of this notification already settled the seat
+    if (participant.mpPaymentId === mpPaymentId && participant.paymentStatus !== 'pending') {
+      return null;
+    }
+    if (participant.status === 'joined' && participant.paymentStatus === 'paid') {
+      return false; // Seat paid twice
+    }
+
+    // Paid after the hold ran out: take the seat back if the match still has room
+    if (participant.status !== 'joined') {
+      if (!match || match.status !== 'open' || match.currentParticipants >= match.maxParticipants) {
+        return false;
+      }
+      const currentParticipants = match.currentParticipants + 1;
+      await match.update({
+        currentParticipants,
+        status: currentParticipants >= match.maxParticipants ? 'full' : 'open'
+      }, { transaction });
+    }
+
+    await participant.update({
+      status: 'joined',
+      leftAt: null,
+      paymentStatus: 'paid',
+      mpPaymentId,
+      paidAt: new Date(),
+      seatExpiresAt: null
+    }, { transaction });
+    return true;
+  });
+
+  if (seated === null) {
+    return participant; // Repeated notification
+  }
+  if (seated) {
+    console.log(`[MatchPayments] Seat ${participant.id} paid (MP ${mpPaymentId})`);
+    return participant;
+  }
+
+  // No room left, or the seat was paid twice. The participant is re-read under
+  // lock: a concurrent copy of this notification may have just refunded it.
+  const match = await AvailableMatch.findByPk(participant.matchId, { attributes: ['id', 'establishmentId'] });
+  const refunded = await sequelize.transaction(async (transaction) => {
+    await participant.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (participant.mpPaymentId === mpPaymentId) {
+      return false;
+    }
+
+    const refund = await refundSeatPayment(mpPaymentId, amount, match.establishmentId);
+    if (refund.status !== 'failed' && participant.status !== 'joined') {
+      await participant.update({
+        paymentStatus: 'refunded',
+        mpPaymentId,
+        refundedAmount: amount,
+        refundedAt: new Date()
+      }, { transaction });
+    }
+    return refund.status !== 'failed';
+  });
+
+  if (refunded) {
+    console.log(`[MatchPayments] Payment ${mpPaymentId} arrived without a seat for participant ${participant.id}, refunded`);
+  }
+  return participant;
+};
+
+/**
+ * Release the seats whose payment hold ran out
+ * @returns {Promise<number>} Seats released
+ */
+const expireUnpaidSeats = async (now = new Date()) => {
+  try {
+    const expired = await MatchParticipant.findAll({
+      where: {
+        status: 'joined',
+        paymentStatus: 'pending',
+        seatExpiresAt: { [Op.lte]: now }
+      }
+    });
+
+    let released = 0;
+    for (const participant of expired) {
+      try {
+        await sequelize.transaction(async (transaction) => {
+          await participant.reload({ transaction, lock: transaction.LOCK.UPDATE });
+          if (participant.status !== 'joined' || participant.paymentStatus !== 'pending') return;
+          await releaseSeat(participant, { paymentStatus: 'expired' }, transaction);
+          released++;
+        });
+      } catch (error) {
+        console.error(`[MatchPayments] Error releasing seat ${participant.id}:`, error.message);
+      }
+    }
+
+    if (released > 0) {
+      console.log(`[MatchPayments] Released ${released} unpaid seats`);
+    }
+    return released;
+  } catch (error) {
+    console.error('[MatchPayments] Error releasing unpaid seats:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Work out what leaving the match gives back under the establishment's
+ * cancellation policy, without changing anything
+ */
+const previewLeave = (match, participant, establishment, now = new Date()) => {
+  const paidAmount = participant.paymentStatus === 'paid' ? round2(parseFloat(participant.amount) || 0) : 0;
+
+  const policy = establishment.cancellationPolicy || 'partial_refund';
+  const deadlineHours = establishment.cancellationDeadlineHours ?? 24;
+  const hoursLeft = hoursUntilBooking(match, now);
+  const isLate = hoursLeft < deadlineHours;
+
+  let refundAmount = 0;
+  let creditAmount = 0;
+  if (paidAmount > 0 && !isLate) {
+    if (policy === 'full_refund') refundAmount = paidAmount;
+    else if (policy === 'partial_refund') refundAmount = round2(paidAmount * (establishment.refundPercentage ?? 50) / 100);
+    else if (policy === 'credit') creditAmount = paidAmount;
+  }
+
+  const messages = [];
+  if (refundAmount > 0) messages.push(`Se reintegran $${refundAmount} a tu medio de pago de Mercado Pago`);
+  if (creditAmount > 0) messages.push(`Se acreditan $${creditAmount} como saldo a favor en el establecimiento`);
+  if (paidAmount > 0 && refundAmount + creditAmount < paidAmount) {
+    messages.push(isLate
+      ? `Por salir con menos de ${deadlineHours} hs de anticipación no hay reintegro`
+      : `El establecimiento retiene $${round2(paidAmount - refundAmount - creditAmount)}`);
+  }
+
+  return {
+    policy,
+    deadlineHours,
+    hoursUntilMatch: Math.round(hoursLeft * 10) / 10,
+    isLate,
+    paidAmount,
+    refundAmount,
+    creditAmount,
+    retainedAmount: round2(paidAmount - refundAmount - creditAmount),
+    message: messages.join('. ')
+  };
+};
+
+/**
+ * Leave a match: release the seat and apply the cancellation policy to the
+ * seat payment
+ * @returns {Promise<Object>} Outcome (previewLeave plus refund / creditMovementId)
+ */
+const leaveMatchSeat = async (match, participant, user) => {
+  const establishment = await Establishment.findByPk(match.establishmentId);
+
+  // The seat is re-read under lock and marked refunded with its release, so
+  // two leave requests can't both refund it
+  const outcome = await sequelize.transaction(async (transaction) => {
+    await AvailableMatch.findByPk(match.id, { transaction, lock: transaction.LOCK.UPDATE });
+    await participant.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (participant.status !== 'joined') {
+      throw statusError('You are not a participant of this match', 409);
+    }
+
+    const preview = previewLeave(match, participant, establishment);
+    await releaseSeat(participant, {
+      ...(participant.paymentStatus === 'pending' && participant.seatExpiresAt && { paymentStatus: 'expired' }),
+      ...(preview.refundAmount > 0 && { paymentStatus: 'refunded', refundedAmount: preview.refundAmount, refundedAt: new Date() })
+    }, transaction);
+    return { ...preview, refund: null, creditMovementId: null };
+  });
+
+  if (outcome.refundAmount > 0) {
+    outcome.refund = await refundSeatOrCredit(match, participant, outcome.refundAmount, { clientEmail: user.email });
+    if (outcome.refund.creditMovementId) {
+      outcome.creditMovementId = outcome.refund.creditMovementId;
+      outcome.message += `. El reintegro por Mercado Pago falló: se acreditaron $${outcome.refundAmount} como saldo a favor`;
+    }
+  }
+
+  if (outcome.creditAmount > 0) {
+    const movement = await addCreditMovement({
+      establishmentId: match.establishmentId,
+      userId: user.id,
+      clientEmail: user.email,
+      movementType: 'cancellation_credit',
+      amount: outcome.creditAmount,
+      description: `Crédito por baja del partido del ${match.date} a las ${match.startTime.slice(0, 5)}`
+    });
+    outcome.creditMovementId = movement.id;
+  }
+
+  return outcome;
+};
+
+/**
+ * Cancel a match and refund every paid seat in full. The match and its seats
+ * are locked and the seats marked refunded before calling Mercado Pago, so
+ * cancelling twice refunds nothing twice. Seats on hold are released so late
+ * payments get refunded by the webhook.
+ * @returns {Promise<Array<Object>>} One refund per paid seat
+ */
+const cancelMatchWithRefunds = async (matchId) => {
+  const { match, refundable } = await sequelize.transaction(async (transaction) => {
+    const match = await AvailableMatch.findByPk(matchId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!match) {
+      throw statusError('Match not found', 404);
+    }
+    if (match.status === 'cancelled') {
+      throw statusError('Match is already cancelled', 409);
+    }
+
+    await match.update({ status: 'cancelled', cancelledAt: new Date() }, { transaction });
+
+    const participants = await MatchParticipant.findAll({
+      where: { matchId, status: 'joined', paymentStatus: { [Op.in]: ['pending', 'paid'] } },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const refundable = [];
+    for (const participant of participants) {
+      if (participant.paymentStatus === 'pending') {
+        if (participant.seatExpiresAt) {
+          await participant.update({ paymentStatus: 'expired', seatExpiresAt: null }, { transaction });
+        }
+        continue;
+      }
+
+      const amount = round2(parseFloat(participant.amount) || 0);
+      await participant.update({ paymentStatus: 'refunded', refundedAmount: amount, refundedAt: new Date() }, { transaction });
+      refundable.push({ participant, amount });
+    }
+    return { match, refundable };
+  });
+
+  const refunds = [];
+  for (const { participant, amount } of refundable) {
+    const refund = await refundSeatOrCredit(match, participant, amount);
+    refunds.push({ userId: participant.userId, ...refund });
+  }
+  return refunds;
+};
+
+module.exports = {
+  SEAT_HOLD_MINUTES,
+  isPaidMatch,
+  joinMatchSeat,
+  processSeatPayment,
+  expireUnpaidSeats,
+  previewLeave,
+  leaveMatchSeat,
+  cancelMatchWithRefunds
+};
@@ -0,0 +1,787 @@
+/**
+ * Matchmaking Service
+ * Builds open matches out of the availability windows players publish.
+ *
+ * For every upcoming date the service:
+ *   1. offers the empty seats of open public matches to players whose window
+ *      covers the match and whose skill level fits it
+ *   2. groups the remaining players of the same sport (compatible skill,
+ *      overlapping window, same establishment or city) until the group fills
+ *      the sport's match size, finds a free court and proposes the match
+ *
+ * A new-match proposal becomes a real booking plus AvailableMatch once every
+ * candidate accepts (players with autoAccept windows accept on creation, so
+ * a group of auto-accepters gets its match created right away). A decline
+ * cancels the proposal and the rest are grouped again on the next run. The
+ * court of those matches is paid like any other booking, so their seats are
+ * free. Seats of paid open matches are held and paid through Mercado Pago
+ * (see matchPayments), which is why nobody auto-accepts them.
+ */
+
+const { Op } = require('sequelize');
+const {
+  PlayerAvailability,
+  MatchProposal,
+  AvailableMatch,
+  MatchParticipant,
+  Notification,
+  Court,
+  Establishment,
+  User,
+  sequelize
+} = require('../models');
+const { isCourtFree, bookCourtSlot } = require('./waitlistService');
+const { isPaidMatch, joinMatchSeat } = require('./matchPayments');
+const { sendMatchProposal } = require('./email');
+const { statusError } = require('../utils/errors');
+
+// Days ahead the matchmaking looks for matches
+const LOOKAHEAD_DAYS = 7;
+
+// Candidates have this long to answer, and at least this long before the match
+const PROPOSAL_TTL_HOURS = 12;
+const MIN_NOTICE_HOURS = 2;
+
+// Start times tried inside the common window
+const SLOT_STEP_MINUTES = 30;
+
+const PLAYERS_BY_SPORT = {
+  padel: 4,
+  tenis: 2,
+  squash: 2,
+  futbol5: 10,
+  futbol: 10
+};
+const DEFAULT_PLAYERS = 4;
+
+const SKILL_RANK = { beginner: 0, intermediate: 1, advanced: 2 };
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email', 'phone', 'city', 'skillLevel'];
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToTime = (minutes) =>
+  `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const normalizeSport = (sport) => {
+  const value = (sport || '').toLowerCase().replace(/[\s_-]/g, '');
+  return value === 'paddle' ? 'padel' : value;
+};
+
+const playersFor = (sport) => PLAYERS_BY_SPORT[normalizeSport(sport)] || DEFAULT_PLAYERS;
+
+const sameCity = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const availabilityCity = (availability) => availability.city || availability.user?.city || null;
+
+/**
+ * Day of week (0 = Sunday) of a YYYY-MM-DD date
+ */
+const dayOfWeekOf = (date) => new Date(`${date}T12:00:00`).getDay();
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T12:00:00`);
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+/**
+ * Match start as a Date (Argentina time)
+ */
+const slotStart = (date, startTime) => new Date(`${date}T${startTime.slice(0, 5)}:00-03:00`);
+
+/**
+ * Skill levels fit together when they are at most one level apart
+ */
+const skillsCompatible = (levels) => {
+  const ranks = levels.map(level => SKILL_RANK[level] ?? SKILL_RANK.beginner);
+  return Math.max(...ranks) - Math.min(...ranks) <= 1;
+};
+
+const groupSkillLevel = (users) => {
+  const levels = [...new Set(users.map(u => u.skillLevel || 'beginner'))];
+  return levels.length === 1 ? levels[0] : 'mixed';
+};
+
+/**
+ * Whether a window can play at an establishment
+ */
+const availabilityFitsEstablishment = (availability, establishment) => {
+  if (availability.establishmentId) return availability.establishmentId === establishment.id;
+  const city = availabilityCity(availability);
+  return !city || sameCity(city, establishment.city);
+};
+
+// =====================================================
+// CANDIDATES
+// =====================================================
+
+/**
+ * Active windows for a date: one-off windows on that date plus weekly ones
+ */
+const findAvailabilitiesFor = async (date) => {
+  return PlayerAvailability.findAll({
+    where: {
+      isActive: true,
+      [Op.or]: [
+        { date },
+        { date: null, dayOfWeek: dayOfWeekOf(date) }
+      ]
+    },
+    include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES, where: { isActive: true } }],
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Players that must not get a new proposal on a date: already in a pending
+ * or confirmed proposal, declined or ignored one that day, or already
+ * playing a match
+ */
+const findBusyUserIds = async (date) => {
+  const busy = new Set();
+
+  const proposals = await MatchProposal.findAll({
+    where: { date },
+    attributes: ['status', 'candidates']
+  });
+  for (const proposal of proposals) {
+    for (const candidate of proposal.candidates || []) {
+      const open = ['pending', 'confirmed'].includes(proposal.status);
+      const declined = candidate.status === 'declined';
+      const ignored = proposal.status === 'expired' && candidate.status !== 'accepted';
+      if (open || declined || ignored) {
+        busy.add(candidate.userId);
+      }
+    }
+  }
+
+  const participations = await MatchParticipant.findAll({
+    where: { status: 'joined' },
+    attributes: ['userId'],
+    include: [{
+      model: AvailableMatch,
+      as: 'match',
+      attributes: [],
+      where: { date, status: { [Op.in]: ['open', 'full'] } }
+    }]
+  });
+  participations.forEach(p => busy.add(p.userId));
+
+  return busy;
+};
+
+// =====================================================
+// NOTIFICATIONS
+// =====================================================
+
+const notifyCandidate = async (proposal, user, court, establishment) => {
+  try {
+    const hour = proposal.startTime.slice(0, 5);
+    await Notification.create({
+      userId: user.id,
+      type: 'match_invitation',
+      title: proposal.matchId ? 'Hay lugar en un partido para vos' : 'Te armamos un partido',
+      message: `${proposal.sport} en ${establishment.name} (${court.name}) el ${proposal.date} a las ${hour}`,
+      data: { proposalId: proposal.id, matchId: proposal.matchId },
+      actionUrl: `/partidos/propuestas/${proposal.id}`,
+      expiresAt: proposal.expiresAt
+    });
+
+    await sendMatchProposal({
+      ...proposal.toJSON(),
+      playerEmail: user.email,
+      playerName: user.firstName
+    }, establishment, court);
+  } catch (error) {
+    console.error(`[Matchmaking] Error notifying user ${user.id} of proposal ${proposal.id}:`, error.message);
+  }
+};
+
+const notifyMatchConfirmed = async (proposal, userIds, court, establishment) => {
+  try {
+    await Notification.bulkCreate(userIds.map(userId => ({
+      userId,
+      type: 'booking_confirmed',
+      title: 'Partido confirmado',
+      message: `Tu partido de ${proposal.sport} en ${establishment.name} (${court.name}) el ${proposal.date} a las ${proposal.startTime.slice(0, 5)} está confirmado`,
+      data: { proposalId: proposal.id, matchId: proposal.matchId, bookingId: proposal.bookingId },
+      actionUrl: `/partidos/${proposal.matchId}`
+    })));
+  } catch (error) {
+    console.error(`[Matchmaking] Error notifying confirmation of proposal ${proposal.id}:`, error.message);
+  }
+};
+
+// =====================================================
+// PROPOSALS
+// =====================================================
+
+/**
+ * Answer deadline: PROPOSAL_TTL_HOURS from now, but never later than
+ * MIN_NOTICE_HOURS before the match. Null when the match is too close.
+ */
+const proposalDeadline = (date, startTime) => {
+  const latest = slotStart(date, startTime).getTime() - MIN_NOTICE_HOURS * 3600000;
+  const deadline = Math.min(Date.now() + PROPOSAL_TTL_HOURS * 3600000, latest);
+  return deadline > Date.now() ? new Date(deadline) : null;
+};
+
+/**
+ * Store a proposal and notify the candidates that still have to answer.
+ * A proposal with every candidate already accepted is confirmed at once.
+ * @param {Object} data - MatchProposal fields
+ * @param {Array<PlayerAvailability>} availabilities - One per candidate (user included)
+ * @param {Object} options - { paidSeats }: seats have to be paid, so nobody accepts on creation
+ */
+const createProposal = async (data, availabilities, court, establishment, { paidSeats = false } = {}) => {
+  const autoAccepts = (availability) => availability.autoAccept && !paidSeats;
+
+  const proposal = await MatchProposal.create({
+    ...data,
+    establishmentId: establishment.id,
+    courtId: court.id,
+    candidates: availabilities.map(a => ({
+      userId: a.userId,
+      availabilityId: a.id,
+      status: autoAccepts(a) ? 'accepted' : 'pending',
+      respondedAt: autoAccepts(a) ? new Date() : null
+    })),
+    status: 'pending'
+  });
+
+  console.log(`[Matchmaking] Proposed ${proposal.sport} ${proposal.date} ${proposal.startTime} at ${court.name} to ${availabilities.length} player(s) (proposal ${proposal.id})`);
+
+  if (proposal.matchId) {
+    for (const availability of availabilities) {
+      if (autoAccepts(availability)) {
+        await joinOpenMatch(proposal, availability.userId).catch(error => {
+          console.error(`[Matchmaking] Auto-join failed for user ${availability.userId}:`, error.message);
+        });
+      }
+    }
+    await proposal.reload();
+  } else if (proposal.candidates.every(c => c.status === 'accepted')) {
+    return confirmProposal(proposal.id);
+  }
+
+  for (const availability of availabilities) {
+    const candidate = proposal.candidates.find(c => c.userId === availability.userId);
+    if (candidate?.status === 'pending') {
+      await notifyCandidate(proposal, availability.user, court, establishment);
+    }
+  }
+
+  return proposal;
+};
+
+const setCandidateStatus = (proposal, userId, status) => {
+  proposal.candidates = proposal.candidates.map(c =>
+    c.userId === userId ? { ...c, status, respondedAt: new Date() } : c
+  );
+};
+
+/**
+ * Close a fill proposal once nobody is left to answer or the match is full
+ */
+const settleFillProposal = async (proposal, transaction = null) => {
+  const match = await AvailableMatch.findByPk(proposal.matchId, { transaction });
+  const pending = proposal.candidates.filter(c => c.status === 'pending');
+  const full = !match || match.status !== 'open' || match.currentParticipants >= match.maxParticipants;
+
+  if (full || pending.length === 0) {
+    const accepted = proposal.candidates.some(c => c.status === 'accepted');
+    proposal.candidates = proposal.candidates.map(c => (c.status === 'pending' ? { ...c, status: 'expired' } : c));
+    proposal.status = accepted ? 'confirmed' : 'cancelled';
+  }
+  await proposal.save({ transaction });
+};
+
+/**
+ * Seat a candidate in the free open match of a fill proposal
+ * (in its own transaction unless one is given)
+ */
+const joinOpenMatch = async (proposal, userId, transaction = null) => {
+  if (!transaction) {
+    return sequelize.transaction(t => joinOpenMatch(proposal, userId, t));
+  }
+
+  const match = await AvailableMatch.findByPk(proposal.matchId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!match || match.status !== 'open' || match.currentParticipants >= match.maxParticipants) {
+    setCandidateStatus(proposal, userId, 'expired');
+    await settleFillProposal(proposal, transaction);
+    throw statusError('El partido ya está completo', 409);
+  }
+
+  // A player who left the match earlier keeps their row (unique matchId + userId)
+  const existing = await MatchParticipant.findOne({ where: { matchId: match.id, userId }, transaction });
+  if (existing) {
+    await existing.update({ status: 'joined', joinedAt: new Date(), leftAt: null }, { transaction });
+  } else {
+    await MatchParticipant.create({ matchId: match.id, userId, status: 'joined' }, { transaction });
+  }
+
+  const currentParticipants = match.currentParticipants + 1;
+  await match.update({
+    currentParticipants,
+    status: currentParticipants >= match.maxParticipants ? 'full' : 'open'
+  }, { transaction });
+
+  setCandidateStatus(proposal, userId, 'accepted');
+  await settleFillProposal(proposal, transaction);
+  return match;
+};
+
+/**
+ * Book the court and create the match of a fully accepted proposal. If the
+ * court was taken meanwhile another free court of the establishment is used;
+ * with none left the proposal is cancelled.
+ */
+const confirmProposal = async (proposalId) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const proposal = await MatchProposal.findByPk(proposalId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!proposal || proposal.status !== 'pending') {
+      await transaction.rollback();
+      return proposal;
+    }
+
+    const slot = { date: proposal.date, startTime: proposal.startTime, endTime: proposal.endTime };
+    const courts = await Court.findAll({
+      where: { establishmentId: proposal.establishmentId, isActive: true },
+      transaction
+    });
+    const ordered = [
+      ...courts.filter(c => c.id === proposal.courtId),
+      ...courts.filter(c => c.id !== proposal.courtId && normalizeSport(c.sport) === normalizeSport(proposal.sport))
+    ];
+
+    const userIds = proposal.candidates.map(c => c.userId);
+    const users = await User.findAll({ where: { id: userIds }, attributes: USER_ATTRIBUTES, transaction });
+    const organizer = users.find(u => u.id === userIds[0]) || users[0];
+
+    // Booked like any other slot; a court taken meanwhile moves on to the next one
+    let court = null;
+    let booking = null;
+    for (const candidateCourt of ordered) {
+      try {
+        booking = await bookCourtSlot({
+          userId: organizer.id,
+          establishmentId: proposal.establishmentId,
+          courtId: candidateCourt.id,
+          ...slot,
+          duration: proposal.duration,
+          playerCount: userIds.length,
+          clientName: `${organizer.firstName} ${organizer.lastName}`.trim(),
+          clientPhone: organizer.phone,
+          clientEmail: organizer.email,
+          notes: 'Partido armado por matchmaking'
+        }, {}, transaction);
+        court = candidateCourt;
+        break;
+      } catch (error) {
+        if (error.status !== 409) throw error;
+      }
+    }
+
+    if (!court) {
+      await proposal.update({ status: 'cancelled' }, { transaction });
+      await transaction.commit();
+      console.log(`[Matchmaking] Proposal ${proposal.id} cancelled: no free court left`);
+      return proposal;
+    }
+
+    const share = Math.round((parseFloat(booking.totalAmount) || 0) / userIds.length * 100) / 100;
+
+    const match = await AvailableMatch.create({
+      organizerId: organizer.id,
+      establishmentId: proposal.establishmentId,
+      courtId: court.id,
+      sport: court.sport,
+      date: proposal.date,
+      startTime: proposal.startTime,
+      endTime: proposal.endTime,
+      duration: proposal.duration,
+      maxParticipants: proposal.maxParticipants,
+      currentParticipants: userIds.length,
+      // The court is paid through the booking, so seats are not charged again
+      pricePerPerson: 0,
+      description: `Cancha: $${booking.totalAmount} a pagar en el club ($${share} por jugador)`,
+      skillLevel: groupSkillLevel(users),
+      status: userIds.length >= proposal.maxParticipants ? 'full' : 'open',
+      bookingId: booking.id
+    }, { transaction });
+
+    await MatchParticipant.bulkCreate(
+      userIds.map(userId => ({ matchId: match.id, userId, status: 'joined' })),
+      { transaction }
+    );
+
+    await proposal.update({
+      status: 'confirmed',
+      courtId: court.id,
+      matchId: match.id,
+      bookingId: booking.id
+    }, { transaction });
+
+    await transaction.commit();
+    console.log(`[Matchmaking] Proposal ${proposal.id} confirmed: match ${match.id}, booking ${booking.id}`);
+
+    const establishment = await Establishment.findByPk(proposal.establishmentId, { attributes: ['id', 'name'] });
+    await notifyMatchConfirmed(proposal, userIds, court, establishment);
+
+    return proposal;
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * A candidate accepts or declines a proposal. Accepting a seat of a paid
+ * match holds it and returns the checkout to pay it.
+ * @param {Object} options - { backUrls? } of the seat checkout
+ * @returns {Promise<{proposal, checkout: Object|null}>}
+ */
+const respondToProposal = async (proposalId, userId, accept, { backUrls = null } = {}) => {
+  // The proposal is locked so concurrent answers don't overwrite each other's candidate status
+  const { proposal, complete, paidMatch } = await sequelize.transaction(async (transaction) => {
+    const proposal = await MatchProposal.findByPk(proposalId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!proposal) {
+      throw statusError('Propuesta no encontrada', 404);
+    }
+
+    const candidate = (proposal.candidates || []).find(c => c.userId === userId);
+    if (!candidate) {
+      throw statusError('No fuiste invitado a esta propuesta', 403);
+    }
+    if (proposal.status !== 'pending' || candidate.status !== 'pending') {
+      throw statusError('La propuesta ya no está disponible', 410);
+    }
+    if (proposal.expiresAt && new Date(proposal.expiresAt) <= new Date()) {
+      throw statusError('La propuesta venció', 410);
+    }
+
+    // Filling an open match: every candidate joins on their own
+    if (proposal.matchId) {
+      if (accept) {
+        const match = await AvailableMatch.findByPk(proposal.matchId, { transaction });
+        if (match && isPaidMatch(match)) {
+          return { proposal, complete: false, paidMatch: match };
+        }
+        await joinOpenMatch(proposal, userId, transaction);
+      } else {
+        setCandidateStatus(proposal, userId, 'declined');
+        await settleFillProposal(proposal, transaction);
+      }
+      return { proposal, complete: false };
+    }
+
+    if (!accept) {
+      setCandidateStatus(proposal, userId, 'declined');
+      proposal.status = 'cancelled';
+      await proposal.save({ transaction });
+      console.log(`[Matchmaking] Proposal ${proposal.id} declined by user ${userId}`);
+      return { proposal, complete: false };
+    }
+
+    setCandidateStatus(proposal, userId, 'accepted');
+    await proposal.save({ transaction });
+    return { proposal, complete: proposal.candidates.every(c => c.status === 'accepted') };
+  });
+
+  if (paidMatch) {
+    return acceptPaidSeat(proposal.id, paidMatch, userId, backUrls);
+  }
+
+  // Booking the court locks the proposal again, so it runs once the answer is committed
+  if (complete) {
+    return { proposal: await confirmProposal(proposal.id), checkout: null };
+  }
+  return { proposal, checkout: null };
+};
+
+/**
+ * Hold the seat of a paid match like a regular join (seat hold plus
+ * checkout) and record the candidate's answer. The checkout is created with
+ * the proposal unlocked, so the answer is stored in a second transaction.
+ */
+const acceptPaidSeat = async (proposalId, match, userId, backUrls) => {
+  const user = await User.findByPk(userId, { attributes: USER_ATTRIBUTES });
+
+  const answer = (status) => sequelize.transaction(async (transaction) => {
+    const proposal = await MatchProposal.findByPk(proposalId, { transaction, lock: transaction.LOCK.UPDATE });
+    const candidate = proposal.candidates.find(c => c.userId === userId);
+    if (proposal.status === 'pending' && candidate?.status === 'pending') {
+      setCandidateStatus(proposal, userId, status);
+      await settleFillProposal(proposal, transaction);
+    }
+    return proposal;
+  });
+
+  let seat;
+  try {
+    seat = await joinMatchSeat(match, user, { backUrls });
+  } catch (error) {
+    if (error.status) await answer('expired');
+    throw error;
+  }
+
+  return { proposal: await answer('accepted'), checkout: seat.checkout };
+};
+
+/**
+ * Expire proposals whose answer deadline passed. Each proposal is locked and
+ * skipped if an answer settled it meanwhile.
+ */
+const expireMatchProposals = async () => {
+  try {
+    const due = await MatchProposal.findAll({
+      where: { status: 'pending', expiresAt: { [Op.lte]: new Date() } },
+      attributes: ['id']
+    });
+
+    let expired = 0;
+    for (const { id } of due) {
+      await sequelize.transaction(async (transaction) => {
+        const proposal = await MatchProposal.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!proposal || proposal.status !== 'pending') return;
+
+        if (proposal.matchId) {
+          proposal.candidates = proposal.candidates.map(c => (c.status === 'pending' ? { ...c, status: 'expired' } : c));
+          await settleFillProposal(proposal, transaction);
+        } else {
+          await proposal.update({ status: 'expired' }, { transaction });
+        }
+        expired++;
+        console.log(`[Matchmaking] Proposal ${proposal.id} expired`);
+      });
+    }
+
+    return expired;
+  } catch (error) {
+    console.error('[Matchmaking] Error expiring proposals:', error);
+    return 0;
+  }
+};
+
+// =====================================================
+// MATCHING
+// =====================================================
+
+/**
+ * Offer the empty seats of open public matches of the date
+ * @returns {number} Proposals created
+ */
+const fillOpenMatches = async (date, availabilities, used) => {
+  // Required here to avoid a circular import (ratings uses normalizeSport)
+  const { getRatings, isWithinRatingRange } = require('./ratings');
+
+  const matches = await AvailableMatch.findAll({
+    where: {
+      date,
+      status: 'open',
+      isPrivate: false,
+      currentParticipants: { [Op.lt]: sequelize.col('AvailableMatch.maxParticipants') }
+    },
+    include: [
+      { model: Court, as: 'court' },
+      { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'city'] },
+      { model: MatchParticipant, as: 'participants', attributes: ['userId', 'status'] }
+    ],
+    order: [['startTime', 'ASC']]
+  });
+
+  let created = 0;
+  for (const match of matches) {
+    const deadline = proposalDeadline(date, match.startTime);
+    if (!deadline || !match.court || !match.establishment) continue;
+
+    // One fill proposal at a time per match
+    const open = await MatchProposal.count({ where: { matchId: match.id, status: 'pending' } });
+    if (open) continue;
+
+    const inMatch = new Set(match.participants.filter(p => p.status === 'joined').map(p => p.userId));
+    inMatch.add(match.organizerId);
+    const start = timeToMinutes(match.startTime);
+    const end = start + match.duration;
+
+    let fitting = availabilities.filter(a =>
+      !used.has(a.userId) &&
+      !inMatch.has(a.userId) &&
+      normalizeSport(a.sport) === normalizeSport(match.sport) &&
+      timeToMinutes(a.startTime) <= start && timeToMinutes(a.endTime) >= end &&
+      availabilityFitsEstablishment(a, match.establishment) &&
+      (match.skillLevel === 'mixed' || skillsCompatible([match.skillLevel, a.user.skillLevel]))
+    );
+
+    // Matches with a rating range only take players rated inside it, like a regular join
+    if (fitting.length > 0 && (match.minRating != null || match.maxRating != null)) {
+      const ratings = await getRatings(fitting.map(a => a.userId), match.sport);
+      fitting = fitting.filter(a => isWithinRatingRange(match, ratings.get(a.userId)));
+    }
+
+    const picked = fitting.slice(0, match.maxParticipants - match.currentParticipants);
+
+    if (picked.length === 0) continue;
+    picked.forEach(a => used.add(a.userId));
+
+    await createProposal({
+      sport: match.sport,
+      date,
+      startTime: match.startTime,
+      endTime: match.endTime,
+      duration: match.duration,
+      skillLevel: match.skillLevel,
+      maxParticipants: match.maxParticipants,
+      expiresAt: deadline,
+      matchId: match.id
+    }, picked, match.court, match.establishment, { paidSeats: isPaidMatch(match) });
+    created++;
+  }
+
+  return created;
+};
+
+/**
+ * First free court and start time for a group inside its common window
+ * @returns {Promise<Object|null>} { court, establishment, startTime, endTime, expiresAt }
+ */
+const findSlotForGroup = async (date, group, window, duration) => {
+  const sport = normalizeSport(group[0].sport);
+  const fixed = group.find(a => a.establishmentId)?.establishmentId;
+  const city = group.map(availabilityCity).find(Boolean);
+
+  const establishmentWhere = { isActive: true };
+  if (fixed) {
+    establishmentWhere.id = fixed;
+  } else if (city) {
+    establishmentWhere.city = { [Op.iLike]: city.trim() };
+  } else {
+    return null;
+  }
+
+  const courts = (await Court.findAll({
+    where: { isActive: true },
+    include: [{ model: Establishment, as: 'establishment', where: establishmentWhere, attributes: ['id', 'name', 'city'] }]
+  })).filter(court =>
+    normalizeSport(court.sport) === sport &&
+    group.every(a => availabilityFitsEstablishment(a, court.establishment))
+  );
+
+  for (let start = window.start; start + duration <= window.end; start += SLOT_STEP_MINUTES) {
+    const startTime = minutesToTime(start);
+    const endTime = minutesToTime(start + duration);
+    const expiresAt = proposalDeadline(date, startTime);
+    if (!expiresAt) continue;
+
+    for (const court of courts) {
+      if (await isCourtFree({ courtId: court.id, date, startTime, endTime })) {
+        return { court, establishment: court.establishment, startTime, endTime, expiresAt };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Group the remaining players into full matches and propose them
+ * @returns {number} Proposals created
+ */
+const proposeNewMatches = async (date, availabilities, used) => {
+  let created = 0;
+
+  for (const seed of availabilities) {
+    if (used.has(seed.userId)) continue;
+
+    const size = playersFor(seed.sport);
+    const duration = seed.duration;
+    const group = [seed];
+    let window = { start: timeToMinutes(seed.startTime), end: timeToMinutes(seed.endTime) };
+
+    for (const other of availabilities) {
+      if (group.length >= size) break;
+      if (used.has(other.userId) || group.some(a => a.userId === other.userId)) continue;
+      if (normalizeSport(other.sport) !== normalizeSport(seed.sport)) continue;
+      if (!skillsCompatible([...group, other].map(a => a.user.skillLevel))) continue;
+
+      const merged = {
+        start: Math.max(window.start, timeToMinutes(other.startTime)),
+        end: Math.min(window.end, timeToMinutes(other.endTime))
+      };
+      if (merged.end - merged.start < duration) continue;
+
+      const establishments = [...group, other].map(a => a.establishmentId).filter(Boolean);
+      if (new Set(establishments).size > 1) continue;
+      const cities = [...group, other].map(availabilityCity).filter(Boolean);
+      if (!establishments.length && cities.some(c => !sameCity(c, cities[0]))) continue;
+
+      group.push(other);
+      window = merged;
+    }
+
+    if (group.length < size) continue;
+
+    const slot = await findSlotForGroup(date, group, window, duration);
+    if (!slot) continue;
+
+    group.forEach(a => used.add(a.userId));
+    await createProposal({
+      sport: slot.court.sport,
+      date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      duration,
+      skillLevel: groupSkillLevel(group.map(a => a.user)),
+      maxParticipants: size,
+      expiresAt: slot.expiresAt
+    }, group, slot.court, slot.establishment);
+    created++;
+  }
+
+  return created;
+};
+
+/**
+ * Run the matchmaking for the next LOOKAHEAD_DAYS days (called by the
+ * scheduler and by admins on demand)
+ * @param {string} today - YYYY-MM-DD (Argentina)
+ * @returns {number} Proposals created
+ */
+const runMatchmaking = async (today, days = LOOKAHEAD_DAYS) => {
+  try {
+    let created = 0;
+
+    for (let offset = 0; offset < days; offset++) {
+      const date = addDays(today, offset);
+      const availabilities = await findAvailabilitiesFor(date);
+      if (availabilities.length === 0) continue;
+
+      const used = await findBusyUserIds(date);
+      created += await fillOpenMatches(date, availabilities, used);
+      created += await proposeNewMatches(date, availabilities, used);
+    }
+
+    if (created > 0) {
+      console.log(`[Matchmaking] Created ${created} proposal(s)`);
+    }
+    return created;
+  } catch (error) {
+    console.error('[Matchmaking] Error running matchmaking:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  PLAYERS_BY_SPORT,
+  normalizeSport,
+  runMatchmaking,
+  respondToProposal,
+  confirmProposal,
+  expireMatchProposals
+};
@@ -0,0 +1,283 @@
+/**
+ * Memberships Service
+ * Prepaid packs ("10 turnos") and periodic memberships sold to clients.
+ *
+ * A holder is identified like ClientDebt / store credit: by email, falling back
+ * to client record or user account. While a plan is active it gives its
+ * memberDiscountPercent on court prices (see calculateBookingPrice) and every
+ * booking completed or checked in takes one turn from it (packs run out when
+ * all their sessions are used). Expired plans are closed by the scheduler,
+ * which also reminds clients to renew before the plan ends.
+ */
+
+const { Op } = require('sequelize');
+const { ClientMembership, MembershipPlan, Booking, Court, Establishment, Client, User, sequelize } = require('../models');
+const { resolveDebtorEmail } = require('./clientDebts');
+const { sendMembershipRenewalReminder } = require('./email');
+
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+const holderWhere = ({ clientId = null, userId = null, clientEmail = null }) => {
+  const conditions = [];
+  if (clientEmail) conditions.push({ clientEmail: clientEmail.toLowerCase() });
+  if (clientId) conditions.push({ clientId });
+  if (userId) conditions.push({ userId });
+  return conditions;
+};
+
+const sessionsLeft = (membership) =>
+  membership.sessionsTotal === null ? null : Math.max(0, membership.sessionsTotal - membership.sessionsUsed);
+
+/**
+ * Active memberships of a holder usable on a date (and sport).
+ * Best first: highest member discount, then the one expiring sooner.
+ */
+const findUsableMemberships = async ({ establishmentId, clientId, userId, clientEmail, date, sport = null }) => {
+  const conditions = holderWhere({ clientId, userId, clientEmail });
+  if (conditions.length === 0) return [];
+
+  const memberships = await ClientMembership.findAll({
+    where: {
+      establishmentId,
+      status: 'active',
+      startDate: { [Op.lte]: date },
+      expiresAt: { [Op.gte]: date },
+      [Op.or]: conditions
+    },
+    order: [['memberDiscountPercent', 'DESC'], ['expiresAt', 'ASC']]
+  });
+
+  return memberships.filter(m =>
+    (sessionsLeft(m) === null || sessionsLeft(m) > 0) &&
+    (!Array.isArray(m.sports) || m.sports.length === 0 || !sport || m.sports.includes(sport))
+  );
+};
+
+/**
+ * Member pricing for a court booking, used by calculateBookingPrice
+ * @returns {Object|null} { membershipId, planName, percent } or null if not a member
+ */
+const findMemberDiscount = async ({ courtId, date, clientId, userId, clientEmail }) => {
+  const court = await Court.findByPk(courtId, { attributes: ['id', 'establishmentId', 'sport'] });
+  if (!court) return null;
+
+  const [membership] = await findUsableMemberships({
+    establishmentId: court.establishmentId,
+    clientId,
+    userId,
+    clientEmail,
+    date,
+    sport: court.sport
+  });
+
+  if (!membership || !(parseFloat(membership.memberDiscountPercent) > 0)) return null;
+
+  return {
+    membershipId: membership.id,
+    planName: membership.planName,
+    percent: parseFloat(membership.memberDiscountPercent),
+    sessionsLeft: sessionsLeft(membership)
+  };
+};
+
+/**
+ * Take one turn from the holder's pack/membership when a booking is
+ * completed or checked in. Safe to call twice, even concurrently: the booking
+ * and the membership are locked, so a booking only uses one turn.
+ * @returns {Object|null} Membership used
+ */
+const consumeMembershipSession = async (booking) => {
+  try {
+    if (booking.membershipId || !booking.courtId) return null;
+
+    const court = await Court.findByPk(booking.courtId, { attributes: ['id', 'sport'] });
+    const candidates = await findUsableMemberships({
+      establishmentId: booking.establishmentId,
+      clientId: booking.clientId,
+      userId: booking.userId,
+      clientEmail: await resolveDebtorEmail(booking),
+      date: booking.date,
+      sport: court?.sport
+    });
+    if (candidates.length === 0) return null;
+
+    const membership = await sequelize.transaction(async (transaction) => {
+      const current = await Booking.findByPk(booking.id, {
+        attributes: ['id', 'membershipId'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!current || current.membershipId) return null;
+
+      for (const candidate of candidates) {
+        const locked = await ClientMembership.findByPk(candidate.id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (locked.status !== 'active' || sessionsLeft(locked) === 0) continue;
+
+        if (locked.sessionsTotal !== null) {
+          await locked.increment('sessionsUsed', { transaction });
+          await locked.reload({ transaction });
+          if (locked.sessionsUsed >= locked.sessionsTotal) {
+            await locked.update({ status: 'exhausted' }, { transaction });
+          }
+        }
+        await current.update({ membershipId: locked.id }, { transaction });
+        return locked;
+      }
+      return null;
+    });
+    if (!membership) return null;
+
+    booking.set('membershipId', membership.id);
+    console.log(`[Memberships] Booking ${booking.id} used a turn of ${membership.planName} (${membership.id})`);
+    return membership;
+  } catch (error) {
+    console.error('[Memberships] Error consuming membership session:', error);
+    return null;
+  }
+};
+
+/**
+ * Sell a plan to a holder. Renewals start the day after the previous
+ * membership ends when it's still running.
+ */
+const createMembership = async (plan, {
+  clientId = null,
+  userId = null,
+  clientEmail = null,
+  startDate,
+  pricePaid = null,
+  paymentMethod = null,
+  soldBy = null,
+  notes = null,
+  renewedFrom = null,
+  transaction
+}) => {
+  let start = startDate;
+  if (renewedFrom && renewedFrom.status === 'active' && renewedFrom.expiresAt >= start) {
+    start = addDays(renewedFrom.expiresAt, 1);
+  }
+
+  return ClientMembership.create({
+    establishmentId: plan.establishmentId,
+    planId: plan.id,
+    clientId,
+    userId,
+    clientEmail: clientEmail ? clientEmail.toLowerCase() : null,
+    planName: plan.name,
+    planType: plan.planType,
+    memberDiscountPercent: plan.memberDiscountPercent,
+    sports: plan.sports,
+    status: 'active',
+    startDate: start,
+    expiresAt: addDays(start, plan.validityDays - 1),
+    sessionsTotal: plan.sessions,
+    sessionsUsed: 0,
+    pricePaid: pricePaid ?? plan.price,
+    paymentMethod,
+    renewedFromId: renewedFrom?.id || null,
+    soldBy,
+    notes
+  }, { transaction });
+};
+
+/**
+ * Close memberships whose last day already passed
+ * @param {string} today - Argentina date (YYYY-MM-DD)
+ * @returns {number} Memberships expired
+ */
+const expireMemberships = async (today) => {
+  try {
+    const [count] = await ClientMembership.update(
+      { status: 'expired' },
+      { where: { status: 'active', expiresAt: { [Op.lt]: today } } }
+    );
+    if (count > 0) {
+      console.log(`[Memberships] Expired ${count} membership(s)`);
+    }
+    return count;
+  } catch (error) {
+    console.error('[Memberships] Error expiring memberships:', error);
+    return 0;
+  }
+};
+
+/**
+ * Remind holders to renew when the plan is about to expire (renewalReminderDays
+ * of the plan) or a pack has a single turn left. One reminder per membership.
+ * @param {string} today - Argentina date (YYYY-MM-DD)
+ * @returns {number} Reminders sent
+ */
+const sendRenewalReminders = async (today) => {
+  try {
+    const memberships = await ClientMembership.findAll({
+      where: {
+        status: 'active',
+        renewalReminderSentAt: null,
+        // Renewals already bought don't need a reminder
+        id: {
+          [Op.notIn]: ClientMembership.sequelize.literal(
+            '(SELECT "renewedFromId" FROM client_memberships WHERE "renewedFromId" IS NOT NULL)'
+          )
+        }
+      },
+      include: [
+        { model: MembershipPlan, as: 'plan', attributes: ['id', 'renewalReminderDays'] },
+        { model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug'] },
+        { model: Client, as: 'client', attributes: ['id', 'name', 'email'] },
+        { model: User, as: 'user', attributes: ['id', 'firstName', 'email'] }
+      ]
+    });
+
+    let sentCount = 0;
+
+    for (const membership of memberships) {
+      const reminderDays = membership.plan?.renewalReminderDays ?? 3;
+      const left = sessionsLeft(membership);
+      const expiringSoon = membership.expiresAt <= addDays(today, reminderDays);
+      const lastTurn = left !== null && left <= 1;
+      if (!expiringSoon && !lastTurn) continue;
+
+      const email = membership.clientEmail || membership.client?.email || membership.user?.email;
+      if (!email) {
+        await membership.update({ renewalReminderSentAt: new Date() });
+        continue;
+      }
+
+      const sent = await sendMembershipRenewalReminder(
+        {
+          ...membership.toJSON(),
+          clientEmail: email,
+          clientName: membership.client?.name || membership.user?.firstName || null,
+          sessionsLeft: left
+        },
+        membership.establishment
+      );
+
+      // Marked even if delivery failed so a broken address isn't retried every run
+      await membership.update({ renewalReminderSentAt: new Date() });
+      if (sent) sentCount++;
+    }
+
+    if (sentCount > 0) {
+      console.log(`[Memberships] Sent ${sentCount} renewal reminder(s)`);
+    }
+    return sentCount;
+  } catch (error) {
+    console.error('[Memberships] Error sending renewal reminders:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  sessionsLeft,
+  findUsableMemberships,
+  findMemberDiscount,
+  consumeMembershipSession,
+  createMembership,
+  expireMemberships,
+  sendRenewalReminders
+};
@@ -241,6 +241,35 @@ async function getPayment(paymentId, accessToken = null) {
   };
 }
 
+/**
+ * Refund a payment (total or partial)
+ * @param {string} paymentId - Payment ID
+ * @param {number|null} amount - Amount to refund (null = full refund)
+ * @param {string} accessToken - Seller's access token (optional)
+ * @param {string} idempotencyKey - Same key = same refund when a request is retried (optional)
+ */
+async function refundPayment(paymentId, amount = null, accessToken = null, idempotencyKey = null) {
+  const client = accessToken 
+    ? new MercadoPagoConfig({ accessToken, options: { timeout: 5000 } })
+    : mpClient;
+
+  const { PaymentRefund } = require('mercadopago');
+  const refundClient = new PaymentRefund(client);
+  const refundData = await refundClient.create({
+    payment_id: paymentId,
+    body: amount ? { amount: Math.round(amount * 100) / 100 } : {},
+    ...(idempotencyKey && { requestOptions: { idempotencyKey } })
+  });
+
+  return {
+    id: refundData.id,
+    paymentId: refundData.payment_id,
+    amount: refundData.amount,
+    status: refundData.status,
+    dateCreated: refundData.date_created,
+  };
+}
+
 /**
  * Calculate fee for a given amount and establishment
  * @param {number} amount - Total amount
@@ -295,5 +324,6 @@ module.exports = {
   createSplitPreference,
   getPayment,
   getMerchantOrder,
+  refundPayment,
   calculateFee
 };
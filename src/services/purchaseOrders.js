@@ -0,0 +1,432 @@
+/**
+ * Purchase Orders Service
+ * Restocking through purchase orders to suppliers.
+ *
+ * An order is drafted with its lines and expected costs, sent to the
+ * supplier and received in one or more deliveries. Each receipt, in one
+ * transaction:
+ *   - creates an entrada StockMovement per received line (referenceType
+ *     'purchase_order', with the supplier invoice data for the Libro IVA)
+ *     and its stock lot, with the expiry date when given
+ *   - updates Product.costPrice to the weighted average of the stock on hand
+ *     and the received units (and the cost of the composites that use it)
+ *   - optionally charges the invoice as an Expense (paid) or to the
+ *     supplier's CurrentAccount (owed)
+ * The order becomes partially_received until every line is fully received.
+ */
+
+const { Op } = require('sequelize');
+const {
+  PurchaseOrder,
+  PurchaseOrderItem,
+  Product,
+  Supplier,
+  Establishment,
+  StockMovement,
+  Expense,
+  CurrentAccount,
+  CurrentAccountMovement,
+  sequelize
+} = require('../models');
+const { INVOICE_TYPES } = require('./arca/wsfeService');
+const { createLot } = require('./stockLots');
+const { refreshCompositeCosts } = require('./compositeProducts');
+const { statusError } = require('../utils/errors');
+const { round2 } = require('../utils/money');
+
+const CHARGE_TARGETS = ['expense', 'current_account'];
+
+// Unit costs of A invoices are net of VAT (see StockMovement.vatRate)
+const TIPOS_A = [INVOICE_TYPES.FACTURA_A, INVOICE_TYPES.NC_A];
+
+const DEFAULT_EXPENSE_CATEGORY = 'Mercadería';
+
+const formatOrderNumber = (order) => `OC-${String(order.orderNumber).padStart(4, '0')}`;
+
+/**
+ * Average cost of the stock on hand plus the received units
+ * (stock at or below zero has no cost left to average with)
+ */
+const weightedAverageCost = (currentStock, currentCost, quantity, unitCost) => {
+  const onHand = Math.max(currentStock, 0);
+  if (onHand === 0 || !currentCost) return round2(unitCost);
+  return round2((onHand * parseFloat(currentCost) + quantity * unitCost) / (onHand + quantity));
+};
+
+/**
+ * Purchase order with supplier and lines
+ */
+const getPurchaseOrder = (id) => {
+  return PurchaseOrder.findByPk(id, {
+    include: [
+      { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'businessName', 'taxId', 'email', 'phone'] },
+      {
+        model: PurchaseOrderItem,
+        as: 'items',
+        include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku', 'barcode', 'unit', 'currentStock', 'costPrice'] }]
+      }
+    ],
+    order: [[{ model: PurchaseOrderItem, as: 'items' }, 'createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Validate order lines against the establishment's products
+ * @param {Array} items - [{ productId, quantity, expectedUnitCost?, notes? }]
+ */
+const buildLines = async (establishmentId, items, transaction) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw statusError('La orden necesita al menos un producto', 400);
+  }
+
+  const products = await Product.findAll({
+    where: { id: { [Op.in]: items.map(i => i.productId) }, establishmentId },
+    transaction
+  });
+  const byId = new Map(products.map(p => [p.id, p]));
+
+  return items.map(item => {
+    const product = byId.get(item.productId);
+    if (!product) {
+      throw statusError(`Producto ${item.productId} no encontrado`, 404);
+    }
+    if (!product.trackStock) {
+      throw statusError(`${product.name} no controla stock`, 400);
+    }
+    const quantity = parseInt(item.quantity, 10);
+    if (!quantity || quantity < 1) {
+      throw statusError(`Cantidad inválida para ${product.name}`, 400);
+    }
+    const expectedUnitCost = item.expectedUnitCost != null && item.expectedUnitCost !== ''
+      ? parseFloat(item.expectedUnitCost)
+      : parseFloat(product.costPrice) || null;
+
+    return {
+      productId: product.id,
+      quantityOrdered: quantity,
+      expectedUnitCost,
+      notes: item.notes || null
+    };
+  });
+};
+
+const expectedTotalOf = (lines) =>
+  round2(lines.reduce((sum, line) => sum + line.quantityOrdered * (parseFloat(line.expectedUnitCost) || 0), 0));
+
+/**
+ * Draft a purchase order
+ * @param {Object} data - { establishmentId, supplierId, items, expectedDate?, notes? }
+ */
+const createPurchaseOrder = async ({ establishmentId, supplierId, items, expectedDate, notes }, user) => {
+  const id = await sequelize.transaction(async (transaction) => {
+    const supplier = await Supplier.findOne({ where: { id: supplierId, establishmentId }, transaction });
+    if (!supplier) {
+      throw statusError('Proveedor no encontrado', 404);
+    }
+
+    const lines = await buildLines(establishmentId, items, transaction);
+
+    // Locking the establishment serializes its correlative numbers
+    await Establishment.findByPk(establishmentId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+    const lastNumber = await PurchaseOrder.max('orderNumber', { where: { establishmentId }, transaction });
+
+    const order = await PurchaseOrder.create({
+      establishmentId,
+      supplierId,
+      orderNumber: (lastNumber || 0) + 1,
+      expectedDate: expectedDate || null,
+      expectedTotal: expectedTotalOf(lines),
+      notes: notes || null,
+      createdById: user.id
+    }, { transaction });
+
+    await PurchaseOrderItem.bulkCreate(lines.map(line => ({ ...line, purchaseOrderId: order.id })), { transaction });
+    return order.id;
+  });
+
+  return getPurchaseOrder(id);
+};
+
+/**
+ * Edit an order not received yet. Sending items replaces all its lines.
+ */
+const updatePurchaseOrder = async (id, { supplierId, items, expectedDate, notes }) => {
+  await sequelize.transaction(async (transaction) => {
+    const order = await PurchaseOrder.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!order) {
+      throw statusError('Orden de compra no encontrada', 404);
+    }
+    if (!['draft', 'sent'].includes(order.status)) {
+      throw statusError('Solo se pueden editar órdenes sin recepciones', 400);
+    }
+
+    const updates = {};
+    if (supplierId !== undefined) {
+      const supplier = await Supplier.findOne({ where: { id: supplierId, establishmentId: order.establishmentId }, transaction });
+      if (!supplier) {
+        throw statusError('Proveedor no encontrado', 404);
+      }
+      updates.supplierId = supplierId;
+    }
+    if (expectedDate !== undefined) updates.expectedDate = expectedDate || null;
+    if (notes !== undefined) updates.notes = notes || null;
+
+    if (items !== undefined) {
+      const lines = await buildLines(order.establishmentId, items, transaction);
+      await PurchaseOrderItem.destroy({ where: { purchaseOrderId: order.id }, transaction });
+      await PurchaseOrderItem.bulkCreate(lines.map(line => ({ ...line, purchaseOrderId: order.id })), { transaction });
+      updates.expectedTotal = expectedTotalOf(lines);
+    }
+
+    await order.update(updates, { transaction });
+  });
+
+  return getPurchaseOrder(id);
+};
+
+/**
+ * Mark a draft as sent to the supplier
+ */
+const sendPurchaseOrder = async (id) => {
+  await sequelize.transaction(async (transaction) => {
+    const order = await PurchaseOrder.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!order) {
+      throw statusError('Orden de compra no encontrada', 404);
+    }
+    if (order.status !== 'draft') {
+      throw statusError('La orden ya fue enviada', 400);
+    }
+    await order.update({ status: 'sent', sentAt: new Date() }, { transaction });
+  });
+  return getPurchaseOrder(id);
+};
+
+/**
+ * Cancel an order with nothing received yet
+ */
+const cancelPurchaseOrder = async (id) => {
+  // Locked like receiveGoods, so a reception and a cancellation can't both go through
+  await sequelize.transaction(async (transaction) => {
+    const order = await PurchaseOrder.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!order) {
+      throw statusError('Orden de compra no encontrada', 404);
+    }
+    if (!['draft', 'sent'].includes(order.status)) {
+      throw statusError('No se puede cancelar una orden con mercadería recibida', 400);
+    }
+    await order.update({ status: 'cancelled', cancelledAt: new Date() }, { transaction });
+  });
+  return getPurchaseOrder(id);
+};
+
+/**
+ * Supplier current account, created on its first charge
+ */
+const findOrCreateSupplierAccount = async (supplier, transaction) => {
+  const existing = await CurrentAccount.findOne({
+    where: { establishmentId: supplier.establishmentId, supplierId: supplier.id },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (existing) {
+    if (!existing.isActive) await existing.update({ isActive: true }, { transaction });
+    return existing;
+  }
+
+  return CurrentAccount.create({
+    establishmentId: supplier.establishmentId,
+    supplierId: supplier.id,
+    holderName: supplier.businessName || supplier.name,
+    holderPhone: supplier.phone,
+    holderEmail: supplier.email,
+    accountType: 'supplier'
+  }, { transaction });
+};
+
+/**
+ * Receive goods of an order
+ * @param {Object} receipt - {
+ *   items: [{ itemId, quantity, unitCost?, expiryDate?, lotNumber? }],
+ *   invoiceNumber?, invoiceType?, vatRate?, notes?,
+ *   chargeTo?: 'expense' | 'current_account',
+ *   paymentMethod?, cashRegisterId?, expenseCategory?  (expense only)
+ * }
+ * @returns {Promise<{order, movements, expense, accountMovement}>}
+ */
+const receiveGoods = async (id, receipt, user) => {
+  const { items, invoiceNumber, notes, chargeTo, paymentMethod, cashRegisterId, expenseCategory } = receipt;
+  const invoiceType = receipt.invoiceType ? parseInt(receipt.invoiceType, 10) : null;
+  const vatRate = receipt.vatRate != null && receipt.vatRate !== '' ? parseFloat(receipt.vatRate) : null;
+
+  if (chargeTo && !CHARGE_TARGETS.includes(chargeTo)) {
+    throw statusError(`chargeTo debe ser ${CHARGE_TARGETS.join(' o ')}`, 400);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw statusError('Indicá las cantidades recibidas', 400);
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const order = await PurchaseOrder.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!order) {
+      throw statusError('Orden de compra no encontrada', 404);
+    }
+    if (!['draft', 'sent', 'partially_received'].includes(order.status)) {
+      throw statusError('La orden no admite recepciones', 400);
+    }
+
+    const supplier = await Supplier.findByPk(order.supplierId, { transaction });
+    const lines = await PurchaseOrderItem.findAll({ where: { purchaseOrderId: order.id }, transaction });
+    const linesById = new Map(lines.map(line => [line.id, line]));
+    const orderLabel = formatOrderNumber(order);
+
+    const movements = [];
+    let receiptTotal = 0;
+
+    for (const received of items) {
+      const line = linesById.get(received.itemId);
+      if (!line) {
+        throw statusError(`Ítem ${received.itemId} no pertenece a la orden`, 404);
+      }
+      const quantity = parseInt(received.quantity, 10);
+      if (!quantity) continue;
+      if (quantity < 0) {
+        throw statusError('Las cantidades recibidas deben ser positivas', 400);
+      }
+
+      const unitCost = received.unitCost != null && received.unitCost !== ''
+        ? parseFloat(received.unitCost)
+        : parseFloat(line.expectedUnitCost) || 0;
+
+      const product = await Product.findByPk(line.productId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!product) {
+        throw statusError(`El producto ${line.productId} de la orden ya no existe`, 404);
+      }
+      const previousStock = product.currentStock;
+      const newStock = previousStock + quantity;
+
+      await product.update({
+        currentStock: newStock,
+        costPrice: weightedAverageCost(previousStock, product.costPrice, quantity, unitCost)
+      }, { transaction });
+
+      const movement = await StockMovement.create({
+        establishmentId: order.establishmentId,
+        productId: product.id,
+        userId: user.id,
+        type: 'entrada',
+        quantity,
+        previousStock,
+        newStock,
+        unitCost,
+        totalCost: round2(unitCost * quantity),
+        reason: 'Recepción de orden de compra',
+        notes: notes ? `${orderLabel} - ${notes}` : orderLabel,
+        referenceType: 'purchase_order',
+        referenceId: order.id,
+        invoiceNumber: invoiceNumber || null,
+        supplierId: order.supplierId,
+        invoiceType,
+        vatRate
+      }, { transaction });
+      await createLot({
+        movement,
+        unitCost,
+        expiryDate: received.expiryDate,
+        lotNumber: received.lotNumber
+      }, transaction);
+      movements.push(movement);
+
+      await line.update({
+        quantityReceived: line.quantityReceived + quantity,
+        receivedUnitCost: unitCost
+      }, { transaction });
+      receiptTotal += unitCost * quantity;
+    }
+
+    if (movements.length === 0) {
+      throw statusError('Indicá las cantidades recibidas', 400);
+    }
+
+    // Combos using the received products take their new average cost
+    await refreshCompositeCosts(movements.map(movement => movement.productId), transaction);
+
+    const netTotal = round2(receiptTotal);
+    const vatAmount = TIPOS_A.includes(invoiceType) && vatRate != null ? round2(netTotal * vatRate / 100) : null;
+    const invoiceTotal = round2(netTotal + (vatAmount || 0));
+    const description = `Compra ${orderLabel} - ${supplier.businessName || supplier.name}`;
+
+    let expense = null;
+    let accountMovement = null;
+
+    if (chargeTo === 'expense') {
+      // Same supplier + invoice number as the entradas, so the Libro IVA counts it once
+      expense = await Expense.create({
+        establishmentId: order.establishmentId,
+        cashRegisterId: cashRegisterId || null,
+        userId: user.id,
+        category: expenseCategory || DEFAULT_EXPENSE_CATEGORY,
+        description,
+        amount: invoiceTotal,
+        paymentMethod: paymentMethod || null,
+        invoiceNumber: invoiceNumber || null,
+        supplier: supplier.businessName || supplier.name,
+        supplierId: supplier.id,
+        invoiceType,
+        netAmount: vatAmount !== null ? netTotal : null,
+        vatRate: vatAmount !== null ? vatRate : null,
+        vatAmount,
+        notes: notes || null,
+        expenseDate: new Date().toISOString().split('T')[0]
+      }, { transaction });
+    } else if (chargeTo === 'current_account') {
+      const account = await findOrCreateSupplierAccount(supplier, transaction);
+      const balanceAfter = round2(parseFloat(account.currentBalance) + invoiceTotal);
+
+      accountMovement = await CurrentAccountMovement.create({
+        currentAccountId: account.id,
+        establishmentId: order.establishmentId,
+        movementType: 'purchase',
+        amount: invoiceTotal,
+        balanceAfter,
+        description: invoiceNumber ? `${description} (factura ${invoiceNumber})` : description,
+        registeredBy: user.id
+      }, { transaction });
+
+      await account.update({
+        currentBalance: balanceAfter,
+        totalPurchases: round2(parseFloat(account.totalPurchases) + invoiceTotal)
+      }, { transaction });
+    }
+
+    const complete = lines.every(line => line.quantityReceived >= line.quantityOrdered);
+    await order.update({
+      status: complete ? 'received' : 'partially_received',
+      receivedTotal: round2(parseFloat(order.receivedTotal) + netTotal),
+      sentAt: order.sentAt || new Date(),
+      ...(complete && { receivedAt: new Date() })
+    }, { transaction });
+
+    return { orderId: order.id, movements, expense, accountMovement, orderLabel };
+  });
+
+  console.log(`[PurchaseOrders] ${result.orderLabel} received: ${result.movements.length} lines${chargeTo ? ` (${chargeTo})` : ''}`);
+
+  return {
+    order: await getPurchaseOrder(result.orderId),
+    movements: result.movements,
+    expense: result.expense,
+    accountMovement: result.accountMovement
+  };
+};
+
+module.exports = {
+  CHARGE_TARGETS,
+  formatOrderNumber,
+  weightedAverageCost,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  cancelPurchaseOrder,
+  receiveGoods
+};
@@ -0,0 +1,253 @@
+/**
+ * Ratings Service
+ * ELO-style rating per player and sport, fed by the results of open matches
+ * (AvailableMatch.result) and tournament bracket matches.
+ *
+ * Doubles: each side plays with the average rating of its players, and every
+ * player moves by their own K factor times the side's surprise (score minus
+ * expected score). New players use a higher K until their rating settles.
+ *
+ * A result is identified by its source (sourceType, sourceId, sourceMatchId).
+ * Recording it again (a corrected result) reverts the previous changes of that
+ * source before applying the new ones.
+ */
+
+const { Op } = require('sequelize');
+const { PlayerRating, RatingHistory, User, sequelize } = require('../models');
+const { normalizeSport } = require('./matchmaking');
+const { round2 } = require('../utils/money');
+
+const DEFAULT_RATING = 1500;
+
+// Matches played before a rating stops being provisional
+const PROVISIONAL_MATCHES = 10;
+const K_PROVISIONAL = 40;
+const K_ESTABLISHED = 24;
+
+const kFactor = (rating) => (rating.matchesPlayed < PROVISIONAL_MATCHES ? K_PROVISIONAL : K_ESTABLISHED);
+
+/**
+ * Probability of side A beating side B
+ */
+const expectedScore = (ratingA, ratingB) => 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Rating of each user in a sport (DEFAULT_RATING for players without one)
+ * @returns {Promise<Map<string, number>>}
+ */
+const getRatings = async (userIds, sport) => {
+  const ratings = await PlayerRating.findAll({
+    where: { userId: { [Op.in]: userIds }, sport: normalizeSport(sport) },
+    attributes: ['userId', 'rating']
+  });
+  const byUser = new Map(userIds.map(id => [id, DEFAULT_RATING]));
+  ratings.forEach(r => byUser.set(r.userId, parseFloat(r.rating)));
+  return byUser;
+};
+
+const getRating = async (userId, sport) => (await getRatings([userId], sport)).get(userId);
+
+/**
+ * Whether a rating fits the match's minRating/maxRating (if any)
+ */
+const isWithinRatingRange = (match, rating) =>
+  (match.minRating == null || rating >= match.minRating) &&
+  (match.maxRating == null || rating <= match.maxRating);
+
+/**
+ * Average rating of a team (a single player is a team of one)
+ */
+const getTeamRating = async (userIds, sport) => {
+  const ratings = await getRatings(userIds, sport);
+  return round2(average([...ratings.values()]));
+};
+
+/**
+ * Undo the rating changes of a result source (before re-recording a
+ * corrected result)
+ * @returns {number} Changes reverted
+ */
+const revertResult = async ({ sourceType, sourceId, sourceMatchId = null }, transaction) => {
+  const entries = await RatingHistory.findAll({
+    where: { sourceType, sourceId, sourceMatchId, revertedAt: null },
+    transaction
+  });
+
+  for (const entry of entries) {
+    const rating = await PlayerRating.findOne({
+      where: { userId: entry.userId, sport: entry.sport },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (rating) {
+      await rating.update({
+        rating: round2(parseFloat(rating.rating) - parseFloat(entry.delta)),
+        matchesPlayed: Math.max(0, rating.matchesPlayed - 1),
+        wins: Math.max(0, rating.wins - (entry.result === 'win' ? 1 : 0)),
+        losses: Math.max(0, rating.losses - (entry.result === 'loss' ? 1 : 0)),
+        draws: Math.max(0, rating.draws - (entry.result === 'draw' ? 1 : 0))
+      }, { transaction });
+    }
+    await entry.update({ revertedAt: new Date() }, { transaction });
+  }
+
+  return entries.length;
+};
+
+/**
+ * Apply a result to the ratings of both sides
+ * @param {Object} params
+ * @param {string} params.sport
+ * @param {Array<string>} params.teamA - User ids of side A
+ * @param {Array<string>} params.teamB - User ids of side B
+ * @param {string} params.winner - 'A' | 'B' | 'draw'
+ * @param {string} params.sourceType - 'match' | 'tournament'
+ * @param {string} params.sourceId - AvailableMatch or Tournament id
+ * @param {string} [params.sourceMatchId] - Bracket match id
+ * @param {string} [params.establishmentId]
+ * @param {Transaction} [transaction] - Runs in its own transaction when omitted
+ * @returns {Promise<Array<RatingHistory>>} The new history entries
+ */
+const applyResult = async (params, transaction = null) => {
+  if (!transaction) {
+    return sequelize.transaction(t => applyResult(params, t));
+  }
+
+  const { teamA, teamB, winner, sourceType, sourceId, sourceMatchId = null, establishmentId = null } = params;
+  const sport = normalizeSport(params.sport);
+
+  await revertResult({ sourceType, sourceId, sourceMatchId }, transaction);
+
+  // Ratings are locked, always in the same order to avoid deadlocks, so
+  // concurrent results of the same players don't overwrite each other
+  const players = [...teamA, ...teamB].sort();
+  const ratings = new Map();
+  for (const userId of players) {
+    await PlayerRating.findOrCreate({
+      where: { userId, sport },
+      defaults: { userId, sport, rating: DEFAULT_RATING },
+      transaction
+    });
+    const rating = await PlayerRating.findOne({
+      where: { userId, sport },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    ratings.set(userId, rating);
+  }
+
+  const sideRating = (team) => average(team.map(id => parseFloat(ratings.get(id).rating)));
+  const expectedA = expectedScore(sideRating(teamA), sideRating(teamB));
+  const scoreA = winner === 'A' ? 1 : winner === 'B' ? 0 : 0.5;
+
+  const sides = [
+    { team: teamA, opponents: teamB, score: scoreA, expected: expectedA },
+    { team: teamB, opponents: teamA, score: 1 - scoreA, expected: 1 - expectedA }
+  ];
+
+  const history = [];
+  for (const side of sides) {
+    const result = side.score === 1 ? 'win' : side.score === 0 ? 'loss' : 'draw';
+
+    for (const userId of side.team) {
+      const rating = ratings.get(userId);
+      const before = parseFloat(rating.rating);
+      const delta = round2(kFactor(rating) * (side.score - side.expected));
+
+      await rating.update({
+        rating: round2(before + delta),
+        matchesPlayed: rating.matchesPlayed + 1,
+        wins: rating.wins + (result === 'win' ? 1 : 0),
+        losses: rating.losses + (result === 'loss' ? 1 : 0),
+        draws: rating.draws + (result === 'draw' ? 1 : 0),
+        lastPlayedAt: new Date()
+      }, { transaction });
+
+      history.push(await RatingHistory.create({
+        userId,
+        sport,
+        establishmentId,
+        sourceType,
+        sourceId,
+        sourceMatchId,
+        result,
+        ratingBefore: before,
+        ratingAfter: round2(before + delta),
+        delta,
+        partnerIds: side.team.filter(id => id !== userId),
+        opponentIds: side.opponents
+      }, { transaction }));
+    }
+  }
+
+  return history;
+};
+
+/**
+ * Players of a tournament participant: the registrant plus teammates that
+ * have an account (padel pairs register with their partner in players)
+ */
+const tournamentTeamUserIds = (participant) => {
+  const ids = [participant.userId, ...(participant.players || []).map(p => p?.userId)];
+  return [...new Set(ids.filter(Boolean))];
+};
+
+/**
+ * Leaderboard of a sport, optionally limited to players that played at an
+ * establishment or that live in a city
+ * @param {Object} filters - { sport, establishmentId?, city?, minMatches?, limit? }
+ */
+const getLeaderboard = async ({ sport, establishmentId = null, city = null, minMatches = 1, limit = 50 }) => {
+  const where = {
+    sport: normalizeSport(sport),
+    matchesPlayed: { [Op.gte]: minMatches }
+  };
+
+  if (establishmentId) {
+    const players = await RatingHistory.findAll({
+      where: { sport: where.sport, establishmentId, revertedAt: null },
+      attributes: [[sequelize.fn('DISTINCT', sequelize.col('userId')), 'userId']],
+      raw: true
+    });
+    where.userId = { [Op.in]: players.map(p => p.userId) };
+  }
+
+  const ratings = await PlayerRating.findAll({
+    where,
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'firstName', 'lastName', 'profileImage', 'city'],
+      where: city ? { city: { [Op.iLike]: `%${city}%` } } : undefined
+    }],
+    order: [['rating', 'DESC'], ['matchesPlayed', 'DESC']],
+    limit: Math.min(parseInt(limit, 10) || 50, 200)
+  });
+
+  return ratings.map((r, index) => ({
+    position: index + 1,
+    user: r.user,
+    rating: parseFloat(r.rating),
+    matchesPlayed: r.matchesPlayed,
+    wins: r.wins,
+    losses: r.losses,
+    draws: r.draws,
+    provisional: r.matchesPlayed < PROVISIONAL_MATCHES
+  }));
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  PROVISIONAL_MATCHES,
+  expectedScore,
+  getRatings,
+  getRating,
+  isWithinRatingRange,
+  getTeamRating,
+  applyResult,
+  revertResult,
+  tournamentTeamUserIds,
+  getLeaderboard
+};
@@ -0,0 +1,308 @@
+/**
+ * Reorder Suggestions Service
+ * What to buy, and from whom, based on how fast each product sells.
+ *
+ * Sales velocity is the average daily units sold over the last windowDays,
+ * from the venta StockMovements and the OrderItems of non-cancelled orders.
+ * Both record the same sales (every sale of a tracked product also writes
+ * its venta movement), so each day counts the larger of the two instead of
+ * their sum.
+ *
+ * A product needs reordering when the stock on hand plus what is already on
+ * order (open purchase orders) won't stay above minStock for the lead time
+ * plus the coverage days. The suggestion fills it up to maxStock (or, when it
+ * has none, to the horizon's projected sales plus minStock). Products are
+ * grouped by their last supplier (the one of their latest entrada).
+ */
+
+const { Op } = require('sequelize');
+const {
+  Product,
+  ProductCategory,
+  StockMovement,
+  Order,
+  OrderItem,
+  PurchaseOrder,
+  PurchaseOrderItem,
+  Supplier
+} = require('../models');
+const { createPurchaseOrder } = require('./purchaseOrders');
+const { round2 } = require('../utils/money');
+
+const DEFAULT_WINDOW_DAYS = 28;
+const DEFAULT_LEAD_TIME_DAYS = 3;
+const DEFAULT_COVERAGE_DAYS = 7;
+
+// Purchase orders whose pending units are already on the way
+const OPEN_ORDER_STATUSES = ['draft', 'sent', 'partially_received'];
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const positiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Units sold per product and day: Map<productId, Map<day, units>>
+ */
+const collectDailySales = async (establishmentId, productIds, since) => {
+  const movements = await StockMovement.findAll({
+    where: {
+      establishmentId,
+      productId: { [Op.in]: productIds },
+      type: 'venta',
+      createdAt: { [Op.gte]: since }
+    },
+    attributes: ['productId', 'quantity', 'createdAt'],
+    raw: true
+  });
+
+  const orderItems = await OrderItem.findAll({
+    where: { productId: { [Op.in]: productIds } },
+    attributes: ['productId', 'quantity'],
+    include: [{
+      model: Order,
+      as: 'order',
+      attributes: ['createdAt'],
+      where: {
+        establishmentId,
+        status: { [Op.notIn]: ['cancelled', 'refunded'] },
+        createdAt: { [Op.gte]: since }
+      }
+    }]
+  });
+
+  const add = (bucket, productId, day, units) => {
+    if (!bucket.has(productId)) bucket.set(productId, new Map());
+    const days = bucket.get(productId);
+    days.set(day, (days.get(day) || 0) + units);
+  };
+
+  const fromMovements = new Map();
+  for (const movement of movements) {
+    // Sales are negative movements; returns add back
+    add(fromMovements, movement.productId, dayKey(movement.createdAt), -movement.quantity);
+  }
+  const fromOrders = new Map();
+  for (const item of orderItems) {
+    add(fromOrders, item.productId, dayKey(item.order.createdAt), item.quantity);
+  }
+
+  const daily = new Map();
+  for (const productId of productIds) {
+    const a = fromMovements.get(productId) || new Map();
+    const b = fromOrders.get(productId) || new Map();
+    const days = new Map();
+    for (const day of new Set([...a.keys(), ...b.keys()])) {
+      days.set(day, Math.max(a.get(day) || 0, b.get(day) || 0, 0));
+    }
+    daily.set(productId, days);
+  }
+  return daily;
+};
+
+/**
+ * Units still pending on open purchase orders, per product
+ */
+const collectOnOrder = async (establishmentId, productIds) => {
+  const items = await PurchaseOrderItem.findAll({
+    where: { productId: { [Op.in]: productIds } },
+    attributes: ['productId', 'quantityOrdered', 'quantityReceived'],
+    include: [{
+      model: PurchaseOrder,
+      as: 'purchaseOrder',
+      attributes: ['id'],
+      where: { establishmentId, status: { [Op.in]: OPEN_ORDER_STATUSES } }
+    }]
+  });
+
+  const onOrder = new Map();
+  for (const item of items) {
+    const pending = Math.max(item.quantityOrdered - item.quantityReceived, 0);
+    onOrder.set(item.productId, (onOrder.get(item.productId) || 0) + pending);
+  }
+  return onOrder;
+};
+
+/**
+ * Supplier of the latest entrada of each product
+ */
+const collectLastSuppliers = async (establishmentId, productIds) => {
+  const entradas = await StockMovement.findAll({
+    where: {
+      establishmentId,
+      productId: { [Op.in]: productIds },
+      type: 'entrada',
+      supplierId: { [Op.ne]: null }
+    },
+    attributes: ['productId', 'supplierId', 'unitCost', 'createdAt'],
+    order: [['createdAt', 'DESC']],
+    raw: true
+  });
+
+  const last = new Map();
+  for (const entrada of entradas) {
+    if (!last.has(entrada.productId)) last.set(entrada.productId, entrada);
+  }
+  return last;
+};
+
+/**
+ * Reorder suggestions of an establishment, grouped by supplier
+ * @param {Object} options - { windowDays?, leadTimeDays?, coverageDays?, categoryId?, includeAll? }
+ * @returns {Promise<Object>} { parameters, suppliers: [{ supplier, items, estimatedCost }], totals }
+ */
+const getReorderSuggestions = async (establishmentId, options = {}) => {
+  const windowDays = positiveInt(options.windowDays, DEFAULT_WINDOW_DAYS);
+  const leadTimeDays = positiveInt(options.leadTimeDays, DEFAULT_LEAD_TIME_DAYS);
+  const coverageDays = positiveInt(options.coverageDays, DEFAULT_COVERAGE_DAYS);
+  const horizon = leadTimeDays + coverageDays;
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+
+  const where = { establishmentId, isActive: true, trackStock: true };
+  if (options.categoryId) where.categoryId = options.categoryId;
+
+  const products = await Product.findAll({
+    where,
+    include: [{ model: ProductCategory, as: 'category', attributes: ['id', 'name'] }],
+    order: [['name', 'ASC']]
+  });
+  const productIds = products.map(p => p.id);
+
+  const parameters = { windowDays, leadTimeDays, coverageDays };
+  if (productIds.length === 0) {
+    return { parameters, suppliers: [], totals: { products: 0, units: 0, estimatedCost: 0 } };
+  }
+
+  const [daily, onOrder, lastSuppliers] = await Promise.all([
+    collectDailySales(establishmentId, productIds, since),
+    collectOnOrder(establishmentId, productIds),
+    collectLastSuppliers(establishmentId, productIds)
+  ]);
+
+  const suggestions = [];
+  for (const product of products) {
+    const days = daily.get(product.id);
+    const unitsSold = [...days.values()].reduce((sum, units) => sum + units, 0);
+    const velocity = unitsSold / windowDays;
+    const peakDay = Math.max(0, ...days.values());
+
+    const stock = product.currentStock;
+    const pending = onOrder.get(product.id) || 0;
+    const minStock = product.minStock || 0;
+    const projected = stock + pending - velocity * horizon;
+
+    const target = product.maxStock
+      ? product.maxStock
+      : Math.ceil(velocity * horizon) + minStock;
+    const needsReorder = projected < minStock || stock + pending <= minStock;
+    const suggestedQuantity = needsReorder ? Math.max(Math.ceil(target - stock - pending), 0) : 0;
+
+    if (!options.includeAll && suggestedQuantity === 0) continue;
+
+    const last = lastSuppliers.get(product.id);
+    const unitCost = parseFloat(last?.unitCost) || parseFloat(product.costPrice) || 0;
+
+    suggestions.push({
+      productId: product.id,
+      name: product.name,
+      sku: product.sku,
+      unit: product.unit,
+      category: product.category ? product.category.name : null,
+      currentStock: stock,
+      minStock,
+      maxStock: product.maxStock,
+      onOrder: pending,
+      unitsSold,
+      dailyVelocity: round2(velocity),
+      peakDailySales: peakDay,
+      daysOfStockLeft: velocity > 0 ? round2(Math.max(stock, 0) / velocity) : null,
+      suggestedQuantity,
+      unitCost,
+      estimatedCost: round2(suggestedQuantity * unitCost),
+      supplierId: last?.supplierId || null
+    });
+  }
+
+  const supplierIds = [...new Set(suggestions.map(s => s.supplierId).filter(Boolean))];
+  const suppliers = await Supplier.findAll({
+    where: { id: { [Op.in]: supplierIds } },
+    attributes: ['id', 'name', 'businessName', 'phone', 'email']
+  });
+  const supplierById = new Map(suppliers.map(s => [s.id, s]));
+
+  const groups = new Map();
+  for (const suggestion of suggestions) {
+    const key = suggestion.supplierId || 'none';
+    if (!groups.has(key)) {
+      groups.set(key, {
+        supplier: supplierById.get(suggestion.supplierId) || null,
+        items: [],
+        estimatedCost: 0
+      });
+    }
+    const group = groups.get(key);
+    group.items.push(suggestion);
+    group.estimatedCost = round2(group.estimatedCost + suggestion.estimatedCost);
+  }
+
+  // Fastest to run out first
+  for (const group of groups.values()) {
+    group.items.sort((a, b) => (a.daysOfStockLeft ?? Infinity) - (b.daysOfStockLeft ?? Infinity));
+  }
+
+  const reorder = suggestions.filter(s => s.suggestedQuantity > 0);
+  return {
+    parameters,
+    suppliers: [...groups.values()],
+    totals: {
+      products: reorder.length,
+      units: reorder.reduce((sum, s) => sum + s.suggestedQuantity, 0),
+      estimatedCost: round2(reorder.reduce((sum, s) => sum + s.estimatedCost, 0))
+    }
+  };
+};
+
+/**
+ * Turn the suggestions into draft purchase orders, one per supplier
+ * (products without a known supplier are skipped)
+ * @param {Object} options - getReorderSuggestions options plus { supplierIds?, productIds? }
+ * @returns {Promise<Array<PurchaseOrder>>}
+ */
+const createDraftPurchaseOrders = async (establishmentId, options, user) => {
+  const { suppliers } = await getReorderSuggestions(establishmentId, { ...options, includeAll: false });
+  const orders = [];
+
+  for (const group of suppliers) {
+    if (!group.supplier) continue;
+    if (options.supplierIds && !options.supplierIds.includes(group.supplier.id)) continue;
+
+    const items = group.items
+      .filter(item => item.suggestedQuantity > 0)
+      .filter(item => !options.productIds || options.productIds.includes(item.productId))
+      .map(item => ({
+        productId: item.productId,
+        quantity: item.suggestedQuantity,
+        expectedUnitCost: item.unitCost || null
+      }));
+    if (items.length === 0) continue;
+
+    orders.push(await createPurchaseOrder({
+      establishmentId,
+      supplierId: group.supplier.id,
+      items,
+      notes: 'Generada desde las sugerencias de reposición'
+    }, user));
+  }
+
+  return orders;
+};
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  DEFAULT_LEAD_TIME_DAYS,
+  DEFAULT_COVERAGE_DAYS,
+  getReorderSuggestions,
+  createDraftPurchaseOrders
+};
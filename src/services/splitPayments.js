@@ -0,0 +1,513 @@
+/**
+ * Split Payments Service
+ * Lifecycle of shared bookings paid in parts (SplitPayment + participants).
+ *
+ * While a split is open the scheduler reminds the participants that haven't
+ * paid (email and WhatsApp, every REMINDER_INTERVAL_HOURS, up to MAX_REMINDERS
+ * times). At expiresAt the split expires and the establishment's
+ * splitPaymentFallback decides what happens with the unpaid remainder:
+ *   - cancel_booking: the booking is cancelled and the paid shares refunded
+ *   - charge_organizer: the booking stays and the remainder is charged to
+ *     the organizer: their store credit pays what it can and the rest
+ *     becomes a split_payment ClientDebt to pay at the venue
+ *   - client_debt: the booking stays and the remainder becomes a
+ *     split_payment ClientDebt of the organizer
+ *
+ * Cancelling an unsettled split (or its booking) refunds the paid shares.
+ * Shares paid after the split expired or was cancelled are refunded too.
+ * Refunds Mercado Pago rejects stay owed (the share isn't marked refunded)
+ * and the scheduler retries them with a growing delay, up to
+ * MAX_REFUND_ATTEMPTS times.
+ */
+
+const { Op } = require('sequelize');
+const {
+  SplitPayment,
+  SplitPaymentParticipant,
+  Booking,
+  BookingPayment,
+  Establishment,
+  ClientDebt,
+  User,
+  sequelize
+} = require('../models');
+const mpService = require('./mercadopago');
+const { sendSplitPaymentReminder, sendSplitPaymentExpired, formatCurrency } = require('./email');
+const { sendSplitPaymentReminderWhatsApp } = require('./whatsappNotification');
+const { syncClientDebtStatus } = require('./clientDebts');
+const { STORE_CREDIT_METHOD, getCreditBalance, spendCredit } = require('./clientCredits');
+const { round2 } = require('../utils/money');
+
+const REMINDER_INTERVAL_HOURS = 6;
+const MAX_REMINDERS = 3;
+
+// Rejected refunds are retried after 1h, 2h, 4h... and given up after the last attempt
+const REFUND_RETRY_BASE_HOURS = 1;
+const MAX_REFUND_ATTEMPTS = 5;
+
+const FALLBACKS = ['cancel_booking', 'charge_organizer', 'client_debt'];
+
+const payUrl = (splitPayment) =>
+  splitPayment.inviteLink || `${process.env.FRONTEND_URL || 'http://localhost:4555'}/pago-compartido/${splitPayment.inviteCode}`;
+
+const formatDateTime = (booking) => {
+  const [y, m, d] = booking.date.split('-');
+  return `${d}/${m}/${y} a las ${booking.startTime.slice(0, 5)}`;
+};
+
+/**
+ * Remind one participant by every channel they have
+ */
+const remindParticipant = async (participant, splitPayment) => {
+  const { booking, organizer } = splitPayment;
+  const establishment = booking.establishment;
+  const organizerName = organizer ? `${organizer.firstName} ${organizer.lastName}`.trim() : null;
+
+  const emailSent = await sendSplitPaymentReminder({
+    email: participant.email,
+    name: participant.name,
+    amount: parseFloat(participant.amount),
+    expiresAt: splitPayment.expiresAt,
+    payUrl: payUrl(splitPayment),
+    organizerName,
+    date: booking.date,
+    startTime: booking.startTime
+  }, establishment);
+
+  const whatsapp = participant.phone
+    ? await sendSplitPaymentReminderWhatsApp({
+      participantPhone: participant.phone,
+      participantName: participant.name,
+      organizerName,
+      establishmentName: establishment.name,
+      dateTime: formatDateTime(booking),
+      amount: parseFloat(participant.amount),
+      inviteCode: splitPayment.inviteCode
+    })
+    : { success: false };
+
+  return emailSent || whatsapp.success;
+};
+
+/**
+ * Remind the participants of open splits whose share is still unpaid
+ * @returns {Promise<number>} Reminders sent
+ */
+const sendDueSplitReminders = async (now = new Date()) => {
+  try {
+    const dueBefore = new Date(now.getTime() - REMINDER_INTERVAL_HOURS * 60 * 60 * 1000);
+
+    const splitPayments = await SplitPayment.findAll({
+      where: {
+        status: { [Op.in]: ['pending', 'partial'] },
+        expiresAt: { [Op.gt]: now }
+      },
+      include: [
+        {
+          model: SplitPaymentParticipant,
+          as: 'participants',
+          where: {
+            status: 'pending',
+            remindersSent: { [Op.lt]: MAX_REMINDERS },
+            [Op.or]: [
+              { lastReminderAt: { [Op.lte]: dueBefore } },
+              { lastReminderAt: null, invitedAt: { [Op.lte]: dueBefore } }
+            ]
+          }
+        },
+        {
+          model: Booking,
+          as: 'booking',
+          where: { status: { [Op.ne]: 'cancelled' } },
+          include: [{ model: Establishment, as: 'establishment', attributes: ['id', 'name', 'slug'] }]
+        },
+        { model: User, as: 'organizer', attributes: ['id', 'firstName', 'lastName'] }
+      ]
+    });
+
+    let sent = 0;
+    for (const splitPayment of splitPayments) {
+      for (const participant of splitPayment.participants) {
+        try {
+          const reminded = await remindParticipant(participant, splitPayment);
+          await participant.update({
+            remindersSent: participant.remindersSent + 1,
+            lastReminderAt: now
+          });
+          if (reminded) sent++;
+        } catch (error) {
+          console.error(`[SplitPayments] Error reminding participant ${participant.id}:`, error.message);
+        }
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`[SplitPayments] Sent ${sent} payment reminders`);
+    }
+    return sent;
+  } catch (error) {
+    console.error('[SplitPayments] Error sending payment reminders:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Refund a paid share through Mercado Pago and mark it refunded. A rejected
+ * refund is counted for the retry backoff.
+ * @returns {Promise<Object>} { participantId, amount, status, error? }
+ */
+const refundParticipant = async (participant) => {
+  const amount = round2(parseFloat(participant.amount) || 0);
+  if (!participant.mpPaymentId) {
+    console.error(`[SplitPayments] Participant ${participant.id} has no Mercado Pago payment to refund`);
+    return { participantId: participant.id, amount, status: 'failed', error: 'Sin pago de Mercado Pago' };
+  }
+
+  // Shares are collected with the platform account, so the refund goes through it too
+  let result;
+  try {
+    result = await mpService.refundPayment(participant.mpPaymentId);
+  } catch (error) {
+    console.error(`[SplitPayments] MP refund failed for participant ${participant.id}:`, error.message);
+    await participant.update({
+      refundAttempts: (participant.refundAttempts || 0) + 1,
+      lastRefundAttemptAt: new Date()
+    });
+    return { participantId: participant.id, amount, status: 'failed', error: error.message };
+  }
+
+  await participant.update({
+    status: 'refunded',
+    refundedAmount: amount,
+    refundedAt: new Date()
+  });
+  console.log(`[SplitPayments] Refunded $${amount} to participant ${participant.id}`);
+  return { participantId: participant.id, amount, refundId: result.id, status: result.status || 'approved' };
+};
+
+/**
+ * Call off a split: pending shares are cancelled and paid shares refunded
+ * @returns {Promise<Array<Object>>} Refunds
+ */
+const cancelSplitPayment = async (splitPayment) => {
+  await SplitPaymentParticipant.update(
+    { status: 'cancelled' },
+    { where: { splitPaymentId: splitPayment.id, status: 'pending' } }
+  );
+  await splitPayment.update({ status: 'cancelled', cancelledAt: new Date() });
+
+  const paid = await SplitPaymentParticipant.findAll({
+    where: { splitPaymentId: splitPayment.id, status: 'paid' }
+  });
+
+  const refunds = [];
+  for (const participant of paid) {
+    refunds.push(await refundParticipant(participant));
+  }
+  return refunds;
+};
+
+/**
+ * Cancel the unsettled split of a cancelled booking, if any
+ * (completed splits already paid the booking and follow its own policy)
+ * @returns {Promise<Array<Object>>} Refunds
+ */
+const cancelSplitForBooking = async (booking) => {
+  const splitPayment = await SplitPayment.findOne({
+    where: { bookingId: booking.id, status: { [Op.in]: ['pending', 'partial', 'expired'] } }
+  });
+  if (!splitPayment) return [];
+  return cancelSplitPayment(splitPayment);
+};
+
+/**
+ * Charge the unpaid remainder of an expired split as a debt of the organizer
+ */
+const createRemainderDebt = async (splitPayment, booking, remainder, transaction) => {
+  const organizer = await User.findByPk(splitPayment.organizerId, { attributes: ['id', 'email'], transaction });
+  const clientEmail = (organizer?.email || booking.clientEmail || '').toLowerCase();
+
+  const debt = await ClientDebt.create({
+    clientId: booking.clientId || null,
+    userId: splitPayment.organizerId,
+    clientEmail,
+    establishmentId: booking.establishmentId,
+    bookingId: booking.id,
+    amount: remainder,
+    reason: 'split_payment',
+    description: `Saldo sin pagar del pago compartido de la reserva del ${booking.date} a las ${booking.startTime.slice(0, 5)}`
+  }, { transaction });
+
+  console.log(`[Debt] Created split payment debt: ${debt.id} for $${debt.amount}`);
+  return debt;
+};
+
+/**
+ * Charge the unpaid remainder of an expired split to the organizer. Their
+ * store credit pays what it can (recorded as a booking payment) and the rest
+ * becomes their debt.
+ * @returns {Promise<Object>} { creditCharged, debt }
+ */
+const chargeOrganizer = async (splitPayment, booking, remainder, transaction) => {
+  const organizer = await User.findByPk(splitPayment.organizerId, { attributes: ['id', 'email'], transaction });
+  const holder = {
+    establishmentId: booking.establishmentId,
+    clientId: booking.clientId || null,
+    userId: splitPayment.organizerId,
+    clientEmail: organizer?.email || booking.clientEmail || null
+  };
+
+  const balance = await getCreditBalance({ ...holder, transaction });
+  const creditCharged = round2(Math.min(Math.max(balance, 0), remainder));
+  if (creditCharged > 0) {
+    await spendCredit({
+      ...holder,
+      amount: creditCharged,
+      bookingId: booking.id,
+      description: `Saldo del pago compartido de la reserva del ${booking.date} a las ${booking.startTime.slice(0, 5)}`,
+      transaction
+    });
+    await BookingPayment.create({
+      bookingId: booking.id,
+      amount: creditCharged,
+      method: STORE_CREDIT_METHOD,
+      playerName: 'Organizador',
+      notes: 'Saldo del pago compartido vencido',
+      paymentType: 'declared',
+      paidAt: new Date()
+    }, { transaction });
+  }
+
+  const owed = round2(remainder - creditCharged);
+  const debt = owed > 0 ? await createRemainderDebt(splitPayment, booking, owed, transaction) : null;
+  return { creditCharged, debt };
+};
+
+const paidTotal = (participants) => round2(participants.reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0));
+
+/**
+ * Expire a split and apply the establishment's fallback to the remainder.
+ * The split only leaves pending/partial once the fallback is done, so a
+ * failed run is retried by the next scheduler pass.
+ * @returns {Promise<Object|null>} Fallback outcome (null if the split was already settled)
+ */
+const applyExpiry = async (splitPayment) => {
+  const booking = await Booking.findByPk(splitPayment.bookingId, {
+    include: [{ model: Establishment, as: 'establishment' }]
+  });
+  const establishment = booking.establishment;
+
+  const action = booking.status === 'cancelled'
+    ? 'cancel_booking'
+    : (FALLBACKS.includes(establishment.splitPaymentFallback) ? establishment.splitPaymentFallback : 'charge_organizer');
+
+  let outcome;
+  let message;
+
+  if (action === 'cancel_booking') {
+    const paid = await SplitPaymentParticipant.findAll({
+      where: { splitPaymentId: splitPayment.id, status: 'paid' }
+    });
+    const paidAmount = paidTotal(paid);
+    outcome = {
+      action,
+      paidAmount,
+      remainder: round2(parseFloat(splitPayment.totalAmount) - paidAmount),
+      debtId: null,
+      refunds: [],
+      processedAt: new Date()
+    };
+
+    if (booking.status !== 'cancelled') {
+      // Required here to avoid a circular import. The cancellation cancels the
+      // split and refunds its paid shares (cancelSplitForBooking).
+      const { executeCancellation } = require('./cancellationPolicy');
+      const cancellation = await executeCancellation(booking, establishment, {
+        reason: 'Pago compartido vencido',
+        applyPolicy: false
+      });
+      outcome.refunds = cancellation.outcome.splitRefunds || [];
+    } else {
+      outcome.refunds = await cancelSplitPayment(splitPayment);
+    }
+    await splitPayment.update({ fallbackOutcome: outcome });
+
+    message = paidAmount > 0
+      ? `La reserva se canceló y se reintegraron ${formatCurrency(paidAmount)} a quienes habían pagado`
+      : 'La reserva se canceló';
+  } else {
+    let debt = null;
+    outcome = await sequelize.transaction(async (transaction) => {
+      await splitPayment.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      if (!['pending', 'partial'].includes(splitPayment.status)) {
+        return null;
+      }
+
+      await SplitPaymentParticipant.update(
+        { status: 'cancelled' },
+        { where: { splitPaymentId: splitPayment.id, status: 'pending' }, transaction }
+      );
+      const paid = await SplitPaymentParticipant.findAll({
+        where: { splitPaymentId: splitPayment.id, status: 'paid' },
+        transaction
+      });
+      const paidAmount = paidTotal(paid);
+      const remainder = round2(parseFloat(splitPayment.totalAmount) - paidAmount);
+      const result = { action, paidAmount, remainder, debtId: null, creditCharged: 0, refunds: [], processedAt: new Date() };
+
+      const bookingUpdates = {
+        depositAmount: Math.max(parseFloat(booking.depositAmount) || 0, paidAmount),
+        ...(booking.status === 'pending' && { status: 'confirmed', confirmedAt: new Date() })
+      };
+
+      if (remainder <= 0) {
+        bookingUpdates.paymentStatus = 'completed';
+        message = 'La reserva sigue en pie';
+      } else if (action === 'client_debt') {
+        debt = await createRemainderDebt(splitPayment, booking, remainder, transaction);
+        result.debtId = debt.id;
+        bookingUpdates.paymentStatus = 'completed';
+        message = `La reserva sigue en pie y quedó una deuda de ${formatCurrency(remainder)} a tu nombre`;
+      } else {
+        const charge = await chargeOrganizer(splitPayment, booking, remainder, transaction);
+        debt = charge.debt;
+        result.debtId = debt?.id || null;
+        result.creditCharged = charge.creditCharged;
+        bookingUpdates.paymentStatus = 'completed';
+        message = debt
+          ? `La reserva sigue en pie y el saldo de ${formatCurrency(debt.amount)} quedó a tu cargo para abonar en el establecimiento`
+          : 'La reserva sigue en pie y el saldo se descontó de tu saldo a favor';
+        if (debt && charge.creditCharged > 0) {
+          message += ` (se descontaron ${formatCurrency(charge.creditCharged)} de tu saldo a favor)`;
+        }
+      }
+
+      await booking.update(bookingUpdates, { transaction });
+      await splitPayment.update({ status: 'expired', fallbackOutcome: result }, { transaction });
+      return result;
+    });
+
+    if (!outcome) return null;
+    if (debt) {
+      await syncClientDebtStatus({
+        establishmentId: booking.establishmentId,
+        clientId: booking.clientId,
+        clientEmail: debt.clientEmail
+      });
+    }
+  }
+
+  const organizer = await User.findByPk(splitPayment.organizerId, { attributes: ['id', 'email', 'firstName', 'lastName'] });
+  sendSplitPaymentExpired({
+    email: organizer?.email || booking.clientEmail,
+    name: organizer ? `${organizer.firstName} ${organizer.lastName}`.trim() : booking.clientName,
+    date: booking.date,
+    startTime: booking.startTime,
+    remainder: outcome.remainder,
+    fallback: action,
+    message
+  }, establishment).catch(error => console.error('[SplitPayments] Error sending expiry email:', error.message));
+
+  console.log(`[SplitPayments] Split ${splitPayment.id} expired with $${outcome.remainder} unpaid (${action})`);
+  return outcome;
+};
+
+/**
+ * Expire the open splits whose expiresAt passed
+ * @returns {Promise<number>} Splits expired
+ */
+const expireSplitPayments = async (now = new Date()) => {
+  try {
+    const expired = await SplitPayment.findAll({
+      where: {
+        status: { [Op.in]: ['pending', 'partial'] },
+        expiresAt: { [Op.lte]: now }
+      }
+    });
+
+    let count = 0;
+    for (const splitPayment of expired) {
+      try {
+        await applyExpiry(splitPayment);
+        count++;
+      } catch (error) {
+        console.error(`[SplitPayments] Error expiring split ${splitPayment.id}:`, error.message);
+      }
+    }
+    return count;
+  } catch (error) {
+    console.error('[SplitPayments] Error expiring splits:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Whether a rejected refund is due for another try: never tried, or the
+ * backoff of its last attempt passed (and attempts remain)
+ */
+const isRefundRetryDue = (participant, now) => {
+  const attempts = participant.refundAttempts || 0;
+  if (attempts >= MAX_REFUND_ATTEMPTS) return false;
+  if (!participant.lastRefundAttemptAt) return true;
+  const delayMs = REFUND_RETRY_BASE_HOURS * Math.pow(2, Math.max(attempts - 1, 0)) * 60 * 60 * 1000;
+  return new Date(participant.lastRefundAttemptAt).getTime() + delayMs <= now.getTime();
+};
+
+/**
+ * Retry the refunds Mercado Pago rejected: shares still paid in a cancelled
+ * split and shares paid after their split expired or was cancelled. Shares
+ * that used up MAX_REFUND_ATTEMPTS are left to be refunded by hand.
+ * @returns {Promise<number>} Shares refunded
+ */
+const retryFailedSplitRefunds = async (now = new Date()) => {
+  try {
+    const owed = await SplitPaymentParticipant.findAll({
+      where: {
+        mpPaymentId: { [Op.ne]: null },
+        paidAt: { [Op.ne]: null },
+        refundAttempts: { [Op.lt]: MAX_REFUND_ATTEMPTS },
+        [Op.or]: [
+          { status: 'cancelled' },
+          { status: 'paid', '$splitPayment.status$': 'cancelled' }
+        ]
+      },
+      include: [{
+        model: SplitPayment,
+        as: 'splitPayment',
+        attributes: ['id', 'status'],
+        where: { status: { [Op.in]: ['expired', 'cancelled'] } }
+      }]
+    });
+
+    let refunded = 0;
+    for (const participant of owed.filter(p => isRefundRetryDue(p, now))) {
+      const refund = await refundParticipant(participant);
+      if (refund.status !== 'failed') {
+        refunded++;
+      } else if (participant.refundAttempts >= MAX_REFUND_ATTEMPTS) {
+        console.error(`[SplitPayments] Giving up refunding participant ${participant.id} after ${participant.refundAttempts} attempts: refund it by hand`);
+      }
+    }
+
+    if (refunded > 0) {
+      console.log(`[SplitPayments] Refunded ${refunded} shares on retry`);
+    }
+    return refunded;
+  } catch (error) {
+    console.error('[SplitPayments] Error retrying share refunds:', error.message);
+    return 0;
+  }
+};
+
+module.exports = {
+  REMINDER_INTERVAL_HOURS,
+  MAX_REMINDERS,
+  MAX_REFUND_ATTEMPTS,
+  FALLBACKS,
+  sendDueSplitReminders,
+  expireSplitPayments,
+  retryFailedSplitRefunds,
+  cancelSplitPayment,
+  cancelSplitForBooking,
+  refundParticipant
+};
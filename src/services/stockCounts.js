@@ -0,0 +1,402 @@
+/**
+ * Stock Counts Service
+ * Physical inventory audits.
+ *
+ * A count is opened for some or all categories of tracked products. Staff
+ * then enter the counted quantities, typing them or scanning barcodes (each
+ * scan adds units; the code may be a barcode or a sku). When a product is
+ * counted its item snapshots the system stock at that moment, and the
+ * variance (valued at its costPrice) is the counted quantity against that
+ * snapshot: sales keep moving stock during the count and must not show up
+ * as a difference.
+ *
+ * Approving the count, in one transaction, applies each variance as a delta
+ * to the live stock (so the sales made since the product was counted are
+ * kept) and posts one movement per counted product with a difference: ajuste
+ * for surpluses and merma (or ajuste) for shortages, taken from the lots
+ * FIFO, all with
+ * referenceType 'stock_count' and the count as referenceId. Each item keeps
+ * its movement, so every adjustment can be traced back to the count that
+ * caused it. Products left uncounted are not adjusted.
+ */
+
+const { Op } = require('sequelize');
+const {
+  StockCount,
+  StockCountItem,
+  Product,
+  ProductCategory,
+  StockMovement,
+  Establishment,
+  User,
+  sequelize
+} = require('../models');
+const { takeFromLots, saveAllocations } = require('./stockLots');
+const { statusError } = require('../utils/errors');
+const { round2 } = require('../utils/money');
+
+const STOCK_COUNT_REFERENCE = 'stock_count';
+
+// Movement type for missing units
+const SHORTAGE_TYPES = ['merma', 'ajuste'];
+
+const COUNT_MODES = ['set', 'add'];
+
+const formatCountNumber = (count) => `CI-${String(count.countNumber).padStart(4, '0')}`;
+
+/**
+ * Variance and cost impact of an item: fixed once approved, against the
+ * stock snapshotted when it was counted while the count is open
+ */
+const itemVariance = (item, status) => {
+  if (status === 'approved') {
+    return {
+      variance: item.variance,
+      varianceCost: item.variance != null ? round2(item.variance * parseFloat(item.unitCost || 0)) : null
+    };
+  }
+  if (item.countedQuantity == null) {
+    return { variance: null, varianceCost: null };
+  }
+  const variance = item.countedQuantity - item.systemStock;
+  return { variance, varianceCost: round2(variance * parseFloat(item.product.costPrice || 0)) };
+};
+
+const matchesSearch = (product, search) => {
+  const term = search.trim().toLowerCase();
+  return [product.name, product.sku, product.barcode]
+    .some(value => value && value.toLowerCase().includes(term));
+};
+
+/**
+ * Count with its items, their variances and a summary
+ * @param {Object} filters - { search?, state?: 'pending' | 'counted' | 'variance' }
+ */
+const getStockCount = async (id, { search, state } = {}) => {
+  const count = await StockCount.findByPk(id, {
+    include: [
+      { model: User, as: 'createdBy', attributes: ['id', 'firstName', 'lastName'] },
+      { model: User, as: 'approvedBy', attributes: ['id', 'firstName', 'lastName'] },
+      {
+        model: StockCountItem,
+        as: 'items',
+        include: [{
+          model: Product,
+          as: 'product',
+          attributes: ['id', 'name', 'sku', 'barcode', 'unit', 'currentStock', 'costPrice', 'categoryId'],
+          include: [{ model: ProductCategory, as: 'category', attributes: ['id', 'name'] }]
+        }]
+      }
+    ],
+    order: [[{ model: StockCountItem, as: 'items' }, { model: Product, as: 'product' }, 'name', 'ASC']]
+  });
+  if (!count) {
+    throw statusError('Conteo no encontrado', 404);
+  }
+
+  const summary = {
+    products: 0,
+    counted: 0,
+    pending: 0,
+    withVariance: 0,
+    surplusUnits: 0,
+    shortageUnits: 0,
+    surplusCost: 0,
+    shortageCost: 0,
+    netCost: 0
+  };
+
+  const items = count.items.map(item => {
+    const { variance, varianceCost } = itemVariance(item, count.status);
+
+    summary.products++;
+    if (item.countedQuantity == null) {
+      summary.pending++;
+    } else {
+      summary.counted++;
+    }
+    if (variance) {
+      summary.withVariance++;
+      if (variance > 0) {
+        summary.surplusUnits += variance;
+        summary.surplusCost = round2(summary.surplusCost + varianceCost);
+      } else {
+        summary.shortageUnits += -variance;
+        summary.shortageCost = round2(summary.shortageCost - varianceCost);
+      }
+      summary.netCost = round2(summary.netCost + varianceCost);
+    }
+
+    return { ...item.toJSON(), variance, varianceCost };
+  });
+
+  const filtered = items.filter(item => {
+    if (search && !matchesSearch(item.product, search)) return false;
+    if (state === 'pending') return item.countedQuantity == null;
+    if (state === 'counted') return item.countedQuantity != null;
+    if (state === 'variance') return !!item.variance;
+    return true;
+  });
+
+  const json = count.toJSON();
+  return { ...json, number: formatCountNumber(json), items: filtered, summary };
+};
+
+/**
+ * Open a count of the establishment's tracked products
+ * @param {Object} data - { establishmentId, categoryIds?, notes? } (no categoryIds = every category)
+ */
+const createStockCount = async ({ establishmentId, categoryIds, notes }, user) => {
+  const categories = Array.isArray(categoryIds) && categoryIds.length > 0 ? categoryIds : null;
+
+  const id = await sequelize.transaction(async (transaction) => {
+    // Locking the establishment serializes its correlative numbers and open counts
+    await Establishment.findByPk(establishmentId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+    const open = await StockCount.findOne({ where: { establishmentId, status: 'open' }, transaction });
+    if (open) {
+      throw statusError(`Ya hay un conteo abierto (${formatCountNumber(open)})`, 409);
+    }
+
+    const where = { establishmentId, isActive: true, trackStock: true };
+    if (categories) where.categoryId = { [Op.in]: categories };
+    const products = await Product.findAll({ where, attributes: ['id', 'currentStock'], transaction });
+    if (products.length === 0) {
+      throw statusError('No hay productos con control de stock para contar', 400);
+    }
+
+    const lastNumber = await StockCount.max('countNumber', { where: { establishmentId }, transaction });
+    const count = await StockCount.create({
+      establishmentId,
+      countNumber: (lastNumber || 0) + 1,
+      categoryIds: categories,
+      notes: notes || null,
+      createdById: user.id
+    }, { transaction });
+
+    await StockCountItem.bulkCreate(products.map(product => ({
+      stockCountId: count.id,
+      productId: product.id,
+      systemStock: product.currentStock
+    })), { transaction });
+
+    return count.id;
+  });
+
+  return getStockCount(id);
+};
+
+/**
+ * Enter counted quantities. Each entry identifies its product by productId
+ * or by code (barcode or sku); mode 'set' replaces the counted quantity
+ * (null clears it) and 'add' adds to it, as each barcode scan does.
+ * @param {Array} entries - [{ productId?, code?, quantity, mode?: 'set' | 'add', notes? }]
+ * @returns {Promise<Array<Object>>} The updated items with their variance
+ */
+const recordCounts = async (id, entries, user) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw statusError('No hay cantidades para registrar', 400);
+  }
+
+  // The count is locked so counts can't land on one that is being approved or cancelled
+  return sequelize.transaction(async (transaction) => {
+    const count = await StockCount.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!count) {
+      throw statusError('Conteo no encontrado', 404);
+    }
+    if (count.status !== 'open') {
+      throw statusError('El conteo ya está cerrado', 400);
+    }
+
+    const updated = [];
+    for (const entry of entries) {
+      let productIds = entry.productId ? [entry.productId] : [];
+      if (!entry.productId && entry.code) {
+        const code = String(entry.code).trim();
+        const matches = await Product.findAll({
+          where: {
+            establishmentId: count.establishmentId,
+            [Op.or]: [{ barcode: code }, { sku: code }]
+          },
+          attributes: ['id'],
+          transaction
+        });
+        if (matches.length === 0) {
+          throw statusError(`No hay ningún producto con el código ${code}`, 404);
+        }
+        productIds = matches.map(match => match.id);
+      }
+
+      const item = await StockCountItem.findOne({
+        where: { stockCountId: count.id, productId: { [Op.in]: productIds } },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!item) {
+        throw statusError('El producto no forma parte de este conteo', 404);
+      }
+      const product = await Product.findByPk(item.productId, {
+        attributes: ['id', 'name', 'sku', 'barcode', 'unit', 'currentStock', 'costPrice'],
+        transaction
+      });
+
+      const mode = entry.mode || 'set';
+      if (!COUNT_MODES.includes(mode)) {
+        throw statusError(`mode debe ser ${COUNT_MODES.join(' o ')}`, 400);
+      }
+      let countedQuantity;
+      if (mode === 'add') {
+        const quantity = entry.quantity != null ? parseInt(entry.quantity, 10) : 1;
+        if (!Number.isInteger(quantity)) {
+          throw statusError(`Cantidad inválida para ${product.name}`, 400);
+        }
+        countedQuantity = (item.countedQuantity || 0) + quantity;
+      } else if (entry.quantity === null) {
+        countedQuantity = null;
+      } else {
+        countedQuantity = parseInt(entry.quantity, 10);
+        if (!Number.isInteger(countedQuantity)) {
+          throw statusError(`Cantidad inválida para ${product.name}`, 400);
+        }
+      }
+      if (countedQuantity !== null && countedQuantity < 0) {
+        throw statusError(`La cantidad contada de ${product.name} no puede ser negativa`, 400);
+      }
+
+      // The system stock is taken when the product is first counted (or
+      // recounted from scratch), not on every scan that adds to it
+      const snapshot = countedQuantity !== null && (item.countedQuantity == null || mode === 'set');
+
+      await item.update({
+        countedQuantity,
+        ...(snapshot && { systemStock: product.currentStock }),
+        countedById: countedQuantity === null ? null : user.id,
+        countedAt: countedQuantity === null ? null : new Date(),
+        ...(entry.notes !== undefined && { notes: entry.notes || null })
+      }, { transaction });
+
+      const json = { ...item.toJSON(), product: product.toJSON() };
+      updated.push({ ...json, ...itemVariance(json, count.status) });
+    }
+
+    return updated;
+  });
+};
+
+/**
+ * Approve a count: apply the variance of every counted product with a
+ * difference to its live stock and post the adjustment
+ * @param {Object} options - { shortageType?: 'merma' | 'ajuste' }
+ * @returns {Promise<{count, movements}>}
+ */
+const approveStockCount = async (id, { shortageType = 'merma' } = {}, user) => {
+  if (!SHORTAGE_TYPES.includes(shortageType)) {
+    throw statusError(`shortageType debe ser ${SHORTAGE_TYPES.join(' o ')}`, 400);
+  }
+
+  const movements = await sequelize.transaction(async (transaction) => {
+    const count = await StockCount.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!count) {
+      throw statusError('Conteo no encontrado', 404);
+    }
+    if (count.status !== 'open') {
+      throw statusError('El conteo ya está cerrado', 400);
+    }
+
+    const items = await StockCountItem.findAll({
+      where: { stockCountId: count.id, countedQuantity: { [Op.ne]: null } },
+      transaction
+    });
+    if (items.length === 0) {
+      throw statusError('No hay productos contados', 400);
+    }
+
+    const posted = [];
+    let varianceCost = 0;
+    for (const item of items) {
+      const product = await Product.findByPk(item.productId, { transaction, lock: transaction.LOCK.UPDATE });
+      const previousStock = product.currentStock;
+      const variance = item.countedQuantity - item.systemStock;
+      const newStock = previousStock + variance;
+      let unitCost = parseFloat(product.costPrice) || 0;
+
+      let movement = null;
+      if (variance !== 0) {
+        await product.update({ currentStock: newStock }, { transaction });
+
+        // Missing units come out of the lots FIFO, at their cost
+        let allocations = [];
+        if (variance < 0) {
+          const taken = await takeFromLots(product, -variance, {}, transaction);
+          allocations = taken.allocations;
+          unitCost = round2(taken.totalCost / -variance);
+        }
+
+        movement = await StockMovement.create({
+          establishmentId: count.establishmentId,
+          productId: product.id,
+          type: variance > 0 ? 'ajuste' : shortageType,
+          quantity: variance,
+          previousStock,
+          newStock,
+          unitCost,
+          totalCost: round2(unitCost * Math.abs(variance)),
+          reason: 'Conteo de inventario',
+          notes: `Conteo ${formatCountNumber(count)}${item.notes ? ` - ${item.notes}` : ''}`,
+          referenceType: STOCK_COUNT_REFERENCE,
+          referenceId: count.id,
+          userId: user.id
+        }, { transaction });
+        await saveAllocations(movement, allocations, transaction);
+        posted.push(movement);
+        varianceCost += variance * unitCost;
+      }
+
+      await item.update({
+        variance,
+        unitCost,
+        stockMovementId: movement ? movement.id : null
+      }, { transaction });
+    }
+
+    await count.update({
+      status: 'approved',
+      varianceCost: round2(varianceCost),
+      approvedById: user.id,
+      approvedAt: new Date()
+    }, { transaction });
+
+    return posted;
+  });
+
+  console.log(`[StockCount] Count ${id} approved with ${movements.length} adjustments`);
+  return { count: await getStockCount(id), movements };
+};
+
+/**
+ * Discard an open count without touching stock
+ */
+const cancelStockCount = async (id) => {
+  await sequelize.transaction(async (transaction) => {
+    const count = await StockCount.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!count) {
+      throw statusError('Conteo no encontrado', 404);
+    }
+    if (count.status !== 'open') {
+      throw statusError('El conteo ya está cerrado', 400);
+    }
+    await count.update({ status: 'cancelled', cancelledAt: new Date() }, { transaction });
+  });
+  return getStockCount(id);
+};
+
+module.exports = {
+  STOCK_COUNT_REFERENCE,
+  SHORTAGE_TYPES,
+  formatCountNumber,
+  getStockCount,
+  createStockCount,
+  recordCounts,
+  approveStockCount,
+  cancelStockCount
+};
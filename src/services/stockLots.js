@@ -0,0 +1,298 @@
+/**
+ * Stock Lots Service
+ * Expiry dates and FIFO cost of the stock on hand.
+ *
+ * Every entrada creates a lot with its quantity, unit cost and (optional)
+ * expiry date and supplier lot code. Outflows (sales, salidas, mermas and
+ * negative adjustments) take units from the oldest lots first; a merma can
+ * instead name the lot it comes from (the expired one, for example). Each
+ * movement records the units it took from each lot (StockLotAllocation)
+ * and is valued at their cost, so StockMovement.totalCost of a sale is its
+ * FIFO cost of goods sold. Returned sales go back to the lots they most
+ * likely came from (the newest consumed ones).
+ *
+ * Stock without a lot (positive adjustments, or a product that had stock
+ * before lots existed and no migration ran) is consumed last and valued at
+ * the product's costPrice. Units sold beyond the stock on hand are valued the
+ * same way, and the next entrada covers them before forming its lot.
+ */
+
+const { Op } = require('sequelize');
+const {
+  StockLot,
+  StockLotAllocation,
+  StockMovement,
+  Product,
+  ProductComponent,
+  ProductCategory
+} = require('../models');
+const { statusError } = require('../utils/errors');
+const { round2 } = require('../utils/money');
+
+const DEFAULT_EXPIRY_ALERT_DAYS = 7;
+
+const lockOf = (transaction) => (transaction ? { transaction, lock: transaction.LOCK.UPDATE } : {});
+
+const todayKey = () => new Date().toISOString().slice(0, 10);
+
+const isValidExpiryDate = (expiryDate) => !expiryDate || !isNaN(new Date(expiryDate).getTime());
+
+/**
+ * Lot of the units brought in by an entrada movement. When the product was
+ * oversold (negative stock) the entrada first covers the units already sold,
+ * which were valued at costPrice, so only the units left on hand form the lot.
+ * @param {Object} data - { movement, unitCost?, expiryDate?, lotNumber? }
+ * @returns {Promise<StockLot|null>} null when no units are left on hand
+ */
+const createLot = async ({ movement, unitCost, expiryDate, lotNumber }, transaction = null) => {
+  if (!isValidExpiryDate(expiryDate)) {
+    throw statusError('Fecha de vencimiento inválida', 400);
+  }
+  const quantity = movement.previousStock < 0
+    ? Math.min(movement.quantity, Math.max(movement.newStock, 0))
+    : movement.quantity;
+  if (quantity <= 0) {
+    return null;
+  }
+
+  return StockLot.create({
+    establishmentId: movement.establishmentId,
+    productId: movement.productId,
+    stockMovementId: movement.id,
+    lotNumber: lotNumber || null,
+    expiryDate: expiryDate || null,
+    initialQuantity: quantity,
+    remainingQuantity: quantity,
+    unitCost: parseFloat(unitCost ?? movement.unitCost) || 0
+  }, { transaction });
+};
+
+/**
+ * Take units out of the product's lots: FIFO, or all from lotId when given.
+ * Doesn't write the allocations (see saveAllocations) so the movement can be
+ * created with the resulting cost first.
+ * @returns {Promise<{allocations: Array<{lot, quantity, unitCost}>, totalCost: number}>}
+ */
+const takeFromLots = async (product, quantity, { lotId } = {}, transaction = null) => {
+  const allocations = [];
+  let pending = quantity;
+
+  if (lotId) {
+    const lot = await StockLot.findOne({ where: { id: lotId, productId: product.id }, ...lockOf(transaction) });
+    if (!lot) {
+      throw statusError('Lote no encontrado', 404);
+    }
+    if (quantity > lot.remainingQuantity) {
+      throw statusError(`El lote solo tiene ${lot.remainingQuantity} unidades`, 400);
+    }
+    allocations.push({ lot, quantity, unitCost: parseFloat(lot.unitCost) });
+    pending = 0;
+  } else {
+    const lots = await StockLot.findAll({
+      where: { productId: product.id, remainingQuantity: { [Op.gt]: 0 } },
+      order: [['createdAt', 'ASC']],
+      ...lockOf(transaction)
+    });
+    for (const lot of lots) {
+      if (pending === 0) break;
+      const taken = Math.min(lot.remainingQuantity, pending);
+      allocations.push({ lot, quantity: taken, unitCost: parseFloat(lot.unitCost) });
+      pending -= taken;
+    }
+  }
+
+  for (const allocation of allocations) {
+    await allocation.lot.update({
+      remainingQuantity: allocation.lot.remainingQuantity - allocation.quantity
+    }, { transaction });
+  }
+
+  const lotCost = allocations.reduce((sum, a) => sum + a.quantity * a.unitCost, 0);
+  return {
+    allocations,
+    totalCost: round2(lotCost + pending * (parseFloat(product.costPrice) || 0))
+  };
+};
+
+/**
+ * Put returned units back into the newest lots that had units taken
+ * @returns {Promise<{allocations, totalCost}>} allocations with negative quantities
+ */
+const returnToLots = async (product, quantity, transaction = null) => {
+  const lots = await StockLot.findAll({
+    where: {
+      productId: product.id,
+      remainingQuantity: { [Op.lt]: StockLot.sequelize.col('initialQuantity') }
+    },
+    order: [['createdAt', 'DESC']],
+    ...lockOf(transaction)
+  });
+
+  const allocations = [];
+  let pending = quantity;
+  for (const lot of lots) {
+    if (pending === 0) break;
+    const returned = Math.min(lot.initialQuantity - lot.remainingQuantity, pending);
+    await lot.update({ remainingQuantity: lot.remainingQuantity + returned }, { transaction });
+    allocations.push({ lot, quantity: -returned, unitCost: parseFloat(lot.unitCost) });
+    pending -= returned;
+  }
+
+  const lotCost = allocations.reduce((sum, a) => sum - a.quantity * a.unitCost, 0);
+  return {
+    allocations,
+    totalCost: round2(lotCost + pending * (parseFloat(product.costPrice) || 0))
+  };
+};
+
+/**
+ * Record which lots a movement took its units from
+ */
+const saveAllocations = (movement, allocations, transaction = null) => {
+  if (allocations.length === 0) return [];
+  return StockLotAllocation.bulkCreate(allocations.map(allocation => ({
+    lotId: allocation.lot.id,
+    stockMovementId: movement.id,
+    quantity: allocation.quantity,
+    unitCost: allocation.unitCost
+  })), { transaction });
+};
+
+/**
+ * Lots of a product, oldest first
+ * @param {Object} options - { includeEmpty? }
+ */
+const getProductLots = (productId, { includeEmpty = false } = {}) => {
+  const where = { productId };
+  if (!includeEmpty) where.remainingQuantity = { [Op.gt]: 0 };
+  return StockLot.findAll({
+    where,
+    include: [{ model: StockMovement, as: 'entrada', attributes: ['id', 'invoiceNumber', 'supplierId', 'createdAt'] }],
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Lots with units left that expire within the next days (or already expired)
+ * @param {Object} options - { days?, categoryId? }
+ * @returns {Promise<Object>} { days, lots, totals }
+ */
+const getExpiringLots = async (establishmentId, { days, categoryId } = {}) => {
+  const parsedDays = parseInt(days, 10);
+  const window = parsedDays >= 0 ? parsedDays : DEFAULT_EXPIRY_ALERT_DAYS;
+  const today = todayKey();
+  const limit = new Date(Date.now() + window * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const productWhere = { isActive: true };
+  if (categoryId) productWhere.categoryId = categoryId;
+
+  const lots = await StockLot.findAll({
+    where: {
+      establishmentId,
+      remainingQuantity: { [Op.gt]: 0 },
+      expiryDate: { [Op.ne]: null, [Op.lte]: limit }
+    },
+    include: [{
+      model: Product,
+      as: 'product',
+      where: productWhere,
+      attributes: ['id', 'name', 'sku', 'unit', 'salePrice'],
+      include: [{ model: ProductCategory, as: 'category', attributes: ['id', 'name'] }]
+    }],
+    order: [['expiryDate', 'ASC'], ['createdAt', 'ASC']]
+  });
+
+  const rows = lots.map(lot => {
+    const daysToExpiry = Math.round((new Date(lot.expiryDate) - new Date(today)) / (24 * 60 * 60 * 1000));
+    return {
+      ...lot.toJSON(),
+      daysToExpiry,
+      expired: daysToExpiry < 0,
+      valueAtCost: round2(lot.remainingQuantity * parseFloat(lot.unitCost))
+    };
+  });
+
+  return {
+    days: window,
+    lots: rows,
+    totals: {
+      lots: rows.length,
+      expired: rows.filter(row => row.expired).length,
+      units: rows.reduce((sum, row) => sum + row.remainingQuantity, 0),
+      valueAtCost: round2(rows.reduce((sum, row) => sum + row.valueAtCost, 0))
+    }
+  };
+};
+
+/**
+ * FIFO unit cost of the units sold of each product in a period: the cost of
+ * its venta movements over the units they took out. Combos and prepared
+ * products add up their components'; products without sales movements in the
+ * period fall back to their costPrice.
+ * @returns {Promise<Map<productId, number>>}
+ */
+const getFifoUnitCosts = async (establishmentId, productIds, start, end) => {
+  if (productIds.length === 0) return new Map();
+
+  const products = await Product.findAll({
+    where: { id: { [Op.in]: productIds } },
+    attributes: ['id', 'costPrice'],
+    include: [{
+      model: ProductComponent,
+      as: 'components',
+      attributes: ['componentId', 'quantity'],
+      include: [{ model: Product, as: 'component', attributes: ['id', 'costPrice'] }]
+    }]
+  });
+
+  const costed = new Set(productIds);
+  for (const product of products) {
+    for (const line of product.components) costed.add(line.componentId);
+  }
+
+  const movements = await StockMovement.findAll({
+    where: {
+      establishmentId,
+      productId: { [Op.in]: [...costed] },
+      type: 'venta',
+      quantity: { [Op.lt]: 0 },
+      createdAt: { [Op.between]: [start, end] }
+    },
+    attributes: ['productId', 'quantity', 'totalCost'],
+    raw: true
+  });
+
+  const sold = new Map();
+  for (const movement of movements) {
+    const entry = sold.get(movement.productId) || { units: 0, cost: 0 };
+    entry.units += -movement.quantity;
+    entry.cost += parseFloat(movement.totalCost) || 0;
+    sold.set(movement.productId, entry);
+  }
+
+  const unitCostOf = (productId, costPrice) => {
+    const entry = sold.get(productId);
+    return entry && entry.units > 0 ? entry.cost / entry.units : parseFloat(costPrice) || 0;
+  };
+
+  const unitCosts = new Map();
+  for (const product of products) {
+    const unitCost = product.components.length > 0
+      ? product.components.reduce((sum, line) => sum + line.quantity * unitCostOf(line.componentId, line.component.costPrice), 0)
+      : unitCostOf(product.id, product.costPrice);
+    unitCosts.set(product.id, round2(unitCost));
+  }
+  return unitCosts;
+};
+
+module.exports = {
+  DEFAULT_EXPIRY_ALERT_DAYS,
+  isValidExpiryDate,
+  createLot,
+  takeFromLots,
+  returnToLots,
+  saveAllocations,
+  getProductLots,
+  getExpiringLots,
+  getFifoUnitCosts
+};
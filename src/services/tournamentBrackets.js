@@ -0,0 +1,747 @@
+/**
+ * Tournament Brackets Service
+ * Builds and updates the bracket structure stored in Tournament.brackets
+ *
+ * Every format is represented as a flat list of matches. Knockout matches are
+ * linked through nextMatchId/nextSlot (winner) and loserNextMatchId/loserNextSlot
+ * (loser, double elimination only), so advancing a result is the same operation
+ * for every format. Byes are resolved automatically when a match ends up with a
+ * single participant.
+ */
+
+const BRACKETS_VERSION = 1;
+
+const DEFAULT_SETTINGS = {
+  pointsPerWin: 3,
+  pointsPerDraw: 1,
+  pointsPerLoss: 0,
+  groupCount: null,
+  advancePerGroup: 2
+};
+
+const GROUP_NAMES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Order participants by seed (unseeded last, then by registration date)
+ * or shuffle them when seeding is random
+ */
+function orderParticipants(participants, seeding = 'seed') {
+  const list = [...participants];
+
+  if (seeding === 'random') {
+    for (let i = list.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+  }
+
+  return list.sort((a, b) => {
+    const seedA = a.seed ?? Number.MAX_SAFE_INTEGER;
+    const seedB = b.seed ?? Number.MAX_SAFE_INTEGER;
+    if (seedA !== seedB) return seedA - seedB;
+    return new Date(a.registeredAt || 0) - new Date(b.registeredAt || 0);
+  });
+}
+
+/**
+ * Standard bracket seed order for a power-of-two bracket size.
+ * For 8: [1, 8, 4, 5, 2, 7, 3, 6] so top seeds only meet in later rounds.
+ */
+function getSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size *= 2;
+  return size;
+}
+
+function createMatch(id, fields) {
+  return {
+    id,
+    bracket: fields.bracket,
+    group: fields.group || null,
+    round: fields.round,
+    position: fields.position,
+    participant1Id: fields.participant1Id || null,
+    participant2Id: fields.participant2Id || null,
+    pendingSources: fields.pendingSources || 0,
+    nextMatchId: null,
+    nextSlot: null,
+    loserNextMatchId: null,
+    loserNextSlot: null,
+    winnerId: null,
+    loserId: null,
+    isDraw: false,
+    isBye: false,
+    sets: [],
+    status: 'pending',
+    completedAt: null
+  };
+}
+
+function link(from, to, slot, asLoser = false) {
+  if (asLoser) {
+    from.loserNextMatchId = to.id;
+    from.loserNextSlot = slot;
+  } else {
+    from.nextMatchId = to.id;
+    from.nextSlot = slot;
+  }
+  to.pendingSources += 1;
+}
+
+/**
+ * Build the winners bracket (used alone for single elimination)
+ * @returns {Array<Array<Object>>} matches grouped by round
+ */
+function buildWinnersBracket(orderedIds, prefix = 'W', bracket = 'winners') {
+  const size = nextPowerOfTwo(Math.max(orderedIds.length, 2));
+  const seedOrder = getSeedOrder(size);
+  const rounds = [];
+
+  const firstRound = [];
+  for (let i = 0; i < size / 2; i++) {
+    const seed1 = seedOrder[i * 2];
+    const seed2 = seedOrder[i * 2 + 1];
+    firstRound.push(createMatch(`${prefix}1-${i + 1}`, {
+      bracket,
+      round: 1,
+      position: i + 1,
+      participant1Id: orderedIds[seed1 - 1],
+      participant2Id: orderedIds[seed2 - 1]
+    }));
+  }
+  rounds.push(firstRound);
+
+  let round = 1;
+  while (rounds[rounds.length - 1].length > 1) {
+    round++;
+    const previous = rounds[rounds.length - 1];
+    const current = [];
+    for (let i = 0; i < previous.length / 2; i++) {
+      const match = createMatch(`${prefix}${round}-${i + 1}`, { bracket, round, position: i + 1 });
+      link(previous[i * 2], match, 1);
+      link(previous[i * 2 + 1], match, 2);
+      current.push(match);
+    }
+    rounds.push(current);
+  }
+
+  return rounds;
+}
+
+/**
+ * Build the losers bracket and grand final on top of an existing winners bracket
+ */
+function buildLosersBracket(winnersRounds) {
+  const matches = [];
+  const k = winnersRounds.length;
+  let previous = null;
+  let round = 0;
+
+  for (let w = 1; w < k; w++) {
+    if (w === 1) {
+      // Losers of W1 play each other
+      round++;
+      const current = [];
+      const source = winnersRounds[0];
+      for (let i = 0; i < source.length / 2; i++) {
+        const match = createMatch(`L${round}-${i + 1}`, { bracket: 'losers', round, position: i + 1 });
+        link(source[i * 2], match, 1, true);
+        link(source[i * 2 + 1], match, 2, true);
+        current.push(match);
+      }
+      matches.push(...current);
+      previous = current;
+    } else {
+      // Survivors of the previous losers round pair up before facing new drop-downs
+      round++;
+      const current = [];
+      for (let i = 0; i < previous.length / 2; i++) {
+        const match = createMatch(`L${round}-${i + 1}`, { bracket: 'losers', round, position: i + 1 });
+        link(previous[i * 2], match, 1);
+        link(previous[i * 2 + 1], match, 2);
+        current.push(match);
+      }
+      matches.push(...current);
+      previous = current;
+    }
+
+    // Losers bracket survivors face the losers of the next winners round.
+    // Drop-downs are crossed (reversed) to avoid immediate rematches.
+    round++;
+    const dropSource = [...winnersRounds[w]].reverse();
+    const current = [];
+    for (let i = 0; i < previous.length; i++) {
+      const match = createMatch(`L${round}-${i + 1}`, { bracket: 'losers', round, position: i + 1 });
+      link(previous[i], match, 1);
+      link(dropSource[i], match, 2, true);
+      current.push(match);
+    }
+    matches.push(...current);
+    previous = current;
+  }
+
+  const winnersFinal = winnersRounds[k - 1][0];
+  const grandFinal = createMatch('GF', { bracket: 'grand_final', round: 1, position: 1 });
+  link(winnersFinal, grandFinal, 1);
+  if (previous) {
+    link(previous[0], grandFinal, 2);
+  } else {
+    // Two-player bracket: the loser of the only match gets a second chance
+    link(winnersFinal, grandFinal, 2, true);
+  }
+  matches.push(grandFinal);
+
+  return matches;
+}
+
+/**
+ * Round robin pairings using the circle method
+ */
+function buildRoundRobin(orderedIds, { prefix = 'RR', bracket = 'round_robin', group = null } = {}) {
+  const ids = [...orderedIds];
+  if (ids.length % 2 === 1) ids.push(null);
+
+  const n = ids.length;
+  const matches = [];
+
+  for (let round = 1; round < n; round++) {
+    let position = 0;
+    for (let i = 0; i < n / 2; i++) {
+      const home = ids[i];
+      const away = ids[n - 1 - i];
+      if (home === null || away === null) continue;
+      position++;
+      matches.push(createMatch(`${prefix}${round}-${position}`, {
+        bracket,
+        group,
+        round,
+        position,
+        participant1Id: round % 2 === 0 ? away : home,
+        participant2Id: round % 2 === 0 ? home : away
+      }));
+    }
+    // Keep the first participant fixed and rotate the rest
+    ids.splice(1, 0, ids.pop());
+  }
+
+  return matches;
+}
+
+/**
+ * Split seeded participants into groups using snake order so every group
+ * receives a similar mix of strong and weak seeds
+ */
+function splitIntoGroups(orderedIds, groupCount) {
+  const groups = Array.from({ length: groupCount }, (_, i) => ({
+    name: GROUP_NAMES[i],
+    participantIds: []
+  }));
+
+  orderedIds.forEach((id, index) => {
+    const lap = Math.floor(index / groupCount);
+    const offset = index % groupCount;
+    const groupIndex = lap % 2 === 0 ? offset : groupCount - 1 - offset;
+    groups[groupIndex].participantIds.push(id);
+  });
+
+  return groups;
+}
+
+function findMatch(brackets, matchId) {
+  return brackets.matches.find(m => m.id === matchId);
+}
+
+/**
+ * Mark a match as finished and push winner/loser into the linked matches
+ */
+function completeMatch(brackets, match, { winnerId, loserId, isBye = false }) {
+  match.winnerId = winnerId || null;
+  match.loserId = loserId || null;
+  match.isBye = isBye;
+  match.status = isBye ? 'bye' : 'completed';
+  match.completedAt = isBye ? null : new Date().toISOString();
+
+  if (match.nextMatchId) {
+    feedSlot(brackets, findMatch(brackets, match.nextMatchId), match.nextSlot, match.winnerId);
+  }
+  if (match.loserNextMatchId) {
+    feedSlot(brackets, findMatch(brackets, match.loserNextMatchId), match.loserNextSlot, match.loserId);
+  }
+}
+
+function feedSlot(brackets, match, slot, participantId) {
+  match[`participant${slot}Id`] = participantId || null;
+  match.pendingSources -= 1;
+  evaluateMatch(brackets, match);
+}
+
+/**
+ * Decide whether a match is ready to be played or must be resolved as a bye
+ */
+function evaluateMatch(brackets, match) {
+  if (match.pendingSources > 0 || match.status !== 'pending') return;
+
+  const { participant1Id, participant2Id } = match;
+
+  if (participant1Id && participant2Id) {
+    match.status = 'ready';
+    return;
+  }
+
+  completeMatch(brackets, match, {
+    winnerId: participant1Id || participant2Id,
+    loserId: null,
+    isBye: true
+  });
+}
+
+function resolveInitialByes(brackets) {
+  brackets.matches
+    .filter(m => m.pendingSources === 0 && m.status === 'pending')
+    .forEach(m => evaluateMatch(brackets, m));
+}
+
+/**
+ * Build the full bracket structure for a tournament
+ * @param {Object} params
+ * @param {string} params.format - Tournament format
+ * @param {Array<Object>} params.participants - TournamentParticipant rows (plain objects)
+ * @param {string} params.seeding - 'seed' (default) or 'random'
+ * @param {Object} params.settings - Overrides for DEFAULT_SETTINGS
+ */
+function generateBrackets({ format, participants, seeding = 'seed', settings = {} }) {
+  const minimum = format === 'double_elimination' ? 3 : 2;
+  if (!participants || participants.length < minimum) {
+    throw new Error(`At least ${minimum} confirmed participants are required for ${format}`);
+  }
+
+  const ordered = orderParticipants(participants, seeding);
+  const orderedIds = ordered.map(p => p.id);
+  const mergedSettings = { ...DEFAULT_SETTINGS, ...settings };
+
+  const brackets = {
+    version: BRACKETS_VERSION,
+    format,
+    generatedAt: new Date().toISOString(),
+    settings: mergedSettings,
+    participants: ordered.map((p, index) => ({
+      id: p.id,
+      userId: p.userId,
+      teamName: p.teamName,
+      seed: index + 1
+    })),
+    groups: [],
+    stage: null,
+    matches: [],
+    championId: null
+  };
+
+  switch (format) {
+    case 'single_elimination': {
+      brackets.matches = buildWinnersBracket(orderedIds).flat();
+      brackets.stage = 'knockout';
+      break;
+    }
+    case 'double_elimination': {
+      const winnersRounds = buildWinnersBracket(orderedIds);
+      brackets.matches = [...winnersRounds.flat(), ...buildLosersBracket(winnersRounds)];
+      brackets.stage = 'knockout';
+      break;
+    }
+    case 'round_robin': {
+      brackets.matches = buildRoundRobin(orderedIds);
+      brackets.stage = 'round_robin';
+      break;
+    }
+    case 'group_stage': {
+      const groupCount = mergedSettings.groupCount || Math.max(1, Math.round(orderedIds.length / 4));
+      if (orderedIds.length < groupCount * 2) {
+        throw new Error('Each group needs at least 2 participants');
+      }
+      if (mergedSettings.advancePerGroup < 1) {
+        throw new Error('advancePerGroup must be at least 1');
+      }
+      mergedSettings.groupCount = groupCount;
+      brackets.groups = splitIntoGroups(orderedIds, groupCount);
+      brackets.matches = brackets.groups.flatMap(group =>
+        buildRoundRobin(group.participantIds, {
+          prefix: `G${group.name}`,
+          bracket: 'group',
+          group: group.name
+        })
+      );
+      brackets.stage = 'groups';
+      break;
+    }
+    default:
+      throw new Error(`Unsupported tournament format: ${format}`);
+  }
+
+  resolveInitialByes(brackets);
+  return brackets;
+}
+
+/**
+ * Work out the winner of a match from its sets when no explicit winner is given
+ */
+function getWinnerFromSets(match, sets) {
+  let won1 = 0;
+  let won2 = 0;
+  for (const set of sets) {
+    if (set.p1 > set.p2) won1++;
+    else if (set.p2 > set.p1) won2++;
+  }
+  if (won1 === won2) return null;
+  return won1 > won2 ? match.participant1Id : match.participant2Id;
+}
+
+function normalizeSets(sets) {
+  if (!Array.isArray(sets)) return [];
+  return sets.map(set => {
+    const p1 = parseInt(set.p1, 10);
+    const p2 = parseInt(set.p2, 10);
+    if (Number.isNaN(p1) || Number.isNaN(p2) || p1 < 0 || p2 < 0) {
+      throw new Error('Each set must have numeric p1 and p2 scores');
+    }
+    return { p1, p2 };
+  });
+}
+
+function isKnockoutMatch(match) {
+  return ['winners', 'losers', 'grand_final', 'knockout'].includes(match.bracket);
+}
+
+/**
+ * Whether any match fed by this one (following auto-resolved byes) has been played
+ */
+function hasPlayedDownstream(brackets, match) {
+  return [match.nextMatchId, match.loserNextMatchId]
+    .filter(Boolean)
+    .map(id => findMatch(brackets, id))
+    .some(next => next.status === 'completed' || (next.status === 'bye' && hasPlayedDownstream(brackets, next)));
+}
+
+/**
+ * Replace a participant in a downstream slot (used when correcting a result).
+ * Byes already resolved with the old participant are carried forward too.
+ */
+function replaceInSlot(brackets, matchId, slot, oldId, newId) {
+  if (!matchId) return;
+  const target = findMatch(brackets, matchId);
+  if (target[`participant${slot}Id`] !== oldId) return;
+
+  target[`participant${slot}Id`] = newId;
+  if (target.status === 'bye' && target.winnerId === oldId) {
+    target.winnerId = newId;
+    replaceInSlot(brackets, target.nextMatchId, target.nextSlot, oldId, newId);
+  }
+}
+
+/**
+ * Record the result of a match and advance the bracket
+ * @param {Object} brackets - Current Tournament.brackets value (mutated)
+ * @param {string} matchId
+ * @param {Object} result - { winnerId?, sets?, walkover?, isDraw? }
+ * @returns {Object} The updated match
+ */
+function recordMatchResult(brackets, matchId, result = {}) {
+  const match = findMatch(brackets, matchId);
+  if (!match) {
+    const error = new Error('Match not found');
+    error.status = 404;
+    throw error;
+  }
+
+  if (match.isBye) {
+    throw new Error('Bye matches do not take results');
+  }
+  if (match.status === 'pending') {
+    throw new Error('Match participants are not defined yet');
+  }
+
+  const sets = normalizeSets(result.sets);
+  let winnerId = result.winnerId || (sets.length ? getWinnerFromSets(match, sets) : null);
+  const isDraw = !winnerId && !!result.isDraw;
+
+  if (winnerId && ![match.participant1Id, match.participant2Id].includes(winnerId)) {
+    throw new Error('Winner must be one of the match participants');
+  }
+  if (!winnerId && !isDraw) {
+    throw new Error('A winner (or sets that decide one) is required');
+  }
+  if (isDraw && isKnockoutMatch(match)) {
+    throw new Error('Knockout matches cannot end in a draw');
+  }
+
+  const loserId = winnerId
+    ? (winnerId === match.participant1Id ? match.participant2Id : match.participant1Id)
+    : null;
+
+  if (match.status === 'completed') {
+    // Corrections are only allowed while the following matches are still unplayed
+    if (hasPlayedDownstream(brackets, match)) {
+      throw new Error('Cannot change a result once the next match has been played');
+    }
+    if (match.bracket === 'group' && brackets.stage !== 'groups') {
+      throw new Error('Cannot change group results once the knockout stage has started');
+    }
+
+    replaceInSlot(brackets, match.nextMatchId, match.nextSlot, match.winnerId, winnerId);
+    replaceInSlot(brackets, match.loserNextMatchId, match.loserNextSlot, match.loserId, loserId);
+
+    Object.assign(match, {
+      winnerId,
+      loserId,
+      isDraw,
+      sets,
+      walkover: !!result.walkover,
+      completedAt: new Date().toISOString()
+    });
+  } else {
+    match.sets = sets;
+    match.isDraw = isDraw;
+    match.walkover = !!result.walkover;
+    completeMatch(brackets, match, { winnerId, loserId });
+  }
+
+  updateStage(brackets);
+  return match;
+}
+
+/**
+ * Compute standings for round robin or one group of a group stage
+ * Ordered by points, then set difference, then game difference, then wins
+ */
+function computeStandings(brackets, group = null) {
+  const settings = { ...DEFAULT_SETTINGS, ...brackets.settings };
+  const participantIds = group
+    ? (brackets.groups.find(g => g.name === group)?.participantIds || [])
+    : brackets.participants.map(p => p.id);
+  const bracketType = group ? 'group' : 'round_robin';
+
+  const table = new Map(participantIds.map(id => [id, {
+    participantId: id,
+    teamName: brackets.participants.find(p => p.id === id)?.teamName || null,
+    played: 0,
+    won: 0,
+    drawn: 0,
+    lost: 0,
+    setsWon: 0,
+    setsLost: 0,
+    gamesWon: 0,
+    gamesLost: 0,
+    points: 0
+  }]));
+
+  brackets.matches
+    .filter(m => m.bracket === bracketType && m.group === group && m.status === 'completed')
+    .forEach(match => {
+      const row1 = table.get(match.participant1Id);
+      const row2 = table.get(match.participant2Id);
+      if (!row1 || !row2) return;
+
+      row1.played++;
+      row2.played++;
+
+      for (const set of match.sets || []) {
+        row1.gamesWon += set.p1;
+        row1.gamesLost += set.p2;
+        row2.gamesWon += set.p2;
+        row2.gamesLost += set.p1;
+        if (set.p1 > set.p2) {
+          row1.setsWon++;
+          row2.setsLost++;
+        } else if (set.p2 > set.p1) {
+          row2.setsWon++;
+          row1.setsLost++;
+        }
+      }
+
+      if (match.isDraw) {
+        row1.drawn++;
+        row2.drawn++;
+        row1.points += settings.pointsPerDraw;
+        row2.points += settings.pointsPerDraw;
+        return;
+      }
+
+      const winner = match.winnerId === match.participant1Id ? row1 : row2;
+      const loser = winner === row1 ? row2 : row1;
+      winner.won++;
+      loser.lost++;
+      winner.points += settings.pointsPerWin;
+      loser.points += settings.pointsPerLoss;
+    });
+
+  return [...table.values()]
+    .sort((a, b) =>
+      (b.points - a.points) ||
+      ((b.setsWon - b.setsLost) - (a.setsWon - a.setsLost)) ||
+      ((b.gamesWon - b.gamesLost) - (a.gamesWon - a.gamesLost)) ||
+      (b.won - a.won)
+    )
+    .map((row, index) => ({ position: index + 1, ...row }));
+}
+
+/**
+ * Standings for every table in the tournament (one per group, or a single one)
+ */
+function getAllStandings(brackets) {
+  if (!brackets || !brackets.matches) return [];
+
+  if (brackets.format === 'group_stage') {
+    return brackets.groups.map(group => ({
+      group: group.name,
+      standings: computeStandings(brackets, group.name)
+    }));
+  }
+
+  if (brackets.format === 'round_robin') {
+    return [{ group: null, standings: computeStandings(brackets) }];
+  }
+
+  return [];
+}
+
+/**
+ * Move the tournament forward once a stage is finished:
+ * - group stage → build the knockout bracket from the top of each group
+ * - final match / round robin done → set the champion
+ */
+function updateStage(brackets) {
+  if (brackets.stage === 'finished') {
+    // A corrected final result may change the champion
+    const final = brackets.matches.find(m => isKnockoutMatch(m) && !m.nextMatchId && !m.loserNextMatchId);
+    brackets.championId = final
+      ? final.winnerId
+      : (computeStandings(brackets)[0]?.participantId || null);
+    return;
+  }
+
+  const stageMatches = brackets.matches.filter(m => {
+    if (brackets.stage === 'groups') return m.bracket === 'group';
+    if (brackets.stage === 'round_robin') return m.bracket === 'round_robin';
+    return isKnockoutMatch(m);
+  });
+  const finished = stageMatches.every(m => m.status === 'completed' || m.status === 'bye');
+  if (!finished) return;
+
+  if (brackets.stage === 'groups') {
+    const { advancePerGroup } = brackets.settings;
+    const tables = brackets.groups.map(g => computeStandings(brackets, g.name));
+    const qualified = [];
+    for (let place = 0; place < advancePerGroup; place++) {
+      tables.forEach(table => {
+        if (table[place]) qualified.push(table[place].participantId);
+      });
+    }
+
+    if (qualified.length < 2) {
+      brackets.championId = qualified[0] || null;
+      brackets.stage = 'finished';
+      return;
+    }
+
+    const knockoutMatches = buildWinnersBracket(qualified, 'K', 'knockout').flat();
+    brackets.matches.push(...knockoutMatches);
+    brackets.stage = 'knockout';
+    knockoutMatches
+      .filter(m => m.pendingSources === 0 && m.status === 'pending')
+      .forEach(m => evaluateMatch(brackets, m));
+    updateStage(brackets);
+    return;
+  }
+
+  if (brackets.stage === 'round_robin') {
+    brackets.championId = computeStandings(brackets)[0]?.participantId || null;
+    brackets.stage = 'finished';
+    return;
+  }
+
+  if (brackets.stage === 'knockout') {
+    const final = stageMatches.find(m => !m.nextMatchId && !m.loserNextMatchId);
+    brackets.championId = final ? final.winnerId : null;
+    brackets.stage = 'finished';
+  }
+}
+
+/**
+ * Summarize wins, losses, points and elimination per participant so they can
+ * be written back to TournamentParticipant rows
+ */
+function summarizeParticipants(brackets) {
+  const settings = { ...DEFAULT_SETTINGS, ...brackets.settings };
+  const summary = new Map(brackets.participants.map(p => [p.id, {
+    wins: 0,
+    losses: 0,
+    points: 0,
+    knockoutLosses: 0,
+    eliminated: false
+  }]));
+
+  brackets.matches
+    .filter(m => m.status === 'completed')
+    .forEach(match => {
+      if (match.isDraw) {
+        [match.participant1Id, match.participant2Id].forEach(id => {
+          const row = summary.get(id);
+          if (row) row.points += settings.pointsPerDraw;
+        });
+        return;
+      }
+
+      const winner = summary.get(match.winnerId);
+      const loser = summary.get(match.loserId);
+      if (winner) {
+        winner.wins++;
+        winner.points += settings.pointsPerWin;
+      }
+      if (loser) {
+        loser.losses++;
+        loser.points += settings.pointsPerLoss;
+        if (isKnockoutMatch(match)) loser.knockoutLosses++;
+      }
+    });
+
+  const allowedLosses = brackets.format === 'double_elimination' ? 2 : 1;
+  const knockoutStarted = brackets.stage === 'knockout' || brackets.stage === 'finished';
+  const knockoutIds = new Set(
+    brackets.matches
+      .filter(isKnockoutMatch)
+      .flatMap(m => [m.participant1Id, m.participant2Id])
+      .filter(Boolean)
+  );
+
+  summary.forEach((row, id) => {
+    if (row.knockoutLosses >= allowedLosses) row.eliminated = true;
+    // Grand final loser is out even with a single loss in double elimination
+    const grandFinal = brackets.matches.find(m => m.bracket === 'grand_final');
+    if (grandFinal && grandFinal.loserId === id) row.eliminated = true;
+    // Participants who did not qualify from the group stage
+    if (brackets.format === 'group_stage' && knockoutStarted && !knockoutIds.has(id)) {
+      row.eliminated = true;
+    }
+  });
+
+  return summary;
+}
+
+module.exports = {
+  generateBrackets,
+  recordMatchResult,
+  computeStandings,
+  getAllStandings,
+  summarizeParticipants,
+  findMatch,
+  DEFAULT_SETTINGS
+};
@@ -0,0 +1,401 @@
+/**
+ * Tournament Scheduler Service
+ * Places tournament matches on the establishment courts and blocks each slot
+ * with a Booking of bookingType 'tournament'
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Booking, Court, Establishment, sequelize } = require('../models');
+const { getArgentinaTime } = require('./bookingScheduler');
+
+const DEFAULT_SCHEDULING = {
+  matchDuration: 90,
+  bufferMinutes: 0,
+  slotStep: 30,
+  courtIds: null
+};
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Bookings in these statuses keep the court busy
+const BLOCKING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+const BRACKET_ORDER = ['group', 'round_robin', 'winners', 'losers', 'knockout', 'grand_final'];
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+const toDateString = (date) => {
+  const year = date.getUTCFullYear();
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// Dates are handled as UTC midnights so day arithmetic is not affected by the server timezone
+const parseDate = (value) => {
+  const str = typeof value === 'string' ? value.slice(0, 10) : toDateString(new Date(value));
+  return new Date(`${str}T00:00:00Z`);
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+
+const dayIndexOf = (dateStr, baseDate) => Math.round((parseDate(dateStr) - baseDate) / 86400000);
+
+/**
+ * Convert an absolute minute (relative to baseDate) into booking date/time strings
+ */
+const fromAbsolute = (absolute, baseDate) => {
+  const dayOffset = Math.floor(absolute / 1440);
+  return {
+    date: toDateString(addDays(baseDate, dayOffset)),
+    time: minutesToTime(absolute % 1440)
+  };
+};
+
+const overlaps = (intervals, start, end) =>
+  intervals.some(interval => start < interval.end && end > interval.start);
+
+/**
+ * Opening windows (absolute minutes) for every day between startDate and endDate
+ * Windows crossing midnight (e.g. 08:00 - 01:30) extend into the next day
+ */
+const buildOpeningWindows = (establishment, baseDate, totalDays) => {
+  const windows = [];
+  const closedDates = establishment.closedDates || [];
+
+  for (let day = 0; day < totalDays; day++) {
+    const date = addDays(baseDate, day);
+    if (closedDates.includes(toDateString(date))) continue;
+
+    const hours = establishment.openingHours?.[DAY_NAMES[date.getUTCDay()]];
+    if (!hours || hours.closed) continue;
+
+    const open = timeToMinutes(hours.open);
+    let close = timeToMinutes(hours.close);
+    if (close <= open) close += 1440;
+
+    windows.push({ start: day * 1440 + open, end: day * 1440 + close });
+  }
+
+  return windows;
+};
+
+/**
+ * Matches that still need a court slot, ordered so earlier rounds go first
+ */
+const getMatchesToSchedule = (brackets) =>
+  brackets.matches
+    .filter(m => ['pending', 'ready'].includes(m.status) && !m.bookingId)
+    .sort((a, b) =>
+      (BRACKET_ORDER.indexOf(a.bracket) - BRACKET_ORDER.indexOf(b.bracket)) ||
+      (a.round - b.round) ||
+      (a.position - b.position)
+    );
+
+/**
+ * Plan court slots for every unscheduled match without touching the database
+ * @returns {{ planned: Array<Object>, unscheduled: Array<string> }}
+ */
+const planMatches = ({ brackets, courts, establishment, existingBookings, settings, startDate, endDate, now }) => {
+  const baseDate = parseDate(startDate);
+  const totalDays = dayIndexOf(endDate, baseDate) + 1;
+  const windows = buildOpeningWindows(establishment, baseDate, totalDays);
+
+  const duration = settings.matchDuration;
+  const step = settings.slotStep;
+  const buffer = settings.bufferMinutes;
+
+  // Busy intervals per court from regular bookings
+  const courtBusy = new Map(courts.map(c => [c.id, []]));
+  existingBookings.forEach(booking => {
+    const day = dayIndexOf(booking.date, baseDate);
+    const start = day * 1440 + timeToMinutes(booking.startTime);
+    let end = day * 1440 + timeToMinutes(booking.endTime);
+    if (end <= start) end += 1440;
+    courtBusy.get(booking.courtId)?.push({ start, end });
+  });
+
+  // Already scheduled matches constrain participants and dependent matches
+  const matchEnd = new Map();
+  const participantBusy = new Map();
+  const markParticipants = (match, start, end) => {
+    [match.participant1Id, match.participant2Id].filter(Boolean).forEach(id => {
+      if (!participantBusy.has(id)) participantBusy.set(id, []);
+      participantBusy.get(id).push({ start, end: end + buffer });
+    });
+  };
+
+  brackets.matches
+    .filter(m => m.scheduledDate && m.startTime)
+    .forEach(m => {
+      const start = dayIndexOf(m.scheduledDate, baseDate) * 1440 + timeToMinutes(m.startTime);
+      const end = start + (m.duration || duration);
+      matchEnd.set(m.id, end);
+      markParticipants(m, start, end);
+    });
+
+  const nowMinutes = now
+    ? dayIndexOf(now.dateString, baseDate) * 1440 + now.totalMinutes
+    : -Infinity;
+
+  const planned = [];
+  const unscheduled = [];
+
+  for (const match of getMatchesToSchedule(brackets)) {
+    // A match cannot start before the matches feeding it have finished
+    const feederEnds = brackets.matches
+      .filter(m => m.nextMatchId === match.id || m.loserNextMatchId === match.id)
+      .map(m => matchEnd.get(m.id))
+      .filter(end => end !== undefined);
+    const earliest = Math.max(nowMinutes, ...feederEnds.map(end => end + buffer));
+
+    const players = [match.participant1Id, match.participant2Id].filter(Boolean);
+    let slot = null;
+
+    for (const window of windows) {
+      if (window.end < earliest + duration) continue;
+
+      const firstStart = Math.max(window.start, Math.ceil((earliest - window.start) / step) * step + window.start);
+      for (let start = firstStart; start + duration <= window.end && !slot; start += step) {
+        const end = start + duration;
+        if (players.some(id => overlaps(participantBusy.get(id) || [], start, end))) continue;
+
+        const court = courts.find(c => !overlaps(courtBusy.get(c.id), start, end + buffer));
+        if (court) slot = { court, start, end };
+      }
+      if (slot) break;
+    }
+
+    if (!slot) {
+      unscheduled.push(match.id);
+      continue;
+    }
+
+    courtBusy.get(slot.court.id).push({ start: slot.start, end: slot.end + buffer });
+    matchEnd.set(match.id, slot.end);
+    markParticipants(match, slot.start, slot.end);
+
+    const startAt = fromAbsolute(slot.start, baseDate);
+    const endAt = fromAbsolute(slot.end, baseDate);
+    planned.push({
+      matchId: match.id,
+      courtId: slot.court.id,
+      courtName: slot.court.name,
+      date: startAt.date,
+      startTime: startAt.time,
+      endTime: endAt.time,
+      duration
+    });
+  }
+
+  return { planned, unscheduled };
+};
+
+const describeMatch = (tournament, brackets, match) => {
+  const names = [match.participant1Id, match.participant2Id].map(id =>
+    brackets.participants.find(p => p.id === id)?.teamName
+  );
+  const versus = names.every(Boolean) ? `${names[0]} vs ${names[1]}` : `Partido ${match.id}`;
+  return `${tournament.name} - ${versus}`;
+};
+
+/**
+ * Cancel the court bookings of the given tournament matches
+ */
+const releaseMatchBookings = async (tournament, matchIds, transaction) => {
+  if (!matchIds.length) return 0;
+
+  const [count] = await Booking.update({
+    status: 'cancelled',
+    cancelledAt: new Date(),
+    cancellationReason: 'Partido de torneo reprogramado o sin disputar'
+  }, {
+    where: {
+      tournamentId: tournament.id,
+      tournamentMatchId: { [Op.in]: matchIds },
+      status: { [Op.in]: BLOCKING_STATUSES }
+    },
+    transaction
+  });
+
+  return count;
+};
+
+/**
+ * Release bookings of matches that were resolved as byes (nobody plays them)
+ * Mutates brackets so the match no longer points to a booking
+ */
+const releaseByeBookings = async (tournament, brackets, transaction) => {
+  const byes = brackets.matches.filter(m => m.status === 'bye' && m.bookingId);
+  await releaseMatchBookings(tournament, byes.map(m => m.id), transaction);
+  byes.forEach(m => {
+    m.bookingId = null;
+    m.courtId = null;
+    m.scheduledDate = null;
+    m.startTime = null;
+    m.endTime = null;
+  });
+  return byes.length;
+};
+
+/**
+ * Schedule every unscheduled match of a tournament onto courts
+ * @param {Object} tournament - Tournament instance (brackets must be generated)
+ * @param {Object} options
+ * @param {Object} options.settings - Overrides for matchDuration, bufferMinutes, slotStep, courtIds
+ * @param {boolean} options.reschedule - Cancel existing match bookings and plan again
+ * @param {boolean} options.dryRun - Only return the plan
+ * @param {string} options.userId - User performing the action
+ * @param {Object} options.transaction - Optional outer transaction
+ */
+const scheduleTournamentMatches = async (tournament, { settings = {}, reschedule = false, dryRun = false, userId = null, transaction: outerTransaction = null } = {}) => {
+  if (!tournament.brackets?.matches) {
+    throw new Error('Brackets have not been generated yet');
+  }
+
+  const brackets = JSON.parse(JSON.stringify(tournament.brackets));
+  const scheduling = { ...DEFAULT_SCHEDULING, ...(brackets.scheduling || {}), ...settings };
+
+  const establishment = await Establishment.findByPk(tournament.establishmentId, {
+    attributes: ['id', 'openingHours', 'closedDates'],
+    transaction: outerTransaction
+  });
+
+  const courtWhere = { establishmentId: tournament.establishmentId, isActive: true };
+  if (Array.isArray(scheduling.courtIds) && scheduling.courtIds.length) {
+    courtWhere.id = { [Op.in]: scheduling.courtIds };
+  } else {
+    courtWhere.sport = { [Op.iLike]: tournament.sport };
+  }
+  const courts = await Court.findAll({ where: courtWhere, order: [['name', 'ASC']], transaction: outerTransaction });
+
+  if (!courts.length) {
+    throw new Error('No active courts available for this tournament');
+  }
+
+  if (reschedule) {
+    brackets.matches
+      .filter(m => ['pending', 'ready'].includes(m.status))
+      .forEach(m => {
+        m.rescheduleBookingId = m.bookingId || null;
+        m.bookingId = null;
+        m.courtId = null;
+        m.scheduledDate = null;
+        m.startTime = null;
+        m.endTime = null;
+      });
+  }
+
+  const startDate = toDateString(new Date(tournament.startDate));
+  const endDate = toDateString(new Date(tournament.endDate));
+  const bookingWhere = {
+    courtId: { [Op.in]: courts.map(c => c.id) },
+    date: { [Op.between]: [toDateString(addDays(parseDate(startDate), -1)), toDateString(addDays(parseDate(endDate), 1))] },
+    status: { [Op.in]: BLOCKING_STATUSES }
+  };
+  const existingBookings = await Booking.findAll({
+    where: bookingWhere,
+    attributes: ['id', 'courtId', 'date', 'startTime', 'endTime', 'tournamentId', 'tournamentMatchId'],
+    transaction: outerTransaction
+  });
+
+  // Bookings about to be released on reschedule must not block the new plan
+  const releasing = new Set(brackets.matches.map(m => m.rescheduleBookingId).filter(Boolean));
+
+  const { planned, unscheduled } = planMatches({
+    brackets,
+    courts,
+    establishment,
+    existingBookings: existingBookings.filter(b => !releasing.has(b.id)),
+    settings: scheduling,
+    startDate,
+    endDate,
+    now: getArgentinaTime()
+  });
+
+  if (dryRun) {
+    return { planned, unscheduled, created: 0 };
+  }
+
+  const transaction = outerTransaction || await sequelize.transaction();
+
+  try {
+    if (releasing.size) {
+      await releaseMatchBookings(
+        tournament,
+        brackets.matches.filter(m => m.rescheduleBookingId).map(m => m.id),
+        transaction
+      );
+    }
+    brackets.matches.forEach(m => { delete m.rescheduleBookingId; });
+
+    for (const slot of planned) {
+      const match = brackets.matches.find(m => m.id === slot.matchId);
+
+      // Free the unique (courtId, date, startTime) index from old cancelled bookings
+      await Booking.destroy({
+        where: { courtId: slot.courtId, date: slot.date, startTime: slot.startTime, status: 'cancelled' },
+        transaction
+      });
+
+      const booking = await Booking.create({
+        establishmentId: tournament.establishmentId,
+        courtId: slot.courtId,
+        date: slot.date,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        duration: slot.duration,
+        totalAmount: 0,
+        status: 'confirmed',
+        confirmedAt: new Date(),
+        bookingType: 'tournament',
+        clientName: describeMatch(tournament, brackets, match),
+        notes: `Torneo ${tournament.name} - Partido ${match.id}`,
+        tournamentId: tournament.id,
+        tournamentMatchId: match.id,
+        createdBy: userId,
+        checkInCode: crypto.randomBytes(3).toString('hex').toUpperCase(),
+        reviewToken: crypto.randomBytes(32).toString('hex')
+      }, { transaction });
+
+      Object.assign(match, {
+        bookingId: booking.id,
+        courtId: slot.courtId,
+        scheduledDate: slot.date,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        duration: slot.duration
+      });
+    }
+
+    const { courtIds, matchDuration, bufferMinutes, slotStep } = scheduling;
+    brackets.scheduling = { courtIds, matchDuration, bufferMinutes, slotStep };
+
+    await tournament.update({ brackets }, { transaction });
+
+    if (!outerTransaction) await transaction.commit();
+  } catch (error) {
+    if (!outerTransaction) await transaction.rollback();
+    throw error;
+  }
+
+  return { planned, unscheduled, created: planned.length };
+};
+
+module.exports = {
+  scheduleTournamentMatches,
+  releaseByeBookings,
+  releaseMatchBookings,
+  planMatches,
+  DEFAULT_SCHEDULING
+};
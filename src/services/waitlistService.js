@@ -0,0 +1,382 @@
+/**
+ * Waitlist Service
+ * Offers freed court slots to players waiting for them.
+ *
+ * When a booking is cancelled the first matching waitlist entry gets a
+ * time-limited hold on the slot (status 'offered'). While the hold is active
+ * nobody else can book that court/time. If the offer expires or is declined,
+ * the slot is offered to the next person in line.
+ *
+ * Slots in open booking carts are held the same way until the cart's hold
+ * runs out (see services/bookingCart).
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { WaitlistEntry, Booking, BookingCart, BookingCartItem, Court, Establishment, sequelize } = require('../models');
+const { sendWaitlistOfferWhatsApp } = require('./whatsappNotification');
+const { sendWaitlistOffer, formatDate } = require('./email');
+const { calculateBookingPrice } = require('../controllers/priceScheduleController');
+
+const DEFAULT_HOLD_MINUTES = 30;
+
+// Bookings in these statuses occupy the court
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Start/end minutes of a slot, with cross-midnight end lifted past 1440
+ */
+const toRange = (startTime, endTime) => {
+  const start = timeToMinutes(startTime);
+  let end = timeToMinutes(endTime);
+  if (end <= start) end += 1440;
+  return { start, end };
+};
+
+const rangesOverlap = (a, b) => a.start < b.end && a.end > b.start;
+
+const normalizeTime = (time) => time.slice(0, 5);
+
+/**
+ * Active (not expired) holds overlapping a court slot
+ */
+const findActiveHolds = async ({ courtId, date, startTime, endTime, excludeEntryId = null, transaction }) => {
+  const where = {
+    offeredCourtId: courtId,
+    date,
+    status: 'offered',
+    holdExpiresAt: { [Op.gt]: new Date() }
+  };
+  if (excludeEntryId) where.id = { [Op.ne]: excludeEntryId };
+
+  const holds = await WaitlistEntry.findAll({ where, transaction });
+  const range = toRange(startTime, endTime);
+  return holds.filter(hold => rangesOverlap(range, toRange(hold.startTime, hold.endTime)));
+};
+
+/**
+ * Cart items holding an overlapping court or amenity slot
+ */
+const findCartHolds = async ({ courtId = null, amenityId = null, date, startTime, endTime, excludeCartId = null, transaction }) => {
+  const cartWhere = {
+    status: { [Op.in]: ['open', 'checking_out'] },
+    holdExpiresAt: { [Op.gt]: new Date() }
+  };
+  if (excludeCartId) cartWhere.id = { [Op.ne]: excludeCartId };
+
+  const items = await BookingCartItem.findAll({
+    where: courtId ? { courtId, date } : { amenityId, date },
+    include: [{ model: BookingCart, as: 'cart', where: cartWhere, attributes: ['id'] }],
+    transaction
+  });
+  const range = toRange(startTime, endTime);
+  return items.filter(item => rangesOverlap(range, toRange(item.startTime, item.endTime)));
+};
+
+/**
+ * Whether the court is free (no active bookings nor other holds) for the slot
+ */
+const isCourtFree = async ({ courtId, date, startTime, endTime, excludeEntryId = null, excludeCartId = null, transaction }) => {
+  const bookings = await Booking.findAll({
+    where: {
+      courtId,
+      date,
+      status: { [Op.in]: ACTIVE_BOOKING_STATUSES }
+    },
+    attributes: ['startTime', 'endTime'],
+    transaction
+  });
+  const range = toRange(startTime, endTime);
+  if (bookings.some(b => rangesOverlap(range, toRange(b.startTime, b.endTime)))) {
+    return false;
+  }
+
+  const holds = await findActiveHolds({ courtId, date, startTime, endTime, excludeEntryId, transaction });
+  if (holds.length > 0) {
+    return false;
+  }
+
+  const cartHolds = await findCartHolds({ courtId, date, startTime, endTime, excludeCartId, transaction });
+  return cartHolds.length === 0;
+};
+
+/**
+ * Book a court slot inside the caller's transaction: checks the slot is free,
+ * prices it for the holder and creates the pending booking
+ * @param {Object} data - Booking fields (courtId, date, startTime, endTime, duration, holder...)
+ * @param {Object} options - { excludeEntryId }: waitlist hold the booking comes from
+ * @returns {Promise<Booking>}
+ */
+const bookCourtSlot = async (data, { excludeEntryId = null } = {}, transaction) => {
+  const { courtId, date, startTime, endTime } = data;
+
+  const free = await isCourtFree({ courtId, date, startTime, endTime, excludeEntryId, transaction });
+  if (!free) {
+    const error = new Error('El horario ya no está disponible');
+    error.status = 409;
+    throw error;
+  }
+
+  const price = await calculateBookingPrice(courtId, startTime, endTime, date, {
+    userId: data.userId || null,
+    clientEmail: data.clientEmail || null
+  });
+
+  // Free the unique (courtId, date, startTime) index from a cancelled booking
+  await Booking.destroy({
+    where: { courtId, date, startTime, status: 'cancelled' },
+    transaction
+  });
+
+  return Booking.create({
+    ...data,
+    totalAmount: price.totalPrice,
+    status: 'pending',
+    checkInCode: crypto.randomBytes(3).toString('hex').toUpperCase(),
+    reviewToken: crypto.randomBytes(32).toString('hex')
+  }, { transaction });
+};
+
+/**
+ * Put a hold on the slot for this entry and notify the player
+ */
+const offerToEntry = async (entry, court, establishment) => {
+  const holdMinutes = establishment.waitlistHoldMinutes || DEFAULT_HOLD_MINUTES;
+  const offerToken = crypto.randomBytes(24).toString('hex');
+
+  await entry.update({
+    status: 'offered',
+    offerToken,
+    offeredCourtId: court.id,
+    offeredAt: new Date(),
+    holdExpiresAt: new Date(Date.now() + holdMinutes * 60000)
+  });
+
+  const notifiedVia = [];
+
+  if (entry.clientPhone) {
+    const result = await sendWaitlistOfferWhatsApp({
+      clientPhone: entry.clientPhone,
+      clientName: entry.clientName,
+      establishmentName: establishment.name,
+      courtName: court.name,
+      dateTime: `${formatDate(entry.date)} a las ${normalizeTime(entry.startTime)}`,
+      holdMinutes,
+      offerToken
+    });
+    if (result.success) notifiedVia.push('whatsapp');
+  }
+
+  if (entry.clientEmail) {
+    const sent = await sendWaitlistOffer(entry, establishment, court, holdMinutes);
+    if (sent) notifiedVia.push('email');
+  }
+
+  await entry.update({ notifiedVia });
+  console.log(`[Waitlist] Offered ${court.name} ${entry.date} ${entry.startTime} to entry ${entry.id} (${notifiedVia.join(', ') || 'no channel'})`);
+
+  return entry;
+};
+
+/**
+ * Offer a freed court slot to the first matching waitlist entry
+ * @param {Object} slot - { courtId, date, startTime, endTime }
+ * @returns {Object|null} The entry that received the offer
+ */
+const offerFreedSlot = async ({ courtId, date, startTime, endTime }) => {
+  if (!courtId) return null;
+  // Required here to avoid a circular import
+  const { normalizeSport } = require('./matchmaking');
+
+  const court = await Court.findByPk(courtId, {
+    include: [{ model: Establishment, as: 'establishment' }]
+  });
+  if (!court || !court.isActive) return null;
+
+  const candidates = await WaitlistEntry.findAll({
+    where: {
+      establishmentId: court.establishmentId,
+      date,
+      status: 'waiting',
+      [Op.or]: [
+        { courtId },
+        { courtId: null }
+      ]
+    },
+    order: [['createdAt', 'ASC']]
+  });
+
+  const freed = toRange(startTime, endTime);
+  const sport = normalizeSport(court.sport);
+
+  for (const entry of candidates) {
+    if (!entry.courtId && normalizeSport(entry.sport) !== sport) continue;
+    const wanted = toRange(entry.startTime, entry.endTime);
+    if (wanted.start < freed.start || wanted.end > freed.end) continue;
+
+    const free = await isCourtFree({
+      courtId,
+      date,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      excludeEntryId: entry.id
+    });
+    if (!free) continue;
+
+    return offerToEntry(entry, court, court.establishment);
+  }
+
+  return null;
+};
+
+/**
+ * Hook called after a booking is cancelled; never throws
+ */
+const handleBookingCancelled = async (booking) => {
+  try {
+    if (!booking.courtId || booking.bookingType === 'tournament') return null;
+    return await offerFreedSlot({
+      courtId: booking.courtId,
+      date: booking.date,
+      startTime: booking.startTime,
+      endTime: booking.endTime
+    });
+  } catch (error) {
+    console.error('[Waitlist] Error offering freed slot:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Expire holds that ran out (passing the slot to the next entry) and
+ * waiting entries whose date has already passed
+ */
+const expireWaitlistOffers = async (today) => {
+  try {
+    const expiredOffers = await WaitlistEntry.findAll({
+      where: {
+        status: 'offered',
+        holdExpiresAt: { [Op.lte]: new Date() }
+      }
+    });
+
+    for (const entry of expiredOffers) {
+      await entry.update({ status: 'expired' });
+      console.log(`[Waitlist] Offer for entry ${entry.id} expired`);
+      await offerFreedSlot({
+        courtId: entry.offeredCourtId,
+        date: entry.date,
+        startTime: entry.startTime,
+        endTime: entry.endTime
+      });
+    }
+
+    let staleCount = 0;
+    if (today) {
+      [staleCount] = await WaitlistEntry.update(
+        { status: 'expired' },
+        { where: { status: 'waiting', date: { [Op.lt]: today } } }
+      );
+    }
+
+    return expiredOffers.length + staleCount;
+  } catch (error) {
+    console.error('[Waitlist] Error expiring offers:', error);
+    return 0;
+  }
+};
+
+/**
+ * Accept an offer and turn the hold into a real booking
+ * @param {string} offerToken
+ * @param {Object|null} user - Authenticated user (optional)
+ */
+const acceptOffer = async (offerToken, user = null) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const entry = await WaitlistEntry.findOne({
+      where: { offerToken },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!entry) {
+      const error = new Error('Oferta no encontrada');
+      error.status = 404;
+      throw error;
+    }
+    if (entry.status !== 'offered' || new Date(entry.holdExpiresAt) <= new Date()) {
+      const error = new Error('La oferta ya no está disponible');
+      error.status = 410;
+      throw error;
+    }
+
+    const booking = await bookCourtSlot({
+      userId: entry.userId || user?.id || null,
+      establishmentId: entry.establishmentId,
+      courtId: entry.offeredCourtId,
+      date: entry.date,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      duration: entry.duration,
+      clientName: entry.clientName,
+      clientPhone: entry.clientPhone,
+      clientEmail: entry.clientEmail || user?.email || null,
+      notes: 'Reserva desde lista de espera'
+    }, { excludeEntryId: entry.id }, transaction);
+
+    await entry.update({ status: 'accepted', bookingId: booking.id }, { transaction });
+
+    await transaction.commit();
+    return { entry, booking };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Decline an offer and pass the slot to the next person in line
+ */
+const declineOffer = async (offerToken) => {
+  const entry = await WaitlistEntry.findOne({ where: { offerToken } });
+
+  if (!entry) {
+    const error = new Error('Oferta no encontrada');
+    error.status = 404;
+    throw error;
+  }
+  if (entry.status !== 'offered') {
+    const error = new Error('La oferta ya no está disponible');
+    error.status = 410;
+    throw error;
+  }
+
+  await entry.update({ status: 'declined' });
+  const next = await offerFreedSlot({
+    courtId: entry.offeredCourtId,
+    date: entry.date,
+    startTime: entry.startTime,
+    endTime: entry.endTime
+  });
+
+  return { entry, nextEntryId: next?.id || null };
+};
+
+module.exports = {
+  findActiveHolds,
+  findCartHolds,
+  isCourtFree,
+  bookCourtSlot,
+  offerFreedSlot,
+  handleBookingCancelled,
+  expireWaitlistOffers,
+  acceptOffer,
+  declineOffer
+};
@@ -200,6 +200,60 @@ class WhatsAppService {
     return response.data;
   }
 
+  /**
+   * Uploads a file to WhatsApp media storage
+   * @param {Buffer} buffer - File content
+   * @param {string} filename - File name
+   * @param {string} mimeType - MIME type (e.g., 'application/pdf')
+   * @returns {string} Media ID to reference in messages
+   */
+  async uploadMedia(buffer, filename, mimeType) {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+    const response = await this.client.post(
+      `/${this.config.phoneNumberId}/media`,
+      form,
+      { headers: { 'Content-Type': 'multipart/form-data' } }
+    );
+
+    return response.data.id;
+  }
+
+  /**
+   * Sends a document message (only delivered inside the 24h customer service
+   * window; outside it Meta requires a template)
+   * @param {string} to - Recipient phone number
+   * @param {Buffer} buffer - Document content
+   * @param {string} filename - File name shown to the recipient
+   * @param {string} [caption] - Optional caption
+   * @param {string} [mimeType] - MIME type, PDF by default
+   * @returns {object} API response
+   */
+  async sendDocumentMessage(to, buffer, filename, caption = null, mimeType = 'application/pdf') {
+    const mediaId = await this.uploadMedia(buffer, filename, mimeType);
+
+    const message = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to,
+      type: 'document',
+      document: { id: mediaId, filename },
+    };
+
+    if (caption) message.document.caption = caption;
+
+    const response = await this.client.post(
+      `/${this.config.phoneNumberId}/messages`,
+      message
+    );
+
+    console.log('WhatsApp document message sent', { to, filename, messageId: response.data.messages?.[0]?.id });
+    return response.data;
+  }
+
   /**
    * Downloads media content from a message
    * @param {string} mediaId - Media ID from incoming message
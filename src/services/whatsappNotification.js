@@ -253,8 +253,225 @@ async function sendRecurringBookingWhatsApp(bookingData) {
   }
 }
 
+/**
+ * Post a template payload to the WhatsApp Cloud API
+ * Shared by the notification senders below
+ */
+async function postTemplateMessage(payload, label) {
+  const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+
+  if (!accessToken || !phoneNumberId) {
+    console.log('[WhatsApp Notification] Missing WHATSAPP_ACCESS_TOKEN or WHATSAPP_PHONE_NUMBER_ID');
+    return { success: false, reason: 'WhatsApp not configured' };
+  }
+
+  try {
+    console.log(`[WhatsApp Notification] Sending ${label} to ${payload.to}`);
+
+    const response = await axios.post(
+      `${WHATSAPP_API_URL}/${phoneNumberId}/messages`,
+      payload,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: 15000,
+      }
+    );
+
+    console.log(`[WhatsApp Notification] ${label} sent to ${payload.to}, message ID: ${response.data?.messages?.[0]?.id}`);
+    return { success: true, messageId: response.data?.messages?.[0]?.id };
+  } catch (error) {
+    const errData = error.response?.data?.error || error.message;
+    console.error(`[WhatsApp Notification] Failed to send ${label} to ${payload.to}:`, JSON.stringify(errData));
+    return { success: false, error: errData };
+  }
+}
+
+/**
+ * Send a WhatsApp template message offering a freed slot to a waitlisted player
+ * Template: lista_espera (es_AR)
+ *
+ * Body params: {{1}} clientName, {{2}} establishmentName, {{3}} dateTime,
+ *              {{4}} courtName, {{5}} holdMinutes
+ * Button 0 (URL): "Reservar" → suffix = lista-espera/{offerToken}
+ */
+async function sendWaitlistOfferWhatsApp(offerData) {
+  const {
+    clientPhone,
+    clientName,
+    establishmentName,
+    courtName,
+    dateTime,
+    holdMinutes,
+    offerToken,
+  } = offerData;
+
+  const recipientPhone = normalizeArgentinePhone(clientPhone);
+  if (!recipientPhone) {
+    console.log('[WhatsApp Notification] No valid phone number for waitlist offer');
+    return { success: false, reason: 'No valid phone number' };
+  }
+
+  return postTemplateMessage({
+    messaging_product: 'whatsapp',
+    to: recipientPhone,
+    type: 'template',
+    template: {
+      name: 'lista_espera',
+      language: { code: 'es_AR' },
+      components: [
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: clientName || 'Cliente' },
+            { type: 'text', text: establishmentName },
+            { type: 'text', text: dateTime },
+            { type: 'text', text: courtName },
+            { type: 'text', text: `${holdMinutes}` },
+          ],
+        },
+        {
+          type: 'button',
+          sub_type: 'url',
+          index: '0',
+          parameters: [
+            { type: 'text', text: `lista-espera/${offerToken}` },
+          ],
+        },
+      ],
+    },
+  }, 'waitlist offer');
+}
+
+/**
+ * Send a WhatsApp template message reminding an upcoming booking
+ * Template: recordatorio_reserva (es_AR)
+ *
+ * Body params: {{1}} clientName, {{2}} establishmentName, {{3}} dateTime,
+ *              {{4}} courtName
+ * Button 0 (URL): "Confirmar" → suffix = recordatorio/{actionToken}/confirmar
+ * Button 1 (URL): "Cancelar" → suffix = recordatorio/{actionToken}/cancelar
+ */
+async function sendBookingReminderWhatsApp(reminderData) {
+  const {
+    clientPhone,
+    clientName,
+    establishmentName,
+    courtName,
+    dateTime,
+    actionToken,
+  } = reminderData;
+
+  const recipientPhone = normalizeArgentinePhone(clientPhone);
+  if (!recipientPhone) {
+    console.log('[WhatsApp Notification] No valid phone number for booking reminder');
+    return { success: false, reason: 'No valid phone number' };
+  }
+
+  const result = await postTemplateMessage({
+    messaging_product: 'whatsapp',
+    to: recipientPhone,
+    type: 'template',
+    template: {
+      name: 'recordatorio_reserva',
+      language: { code: 'es_AR' },
+      components: [
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: clientName || 'Cliente' },
+            { type: 'text', text: establishmentName },
+            { type: 'text', text: dateTime },
+            { type: 'text', text: courtName },
+          ],
+        },
+        {
+          type: 'button',
+          sub_type: 'url',
+          index: '0',
+          parameters: [
+            { type: 'text', text: `recordatorio/${actionToken}/confirmar` },
+          ],
+        },
+        {
+          type: 'button',
+          sub_type: 'url',
+          index: '1',
+          parameters: [
+            { type: 'text', text: `recordatorio/${actionToken}/cancelar` },
+          ],
+        },
+      ],
+    },
+  }, 'booking reminder');
+
+  return { ...result, recipient: recipientPhone };
+}
+
+/**
+ * Send a WhatsApp template message reminding an unpaid split payment share
+ * Template: pago_compartido (es_AR)
+ *
+ * Body params: {{1}} participantName, {{2}} organizerName, {{3}} establishmentName,
+ *              {{4}} dateTime, {{5}} amount
+ * Button 0 (URL): "Pagar mi parte" → suffix = pago-compartido/{inviteCode}
+ */
+async function sendSplitPaymentReminderWhatsApp(reminderData) {
+  const {
+    participantPhone,
+    participantName,
+    organizerName,
+    establishmentName,
+    dateTime,
+    amount,
+    inviteCode,
+  } = reminderData;
+
+  const recipientPhone = normalizeArgentinePhone(participantPhone);
+  if (!recipientPhone) {
+    console.log('[WhatsApp Notification] No valid phone number for split payment reminder');
+    return { success: false, reason: 'No valid phone number' };
+  }
+
+  return postTemplateMessage({
+    messaging_product: 'whatsapp',
+    to: recipientPhone,
+    type: 'template',
+    template: {
+      name: 'pago_compartido',
+      language: { code: 'es_AR' },
+      components: [
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: participantName || 'Hola' },
+            { type: 'text', text: organizerName || 'Tu grupo' },
+            { type: 'text', text: establishmentName },
+            { type: 'text', text: dateTime },
+            { type: 'text', text: `$${amount}` },
+          ],
+        },
+        {
+          type: 'button',
+          sub_type: 'url',
+          index: '0',
+          parameters: [
+            { type: 'text', text: `pago-compartido/${inviteCode}` },
+          ],
+        },
+      ],
+    },
+  }, 'split payment reminder');
+}
+
 module.exports = {
   normalizeArgentinePhone,
   sendBookingWhatsApp,
   sendRecurringBookingWhatsApp,
+  sendWaitlistOfferWhatsApp,
+  sendBookingReminderWhatsApp,
+  sendSplitPaymentReminderWhatsApp,
 };
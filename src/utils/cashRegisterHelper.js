@@ -16,7 +16,8 @@ function getPaymentMethodField(paymentMethod) {
     'debit_card': 'totalDebitCard',
     'debito': 'totalDebitCard',
     'mercadopago': 'totalMercadoPago',
-    'mercado_pago': 'totalMercadoPago'
+    'mercado_pago': 'totalMercadoPago',
+    'store_credit': 'totalStoreCredit'
   };
   return methodMap[paymentMethod?.toLowerCase()] || 'totalOther';
 }
@@ -70,8 +71,10 @@ async function registerSaleMovement({
   }, { transaction });
 
   // Update cash register totals
+  // Store credit payments bring no new money: the top-up was already counted as a sale
+  const isStoreCredit = paymentMethod?.toLowerCase() === 'store_credit';
   const updates = {
-    totalSales: parseFloat(cashRegister.totalSales) + parseFloat(amount),
+    totalSales: parseFloat(cashRegister.totalSales) + (isStoreCredit ? 0 : parseFloat(amount)),
     totalMovements: cashRegister.totalMovements + 1
   };
 
@@ -0,0 +1,14 @@
+/**
+ * Error carrying the HTTP status routes answer with (error.status);
+ * extra fields are copied onto it for the response
+ */
+const statusError = (message, status, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+};
+
+module.exports = {
+  statusError
+};
@@ -0,0 +1,8 @@
+/**
+ * Round an amount (number or DECIMAL string) to cents
+ */
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+module.exports = {
+  round2
+};